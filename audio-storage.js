@@ -0,0 +1,178 @@
+/**
+ * Audio Storage - Uploads recorded voice messages
+ * Backends are pluggable; the configured one is picked from MCPhonyConfig.STORAGE.BACKEND, unless a
+ * storage-role MCP server is connected
+ */
+
+class AudioTooLargeError extends Error {
+    constructor(size, maxSize) {
+        const sizeMB = (size / (1024 * 1024)).toFixed(1);
+        const maxMB = Math.round(maxSize / (1024 * 1024));
+        super(`Recording is too large to send (${sizeMB} MB). The maximum is ${maxMB} MB.`);
+        this.name = 'AudioTooLargeError';
+        this.size = size;
+        this.maxSize = maxSize;
+    }
+}
+
+// Plain HTTP upload target (local dev server or any endpoint accepting PUT)
+class HttpAudioStorageBackend {
+    constructor(config) {
+        this.uploadUrl = config.UPLOAD_URL;
+        this.headers = config.HEADERS || {};
+    }
+
+    async upload(blob, key) {
+        const url = `${this.uploadUrl.replace(/\/$/, '')}/${key}`;
+
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: {
+                ...this.headers,
+                'Content-Type': blob.type || 'application/octet-stream'
+            },
+            body: blob
+        });
+
+        if (!response.ok) {
+            throw new Error(`Audio upload failed: ${response.status} ${response.statusText}`);
+        }
+
+        // Servers may answer with the public URL; otherwise the PUT target is the URL
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType.includes('application/json')) {
+            const result = await response.json();
+            return result.url || url;
+        }
+
+        return response.headers.get('Location') || url;
+    }
+}
+
+// S3-compatible storage through presigned PUT URLs, so no bucket credentials live in the client
+class S3AudioStorageBackend {
+    constructor(config) {
+        this.presignUrl = config.PRESIGN_URL;
+        this.publicBaseUrl = config.PUBLIC_BASE_URL;
+    }
+
+    async upload(blob, key) {
+        if (!this.presignUrl) {
+            throw new Error('S3 audio storage requires STORAGE.S3.PRESIGN_URL');
+        }
+
+        const presignResponse = await fetch(this.presignUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                key: key,
+                contentType: blob.type,
+                size: blob.size
+            })
+        });
+
+        if (!presignResponse.ok) {
+            throw new Error(`Failed to presign audio upload: ${presignResponse.statusText}`);
+        }
+
+        const presigned = await presignResponse.json();
+
+        const uploadResponse = await fetch(presigned.uploadUrl, {
+            method: 'PUT',
+            headers: { 'Content-Type': blob.type },
+            body: blob
+        });
+
+        if (!uploadResponse.ok) {
+            throw new Error(`Audio upload failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
+        }
+
+        return presigned.publicUrl || `${this.publicBaseUrl.replace(/\/$/, '')}/${key}`;
+    }
+}
+
+// The storage-role MCP server's upload_audio tool
+class McpAudioStorageBackend {
+    constructor(mcpService) {
+        this.mcpService = mcpService;
+    }
+
+    isAvailable() {
+        return this.mcpService.isRoleConnected(MCP_ROLES.STORAGE);
+    }
+
+    async upload(blob, key) {
+        return this.mcpService.storageUploadAudio(blob, key);
+    }
+}
+
+class AudioStorageService {
+    constructor(config = window.MCPhonyConfig.STORAGE, mcpService = null) {
+        this.config = config;
+        this.maxSize = window.MCPhonyConfig.APP.MAX_AUDIO_SIZE;
+        this.mcpBackend = mcpService ? new McpAudioStorageBackend(mcpService) : null;
+
+        const Backend = AudioStorageService.backends[config.BACKEND];
+        if (!Backend) {
+            throw new Error(`Unknown audio storage backend: ${config.BACKEND}`);
+        }
+        this.backend = new Backend(config[config.BACKEND.toUpperCase()] || {});
+    }
+
+    static registerBackend(name, Backend) {
+        AudioStorageService.backends[name] = Backend;
+    }
+
+    // A connected storage MCP server takes precedence over STORAGE.BACKEND
+    getBackend() {
+        return this.mcpBackend && this.mcpBackend.isAvailable() ? this.mcpBackend : this.backend;
+    }
+
+    generateKey(userId, blob) {
+        const extension = AudioStorageService.extensionFor(blob.type);
+        const suffix = Math.random().toString(36).substr(2, 8);
+        return `voice-messages/${encodeURIComponent(userId)}/${Date.now()}-${suffix}.${extension}`;
+    }
+
+    static extensionFor(mimeType) {
+        const baseType = (mimeType || '').split(';')[0];
+        const extensions = {
+            'audio/webm': 'webm',
+            'audio/ogg': 'ogg',
+            'audio/mp4': 'm4a',
+            'audio/aac': 'aac',
+            'audio/mpeg': 'mp3',
+            'audio/wav': 'wav'
+        };
+        return extensions[baseType] || 'bin';
+    }
+
+    async uploadRecording(blob, { userId, durationMs = null }) {
+        if (blob.size > this.maxSize) {
+            throw new AudioTooLargeError(blob.size, this.maxSize);
+        }
+
+        const key = this.generateKey(userId, blob);
+        const url = await this.getBackend().upload(blob, key);
+
+        console.log(`🎵 Audio uploaded (${blob.size} bytes):`, url);
+        return {
+            url,
+            durationMs,
+            size: blob.size,
+            contentType: blob.type
+        };
+    }
+}
+
+AudioStorageService.backends = {
+    http: HttpAudioStorageBackend,
+    s3: S3AudioStorageBackend
+};
+
+// Export for use in other modules
+window.AudioTooLargeError = AudioTooLargeError;
+window.HttpAudioStorageBackend = HttpAudioStorageBackend;
+window.S3AudioStorageBackend = S3AudioStorageBackend;
+window.McpAudioStorageBackend = McpAudioStorageBackend;
+window.AudioStorageService = AudioStorageService;
@@ -13,7 +13,26 @@ window.MCPhonyConfig = {
         VOICE_STABILITY: 0.5,
         VOICE_SIMILARITY: 0.8,
         VOICE_STYLE: 0.0,
-        VOICE_USE_SPEAKER_BOOST: true
+        VOICE_USE_SPEAKER_BOOST: true,
+        STREAMING: true, // Start playback on the first audio chunk (needs MediaSource support for audio/mpeg)
+        STREAMING_LATENCY: 2, // optimize_streaming_latency: 0 (best quality) to 4 (lowest latency)
+        
+        // Voice cloning enrollment: samples must pass these checks before a clone is submitted
+        CLONING: {
+            MIN_SAMPLES: 3,
+            MIN_SAMPLE_DURATION: 5000, // ms
+            MAX_SAMPLE_DURATION: 60000, // ms
+            MIN_SPEECH_LEVEL_DB: -35, // Average level of the spoken parts, dBFS
+            MAX_CLIPPING_RATIO: 0.001, // Share of samples at full scale
+            MIN_VOICED_RATIO: 0.4, // Share of the recording that contains speech
+            PROMPTS: [
+                'The quick brown fox jumps over the lazy dog while the sun sets behind the hills.',
+                'Please call Stella and ask her to bring these things with her from the store.',
+                'I would like to book a table for four people at seven o\'clock tomorrow evening.',
+                'Every morning I walk along the river, listening to the birds and the distant traffic.',
+                'How much does it cost to send a small package to another country by airmail?'
+            ]
+        }
     },
     
     // DeepL Configuration
@@ -33,12 +52,136 @@ window.MCPhonyConfig = {
         }
     },
     
+    // Translation provider chain, tried in order
+    TRANSLATION: {
+        PROVIDERS: ['mcp-deepl', 'deepl', 'offline'],
+        DEFAULT_TIMEOUT: 8000,
+        TIMEOUTS: {
+            'mcp-deepl': 8000,
+            'deepl': 8000,
+            'offline': 3000
+        },
+        
+        // DeepL results cache (IndexedDB)
+        CACHE: {
+            ENABLED: true,
+            MAX_ENTRIES: 2000,
+            TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+            DB_NAME: 'mcphony-translation-cache'
+        }
+    },
+
+    // Speech-to-text backends, tried in order. web-speech recognizes live while recording;
+    // the others transcribe the recording afterwards (used when Web Speech is missing or fails)
+    STT: {
+        PROVIDERS: ['web-speech', 'mcp-elevenlabs', 'whisper'],
+        TIMEOUT: 30000,
+        ELEVENLABS_MODEL: 'scribe_v1',
+        
+        // Any OpenAI-compatible Whisper server, e.g. a local faster-whisper instance at
+        // 'http://localhost:8000/v1/audio/transcriptions'; the backend is skipped while URL is empty
+        WHISPER: {
+            URL: '',
+            MODEL: 'whisper-1',
+            API_KEY: '' // Only for hosted endpoints
+        }
+    },
+
+    // Spoken language identification
+    LANGUAGE_ID: {
+        DEFAULT_LANGUAGE: 'en',
+        DECAY: 0.5,            // Weight kept by earlier utterances each time new evidence arrives
+        MIN_CONFIDENCE: 0.4,   // A language must reach this score before it is adopted
+        SWITCH_MARGIN: 0.25,   // ...and lead the current language by this much
+        REMOTE_BELOW: 0.6,     // Ask DeepL when the local guess is less confident than this
+        LOCALES: {
+            'en': 'en-US',
+            'es': 'es-ES',
+            'fr': 'fr-FR',
+            'de': 'de-DE',
+            'it': 'it-IT',
+            'pt': 'pt-PT',
+            'ru': 'ru-RU',
+            'zh': 'zh-CN',
+            'ja': 'ja-JP',
+            'ko': 'ko-KR',
+            'ar': 'ar-SA',
+            'hi': 'hi-IN'
+        }
+    },
+
+    // Hands-free recording: voice activity detection on the microphone level and spectrum
+    VAD: {
+        MIN_SPEECH_MS: 120,          // Speech must last this long before a recording starts
+        TRAILING_SILENCE_MS: 1200,   // Recording ends after this much silence
+        PRE_ROLL_MS: 300,            // Recordings keep this much audio from before speech was detected
+        MIN_LEVEL_DB: -50,           // Quieter frames are never speech, dBFS
+        NOISE_MARGIN_DB: 12,         // Speech must be this far above the tracked noise floor
+        SPEECH_BAND: [300, 3400],    // Hz
+        MIN_SPEECH_BAND_RATIO: 0.5,  // Share of the energy inside the speech band
+        MAX_FLATNESS: 0.4            // Spectral flatness: ~0 for voiced speech, ~1 for broadband noise
+    },
+
     // MCP Configuration
     MCP: {
         ENABLED: true,
-        SERVER_URL: 'ws://localhost:3001',
-        RETRY_ATTEMPTS: 3,
-        RETRY_DELAY: 1000
+        
+        // Servers to connect to. ROLE: 'tts', 'translation', 'database' or 'storage'; with several
+        // servers for a role the lowest PRIORITY that is reachable is used. AUTH_TOKEN is optional.
+        SERVERS: [
+            { NAME: 'elevenlabs', LABEL: 'ElevenLabs TTS Server', URL: 'ws://localhost:3002', AUTH_TOKEN: '', ROLE: 'tts', PRIORITY: 1 },
+            { NAME: 'deepl', LABEL: 'DeepL Translation Server', URL: 'ws://localhost:3003', AUTH_TOKEN: '', ROLE: 'translation', PRIORITY: 1 },
+            { NAME: 'neon', LABEL: 'Neon Database Server', URL: 'ws://localhost:3004', AUTH_TOKEN: '', ROLE: 'database', PRIORITY: 1 }
+        ],
+        
+        RETRY_ATTEMPTS: 3,      // Consecutive failures before a server's circuit opens
+        RETRY_DELAY: 1000,      // First reconnect delay; doubles (with jitter) on each failure
+        RETRY_MAX_DELAY: 30000,
+        
+        // While open, requests skip the server and go to the direct API fallbacks
+        CIRCUIT_BREAKER: {
+            OPEN_DURATION: 30000 // ms before the server is tried again
+        },
+        
+        // Diagnostics panel; servers are only pinged while it is open
+        DIAGNOSTICS: {
+            PING_INTERVAL: 5000,
+            PING_TIMEOUT: 4000, // ms; shorter than PING_INTERVAL so rounds do not pile up
+            LATENCY_BUCKETS: [25, 50, 100, 250, 500, 1000], // ms; slower pings share one last bucket
+            MAX_LATENCY_SAMPLES: 100,
+            MAX_EVENTS: 20 // Errors and connection events kept per server
+        },
+        
+        // Requests made while a server is reconnecting wait here and are sent once it is back
+        QUEUE: {
+            MAX_SIZE: 50,
+            DEADLINE: 15000 // ms a queued request may wait before it fails
+        },
+        
+        // Messaging database, reached through the 'database' server
+        DATABASE: {
+            PROJECT_ID: null, // Defaults to the first project returned by list_projects
+            NOTIFY_CHANNEL: 'voice_messages' // Postgres channel relayed as messages/new notifications
+        }
+    },
+    
+    // Message delivery (push via MCP, polling as fallback)
+    MESSAGING: {
+        POLL_MIN_DELAY: 3000,
+        POLL_MAX_DELAY: 60000,
+        FETCH_BATCH_SIZE: 50
+    },
+    
+    // Recorded audio storage
+    STORAGE: {
+        BACKEND: 'http', // 'http' (local upload server) or 's3' (S3-compatible, presigned URLs)
+        HTTP: {
+            UPLOAD_URL: 'http://localhost:8787/audio'
+        },
+        S3: {
+            PRESIGN_URL: '', // Endpoint returning { uploadUrl, publicUrl } for a key
+            PUBLIC_BASE_URL: ''
+        }
     },
     
     // App Settings
@@ -46,7 +189,7 @@ window.MCPhonyConfig = {
         NAME: 'MCPhony',
         VERSION: '1.0.0',
         DEBUG: true,
-        VOICE_TIMEOUT: 30000, // 30 seconds
+        VOICE_TIMEOUT: 30000, // Longest recording, in any mode (30 seconds)
         MAX_AUDIO_SIZE: 25 * 1024 * 1024 // 25MB
     }
 };
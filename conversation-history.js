@@ -0,0 +1,229 @@
+/**
+ * Conversation History - Per-friend message threads
+ * Cursor-paginated, searchable view over voice_messages (or a local store on desktop)
+ */
+
+// localStorage-backed stand-in for voice_messages, used where there is no database
+class LocalConversationStore {
+    constructor(storageKey = 'voiceChat_history', maxMessages = 500) {
+        this.storageKey = storageKey;
+        this.maxMessages = maxMessages;
+        this.messages = this.load();
+        this.nextId = this.messages.reduce((max, message) => Math.max(max, message.id), 0) + 1;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('⚠️ Failed to load conversation history:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.messages));
+        } catch (error) {
+            console.warn('⚠️ Failed to save conversation history:', error);
+        }
+    }
+
+    // Accepts the same fields as VoiceChatDatabase.insertMessage
+    addMessage(message) {
+        const row = {
+            id: this.nextId++,
+            sender_id: message.senderId,
+            recipient_id: message.recipientId,
+            original_text: message.originalText,
+            translated_text: message.translatedText,
+            language_from: message.languageFrom,
+            language_to: message.languageTo,
+            audio_blob_url: message.audioBlobUrl || null,
+            audio_duration_ms: message.audioDurationMs || null,
+            created_at: new Date().toISOString(),
+            read_at: null
+        };
+
+        this.messages.push(row);
+        if (this.messages.length > this.maxMessages) {
+            this.messages = this.messages.slice(-this.maxMessages);
+        }
+        this.save();
+
+        return row;
+    }
+
+    markMessageRead(messageId) {
+        const message = this.messages.find(m => m.id === messageId);
+        if (message && !message.read_at) {
+            message.read_at = new Date().toISOString();
+            this.save();
+        }
+    }
+
+    async getThread(userId, friendId, options = {}) {
+        const limit = options.limit || 20;
+        const search = options.search ? options.search.toLowerCase() : null;
+        const before = options.before || null;
+
+        const matches = this.messages
+            .filter(m => (m.sender_id === userId && m.recipient_id === friendId) ||
+                         (m.sender_id === friendId && m.recipient_id === userId))
+            .filter(m => !before || m.created_at < before.createdAt ||
+                         (m.created_at === before.createdAt && m.id < before.id))
+            .filter(m => !search ||
+                         (m.original_text || '').toLowerCase().includes(search) ||
+                         (m.translated_text || '').toLowerCase().includes(search))
+            .sort((a, b) => (b.created_at.localeCompare(a.created_at)) || (b.id - a.id));
+
+        const page = matches.slice(0, limit);
+        const last = page[page.length - 1];
+
+        return {
+            messages: page,
+            nextCursor: matches.length > limit ? { createdAt: last.created_at, id: last.id } : null
+        };
+    }
+}
+
+class ConversationHistory {
+    constructor(store, elements, options = {}) {
+        this.store = store;
+        this.elements = elements; // { panel, title, list, search, loadMore }
+        this.pageSize = options.pageSize || 20;
+        this.userId = null;
+        this.friendId = null;
+        this.nextCursor = null;
+        this.searchTerm = '';
+        this.searchTimer = null;
+        this.generation = 0;          // Bumped by every refresh; pages for an older one are dropped
+        this.loadingGeneration = null;
+
+        this.elements.loadMore.addEventListener('click', () => this.loadMore());
+        this.elements.search.addEventListener('input', () => {
+            // Debounce so each keystroke doesn't hit the database
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(this.elements.search.value), 300);
+        });
+    }
+
+    async open(userId, friendId) {
+        this.userId = userId;
+        this.friendId = friendId;
+        this.searchTerm = '';
+        this.elements.search.value = '';
+        this.elements.title.textContent = friendId;
+        this.elements.panel.style.display = 'block';
+
+        await this.refresh();
+    }
+
+    async search(term) {
+        this.searchTerm = term.trim();
+        await this.refresh();
+    }
+
+    // Reload from the newest message
+    async refresh() {
+        if (!this.friendId) return;
+
+        this.generation++;
+        this.nextCursor = null;
+        this.elements.list.innerHTML = '';
+        await this.loadPage();
+    }
+
+    async loadMore() {
+        if (!this.nextCursor) return;
+        await this.loadPage();
+    }
+
+    // One load at a time per refresh; a refresh during a load starts its own right away and the
+    // older load's page is discarded when it arrives
+    async loadPage() {
+        if (this.loadingGeneration === this.generation) return;
+
+        const generation = this.generation;
+        this.loadingGeneration = generation;
+
+        try {
+            const page = await this.store.getThread(this.userId, this.friendId, {
+                before: this.nextCursor,
+                limit: this.pageSize,
+                search: this.searchTerm || null
+            });
+
+            if (generation !== this.generation) return;
+
+            this.nextCursor = page.nextCursor;
+
+            // Pages arrive newest-first; older pages go on top
+            const fragment = document.createDocumentFragment();
+            [...page.messages].reverse().forEach(message => {
+                fragment.appendChild(this.renderMessage(message));
+            });
+            this.elements.list.insertBefore(fragment, this.elements.list.firstChild);
+
+            if (this.elements.list.children.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'history-empty';
+                empty.textContent = this.searchTerm ? 'No matching messages' : 'No messages yet';
+                this.elements.list.appendChild(empty);
+            }
+
+            this.elements.loadMore.style.display = this.nextCursor ? 'block' : 'none';
+        } catch (error) {
+            console.error('❌ Failed to load conversation history:', error);
+        } finally {
+            if (this.loadingGeneration === generation) {
+                this.loadingGeneration = null;
+            }
+        }
+    }
+
+    renderMessage(message) {
+        const isSent = message.sender_id === this.userId;
+
+        const item = document.createElement('div');
+        item.className = `history-item ${isSent ? 'sent' : 'received'}`;
+
+        const translated = document.createElement('div');
+        translated.className = 'history-translated';
+        translated.textContent = message.translated_text || message.original_text;
+        item.appendChild(translated);
+
+        if (message.translated_text && message.original_text !== message.translated_text) {
+            const original = document.createElement('div');
+            original.className = 'history-original';
+            original.textContent = message.original_text;
+            item.appendChild(original);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        const languages = `${(message.language_from || '?').toUpperCase()} → ${(message.language_to || '?').toUpperCase()}`;
+        const parts = [languages, this.formatTime(message.created_at)];
+        if (isSent) {
+            parts.push(message.read_at ? `Read ${this.formatTime(message.read_at)}` : 'Delivered');
+        }
+        meta.textContent = parts.join(' · ');
+        item.appendChild(meta);
+
+        return item;
+    }
+
+    formatTime(value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday
+            ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+// Export for use in other modules
+window.LocalConversationStore = LocalConversationStore;
+window.ConversationHistory = ConversationHistory;
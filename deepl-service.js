@@ -6,6 +6,7 @@ class DeepLService {
         this.isInitialized = false;
         this.supportedLanguages = [];
         this.usage = null;
+        this.cache = window.MCPhonyConfig.TRANSLATION.CACHE.ENABLED ? TranslationCache.shared() : null;
     }
 
     async initialize() {
@@ -73,14 +74,15 @@ class DeepLService {
     }
 
     async translateText(text, targetLang, sourceLang = null, options = {}) {
+        // Convert language codes to DeepL format
+        const deeplTargetLang = this.config.SUPPORTED_LANGUAGES[targetLang] || targetLang.toUpperCase();
+        const deeplSourceLang = sourceLang ? this.toSourceLang(sourceLang) : null;
+
+        // Single translations are cached by TranslationRouter, in front of every provider
         if (!this.isInitialized) {
             await this.initialize();
         }
 
-        // Convert language codes to DeepL format
-        const deeplTargetLang = this.config.SUPPORTED_LANGUAGES[targetLang] || targetLang.toUpperCase();
-        const deeplSourceLang = sourceLang ? (this.config.SUPPORTED_LANGUAGES[sourceLang] || sourceLang.toUpperCase()) : null;
-
         const requestBody = {
             text: [text],
             target_lang: deeplTargetLang,
@@ -108,7 +110,8 @@ class DeepLService {
                     'Authorization': `DeepL-Auth-Key ${this.apiKey}`,
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify(requestBody)
+                body: JSON.stringify(requestBody),
+                signal: options.signal
             });
 
             if (!response.ok) {
@@ -136,6 +139,10 @@ class DeepLService {
         }
     }
 
+    getCacheStats() {
+        return this.cache ? this.cache.getStats() : null;
+    }
+
     async detectLanguage(text) {
         try {
             // DeepL doesn't have a dedicated language detection endpoint
@@ -188,17 +195,36 @@ class DeepLService {
         return language ? language.supports_formality : false;
     }
 
-    // Batch translation for multiple texts
+    // Batch translation for multiple texts; only cache misses are sent to DeepL
     async translateBatch(texts, targetLang, sourceLang = null, options = {}) {
+        const deeplTargetLang = this.config.SUPPORTED_LANGUAGES[targetLang] || targetLang.toUpperCase();
+        const deeplSourceLang = sourceLang ? this.toSourceLang(sourceLang) : null;
+
+        const results = new Array(texts.length).fill(null);
+        const missingIndexes = [];
+
+        for (let i = 0; i < texts.length; i++) {
+            const cached = this.cache
+                ? await this.cache.get(TranslationCache.keyParams(texts[i], deeplTargetLang, deeplSourceLang, options))
+                : null;
+
+            if (cached) {
+                results[i] = cached;
+            } else {
+                missingIndexes.push(i);
+            }
+        }
+
+        if (missingIndexes.length === 0) {
+            return results;
+        }
+
         if (!this.isInitialized) {
             await this.initialize();
         }
 
-        const deeplTargetLang = this.config.SUPPORTED_LANGUAGES[targetLang] || targetLang.toUpperCase();
-        const deeplSourceLang = sourceLang ? (this.config.SUPPORTED_LANGUAGES[sourceLang] || sourceLang.toUpperCase()) : null;
-
         const requestBody = {
-            text: texts,
+            text: missingIndexes.map(index => texts[index]),
             target_lang: deeplTargetLang,
             preserve_formatting: options.preserveFormatting !== false
         };
@@ -207,6 +233,14 @@ class DeepLService {
             requestBody.source_lang = deeplSourceLang;
         }
 
+        if (options.formality) {
+            requestBody.formality = options.formality;
+        }
+
+        if (options.glossaryId) {
+            requestBody.glossary_id = options.glossaryId;
+        }
+
         try {
             const response = await fetch(`${this.config.BASE_URL}/translate`, {
                 method: 'POST',
@@ -222,25 +256,48 @@ class DeepLService {
             }
 
             const result = await response.json();
-            return result.translations.map((translation, index) => ({
-                originalText: texts[index],
-                translatedText: translation.text,
-                detectedSourceLanguage: translation.detected_source_language,
-                targetLanguage: deeplTargetLang
-            }));
+
+            for (let i = 0; i < result.translations.length; i++) {
+                const index = missingIndexes[i];
+                const translation = result.translations[i];
+                const translated = {
+                    originalText: texts[index],
+                    translatedText: translation.text,
+                    detectedSourceLanguage: translation.detected_source_language,
+                    targetLanguage: deeplTargetLang
+                };
+
+                results[index] = translated;
+                if (this.cache) {
+                    await this.cache.set(TranslationCache.keyParams(texts[index], deeplTargetLang, deeplSourceLang, options), translated);
+                }
+            }
+
+            return results;
         } catch (error) {
             console.error('Error in batch translation:', error);
             throw error;
         }
     }
 
+    // source_lang takes base codes only ('EN', never 'EN-US'); variants are target-only
+    toSourceLang(langCode) {
+        return langCode.split('-')[0].toUpperCase();
+    }
+
+    // Glossaries use plain two-letter codes ('en', not 'EN-US')
+    toGlossaryLang(langCode) {
+        return langCode.split('-')[0].toLowerCase();
+    }
+
     // Create and manage glossaries
-    async createGlossary(name, sourceLang, targetLang, entries) {
+    async createGlossary(name, sourceLang, targetLang, entries, entriesFormat = 'tsv') {
         const requestBody = {
             name: name,
-            source_lang: this.config.SUPPORTED_LANGUAGES[sourceLang] || sourceLang.toUpperCase(),
-            target_lang: this.config.SUPPORTED_LANGUAGES[targetLang] || targetLang.toUpperCase(),
-            entries: entries
+            source_lang: this.toGlossaryLang(sourceLang),
+            target_lang: this.toGlossaryLang(targetLang),
+            entries: entries,
+            entries_format: entriesFormat
         };
 
         try {
@@ -254,7 +311,8 @@ class DeepLService {
             });
 
             if (!response.ok) {
-                throw new Error(`Glossary creation failed: ${response.statusText}`);
+                const errorText = await response.text();
+                throw new Error(`Glossary creation failed: ${response.statusText} - ${errorText}`);
             }
 
             return await response.json();
@@ -283,6 +341,89 @@ class DeepLService {
             throw error;
         }
     }
+
+    async getGlossary(glossaryId) {
+        try {
+            const response = await fetch(`${this.config.BASE_URL}/glossaries/${encodeURIComponent(glossaryId)}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to get glossary: ${response.statusText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error getting glossary:', error);
+            throw error;
+        }
+    }
+
+    // Entries come back as TSV text
+    async getGlossaryEntries(glossaryId) {
+        try {
+            const response = await fetch(`${this.config.BASE_URL}/glossaries/${encodeURIComponent(glossaryId)}/entries`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `DeepL-Auth-Key ${this.apiKey}`,
+                    'Accept': 'text/tab-separated-values'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to get glossary entries: ${response.statusText}`);
+            }
+
+            return await response.text();
+        } catch (error) {
+            console.error('Error getting glossary entries:', error);
+            throw error;
+        }
+    }
+
+    async deleteGlossary(glossaryId) {
+        try {
+            const response = await fetch(`${this.config.BASE_URL}/glossaries/${encodeURIComponent(glossaryId)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to delete glossary: ${response.statusText}`);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error deleting glossary:', error);
+            throw error;
+        }
+    }
+
+    async getGlossaryLanguagePairs() {
+        try {
+            const response = await fetch(`${this.config.BASE_URL}/glossary-language-pairs`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to get glossary language pairs: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            return result.supported_languages || [];
+        } catch (error) {
+            console.error('Error getting glossary language pairs:', error);
+            throw error;
+        }
+    }
 }
 
 // Export for use in other modules
@@ -34,7 +34,9 @@ class ElevenLabsService {
             });
 
             if (!response.ok) {
-                throw new Error(`Failed to load voices: ${response.statusText}`);
+                const error = new Error(`Failed to load voices: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
             }
 
             const data = await response.json();
@@ -48,18 +50,33 @@ class ElevenLabsService {
         }
     }
 
+    // voice_settings for a TTS request, or null to let ElevenLabs apply the ones saved for the voice
+    buildVoiceSettings(options) {
+        if (options.useStoredSettings) return null;
+
+        const pick = (value, fallback) => value !== undefined && value !== null ? value : fallback;
+        return {
+            stability: pick(options.stability, this.config.VOICE_STABILITY),
+            similarity_boost: pick(options.similarity, this.config.VOICE_SIMILARITY),
+            style: pick(options.style, this.config.VOICE_STYLE),
+            use_speaker_boost: pick(options.speakerBoost, this.config.VOICE_USE_SPEAKER_BOOST)
+        };
+    }
+
     async textToSpeech(text, voiceId = null, options = {}) {
         if (!this.isInitialized) {
             await this.initialize();
         }
 
         const selectedVoice = voiceId || this.currentVoice;
-        const requestOptions = {
-            stability: options.stability || this.config.VOICE_STABILITY,
-            similarity_boost: options.similarity || this.config.VOICE_SIMILARITY,
-            style: options.style || this.config.VOICE_STYLE,
-            use_speaker_boost: options.speakerBoost !== undefined ? options.speakerBoost : this.config.VOICE_USE_SPEAKER_BOOST
+        const requestBody = {
+            text: text,
+            model_id: 'eleven_multilingual_v2'
         };
+        const voiceSettings = this.buildVoiceSettings(options);
+        if (voiceSettings) {
+            requestBody.voice_settings = voiceSettings;
+        }
 
         try {
             const response = await fetch(
@@ -71,17 +88,15 @@ class ElevenLabsService {
                         'Content-Type': 'application/json',
                         'Accept': 'audio/mpeg'
                     },
-                    body: JSON.stringify({
-                        text: text,
-                        model_id: 'eleven_multilingual_v2',
-                        voice_settings: requestOptions
-                    })
+                    body: JSON.stringify(requestBody)
                 }
             );
 
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(`TTS failed: ${response.statusText} - ${errorText}`);
+                const error = new Error(`TTS failed: ${response.statusText} - ${errorText}`);
+                error.status = response.status;
+                throw error;
             }
 
             const audioBlob = await response.blob();
@@ -92,6 +107,52 @@ class ElevenLabsService {
         }
     }
 
+    // Stream synthesized audio, handing each chunk to onChunk as it arrives; abort via signal
+    async streamTextToSpeech(text, voiceId = null, options = {}, onChunk, signal = null) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const selectedVoice = voiceId || this.currentVoice;
+        const requestBody = {
+            text: text,
+            model_id: 'eleven_multilingual_v2'
+        };
+        const voiceSettings = this.buildVoiceSettings(options);
+        if (voiceSettings) {
+            requestBody.voice_settings = voiceSettings;
+        }
+
+        const response = await fetch(
+            `${this.config.BASE_URL}/text-to-speech/${selectedVoice}/stream?optimize_streaming_latency=${this.config.STREAMING_LATENCY}`,
+            {
+                method: 'POST',
+                headers: {
+                    'xi-api-key': this.apiKey,
+                    'Content-Type': 'application/json',
+                    'Accept': 'audio/mpeg'
+                },
+                body: JSON.stringify(requestBody),
+                signal: signal
+            }
+        );
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`TTS stream failed: ${response.statusText} - ${errorText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        // Aborting the signal also rejects the pending read, which ends this loop
+        const reader = response.body.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            onChunk(value);
+        }
+    }
+
     async playAudio(audioBlob) {
         return new Promise((resolve, reject) => {
             const audioUrl = URL.createObjectURL(audioBlob);
@@ -150,9 +211,10 @@ class ElevenLabsService {
         formData.append('name', voiceName);
         formData.append('description', description);
         
-        // Add audio files
+        // Name each file after its real format; ElevenLabs rejects a webm body sent as .wav
         audioFiles.forEach((file, index) => {
-            formData.append(`files`, file, `sample_${index}.wav`);
+            const fileName = file.name || `sample_${index + 1}.${this.extensionFor(file.type)}`;
+            formData.append('files', file, fileName);
         });
 
         try {
@@ -165,7 +227,10 @@ class ElevenLabsService {
             });
 
             if (!response.ok) {
-                throw new Error(`Voice cloning failed: ${response.statusText}`);
+                const errorText = await response.text();
+                const error = new Error(`Voice cloning failed: ${response.statusText} - ${errorText}`);
+                error.status = response.status;
+                throw error;
             }
 
             const result = await response.json();
@@ -177,6 +242,77 @@ class ElevenLabsService {
         }
     }
 
+    async deleteVoice(voiceId) {
+        const response = await fetch(`${this.config.BASE_URL}/voices/${voiceId}`, {
+            method: 'DELETE',
+            headers: {
+                'xi-api-key': this.apiKey
+            }
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Failed to delete voice: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        this.availableVoices = this.availableVoices.filter(v => v.voice_id !== voiceId);
+        if (this.currentVoice === voiceId) {
+            this.currentVoice = this.config.DEFAULT_VOICE_ID;
+        }
+    }
+
+    // { stability, similarity_boost, style, use_speaker_boost }
+    async getVoiceSettings(voiceId) {
+        const response = await fetch(`${this.config.BASE_URL}/voices/${voiceId}/settings`, {
+            method: 'GET',
+            headers: {
+                'xi-api-key': this.apiKey,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Failed to get voice settings: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.json();
+    }
+
+    async editVoiceSettings(voiceId, settings) {
+        const response = await fetch(`${this.config.BASE_URL}/voices/${voiceId}/settings/edit`, {
+            method: 'POST',
+            headers: {
+                'xi-api-key': this.apiKey,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(settings)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`Failed to save voice settings: ${response.statusText} - ${errorText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return settings;
+    }
+
+    extensionFor(mimeType) {
+        const extensions = {
+            'audio/wav': 'wav',
+            'audio/x-wav': 'wav',
+            'audio/mpeg': 'mp3',
+            'audio/webm': 'webm',
+            'audio/ogg': 'ogg',
+            'audio/mp4': 'm4a'
+        };
+        return extensions[(mimeType || '').split(';')[0]] || 'wav';
+    }
+
     // Get user subscription info
     async getUserInfo() {
         try {
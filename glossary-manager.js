@@ -0,0 +1,395 @@
+// Glossary Manager - DeepL glossary lifecycle and per-conversation selection
+// DeepL v2 glossaries are immutable, so an update is a re-create followed by a delete
+
+class GlossaryManager {
+    constructor(deepLService = null, cache = null) {
+        this.deepL = deepLService || new DeepLService();
+        this.cache = cache || (window.MCPhonyConfig.TRANSLATION.CACHE.ENABLED ? TranslationCache.shared() : null);
+        this.glossaries = [];
+        this.languagePairs = null;
+        this.selectionKey = 'mcphony_glossary_selection';
+        this.selections = this.loadSelections();
+    }
+
+    // Parse TSV or CSV text into [source, target] pairs
+    static parseEntries(text, format = 'tsv') {
+        const rows = format === 'csv' ? GlossaryManager.parseCSV(text) : text
+            .split(/\r?\n/)
+            .filter(line => line.trim().length > 0)
+            .map(line => line.split('\t'));
+
+        return rows.map((row, index) => {
+            if (row.length !== 2) {
+                throw new Error(`Line ${index + 1}: expected 2 columns, found ${row.length}`);
+            }
+            return [row[0].trim(), row[1].trim()];
+        });
+    }
+
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                if (row.some(value => value.trim().length > 0)) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        if (row.some(value => value.trim().length > 0)) rows.push(row);
+
+        return rows;
+    }
+
+    static formatEntries(entries, format = 'tsv') {
+        if (format === 'csv') {
+            const quote = value => /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+            return entries.map(([source, target]) => `${quote(source)},${quote(target)}`).join('\n');
+        }
+        return entries.map(([source, target]) => `${source}\t${target}`).join('\n');
+    }
+
+    // DeepL rejects empty terms, tabs/newlines inside terms and duplicate source terms
+    static validateEntries(entries) {
+        if (entries.length === 0) {
+            throw new Error('A glossary needs at least one entry');
+        }
+
+        const seen = new Set();
+        entries.forEach(([source, target], index) => {
+            if (!source || !target) {
+                throw new Error(`Entry ${index + 1}: source and target must not be empty`);
+            }
+            if (/[\t\r\n]/.test(source + target)) {
+                throw new Error(`Entry ${index + 1}: terms must not contain tabs or line breaks`);
+            }
+            if (seen.has(source)) {
+                throw new Error(`Entry ${index + 1}: duplicate source term "${source}"`);
+            }
+            seen.add(source);
+        });
+    }
+
+    async loadLanguagePairs() {
+        if (!this.languagePairs) {
+            this.languagePairs = await this.deepL.getGlossaryLanguagePairs();
+        }
+        return this.languagePairs;
+    }
+
+    async isPairSupported(sourceLang, targetLang) {
+        const pairs = await this.loadLanguagePairs();
+        const source = this.deepL.toGlossaryLang(sourceLang);
+        const target = this.deepL.toGlossaryLang(targetLang);
+        return pairs.some(pair => pair.source_lang === source && pair.target_lang === target);
+    }
+
+    async list() {
+        const result = await this.deepL.getGlossaries();
+        this.glossaries = result.glossaries || [];
+        return this.glossaries;
+    }
+
+    async get(glossaryId) {
+        return this.deepL.getGlossary(glossaryId);
+    }
+
+    async getEntries(glossaryId) {
+        const tsv = await this.deepL.getGlossaryEntries(glossaryId);
+        return GlossaryManager.parseEntries(tsv, 'tsv');
+    }
+
+    async create(name, sourceLang, targetLang, entries) {
+        if (!name || !name.trim()) {
+            throw new Error('Glossary name is required');
+        }
+        GlossaryManager.validateEntries(entries);
+
+        if (!(await this.isPairSupported(sourceLang, targetLang))) {
+            throw new Error(`DeepL does not support glossaries from ${sourceLang} to ${targetLang}`);
+        }
+
+        const glossary = await this.deepL.createGlossary(
+            name.trim(),
+            sourceLang,
+            targetLang,
+            GlossaryManager.formatEntries(entries, 'tsv'),
+            'tsv'
+        );
+
+        await this.list();
+        return glossary;
+    }
+
+    async update(glossaryId, { name, entries }) {
+        const existing = await this.get(glossaryId);
+        const replacement = await this.create(
+            name || existing.name,
+            existing.source_lang,
+            existing.target_lang,
+            entries || await this.getEntries(glossaryId)
+        );
+
+        // Point conversations at the new glossary before the old one disappears
+        for (const [conversationId, selectedId] of Object.entries(this.selections)) {
+            if (selectedId === glossaryId) {
+                this.selections[conversationId] = replacement.glossary_id;
+            }
+        }
+        this.saveSelections();
+
+        // The replacement is already in use, so an old glossary that will not go away is only clutter
+        try {
+            await this.delete(glossaryId);
+        } catch (error) {
+            console.warn(`Failed to delete replaced glossary ${glossaryId}:`, error);
+        }
+        return replacement;
+    }
+
+    async delete(glossaryId) {
+        await this.deepL.deleteGlossary(glossaryId);
+
+        if (this.cache) {
+            await this.cache.invalidateGlossary(glossaryId);
+        }
+
+        for (const [conversationId, selectedId] of Object.entries(this.selections)) {
+            if (selectedId === glossaryId) {
+                delete this.selections[conversationId];
+            }
+        }
+        this.saveSelections();
+
+        await this.list();
+    }
+
+    async export(glossaryId, format = 'tsv') {
+        const entries = await this.getEntries(glossaryId);
+        return GlossaryManager.formatEntries(entries, format);
+    }
+
+    loadSelections() {
+        try {
+            return JSON.parse(localStorage.getItem(this.selectionKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveSelections() {
+        localStorage.setItem(this.selectionKey, JSON.stringify(this.selections));
+    }
+
+    selectForConversation(conversationId, glossaryId) {
+        if (glossaryId) {
+            this.selections[conversationId] = glossaryId;
+        } else {
+            delete this.selections[conversationId];
+        }
+        this.saveSelections();
+    }
+
+    getSelection(conversationId) {
+        return this.selections[conversationId] || null;
+    }
+
+    // Options for translateText; a glossary only applies when its target matches
+    // sourceLang is the speaker's chosen language, if any; a glossary for another source does not apply
+    getTranslationOptions(conversationId, targetLang, sourceLang = null) {
+        const glossaryId = this.getSelection(conversationId);
+        const glossary = this.glossaries.find(g => g.glossary_id === glossaryId);
+
+        if (!glossary || glossary.target_lang !== this.deepL.toGlossaryLang(targetLang)) {
+            return { sourceLang: null, options: {} };
+        }
+        if (sourceLang && glossary.source_lang !== this.deepL.toGlossaryLang(sourceLang)) {
+            return { sourceLang: null, options: {} };
+        }
+
+        // DeepL requires an explicit source language whenever a glossary is used, as a base code ('EN')
+        return {
+            sourceLang: this.deepL.toSourceLang(glossary.source_lang),
+            options: { glossaryId: glossary.glossary_id }
+        };
+    }
+}
+
+// Glossary panel shared by the desktop and mobile pages
+class GlossaryPanel {
+    constructor(manager, getConversationId) {
+        this.manager = manager;
+        this.getConversationId = getConversationId;
+
+        this.select = document.getElementById('glossarySelect');
+        this.nameInput = document.getElementById('glossaryName');
+        this.sourceSelect = document.getElementById('glossarySource');
+        this.targetSelect = document.getElementById('glossaryTarget');
+        this.entriesInput = document.getElementById('glossaryEntries');
+        this.fileInput = document.getElementById('glossaryImport');
+        this.statusEl = document.getElementById('glossaryStatus');
+
+        this.select.addEventListener('change', () => this.onSelect());
+        document.getElementById('glossarySaveBtn').addEventListener('click', () => this.save());
+        document.getElementById('glossaryDeleteBtn').addEventListener('click', () => this.remove());
+        document.getElementById('glossaryExportTsvBtn').addEventListener('click', () => this.download('tsv'));
+        document.getElementById('glossaryExportCsvBtn').addEventListener('click', () => this.download('csv'));
+        this.fileInput.addEventListener('change', () => this.importFile());
+    }
+
+    async refresh() {
+        try {
+            await this.manager.list();
+            this.render();
+        } catch (error) {
+            this.setStatus(`Glossaries unavailable: ${error.message}`, true);
+        }
+    }
+
+    render() {
+        const selectedId = this.manager.getSelection(this.getConversationId());
+
+        this.select.innerHTML = '';
+        this.select.appendChild(new Option('No glossary', ''));
+        this.manager.glossaries.forEach(glossary => {
+            const label = `${glossary.name} (${glossary.source_lang.toUpperCase()} → ${glossary.target_lang.toUpperCase()}, ${glossary.entry_count})`;
+            this.select.appendChild(new Option(label, glossary.glossary_id));
+        });
+        this.select.value = selectedId || '';
+
+        this.onSelect(false);
+    }
+
+    // Selecting a glossary applies it to the current conversation and loads it for editing
+    async onSelect(persist = true) {
+        const glossaryId = this.select.value || null;
+
+        if (persist) {
+            this.manager.selectForConversation(this.getConversationId(), glossaryId);
+        }
+
+        if (!glossaryId) {
+            this.nameInput.value = '';
+            this.entriesInput.value = '';
+            this.sourceSelect.disabled = false;
+            this.targetSelect.disabled = false;
+            return;
+        }
+
+        const glossary = this.manager.glossaries.find(g => g.glossary_id === glossaryId);
+        this.nameInput.value = glossary.name;
+        this.sourceSelect.value = glossary.source_lang;
+        this.targetSelect.value = glossary.target_lang;
+        this.sourceSelect.disabled = true;
+        this.targetSelect.disabled = true;
+
+        try {
+            const entries = await this.manager.getEntries(glossaryId);
+            this.entriesInput.value = GlossaryManager.formatEntries(entries, 'tsv');
+        } catch (error) {
+            this.setStatus(`Failed to load entries: ${error.message}`, true);
+        }
+    }
+
+    async save() {
+        try {
+            const entries = GlossaryManager.parseEntries(this.entriesInput.value, 'tsv');
+            const glossaryId = this.select.value || null;
+
+            const glossary = glossaryId
+                ? await this.manager.update(glossaryId, { name: this.nameInput.value, entries })
+                : await this.manager.create(this.nameInput.value, this.sourceSelect.value, this.targetSelect.value, entries);
+
+            this.manager.selectForConversation(this.getConversationId(), glossary.glossary_id);
+            this.render();
+            this.setStatus(`Saved "${glossary.name}" (${entries.length} entries)`);
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async remove() {
+        const glossaryId = this.select.value;
+        if (!glossaryId || !confirm('Delete this glossary?')) return;
+
+        try {
+            await this.manager.delete(glossaryId);
+            this.render();
+            this.setStatus('Glossary deleted');
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async importFile() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const format = /\.csv$/i.test(file.name) ? 'csv' : 'tsv';
+            const entries = GlossaryManager.parseEntries(await file.text(), format);
+            GlossaryManager.validateEntries(entries);
+
+            this.entriesInput.value = GlossaryManager.formatEntries(entries, 'tsv');
+            if (!this.nameInput.value) {
+                this.nameInput.value = file.name.replace(/\.(csv|tsv|txt)$/i, '');
+            }
+            this.setStatus(`Imported ${entries.length} entries - save to apply`);
+        } catch (error) {
+            this.setStatus(`Import failed: ${error.message}`, true);
+        } finally {
+            this.fileInput.value = '';
+        }
+    }
+
+    download(format) {
+        try {
+            const entries = GlossaryManager.parseEntries(this.entriesInput.value, 'tsv');
+            const content = GlossaryManager.formatEntries(entries, format);
+            const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'text/tab-separated-values' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${this.nameInput.value || 'glossary'}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.setStatus(`Export failed: ${error.message}`, true);
+        }
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+}
+
+// Export for use in other modules
+window.GlossaryManager = GlossaryManager;
+window.GlossaryPanel = GlossaryPanel;
@@ -0,0 +1,104 @@
+// Language Identifier - Tracks which language the user is speaking
+// Each transcript adds evidence from the local detector (and DeepL when unsure); the current
+// language only changes when another one clearly leads, so a single odd utterance cannot flip it
+
+class LanguageIdentifier {
+    constructor(translationService, mcpService = null) {
+        this.config = window.MCPhonyConfig.LANGUAGE_ID;
+        this.translationService = translationService;
+        this.mcpService = mcpService;
+
+        // Direct DeepL detection costs a request, so only when a key is configured
+        const apiKey = window.MCPhonyConfig.DEEPL_API_KEY;
+        this.deepLService = apiKey && apiKey !== 'your_deepl_api_key_here' ? new DeepLService() : null;
+        this.reset();
+    }
+
+    // Recognizer locale for an app language code
+    static toLocale(language) {
+        return window.MCPhonyConfig.LANGUAGE_ID.LOCALES[language] || language;
+    }
+
+    reset() {
+        this.scores = {};
+        this.observations = 0;
+        this.language = this.config.DEFAULT_LANGUAGE;
+        this.confidence = 0;
+    }
+
+    // recognitionConfidence is the recognizer's own confidence in the transcript (0-1, 0 if unknown)
+    async identify(transcript, recognitionConfidence = 0) {
+        if (!transcript || !transcript.trim()) return this.getResult();
+
+        let evidence = this.translationService.identifyLanguage(transcript);
+
+        if (evidence.confidence < this.config.REMOTE_BELOW) {
+            const remote = await this.detectRemotely(transcript);
+            if (remote) {
+                evidence = { language: remote, confidence: 0.9 };
+            }
+        }
+
+        // A shaky transcript is weaker evidence of what was spoken
+        const weight = recognitionConfidence > 0 ? 0.5 + 0.5 * recognitionConfidence : 1;
+        return this.observe(evidence.language, evidence.confidence * weight);
+    }
+
+    // DeepL's detected source language, or null when it is unavailable
+    async detectRemotely(text) {
+        try {
+            let detected = null;
+            if (this.isMCPAvailable()) {
+                detected = await this.mcpService.deepLDetectLanguage(text);
+            } else if (this.deepLService) {
+                detected = await this.deepLService.detectLanguage(text);
+            }
+            return detected && detected !== 'unknown' ? TranslationRouter.toAppCode(detected) : null;
+        } catch (error) {
+            console.warn('⚠️ Remote language detection failed:', error);
+            return null;
+        }
+    }
+
+    isMCPAvailable() {
+        if (!this.mcpService || !window.MCPhonyConfig.MCP.ENABLED) return false;
+
+        return this.mcpService.isRoleConnected(MCP_ROLES.TRANSLATION);
+    }
+
+    // Add evidence for a language and apply the switching rule
+    observe(language, strength) {
+        const decay = this.config.DECAY;
+        for (const lang of Object.keys(this.scores)) {
+            this.scores[lang] *= decay;
+        }
+        this.scores[language] = (this.scores[language] || 0) + strength * (1 - decay);
+        this.observations++;
+
+        const leader = Object.keys(this.scores).reduce((best, lang) => this.scores[lang] > this.scores[best] ? lang : best);
+        const currentScore = this.scores[this.language] || 0;
+
+        if (leader !== this.language &&
+            this.scores[leader] >= this.config.MIN_CONFIDENCE &&
+            this.scores[leader] - currentScore >= this.config.SWITCH_MARGIN) {
+            console.log(`🌐 Spoken language changed: ${this.language} → ${leader}`);
+            this.language = leader;
+        }
+
+        // Scores start from zero, so early ones are scaled up by the weight seen so far
+        const seen = 1 - Math.pow(decay, this.observations);
+        this.confidence = Math.min(1, (this.scores[this.language] || 0) / seen);
+        return this.getResult();
+    }
+
+    getResult() {
+        return {
+            language: this.language,
+            confidence: this.confidence,
+            locale: LanguageIdentifier.toLocale(this.language)
+        };
+    }
+}
+
+// Export for use in other modules
+window.LanguageIdentifier = LanguageIdentifier;
@@ -0,0 +1,120 @@
+// Live Interpreter - Continuous sentence-by-sentence translation of live speech
+// Final recognition segments are split into sentences; each is translated as soon as it is final
+// and spoken in the order it was said, even when later translations return first
+
+class LiveInterpreter {
+    constructor(handlers) {
+        this.translate = handlers.translate;           // (text, targetLang) => Promise<{ translatedText }>
+        this.speak = handlers.speak;                   // (text, targetLang) => Promise
+        this.getTargetLang = handlers.getTargetLang;
+        this.onInterim = handlers.onInterim || (() => {});
+        this.onSentence = handlers.onSentence || (() => {});
+        this.onTranslated = handlers.onTranslated || (() => {});
+        this.onError = handlers.onError || (() => {});
+
+        this.isActive = false;
+        this.generation = 0;
+        this.nextIndex = 0;
+        this.pendingCount = 0;
+        this.outputChain = Promise.resolve();
+    }
+
+    static splitSentences(text) {
+        const trimmed = text.trim();
+        if (!trimmed) return [];
+
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+            return Array.from(segmenter.segment(trimmed), part => part.segment.trim())
+                .filter(sentence => sentence.length > 0);
+        }
+
+        return (trimmed.match(/[^.!?。！？]+[.!?。！？]*/g) || [trimmed])
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 0);
+    }
+
+    start() {
+        this.isActive = true;
+        console.log('🗣️ Live interpreter started');
+    }
+
+    // Stop listening; sentences already queued are still translated and spoken
+    stop() {
+        this.isActive = false;
+        console.log('🗣️ Live interpreter stopped');
+    }
+
+    // Stop listening and drop everything not yet spoken
+    cancel() {
+        this.isActive = false;
+        this.generation++;
+        this.pendingCount = 0;
+        this.outputChain = Promise.resolve();
+    }
+
+    hasPendingOutput() {
+        return this.pendingCount > 0;
+    }
+
+    // Feed a SpeechRecognition result event from a continuous, interim-enabled recognizer
+    handleResult(event) {
+        let interim = '';
+
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            const transcript = result[0].transcript;
+
+            if (result.isFinal) {
+                // Web Speech rarely punctuates, so the end of a final segment also ends a sentence
+                LiveInterpreter.splitSentences(transcript).forEach(sentence => this.enqueue(sentence));
+            } else {
+                interim += transcript;
+            }
+        }
+
+        this.onInterim(interim.trim());
+    }
+
+    enqueue(text) {
+        const segment = {
+            index: this.nextIndex++,
+            generation: this.generation,
+            original: text,
+            targetLang: this.getTargetLang()
+        };
+
+        this.pendingCount++;
+        this.onSentence(segment);
+
+        // Translation starts immediately; only speaking waits for earlier sentences
+        const translation = this.translate(segment.original, segment.targetLang);
+        translation.catch(() => {}); // Reported in order by speakSegment
+
+        this.outputChain = this.outputChain.then(() => this.speakSegment(segment, translation));
+    }
+
+    async speakSegment(segment, translation) {
+        try {
+            const result = await translation;
+            if (segment.generation !== this.generation) return;
+
+            segment.translated = result.translatedText;
+            this.onTranslated(segment, result);
+
+            await this.speak(segment.translated, segment.targetLang);
+        } catch (error) {
+            if (segment.generation !== this.generation) return;
+
+            console.error(`❌ Interpreter failed on sentence ${segment.index}:`, error);
+            this.onError(segment, error);
+        } finally {
+            if (segment.generation === this.generation) {
+                this.pendingCount--;
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+window.LiveInterpreter = LiveInterpreter;
@@ -0,0 +1,316 @@
+// MCP Diagnostics - Server health for the diagnostics panel
+// Collects the service's window events (errors, failed requests, reconnects, circuit changes) from
+// page load, and pings the servers for latency while the panel is open
+
+class MCPDiagnostics {
+    constructor(mcpService) {
+        this.mcpService = mcpService;
+        this.config = window.MCPhonyConfig.MCP.DIAGNOSTICS;
+        this.servers = new Map();
+        this.pingTimer = null;
+        this.pinging = false;
+        this.onUpdate = null;
+
+        this.listen('mcpError', (detail) => this.addError(detail.server, MCPDiagnostics.describeError(detail.error)));
+        this.listen('mcpRequestFailed', (detail) => this.addError(detail.server, `${detail.tool || detail.method}: ${detail.error}`));
+        this.listen('mcpProgress', (detail) => {
+            this.getServer(detail.server).lastProgress = { ...detail.progress, at: Date.now() };
+        });
+        this.listen('mcpConnectionClosed', (detail) => this.addHistory(detail.server, 'Connection closed'));
+        this.listen('mcpReconnectScheduled', (detail) => {
+            this.addHistory(detail.server, `Reconnect attempt ${detail.attempt} in ${(detail.delay / 1000).toFixed(1)}s`);
+        });
+        this.listen('mcpReconnected', (detail) => this.addHistory(detail.server, 'Reconnected'));
+        this.listen('mcpCircuitStateChanged', (detail) => this.addHistory(detail.server, `Circuit ${detail.previous} → ${detail.state}`));
+    }
+
+    listen(type, handler) {
+        window.addEventListener(type, (event) => {
+            if (!event.detail || !event.detail.server) return;
+            handler(event.detail);
+            this.notify();
+        });
+    }
+
+    // Server notifications send { message, code } but nothing enforces it
+    static describeError(error) {
+        if (!error) return 'Unknown error';
+        if (typeof error === 'string') return error;
+        return error.message || JSON.stringify(error);
+    }
+
+    getServer(serverName) {
+        if (!this.servers.has(serverName)) {
+            this.servers.set(serverName, { latencies: [], errors: [], history: [], lastProgress: null });
+        }
+        return this.servers.get(serverName);
+    }
+
+    addError(serverName, message) {
+        this.pushLimited(this.getServer(serverName).errors, { at: Date.now(), message: message });
+    }
+
+    addHistory(serverName, message) {
+        this.pushLimited(this.getServer(serverName).history, { at: Date.now(), message: message });
+    }
+
+    pushLimited(list, entry) {
+        list.push(entry);
+        if (list.length > this.config.MAX_EVENTS) {
+            list.shift();
+        }
+    }
+
+    notify() {
+        if (this.onUpdate) {
+            this.onUpdate();
+        }
+    }
+
+    startPinging() {
+        if (this.pingTimer) return;
+
+        this.pingAll();
+        this.pingTimer = setInterval(() => this.pingAll(), this.config.PING_INTERVAL);
+    }
+
+    stopPinging() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+    }
+
+    // Servers are pinged side by side, each bounded by PING_TIMEOUT; a tick that finds the
+    // previous round still waiting is skipped
+    async pingAll() {
+        if (this.pinging) return;
+
+        this.pinging = true;
+        try {
+            const names = [...this.mcpService.connections]
+                .filter(([, connection]) => connection.isConnected)
+                .map(([name]) => name);
+            await Promise.all(names.map(name => this.ping(name)));
+        } finally {
+            this.pinging = false;
+        }
+        this.notify();
+    }
+
+    async ping(name) {
+        try {
+            const latency = await this.mcpService.pingServer(name, this.config.PING_TIMEOUT);
+            const latencies = this.getServer(name).latencies;
+            latencies.push(latency);
+            if (latencies.length > this.config.MAX_LATENCY_SAMPLES) {
+                latencies.shift();
+            }
+        } catch (error) {
+            this.addError(name, `ping: ${error.message}`);
+        }
+    }
+
+    // Ping counts per LATENCY_BUCKETS upper bound, plus one bucket for anything slower
+    getHistogram(latencies) {
+        const bounds = this.config.LATENCY_BUCKETS;
+        const buckets = bounds.map(bound => ({ label: `≤${bound} ms`, count: 0 }));
+        buckets.push({ label: `>${bounds[bounds.length - 1]} ms`, count: 0 });
+
+        for (const latency of latencies) {
+            const index = bounds.findIndex(bound => latency <= bound);
+            buckets[index === -1 ? bounds.length : index].count++;
+        }
+        return buckets;
+    }
+
+    getLatencyStats(latencies) {
+        if (latencies.length === 0) return null;
+
+        const sorted = [...latencies].sort((a, b) => a - b);
+        const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+        return {
+            last: Math.round(latencies[latencies.length - 1]),
+            median: Math.round(at(0.5)),
+            p95: Math.round(at(0.95)),
+            samples: sorted.length
+        };
+    }
+
+    // One entry per configured server, connected or not (a client only starts the roles it uses),
+    // plus any other server that has reported events
+    getSnapshot() {
+        const status = this.mcpService.getConnectionStatus();
+        const configured = this.mcpService.getConfiguredServers();
+        const names = new Set([...configured.map(server => server.NAME), ...Object.keys(status), ...this.servers.keys()]);
+
+        return [...names].map(name => {
+            const serverConfig = configured.find(server => server.NAME === name);
+            const connection = status[name] || {
+                connected: false,
+                name: (serverConfig && serverConfig.LABEL) || name,
+                role: serverConfig ? serverConfig.ROLE : null,
+                capabilities: []
+            };
+            const collected = this.getServer(name);
+
+            return {
+                server: name,
+                started: Boolean(status[name]),
+                ...connection,
+                inFlight: this.mcpService.getInFlightRequests(name),
+                latency: this.getLatencyStats(collected.latencies),
+                histogram: this.getHistogram(collected.latencies),
+                errors: collected.errors,
+                history: collected.history,
+                lastProgress: collected.lastProgress
+            };
+        });
+    }
+}
+
+class MCPDiagnosticsPanel {
+    constructor(diagnostics) {
+        this.diagnostics = diagnostics;
+        this.renderTimer = null;
+
+        this.panelEl = document.getElementById('diagnosticsPanel');
+        this.serversEl = document.getElementById('diagnosticsServers');
+
+        document.getElementById('diagnosticsToggle').addEventListener('click', () => this.toggle());
+        document.getElementById('diagnosticsPingBtn').addEventListener('click', () => this.diagnostics.pingAll());
+    }
+
+    isVisible() {
+        return this.panelEl.style.display !== 'none';
+    }
+
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.panelEl.style.display = 'block';
+        this.diagnostics.onUpdate = () => this.render();
+        this.diagnostics.startPinging();
+
+        // In-flight request ages keep changing between events
+        this.renderTimer = setInterval(() => this.render(), 1000);
+        this.render();
+    }
+
+    hide() {
+        this.panelEl.style.display = 'none';
+        this.diagnostics.onUpdate = null;
+        this.diagnostics.stopPinging();
+        clearInterval(this.renderTimer);
+        this.renderTimer = null;
+    }
+
+    render() {
+        const servers = this.diagnostics.getSnapshot();
+
+        this.serversEl.innerHTML = '';
+        if (servers.length === 0) {
+            this.serversEl.appendChild(this.createElement('div', 'diagnostics-empty', 'No MCP servers configured or connected'));
+            return;
+        }
+
+        servers.forEach(server => this.serversEl.appendChild(this.renderServer(server)));
+    }
+
+    renderServer(server) {
+        const card = this.createElement('div', 'diagnostics-server');
+
+        const header = this.createElement('div', 'diagnostics-server-header');
+        header.appendChild(this.createElement('span', 'diagnostics-server-name', server.name || server.server));
+        const state = server.connected ? 'connected' : 'disconnected';
+        header.appendChild(this.createElement('span', `diagnostics-badge ${state}`, server.started ? state : 'not connected'));
+        if (server.circuit && server.circuit !== CIRCUIT_STATES.CLOSED) {
+            header.appendChild(this.createElement('span', 'diagnostics-badge circuit', `circuit ${server.circuit}`));
+        }
+        card.appendChild(header);
+
+        const meta = [
+            server.role,
+            server.protocolVersion ? `MCP ${server.protocolVersion}` : null,
+            server.serverInfo ? `${server.serverInfo.name} ${server.serverInfo.version || ''}`.trim() : null,
+            server.queued ? `${server.queued} queued` : null,
+            server.latency ? `ping ${server.latency.last} ms (median ${server.latency.median}, p95 ${server.latency.p95})` : null
+        ].filter(Boolean).join(' · ');
+        if (meta) {
+            card.appendChild(this.createElement('div', 'diagnostics-meta', meta));
+        }
+
+        card.appendChild(this.renderSection('Tools', server.capabilities.length > 0
+            ? [this.renderTools(server.capabilities)]
+            : [this.createElement('div', 'diagnostics-empty', 'None discovered')]));
+
+        card.appendChild(this.renderSection('Latency', [this.renderHistogram(server.histogram)]));
+
+        card.appendChild(this.renderSection('In flight', this.renderList(server.inFlight, request =>
+            `${request.tool || request.method} · ${(request.ageMs / 1000).toFixed(1)}s`)));
+
+        card.appendChild(this.renderSection('Recent errors', this.renderList(server.errors.slice().reverse(), entry =>
+            `${new Date(entry.at).toLocaleTimeString()} ${entry.message}`), 'errors'));
+
+        card.appendChild(this.renderSection('Connection history', this.renderList(server.history.slice().reverse(), entry =>
+            `${new Date(entry.at).toLocaleTimeString()} ${entry.message}`)));
+
+        return card;
+    }
+
+    renderSection(title, children, modifier = '') {
+        const section = this.createElement('div', `diagnostics-section ${modifier}`.trim());
+        section.appendChild(this.createElement('div', 'diagnostics-section-title', title));
+        children.forEach(child => section.appendChild(child));
+        return section;
+    }
+
+    renderTools(tools) {
+        const list = this.createElement('div', 'diagnostics-tools');
+        tools.forEach(tool => list.appendChild(this.createElement('span', 'diagnostics-tool', tool)));
+        return list;
+    }
+
+    renderHistogram(buckets) {
+        const histogram = this.createElement('div', 'diagnostics-histogram');
+        const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+
+        buckets.forEach(bucket => {
+            const row = this.createElement('div', 'diagnostics-histogram-row');
+            row.appendChild(this.createElement('span', 'diagnostics-histogram-label', bucket.label));
+            const bar = this.createElement('span', 'diagnostics-histogram-bar');
+            bar.style.width = `${(bucket.count / max) * 100}%`;
+            row.appendChild(bar);
+            row.appendChild(this.createElement('span', 'diagnostics-histogram-count', String(bucket.count)));
+            histogram.appendChild(row);
+        });
+        return histogram;
+    }
+
+    renderList(items, describe) {
+        if (items.length === 0) {
+            return [this.createElement('div', 'diagnostics-empty', 'None')];
+        }
+        return items.map(item => this.createElement('div', 'diagnostics-entry', describe(item)));
+    }
+
+    createElement(tag, className, text = null) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== null) {
+            element.textContent = text;
+        }
+        return element;
+    }
+}
+
+// Export for use in other modules
+window.MCPDiagnostics = MCPDiagnostics;
+window.MCPDiagnosticsPanel = MCPDiagnosticsPanel;
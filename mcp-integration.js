@@ -1,127 +1,359 @@
 // MCP Integration Service - Production Ready
-// Handles all MCP server connections for ElevenLabs and DeepL
+// Handles the MCP server connections declared in MCPhonyConfig.MCP.SERVERS
+
+// What a configured server is used for; the app looks servers up by role, not by name
+const MCP_ROLES = {
+    TTS: 'tts',                 // Text-to-speech, speech-to-text and voice cloning (ElevenLabs tools)
+    TRANSLATION: 'translation', // Translation and language detection (DeepL tools)
+    DATABASE: 'database',       // Message storage and delivery (Neon/Postgres tools)
+    STORAGE: 'storage'          // Voice message audio uploads (upload_audio tool)
+};
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',       // Requests flow normally
+    OPEN: 'open',           // Server skipped; callers use their fallbacks
+    HALF_OPEN: 'half-open'  // Cool-down over; a single trial request decides
+};
+
+// Per-server breaker: after failureThreshold consecutive failures the server is skipped for
+// openDuration, then one trial request is let through; its failure reopens it, its success closes it
+class CircuitBreaker {
+    constructor(failureThreshold, openDuration, onStateChange) {
+        this.failureThreshold = failureThreshold;
+        this.openDuration = openDuration;
+        this.onStateChange = onStateChange;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    // Whether a request would be let through now; changes nothing
+    canAttempt() {
+        if (this.state === CIRCUIT_STATES.OPEN) return this.remainingOpenTime() === 0;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) return !this.trialInFlight;
+        return true;
+    }
+
+    // Admit one request: any while closed, only the single trial once the cool-down is over
+    tryAcquireTrial() {
+        if (!this.canAttempt()) return false;
+
+        if (this.state === CIRCUIT_STATES.OPEN) {
+            this.setState(CIRCUIT_STATES.HALF_OPEN);
+        }
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            this.trialInFlight = true;
+        }
+        return true;
+    }
+
+    // The trial ended without a verdict (cancelled, or its connection closed); let another through
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.trialInFlight = false;
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.setState(CIRCUIT_STATES.CLOSED);
+        }
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            if (this.state !== CIRCUIT_STATES.OPEN) {
+                this.setState(CIRCUIT_STATES.OPEN);
+            }
+        }
+    }
+
+    remainingOpenTime() {
+        if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+        return Math.max(0, this.openedAt + this.openDuration - Date.now());
+    }
+
+    setState(state) {
+        const previous = this.state;
+        this.state = state;
+        this.onStateChange(state, previous);
+    }
+}
 
 class MCPIntegrationService {
     constructor() {
         this.config = window.MCPhonyConfig.MCP;
         this.connections = new Map();
-        this.availableServers = [];
+        this.circuitBreakers = new Map();
         this.isInitialized = false;
     }
 
-    async initialize() {
-        try {
-            // Initialize MCP connections for ElevenLabs and DeepL
-            await this.connectToElevenLabsMCP();
-            await this.connectToDeepLMCP();
-            
-            this.isInitialized = true;
-            console.log('MCP Integration service initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize MCP Integration:', error);
-            throw error;
-        }
+    // Connect every configured server (optionally only those with the given roles) in parallel.
+    // Servers that fail keep retrying in the background; resolves with { connected, failed } names.
+    async initialize(roles = null) {
+        const servers = this.getConfiguredServers().filter(server => !roles || roles.includes(server.ROLE));
+        const results = await Promise.allSettled(servers.map(server => this.connectToServer(server)));
+
+        const connected = [];
+        const failed = [];
+        results.forEach((result, index) => {
+            (result.status === 'fulfilled' ? connected : failed).push(servers[index].NAME);
+        });
+
+        this.isInitialized = true;
+        console.log(`MCP Integration service initialized (${connected.length}/${servers.length} servers connected)`);
+        return { connected, failed };
     }
 
-    async connectToElevenLabsMCP() {
+    getConfiguredServers() {
+        return this.config.SERVERS || [];
+    }
+
+    getServerConfig(serverName) {
+        return this.getConfiguredServers().find(server => server.NAME === serverName) || null;
+    }
+
+    getServerRole(serverName) {
+        const server = this.getServerConfig(serverName);
+        return server ? server.ROLE : null;
+    }
+
+    // A failed first attempt is reported to the caller and then retried in the background
+    async connectToServer(serverConfig) {
+        const serverName = serverConfig.NAME;
+        const connection = this.createConnection(serverName, {
+            url: this.getServerUrl(serverConfig),
+            name: serverConfig.LABEL || serverName
+        });
+        this.connections.set(serverName, connection);
+
         try {
-            // Connect to ElevenLabs MCP server
-            const elevenLabsConnection = await this.createMCPConnection('elevenlabs', {
-                url: 'ws://localhost:3002',
-                name: 'ElevenLabs TTS Server',
-                capabilities: ['text-to-speech', 'voice-cloning', 'voice-list']
-            });
-            
-            this.connections.set('elevenlabs', elevenLabsConnection);
-            console.log('Connected to ElevenLabs MCP server');
+            await this.openSocket(serverName, connection);
+            console.log(`Connected to ${connection.name} MCP server`);
+            return connection;
         } catch (error) {
-            console.error('Failed to connect to ElevenLabs MCP:', error);
+            console.error(`Failed to connect to ${connection.name} MCP server:`, error);
+            // Requests made before the retry succeeds wait in the queue rather than failing
+            connection.isReconnecting = true;
+            this.scheduleReconnect(serverName, connection);
             throw error;
         }
     }
 
-    async connectToDeepLMCP() {
-        try {
-            // Connect to DeepL MCP server
-            const deepLConnection = await this.createMCPConnection('deepl', {
-                url: 'ws://localhost:3003',
-                name: 'DeepL Translation Server',
-                capabilities: ['translate', 'detect-language', 'supported-languages']
-            });
-            
-            this.connections.set('deepl', deepLConnection);
-            console.log('Connected to DeepL MCP server');
-        } catch (error) {
-            console.error('Failed to connect to DeepL MCP:', error);
-            throw error;
+    // Browsers cannot set headers on a WebSocket handshake, so the token goes in the query string
+    getServerUrl(serverConfig) {
+        if (!serverConfig.AUTH_TOKEN) return serverConfig.URL;
+
+        const url = new URL(serverConfig.URL);
+        url.searchParams.set('access_token', serverConfig.AUTH_TOKEN);
+        return url.toString();
+    }
+
+    // Configured servers for a role, preferred (lowest PRIORITY) first
+    getServersForRole(role) {
+        return this.getConfiguredServers()
+            .filter(server => server.ROLE === role)
+            .sort((a, b) => (a.PRIORITY || 0) - (b.PRIORITY || 0))
+            .map(server => server.NAME);
+    }
+
+    // Best server for a role: a connected one, else one that is reconnecting (requests queue); null if none
+    getServerForRole(role) {
+        const candidates = this.getServersForRole(role).filter(name => this.isServerAvailable(name));
+        return candidates.find(name => this.connections.get(name).isConnected) || candidates[0] || null;
+    }
+
+    // Whether a role can be served right now, without waiting for a reconnect
+    isRoleConnected(role) {
+        const serverName = this.getServerForRole(role);
+        return !!serverName && this.connections.get(serverName).isConnected;
+    }
+
+    async callRoleTool(role, toolName, params, options = {}) {
+        const serverName = this.getServerForRole(role);
+        if (!serverName) {
+            throw new Error(`No ${role} MCP server available`);
         }
+        return this.callMCPTool(serverName, toolName, params, options);
+    }
+
+    // The connection object outlives its socket: reconnects reopen it in place and keep its request queue
+    createConnection(serverName, config) {
+        return {
+            ws: null,
+            serverName: serverName,
+            config: config,
+            name: config.name,
+            capabilities: [], // Tool names reported by tools/list
+            tools: [],
+            protocolVersion: null,
+            serverInfo: null,
+            serverCapabilities: {},
+            isConnected: false,
+            isReconnecting: false,
+            reconnectAttempts: 0,
+            messageQueue: [],       // Requests waiting for the socket to reopen
+            responseHandlers: new Map(),
+            streamHandlers: new Map(),
+            closeHandlers: new Map(), // Requests in flight, told when the socket closes under them
+            inFlight: new Map()       // requestId -> { method, tool, startedAt } for diagnostics
+        };
     }
 
-    async createMCPConnection(serverName, config) {
+    // Resolves once the initialize handshake and tool discovery have completed
+    openSocket(serverName, connection) {
         return new Promise((resolve, reject) => {
-            const ws = new WebSocket(config.url);
-            
-            const connection = {
-                ws: ws,
-                name: config.name,
-                capabilities: config.capabilities,
-                isConnected: false,
-                messageQueue: [],
-                responseHandlers: new Map()
-            };
+            const ws = new WebSocket(connection.config.url);
+            connection.ws = ws;
 
             ws.onopen = () => {
-                connection.isConnected = true;
-                this.sendInitMessage(connection);
-                resolve(connection);
+                this.initializeSession(serverName, connection)
+                    .then(() => {
+                        connection.isConnected = true;
+                        connection.isReconnecting = false;
+                        this.flushQueue(serverName, connection);
+                        resolve(connection);
+                    })
+                    .catch(error => {
+                        if (connection.reconnectAttempts === 0) {
+                            console.error(`MCP handshake with ${serverName} failed:`, error);
+                        }
+                        ws.close();
+                        reject(error);
+                    });
             };
 
             ws.onmessage = (event) => {
-                this.handleMCPMessage(serverName, event.data);
+                this.handleMCPMessage(serverName, event.data, connection);
             };
 
             ws.onerror = (error) => {
-                console.error(`MCP connection error for ${serverName}:`, error);
+                // Failed retries are reported once each by scheduleReconnect
+                if (connection.reconnectAttempts === 0) {
+                    console.error(`MCP connection error for ${serverName}:`, error);
+                }
                 reject(error);
             };
 
             ws.onclose = () => {
+                const wasConnected = connection.isConnected;
                 connection.isConnected = false;
                 console.log(`MCP connection closed for ${serverName}`);
-                // Implement reconnection logic
-                this.scheduleReconnect(serverName, config);
+
+                // Only reconnect connections that were established; a failed first attempt is reported to the caller
+                if (wasConnected) {
+                    connection.isReconnecting = true;
+                }
+                this.failInFlightRequests(connection);
+
+                this.dispatchEvent(new CustomEvent('mcpConnectionClosed', {
+                    detail: { server: serverName }
+                }));
+                if (wasConnected) {
+                    this.scheduleReconnect(serverName, connection);
+                }
             };
         });
     }
 
-    sendInitMessage(connection) {
-        const initMessage = {
-            jsonrpc: '2.0',
-            method: 'initialize',
-            params: {
-                clientInfo: {
-                    name: 'MCPhony',
-                    version: window.MCPhonyConfig.APP.VERSION
-                },
-                capabilities: {
-                    tools: true,
-                    resources: true
-                }
-            },
-            id: this.generateRequestId()
-        };
+    // Answers will never arrive on a closed socket; each request rejects or re-queues itself
+    failInFlightRequests(connection) {
+        for (const onClose of [...connection.closeHandlers.values()]) {
+            onClose();
+        }
+    }
 
-        connection.ws.send(JSON.stringify(initMessage));
+    // Fail everything still waiting for the socket, e.g. once the circuit opens
+    rejectQueue(connection, error) {
+        for (const entry of connection.messageQueue.splice(0)) {
+            entry.fail(error);
+        }
     }
 
-    handleMCPMessage(serverName, message) {
+    // Send what was buffered while reconnecting, oldest first
+    flushQueue(serverName, connection) {
+        const queue = connection.messageQueue.splice(0);
+        if (queue.length > 0) {
+            console.log(`Sending ${queue.length} queued request(s) to ${serverName}`);
+        }
+
+        for (const entry of queue) {
+            clearTimeout(entry.timer);
+            entry.send();
+        }
+    }
+
+    // MCP lifecycle: negotiate the protocol version, confirm with notifications/initialized,
+    // then discover the server's tools
+    async initializeSession(serverName, connection) {
+        const result = await this.sendRequest(connection, 'initialize', {
+            protocolVersion: MCPIntegrationService.PROTOCOL_VERSIONS[0],
+            capabilities: {}, // No roots, sampling or elicitation support
+            clientInfo: {
+                name: 'MCPhony',
+                version: window.MCPhonyConfig.APP.VERSION
+            }
+        }, { bypassQueue: true });
+
+        // The server answers with our version or the one it prefers; anything else ends the session
+        if (!MCPIntegrationService.PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+            throw new Error(`${serverName} MCP server uses unsupported protocol version ${result.protocolVersion}`);
+        }
+
+        connection.protocolVersion = result.protocolVersion;
+        connection.serverInfo = result.serverInfo || null;
+        connection.serverCapabilities = result.capabilities || {};
+        this.sendNotification(connection, 'notifications/initialized');
+
+        if (connection.serverCapabilities.tools) {
+            await this.discoverTools(serverName, connection);
+        }
+        console.log(`MCP session with ${serverName} initialized (protocol ${connection.protocolVersion})`);
+    }
+
+    async discoverTools(serverName, connection) {
+        const tools = await this.listPaginated(connection, 'tools/list', 'tools');
+        connection.tools = tools;
+        connection.capabilities = tools.map(tool => tool.name);
+        console.log(`${serverName} MCP tools:`, connection.capabilities);
+    }
+
+    // Collect every page of a paginated list request
+    async listPaginated(connection, method, key) {
+        const items = [];
+        let cursor;
+
+        do {
+            const result = await this.sendRequest(connection, method, cursor ? { cursor: cursor } : {}, { bypassQueue: true });
+            items.push(...(result[key] || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+
+        return items;
+    }
+
+    hasTool(serverName, toolName) {
+        const connection = this.connections.get(serverName);
+        return !!connection && connection.isConnected && connection.capabilities.includes(toolName);
+    }
+
+    handleMCPMessage(serverName, message, connection = this.connections.get(serverName)) {
         try {
             const parsedMessage = JSON.parse(message);
             console.log(`MCP message from ${serverName}:`, parsedMessage);
 
-            const connection = this.connections.get(serverName);
             if (!connection) return;
 
+            // Requests from the server carry both an id and a method
+            if (parsedMessage.method && parsedMessage.id !== undefined) {
+                this.handleServerRequest(connection, parsedMessage);
+                return;
+            }
+
             // Handle response messages
             if (parsedMessage.id && connection.responseHandlers.has(parsedMessage.id)) {
                 const handler = connection.responseHandlers.get(parsedMessage.id);
@@ -131,110 +363,471 @@ class MCPIntegrationService {
 
             // Handle notification messages
             if (parsedMessage.method) {
-                this.handleMCPNotification(serverName, parsedMessage);
+                this.handleMCPNotification(serverName, parsedMessage, connection);
             }
         } catch (error) {
             console.error(`Error parsing MCP message from ${serverName}:`, error);
         }
     }
 
-    handleMCPNotification(serverName, message) {
+    // Only ping is supported; we declare no client capabilities
+    handleServerRequest(connection, request) {
+        const response = { jsonrpc: '2.0', id: request.id };
+
+        if (request.method === 'ping') {
+            response.result = {};
+        } else {
+            response.error = { code: -32601, message: `Method not found: ${request.method}` };
+        }
+
+        connection.ws.send(JSON.stringify(response));
+    }
+
+    handleMCPNotification(serverName, message, connection) {
         switch (message.method) {
+            case 'notifications/tools/list_changed':
+                this.discoverTools(serverName, connection).catch(error => {
+                    console.error(`Failed to refresh ${serverName} MCP tools:`, error);
+                });
+                break;
+            case 'notifications/resources/list_changed':
+                this.dispatchEvent(new CustomEvent('mcpResourcesChanged', {
+                    detail: { server: serverName }
+                }));
+                break;
             case 'progress':
                 this.updateProgress(serverName, message.params);
                 break;
             case 'error':
                 this.handleServerError(serverName, message.params);
                 break;
+            case 'audio/chunk':
+                this.handleStreamChunk(serverName, message.params);
+                break;
+            case 'messages/new':
+                this.dispatchEvent(new CustomEvent('mcpMessagesNew', {
+                    detail: { server: serverName, message: message.params }
+                }));
+                break;
             default:
                 console.log(`Unknown notification from ${serverName}:`, message.method);
         }
     }
 
-    async callMCPTool(serverName, toolName, params) {
+    // Chunked tool output arrives as notifications tagged with the request id, ahead of the final response
+    handleStreamChunk(serverName, params) {
         const connection = this.connections.get(serverName);
-        if (!connection || !connection.isConnected) {
+        const handler = connection && connection.streamHandlers.get(params.requestId);
+
+        if (handler) {
+            handler(params);
+        }
+    }
+
+    // options.onChunk receives streamed notifications; options.signal cancels the request.
+    // While the server is reconnecting the call waits in its queue (see sendRequest).
+    async callMCPTool(serverName, toolName, params, options = {}) {
+        const connection = this.getServerConnection(serverName);
+
+        return this.sendRequest(connection, 'tools/call', {
+            name: toolName,
+            arguments: params
+        }, options);
+    }
+
+    // Resources the server exposes: [{ uri, name, mimeType, ... }]
+    async listResources(serverName) {
+        const connection = this.getServerConnection(serverName);
+        if (!connection.serverCapabilities.resources) return [];
+
+        return this.listPaginated(connection, 'resources/list', 'resources');
+    }
+
+    // Contents of one resource: [{ uri, mimeType, text }] or [{ uri, mimeType, blob }]
+    async readResource(serverName, uri) {
+        const connection = this.getServerConnection(serverName);
+        const result = await this.sendRequest(connection, 'resources/read', { uri: uri }, { retryOnClose: true });
+        return result.contents || [];
+    }
+
+    // Connected, or reconnecting and able to queue
+    getServerConnection(serverName) {
+        const connection = this.connections.get(serverName);
+        if (!connection || (!connection.isConnected && !connection.isReconnecting)) {
             throw new Error(`Not connected to ${serverName} MCP server`);
         }
+        if (!this.getCircuitBreaker(serverName).canAttempt()) {
+            throw new Error(`${serverName} MCP server is unavailable (circuit open)`);
+        }
+        return connection;
+    }
+
+    // Whether requests to a server are worth making, or callers should use their fallback
+    isServerAvailable(serverName) {
+        const connection = this.connections.get(serverName);
+        if (!connection || (!connection.isConnected && !connection.isReconnecting)) return false;
+
+        return this.getCircuitBreaker(serverName).canAttempt();
+    }
+
+    getCircuitBreaker(serverName) {
+        if (!this.circuitBreakers.has(serverName)) {
+            const breakerConfig = this.config.CIRCUIT_BREAKER;
+            this.circuitBreakers.set(serverName, new CircuitBreaker(
+                this.config.RETRY_ATTEMPTS,
+                breakerConfig.OPEN_DURATION,
+                (state, previous) => this.onCircuitStateChange(serverName, state, previous)
+            ));
+        }
+        return this.circuitBreakers.get(serverName);
+    }
 
+    onCircuitStateChange(serverName, state, previous) {
+        console.log(`MCP circuit for ${serverName}: ${previous} -> ${state}`);
+
+        const connection = this.connections.get(serverName);
+        if (state === CIRCUIT_STATES.OPEN && connection) {
+            this.rejectQueue(connection, new Error(`${serverName} MCP server is unavailable (circuit open)`));
+        }
+
+        this.dispatchEvent(new CustomEvent('mcpCircuitStateChanged', {
+            detail: { server: serverName, state: state, previous: previous }
+        }));
+    }
+
+    sendNotification(connection, method, params) {
+        const notification = { jsonrpc: '2.0', method: method };
+        if (params) {
+            notification.params = params;
+        }
+        connection.ws.send(JSON.stringify(notification));
+    }
+
+    // JSON-RPC request. While the socket is down it is queued (bounded by MCP.QUEUE.MAX_SIZE) until
+    // the session is back or options.deadline (default MCP.QUEUE.DEADLINE) passes. If the socket
+    // closes before the answer, the request fails at once, or is queued again with options.retryOnClose
+    // (safe for reads and translations, not for writes). options.bypassQueue is for the handshake itself.
+    // options.timeout (default 30 s) bounds the wait for an answer; options.probe marks health checks,
+    // whose outcome is left out of the circuit breaker.
+    async sendRequest(connection, method, params, options = {}) {
+        const signal = options.signal || null;
+        const recordsHealth = !options.bypassQueue && !options.probe;
+        if (signal && signal.aborted) {
+            throw new DOMException('MCP request cancelled', 'AbortError');
+        }
+
+        const breaker = this.getCircuitBreaker(connection.serverName);
+        if (recordsHealth && !breaker.tryAcquireTrial()) {
+            throw new Error(`${connection.serverName} MCP server is unavailable (circuit open)`);
+        }
+        // While half-open this request is the only one let through
+        const isTrial = recordsHealth && breaker.state === CIRCUIT_STATES.HALF_OPEN;
+
+        const queueConfig = this.config.QUEUE;
         const requestId = this.generateRequestId();
         const request = {
             jsonrpc: '2.0',
-            method: 'tools/call',
-            params: {
-                name: toolName,
-                arguments: params
-            },
+            method: method,
+            params: params,
             id: requestId
         };
 
         return new Promise((resolve, reject) => {
-            connection.responseHandlers.set(requestId, (response) => {
-                if (response.error) {
-                    reject(new Error(response.error.message));
-                } else {
-                    resolve(response.result);
+            let timer = null;
+            let queued = null;
+
+            const forget = () => {
+                clearTimeout(timer);
+                connection.responseHandlers.delete(requestId);
+                connection.streamHandlers.delete(requestId);
+                connection.closeHandlers.delete(requestId);
+                connection.inFlight.delete(requestId);
+            };
+
+            const fail = (error) => {
+                this.reportRequestError(connection, request, error);
+                reject(error);
+            };
+
+            const cleanup = () => {
+                forget();
+                if (isTrial) {
+                    breaker.releaseTrial();
                 }
-            });
+                if (queued) {
+                    clearTimeout(queued.timer);
+                    const index = connection.messageQueue.indexOf(queued);
+                    if (index !== -1) {
+                        connection.messageQueue.splice(index, 1);
+                    }
+                    queued = null;
+                }
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            // Set timeout for response; a stream only times out once chunks stop arriving
+            const armTimeout = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    cleanup();
+                    if (recordsHealth) {
+                        breaker.recordFailure();
+                    }
+                    fail(new Error('MCP request timeout'));
+                }, options.timeout || 30000);
+            };
 
-            connection.ws.send(JSON.stringify(request));
+            const onAbort = () => {
+                const inFlight = connection.responseHandlers.has(requestId);
+                cleanup();
+                if (inFlight && connection.isConnected) {
+                    this.sendNotification(connection, 'notifications/cancelled', {
+                        requestId: requestId,
+                        reason: 'Cancelled by client'
+                    });
+                }
+                reject(new DOMException('MCP request cancelled', 'AbortError'));
+            };
 
-            // Set timeout for response
-            setTimeout(() => {
-                if (connection.responseHandlers.has(requestId)) {
-                    connection.responseHandlers.delete(requestId);
-                    reject(new Error('MCP request timeout'));
+            const enqueue = () => {
+                if (connection.messageQueue.length >= queueConfig.MAX_SIZE) {
+                    cleanup();
+                    fail(new Error(`MCP request queue for ${connection.name} is full`));
+                    return;
                 }
-            }, 30000);
+
+                queued = {
+                    send: send,
+                    fail: (error) => {
+                        cleanup();
+                        reject(error);
+                    },
+                    timer: setTimeout(() => {
+                        cleanup();
+                        fail(new Error(`MCP request to ${connection.name} expired while reconnecting`));
+                    }, options.deadline || queueConfig.DEADLINE)
+                };
+                connection.messageQueue.push(queued);
+            };
+
+            const send = () => {
+                queued = null;
+
+                connection.responseHandlers.set(requestId, (response) => {
+                    cleanup();
+                    // Any answer, even an error, shows the server is up
+                    if (recordsHealth) {
+                        breaker.recordSuccess();
+                    }
+                    if (response.error) {
+                        fail(new Error(response.error.message));
+                    } else {
+                        resolve(response.result);
+                    }
+                });
+
+                if (options.onChunk) {
+                    connection.streamHandlers.set(requestId, (chunk) => {
+                        armTimeout();
+                        options.onChunk(chunk);
+                    });
+                }
+
+                connection.closeHandlers.set(requestId, () => {
+                    forget();
+                    if (options.retryOnClose && connection.isReconnecting) {
+                        enqueue();
+                    } else {
+                        cleanup();
+                        fail(new Error(`MCP connection to ${connection.name} closed before it answered`));
+                    }
+                });
+
+                connection.inFlight.set(requestId, {
+                    method: method,
+                    tool: method === 'tools/call' ? params.name : null,
+                    startedAt: Date.now()
+                });
+                connection.ws.send(JSON.stringify(request));
+                armTimeout();
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            if (connection.isConnected || options.bypassQueue) {
+                send();
+            } else {
+                enqueue();
+            }
         });
     }
 
+    reportRequestError(connection, request, error) {
+        this.dispatchEvent(new CustomEvent('mcpRequestFailed', {
+            detail: {
+                server: connection.serverName,
+                method: request.method,
+                tool: request.method === 'tools/call' ? request.params.name : null,
+                error: error.message
+            }
+        }));
+    }
+
+    // Unwrap a tools/call result into plain data, raising tool-level errors
+    parseToolResult(result) {
+        if (!result) {
+            return null;
+        }
+
+        const textContent = Array.isArray(result.content)
+            ? result.content.filter(item => item.type === 'text').map(item => item.text).join('')
+            : null;
+
+        if (result.isError) {
+            throw new Error(textContent || 'MCP tool reported an error');
+        }
+
+        if (result.structuredContent !== undefined) {
+            return result.structuredContent;
+        }
+
+        if (textContent === null) {
+            return result;
+        }
+
+        try {
+            return JSON.parse(textContent);
+        } catch (error) {
+            return textContent;
+        }
+    }
+
     // ElevenLabs MCP methods
+    // Tool params shared by both TTS tools; voice_settings is left out when the voice's saved settings apply
+    buildSpeechParams(text, options) {
+        const elevenLabs = window.MCPhonyConfig.ELEVENLABS;
+        const params = {
+            text: text,
+            voice_id: options.voiceId || elevenLabs.DEFAULT_VOICE_ID,
+            model_id: 'eleven_multilingual_v2'
+        };
+        if (!options.useStoredSettings) {
+            const pick = (value, fallback) => value !== undefined && value !== null ? value : fallback;
+            params.voice_settings = {
+                stability: pick(options.stability, elevenLabs.VOICE_STABILITY),
+                similarity_boost: pick(options.similarity, elevenLabs.VOICE_SIMILARITY),
+                style: pick(options.style, elevenLabs.VOICE_STYLE),
+                use_speaker_boost: pick(options.speakerBoost, elevenLabs.VOICE_USE_SPEAKER_BOOST)
+            };
+        }
+        return params;
+    }
+
     async elevenLabsTextToSpeech(text, options = {}) {
         try {
-            const result = await this.callMCPTool('elevenlabs', 'text-to-speech', {
-                text: text,
-                voice_id: options.voiceId || window.MCPhonyConfig.ELEVENLABS.DEFAULT_VOICE_ID,
-                model_id: 'eleven_multilingual_v2',
-                voice_settings: {
-                    stability: options.stability || window.MCPhonyConfig.ELEVENLABS.VOICE_STABILITY,
-                    similarity_boost: options.similarity || window.MCPhonyConfig.ELEVENLABS.VOICE_SIMILARITY,
-                    style: options.style || window.MCPhonyConfig.ELEVENLABS.VOICE_STYLE,
-                    use_speaker_boost: options.speakerBoost !== undefined ? options.speakerBoost : window.MCPhonyConfig.ELEVENLABS.VOICE_USE_SPEAKER_BOOST
-                }
-            });
+            const result = await this.callRoleTool(MCP_ROLES.TTS, 'text-to-speech', this.buildSpeechParams(text, options));
 
-            return result.audio_data; // Base64 encoded audio
+            return this.parseToolResult(result).audio_data; // Base64 encoded audio
         } catch (error) {
             console.error('ElevenLabs MCP TTS error:', error);
             throw error;
         }
     }
 
+    // Chunked TTS: the server sends base64 audio/chunk notifications before the final response
+    async elevenLabsTextToSpeechStream(text, options = {}, onChunk, signal = null) {
+        try {
+            await this.callRoleTool(MCP_ROLES.TTS, 'text-to-speech-stream', {
+                ...this.buildSpeechParams(text, options),
+                optimize_streaming_latency: window.MCPhonyConfig.ELEVENLABS.STREAMING_LATENCY
+            }, {
+                signal: signal,
+                onChunk: (chunk) => onChunk(this.base64ToBytes(chunk.audio_data))
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('ElevenLabs MCP streaming TTS error:', error);
+            }
+            throw error;
+        }
+    }
+
     async elevenLabsGetVoices() {
         try {
-            const result = await this.callMCPTool('elevenlabs', 'get-voices', {});
-            return result.voices;
+            const result = await this.callRoleTool(MCP_ROLES.TTS, 'get-voices', {}, { retryOnClose: true });
+            return this.parseToolResult(result).voices;
         } catch (error) {
             console.error('ElevenLabs MCP get voices error:', error);
             throw error;
         }
     }
 
+    // audioFiles are Blobs/Files; they travel base64 encoded with their name and type
     async elevenLabsCloneVoice(audioFiles, name, description = '') {
         try {
-            const result = await this.callMCPTool('elevenlabs', 'clone-voice', {
-                audio_files: audioFiles,
+            const encodedFiles = await Promise.all(audioFiles.map(async (file, index) => ({
+                name: file.name || `sample_${index + 1}.wav`,
+                mime_type: file.type || 'audio/wav',
+                data: await this.blobToBase64(file)
+            })));
+
+            const result = await this.callRoleTool(MCP_ROLES.TTS, 'clone-voice', {
+                audio_files: encodedFiles,
                 name: name,
                 description: description
             });
-            return result;
+            return this.parseToolResult(result);
         } catch (error) {
             console.error('ElevenLabs MCP voice cloning error:', error);
             throw error;
         }
     }
 
+    // Transcribe a recording; languageCode null lets the model detect it, signal cancels the request
+    async elevenLabsSpeechToText(audioBlob, languageCode = null, modelId = 'scribe_v1', signal = null) {
+        try {
+            const mimeType = (audioBlob.type || 'audio/webm').split(';')[0];
+            const params = {
+                audio: {
+                    name: `recording.${mimeType.split('/')[1]}`,
+                    mime_type: mimeType,
+                    data: await this.blobToBase64(audioBlob)
+                },
+                model_id: modelId
+            };
+
+            if (languageCode) {
+                params.language_code = languageCode;
+            }
+
+            const result = await this.callRoleTool(MCP_ROLES.TTS, 'speech-to-text', params, { signal: signal });
+            return this.parseToolResult(result);
+        } catch (error) {
+            console.error('ElevenLabs MCP speech-to-text error:', error);
+            throw error;
+        }
+    }
+
+    // Storage MCP methods
+    // Resolves with the URL the server stored the recording under
+    async storageUploadAudio(blob, key) {
+        try {
+            const result = await this.callRoleTool(MCP_ROLES.STORAGE, 'upload_audio', {
+                key: key,
+                mime_type: blob.type || 'application/octet-stream',
+                data: await this.blobToBase64(blob)
+            });
+            return this.parseToolResult(result).url;
+        } catch (error) {
+            console.error('Storage MCP upload error:', error);
+            throw error;
+        }
+    }
+
     // DeepL MCP methods
     async deepLTranslate(text, targetLang, sourceLang = null, options = {}) {
         try {
@@ -252,8 +845,15 @@ class MCPIntegrationService {
                 params.formality = options.formality;
             }
 
-            const result = await this.callMCPTool('deepl', 'translate', params);
-            return result.translation;
+            if (options.glossaryId) {
+                params.glossary_id = options.glossaryId;
+            }
+
+            const result = await this.callRoleTool(MCP_ROLES.TRANSLATION, 'translate', params, {
+                retryOnClose: true,
+                signal: options.signal
+            });
+            return this.parseToolResult(result).translation;
         } catch (error) {
             console.error('DeepL MCP translation error:', error);
             throw error;
@@ -262,10 +862,10 @@ class MCPIntegrationService {
 
     async deepLDetectLanguage(text) {
         try {
-            const result = await this.callMCPTool('deepl', 'detect-language', {
+            const result = await this.callRoleTool(MCP_ROLES.TRANSLATION, 'detect-language', {
                 text: text
-            });
-            return result.detected_language;
+            }, { retryOnClose: true });
+            return this.parseToolResult(result).detected_language;
         } catch (error) {
             console.error('DeepL MCP language detection error:', error);
             throw error;
@@ -274,8 +874,8 @@ class MCPIntegrationService {
 
     async deepLGetSupportedLanguages() {
         try {
-            const result = await this.callMCPTool('deepl', 'supported-languages', {});
-            return result.languages;
+            const result = await this.callRoleTool(MCP_ROLES.TRANSLATION, 'supported-languages', {}, { retryOnClose: true });
+            return this.parseToolResult(result).languages;
         } catch (error) {
             console.error('DeepL MCP supported languages error:', error);
             throw error;
@@ -284,8 +884,8 @@ class MCPIntegrationService {
 
     async deepLCheckUsage() {
         try {
-            const result = await this.callMCPTool('deepl', 'usage', {});
-            return result.usage;
+            const result = await this.callRoleTool(MCP_ROLES.TRANSLATION, 'usage', {}, { retryOnClose: true });
+            return this.parseToolResult(result).usage;
         } catch (error) {
             console.error('DeepL MCP usage check error:', error);
             throw error;
@@ -294,7 +894,7 @@ class MCPIntegrationService {
 
     // Unified API methods that choose between MCP and direct API
     async performTextToSpeech(text, options = {}) {
-        if (this.config.ENABLED && this.isInitialized) {
+        if (this.config.ENABLED && this.getServerForRole(MCP_ROLES.TTS)) {
             return await this.elevenLabsTextToSpeech(text, options);
         } else {
             // Fallback to direct API
@@ -304,7 +904,7 @@ class MCPIntegrationService {
     }
 
     async performTranslation(text, targetLang, sourceLang = null, options = {}) {
-        if (this.config.ENABLED && this.isInitialized) {
+        if (this.config.ENABLED && this.getServerForRole(MCP_ROLES.TRANSLATION)) {
             return await this.deepLTranslate(text, targetLang, sourceLang, options);
         } else {
             // Fallback to direct API
@@ -338,31 +938,69 @@ class MCPIntegrationService {
     }
 
     base64ToBlob(base64, mimeType) {
+        return new Blob([this.base64ToBytes(base64)], { type: mimeType });
+    }
+
+    async blobToBase64(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        
+        // Chunked to stay under the argument limit of String.fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        
+        return btoa(binary);
+    }
+
+    base64ToBytes(base64) {
         const byteCharacters = atob(base64);
-        const byteNumbers = new Array(byteCharacters.length);
+        const byteArray = new Uint8Array(byteCharacters.length);
         
         for (let i = 0; i < byteCharacters.length; i++) {
-            byteNumbers[i] = byteCharacters.charCodeAt(i);
+            byteArray[i] = byteCharacters.charCodeAt(i);
         }
         
-        const byteArray = new Uint8Array(byteNumbers);
-        return new Blob([byteArray], { type: mimeType });
+        return byteArray;
     }
 
-    scheduleReconnect(serverName, config) {
+    // Jittered exponential backoff; while the circuit is open, wait out its cool-down first
+    scheduleReconnect(serverName, connection) {
+        const breaker = this.getCircuitBreaker(serverName);
+        const delay = Math.max(this.getReconnectDelay(connection.reconnectAttempts), breaker.remainingOpenTime());
+        connection.reconnectAttempts++;
+
+        this.dispatchEvent(new CustomEvent('mcpReconnectScheduled', {
+            detail: { server: serverName, attempt: connection.reconnectAttempts, delay: delay }
+        }));
+
         setTimeout(() => {
-            console.log(`Attempting to reconnect to ${serverName}...`);
-            this.createMCPConnection(serverName, config)
-                .then(connection => {
-                    this.connections.set(serverName, connection);
+            console.log(`Attempting to reconnect to ${serverName} (attempt ${connection.reconnectAttempts})...`);
+            // Past the cool-down the reconnect is the half-open trial; its outcome is recorded below
+            breaker.tryAcquireTrial();
+
+            this.openSocket(serverName, connection)
+                .then(() => {
+                    connection.reconnectAttempts = 0;
+                    breaker.recordSuccess();
                     console.log(`Reconnected to ${serverName}`);
+                    this.dispatchEvent(new CustomEvent('mcpReconnected', {
+                        detail: { server: serverName }
+                    }));
                 })
                 .catch(error => {
-                    console.error(`Failed to reconnect to ${serverName}:`, error);
+                    console.warn(`Failed to reconnect to ${serverName}:`, error.message || error.type || error);
+                    breaker.recordFailure();
                     // Schedule another reconnect attempt
-                    this.scheduleReconnect(serverName, config);
+                    this.scheduleReconnect(serverName, connection);
                 });
-        }, this.config.RETRY_DELAY);
+        }, delay);
+    }
+
+    // Half to all of RETRY_DELAY * 2^attempt, capped at RETRY_MAX_DELAY
+    getReconnectDelay(attempt) {
+        const ceiling = Math.min(this.config.RETRY_MAX_DELAY, this.config.RETRY_DELAY * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
     }
 
     generateRequestId() {
@@ -398,18 +1036,48 @@ class MCPIntegrationService {
             status[name] = {
                 connected: connection.isConnected,
                 name: connection.name,
+                role: this.getServerRole(name),
+                protocolVersion: connection.protocolVersion,
+                circuit: this.getCircuitBreaker(name).state,
+                reconnectAttempts: connection.reconnectAttempts,
+                queued: connection.messageQueue.length,
+                serverInfo: connection.serverInfo,
                 capabilities: connection.capabilities
             };
         }
         return status;
     }
 
+    // Round-trip time of an MCP ping in ms. Pings go only to a live session and stay outside the
+    // circuit breaker: a slow ping neither counts toward opening it nor is blocked by it
+    async pingServer(serverName, timeoutMs) {
+        const connection = this.connections.get(serverName);
+        if (!connection || !connection.isConnected) {
+            throw new Error(`Not connected to ${serverName} MCP server`);
+        }
+        const startedAt = performance.now();
+        await this.sendRequest(connection, 'ping', undefined, { probe: true, timeout: timeoutMs });
+        return performance.now() - startedAt;
+    }
+
+    // Requests sent and awaiting an answer, oldest first
+    getInFlightRequests(serverName) {
+        const connection = this.connections.get(serverName);
+        if (!connection) return [];
+
+        const now = Date.now();
+        return [...connection.inFlight.values()].map(request => ({
+            ...request,
+            ageMs: now - request.startedAt
+        }));
+    }
+
     async pingServers() {
         const results = {};
         for (const [name, connection] of this.connections) {
             if (connection.isConnected) {
                 try {
-                    await this.callMCPTool(name, 'ping', {});
+                    await this.pingServer(name);
                     results[name] = 'healthy';
                 } catch (error) {
                     results[name] = 'unhealthy';
@@ -422,5 +1090,11 @@ class MCPIntegrationService {
     }
 }
 
+// Protocol revisions we can speak, newest (the one we request) first
+MCPIntegrationService.PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
 // Export for use in other modules
+window.MCP_ROLES = MCP_ROLES;
+window.CIRCUIT_STATES = CIRCUIT_STATES;
+window.CircuitBreaker = CircuitBreaker;
 window.MCPIntegrationService = MCPIntegrationService;
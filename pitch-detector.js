@@ -0,0 +1,161 @@
+// Pitch Detector - YIN fundamental frequency estimation with smoothing and voicing decisions
+// Loaded both as a page script and into the AudioWorklet scope, so it only depends on globalThis
+
+class PitchDetector {
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.minFrequency = options.minFrequency || 60;
+        this.maxFrequency = options.maxFrequency || 500;
+        this.threshold = options.threshold || 0.15;    // YIN absolute threshold on the normalised difference
+        this.minRms = options.minRms || 0.01;          // Frames quieter than this are unvoiced
+        this.difference = null;
+    }
+
+    // Estimate the fundamental of one frame of float samples.
+    // Returns { frequency, clarity, voiced, rms }; frequency is 0 for unvoiced frames.
+    detect(samples) {
+        const half = Math.floor(samples.length / 2);
+        const tauMin = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+        const tauMax = Math.min(half - 1, Math.ceil(this.sampleRate / this.minFrequency));
+
+        let energy = 0;
+        for (let i = 0; i < samples.length; i++) {
+            energy += samples[i] * samples[i];
+        }
+        const rms = Math.sqrt(energy / samples.length);
+
+        if (rms < this.minRms || tauMax <= tauMin) {
+            return { frequency: 0, clarity: 0, voiced: false, rms };
+        }
+
+        if (!this.difference || this.difference.length !== tauMax + 1) {
+            this.difference = new Float32Array(tauMax + 1);
+        }
+        const d = this.difference;
+
+        // Difference function
+        for (let tau = 1; tau <= tauMax; tau++) {
+            let sum = 0;
+            for (let i = 0; i < half; i++) {
+                const delta = samples[i] - samples[i + tau];
+                sum += delta * delta;
+            }
+            d[tau] = sum;
+        }
+
+        // Cumulative mean normalised difference
+        d[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= tauMax; tau++) {
+            runningSum += d[tau];
+            d[tau] = runningSum > 0 ? d[tau] * tau / runningSum : 1;
+        }
+
+        // First dip under the threshold, followed down to its minimum; this avoids octave-down errors
+        let tau = -1;
+        for (let t = tauMin; t <= tauMax; t++) {
+            if (d[t] < this.threshold) {
+                while (t + 1 <= tauMax && d[t + 1] < d[t]) {
+                    t++;
+                }
+                tau = t;
+                break;
+            }
+        }
+
+        if (tau === -1) {
+            return { frequency: 0, clarity: 0, voiced: false, rms };
+        }
+
+        return {
+            frequency: this.sampleRate / PitchDetector.interpolate(d, tau, tauMax),
+            clarity: Math.max(0, Math.min(1, 1 - d[tau])),
+            voiced: true,
+            rms
+        };
+    }
+
+    // Parabolic interpolation around a minimum for sub-sample lag accuracy
+    static interpolate(d, tau, tauMax) {
+        if (tau < 1 || tau >= tauMax) return tau;
+
+        const left = d[tau - 1];
+        const centre = d[tau];
+        const right = d[tau + 1];
+        const denominator = left + right - 2 * centre;
+
+        if (denominator === 0) return tau;
+        return tau + (left - right) / (2 * denominator);
+    }
+}
+
+// Smooths frame estimates into a stable pitch track
+class PitchTracker {
+    constructor(options = {}) {
+        this.windowSize = options.windowSize || 5;     // Median filter length in voiced frames
+        this.holdFrames = options.holdFrames || 3;     // Unvoiced frames tolerated before the track ends
+        this.minClarity = options.minClarity || 0.8;
+        this.octaveFrames = options.octaveFrames || 3; // Frames an octave jump must persist to be a real change
+        this.reset();
+    }
+
+    reset() {
+        this.recent = [];
+        this.unvoicedRun = 0;
+        this.pitch = 0;
+        this.octaveRun = 0;
+        this.octaveRatio = 0;
+    }
+
+    // Feed one PitchDetector result; returns { pitch, voiced }
+    update(estimate) {
+        if (!estimate.voiced || estimate.clarity < this.minClarity) {
+            this.unvoicedRun++;
+            if (this.unvoicedRun > this.holdFrames) {
+                this.reset();
+            }
+            return { pitch: this.pitch, voiced: this.pitch > 0 };
+        }
+
+        this.unvoicedRun = 0;
+        let frequency = estimate.frequency;
+
+        // Fold isolated octave jumps back onto the current track; one that persists for
+        // octaveFrames is a real change, and the track restarts on the new octave
+        let octave = 0;
+        if (this.pitch > 0) {
+            const ratio = frequency / this.pitch;
+            if (Math.abs(ratio - 2) < 0.12) {
+                octave = 2;
+            } else if (Math.abs(ratio - 0.5) < 0.03) {
+                octave = 0.5;
+            }
+        }
+
+        if (octave === 0) {
+            this.octaveRun = 0;
+        } else {
+            this.octaveRun = octave === this.octaveRatio ? this.octaveRun + 1 : 1;
+            if (this.octaveRun >= this.octaveFrames) {
+                this.recent = [];
+                this.octaveRun = 0;
+                octave = 0;
+            } else {
+                frequency /= octave;
+            }
+        }
+        this.octaveRatio = octave;
+
+        this.recent.push(frequency);
+        if (this.recent.length > this.windowSize) {
+            this.recent.shift();
+        }
+
+        const sorted = [...this.recent].sort((a, b) => a - b);
+        this.pitch = sorted[Math.floor(sorted.length / 2)];
+        return { pitch: this.pitch, voiced: true };
+    }
+}
+
+globalThis.PitchDetector = PitchDetector;
+globalThis.PitchTracker = PitchTracker;
@@ -0,0 +1,73 @@
+// Pitch Worklet - Runs PitchDetector on the audio thread
+// Load pitch-detector.js into the same AudioWorklet first; both modules share its global scope
+
+class PitchProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const settings = options.processorOptions || {};
+        this.frameSize = settings.frameSize || 2048;
+        this.hopSize = settings.hopSize || 1024;
+        this.detector = new globalThis.PitchDetector(sampleRate, settings);
+        this.tracker = new globalThis.PitchTracker(settings);
+
+        // Circular buffer of the latest frameSize input samples
+        this.buffer = new Float32Array(this.frameSize);
+        this.frame = new Float32Array(this.frameSize);
+        this.writeIndex = 0;
+        this.filled = 0;
+        this.sinceLastFrame = 0;
+        this.stopped = false;
+
+        this.port.onmessage = (event) => {
+            if (event.data === 'reset') {
+                this.tracker.reset();
+            } else if (event.data === 'stop') {
+                this.stopped = true;
+            }
+        };
+    }
+
+    // Returning false after 'stop' lets the audio thread release the processor
+    process(inputs) {
+        if (this.stopped) return false;
+
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        const channel = input[0];
+        for (let i = 0; i < channel.length; i++) {
+            this.buffer[this.writeIndex] = channel[i];
+            this.writeIndex = (this.writeIndex + 1) % this.frameSize;
+        }
+        this.filled = Math.min(this.frameSize, this.filled + channel.length);
+        this.sinceLastFrame += channel.length;
+
+        if (this.filled === this.frameSize && this.sinceLastFrame >= this.hopSize) {
+            this.sinceLastFrame = 0;
+            this.analyzeFrame();
+        }
+
+        return true;
+    }
+
+    analyzeFrame() {
+        // Unroll the circular buffer, oldest sample first
+        const tail = this.frameSize - this.writeIndex;
+        this.frame.set(this.buffer.subarray(this.writeIndex), 0);
+        this.frame.set(this.buffer.subarray(0, this.writeIndex), tail);
+
+        const estimate = this.detector.detect(this.frame);
+        const track = this.tracker.update(estimate);
+
+        this.port.postMessage({
+            pitch: track.pitch,
+            voiced: track.voiced,
+            rawPitch: estimate.frequency,
+            clarity: estimate.clarity,
+            rms: estimate.rms
+        });
+    }
+}
+
+registerProcessor('pitch-processor', PitchProcessor);
@@ -0,0 +1,246 @@
+// Playback Engine - Unified text-to-speech output
+// Prefers ElevenLabs (MCP, then direct API) and falls back to Web Speech
+// ElevenLabs audio is streamed and played progressively where MediaSource supports it
+
+const PLAYBACK_ENGINES = {
+    ELEVENLABS_MCP: 'ElevenLabs MCP',
+    ELEVENLABS: 'ElevenLabs',
+    WEB_SPEECH: 'Web Speech'
+};
+
+class PlaybackEngine {
+    constructor(mcpService = null, elevenLabsService = null) {
+        this.mcpService = mcpService;
+        this.elevenLabs = elevenLabsService || new ElevenLabsService();
+        this.elevenLabsDisabledReason = null;
+        this.lastEngine = null;
+        this.activePlayback = null;
+        this.voiceResolver = null;
+    }
+
+    // resolver(options) returns voice options (voiceId, tuned settings, Web Speech voice) merged into each request
+    setVoiceResolver(resolver) {
+        this.voiceResolver = resolver;
+    }
+
+    isStreamingEnabled() {
+        return !!window.MCPhonyConfig.ELEVENLABS.STREAMING && StreamingAudioPlayer.isSupported('audio/mpeg');
+    }
+
+    hasElevenLabsKey() {
+        const apiKey = window.MCPhonyConfig.ELEVENLABS_API_KEY;
+        return !!apiKey && apiKey !== 'your_elevenlabs_api_key_here';
+    }
+
+    isMCPAvailable() {
+        if (!this.mcpService || !window.MCPhonyConfig.MCP.ENABLED) return false;
+
+        return this.mcpService.isRoleConnected(MCP_ROLES.TTS);
+    }
+
+    // Quota or auth failures won't fix themselves this session
+    isQuotaError(error) {
+        return [401, 402, 429].includes(error.status) || /quota/i.test(error.message || '');
+    }
+
+    isPlaying() {
+        return this.activePlayback !== null;
+    }
+
+    // Speak text with the best available engine; resolves with the engine name once playback ends.
+    // Starting a new utterance or calling stop() cancels the current one, which then resolves early.
+    async speak(text, options = {}) {
+        const onStart = options.onStart || (() => {});
+
+        if (this.voiceResolver) {
+            options = { ...options, ...this.voiceResolver(options) };
+        }
+
+        this.stop();
+        const playback = { controller: new AbortController(), player: null, cancelled: false };
+        this.activePlayback = playback;
+
+        try {
+            if (!this.elevenLabsDisabledReason) {
+                if (this.isMCPAvailable()) {
+                    try {
+                        if (this.isStreamingEnabled()) {
+                            await this.playStream(PLAYBACK_ENGINES.ELEVENLABS_MCP, playback, onStart, (onChunk, signal) =>
+                                this.mcpService.elevenLabsTextToSpeechStream(text, options, onChunk, signal));
+                        } else {
+                            const audioData = await this.mcpService.elevenLabsTextToSpeech(text, options);
+                            await this.playClip(PLAYBACK_ENGINES.ELEVENLABS_MCP, playback, onStart,
+                                this.mcpService.base64ToBlob(audioData, 'audio/mpeg'));
+                        }
+                        return this.finish(PLAYBACK_ENGINES.ELEVENLABS_MCP);
+                    } catch (error) {
+                        if (playback.cancelled) return this.finish(PLAYBACK_ENGINES.ELEVENLABS_MCP);
+                        this.handleElevenLabsError(PLAYBACK_ENGINES.ELEVENLABS_MCP, error);
+                    }
+                }
+
+                if (!this.elevenLabsDisabledReason && this.hasElevenLabsKey()) {
+                    try {
+                        if (this.isStreamingEnabled()) {
+                            await this.playStream(PLAYBACK_ENGINES.ELEVENLABS, playback, onStart, (onChunk, signal) =>
+                                this.elevenLabs.streamTextToSpeech(text, options.voiceId, options, onChunk, signal));
+                        } else {
+                            const audioBlob = await this.elevenLabs.textToSpeech(text, options.voiceId, options);
+                            await this.playClip(PLAYBACK_ENGINES.ELEVENLABS, playback, onStart, audioBlob);
+                        }
+                        return this.finish(PLAYBACK_ENGINES.ELEVENLABS);
+                    } catch (error) {
+                        if (playback.cancelled) return this.finish(PLAYBACK_ENGINES.ELEVENLABS);
+                        this.handleElevenLabsError(PLAYBACK_ENGINES.ELEVENLABS, error);
+                    }
+                }
+            }
+
+            if (playback.cancelled) return this.finish(PLAYBACK_ENGINES.WEB_SPEECH);
+
+            onStart(PLAYBACK_ENGINES.WEB_SPEECH);
+            await this.speakWithWebSpeech(text, options);
+            return this.finish(PLAYBACK_ENGINES.WEB_SPEECH);
+        } finally {
+            if (this.activePlayback === playback) {
+                this.activePlayback = null;
+            }
+        }
+    }
+
+    // Feed chunks from produce(onChunk, signal) into a progressive player; fails if either side fails
+    async playStream(engine, playback, onStart, produce) {
+        const player = new StreamingAudioPlayer('audio/mpeg', () => onStart(engine));
+        playback.player = player;
+
+        const finished = player.start();
+        const streamed = produce(chunk => player.append(chunk), playback.controller.signal)
+            .then(() => player.end());
+
+        try {
+            await Promise.all([streamed, finished]);
+        } catch (error) {
+            // Release both the network request and the audio element before trying another engine
+            playback.controller.abort();
+            player.stop();
+            throw error;
+        } finally {
+            playback.player = null;
+        }
+    }
+
+    // Play a complete clip; like a stream, it is exposed as playback.player so stop() can silence it
+    playClip(engine, playback, onStart, audioBlob) {
+        // Stopped while the audio was being synthesized
+        if (playback.cancelled) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const audioUrl = URL.createObjectURL(audioBlob);
+            const audio = new Audio(audioUrl);
+            let settled = false;
+
+            const settle = (error) => {
+                if (settled) return;
+                settled = true;
+                URL.revokeObjectURL(audioUrl);
+                playback.player = null;
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            playback.player = {
+                stop: () => {
+                    audio.pause();
+                    settle();
+                }
+            };
+
+            audio.onended = () => settle();
+            audio.onerror = () => settle(new Error('Audio playback failed'));
+
+            onStart(engine);
+            audio.play().catch(settle);
+        });
+    }
+
+    // Cancel whatever is playing: aborts any in-flight stream and silences audio
+    stop() {
+        const playback = this.activePlayback;
+        if (playback) {
+            playback.cancelled = true;
+            playback.controller.abort();
+            if (playback.player) {
+                playback.player.stop();
+            }
+            this.activePlayback = null;
+        }
+
+        if ('speechSynthesis' in window && window.speechSynthesis.speaking) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    handleElevenLabsError(engine, error) {
+        console.warn(`⚠️ ${engine} playback failed, trying next engine:`, error);
+
+        if (this.isQuotaError(error)) {
+            this.elevenLabsDisabledReason = error.message;
+            console.warn('⚠️ ElevenLabs disabled for this session:', error.message);
+        }
+    }
+
+    speakWithWebSpeech(text, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!('speechSynthesis' in window)) {
+                reject(new Error('Speech Synthesis not supported'));
+                return;
+            }
+
+            const utterance = new SpeechSynthesisUtterance(text);
+            const voices = window.speechSynthesis.getVoices();
+
+            // Use the matched voice if there is one, else any voice for the target language
+            let selectedVoice = options.webSpeechVoice
+                ? voices.find(voice => (voice.voiceURI || voice.name) === options.webSpeechVoice)
+                : null;
+            if (!selectedVoice && options.lang) {
+                selectedVoice = voices.find(voice => voice.lang.startsWith(options.lang));
+            }
+            if (!selectedVoice) {
+                selectedVoice = voices.find(voice => voice.lang.startsWith('en'));
+            }
+            if (selectedVoice) {
+                utterance.voice = selectedVoice;
+            }
+
+            utterance.pitch = options.pitch || 1.0;
+            utterance.rate = options.rate || 0.9;
+            utterance.volume = options.volume || 0.9;
+
+            utterance.onend = () => resolve();
+            utterance.onerror = (event) => {
+                // Cancelling via stop() is not a failure
+                if (event.error === 'canceled' || event.error === 'interrupted') {
+                    resolve();
+                } else {
+                    reject(new Error(`Speech synthesis failed: ${event.error}`));
+                }
+            };
+
+            window.speechSynthesis.speak(utterance);
+        });
+    }
+
+    finish(engine) {
+        this.lastEngine = engine;
+        return engine;
+    }
+}
+
+// Export for use in other modules
+window.PLAYBACK_ENGINES = PLAYBACK_ENGINES;
+window.PlaybackEngine = PlaybackEngine;
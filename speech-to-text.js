@@ -0,0 +1,177 @@
+// Speech To Text - Pluggable recognition backends
+// Web Speech recognizes live while recording; the other backends transcribe the MediaRecorder
+// recording afterwards, so browsers without Web Speech (Firefox, many webviews) still work
+
+const STT_PROVIDERS = {
+    WEB_SPEECH: 'web-speech',
+    MCP_ELEVENLABS: 'mcp-elevenlabs',
+    WHISPER: 'whisper'
+};
+
+// Browser SpeechRecognition; the client drives the recognizer itself
+class WebSpeechBackend {
+    constructor() {
+        this.name = STT_PROVIDERS.WEB_SPEECH;
+        this.live = true;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window);
+    }
+
+    isAvailable() {
+        return WebSpeechBackend.isSupported();
+    }
+}
+
+// Recognizer errors meaning the recognition service itself is out of reach (offline, blocked)
+WebSpeechBackend.SERVICE_ERRORS = ['network', 'service-not-allowed', 'language-not-supported'];
+
+// ElevenLabs speech-to-text through the ElevenLabs MCP server
+class ElevenLabsMCPSpeechBackend {
+    constructor(mcpService, config) {
+        this.name = STT_PROVIDERS.MCP_ELEVENLABS;
+        this.live = false;
+        this.mcpService = mcpService;
+        this.modelId = config.ELEVENLABS_MODEL;
+    }
+
+    isAvailable() {
+        if (!this.mcpService || !window.MCPhonyConfig.MCP.ENABLED) return false;
+
+        return this.mcpService.isRoleConnected(MCP_ROLES.TTS);
+    }
+
+    // Aborting signal cancels the MCP request, so a timed-out call stops before the next backend starts
+    async transcribe(audioBlob, language, signal) {
+        const result = await this.mcpService.elevenLabsSpeechToText(audioBlob, language, this.modelId, signal);
+        return {
+            transcript: (result.text || '').trim(),
+            confidence: result.language_probability || 0,
+            language: result.language_code || language
+        };
+    }
+}
+
+// OpenAI-compatible /audio/transcriptions endpoint (hosted Whisper or a local server)
+class WhisperSpeechBackend {
+    constructor(config) {
+        this.name = STT_PROVIDERS.WHISPER;
+        this.live = false;
+        this.url = config.WHISPER.URL;
+        this.model = config.WHISPER.MODEL;
+        this.apiKey = config.WHISPER.API_KEY;
+    }
+
+    // Only once an endpoint has been configured
+    isAvailable() {
+        return !!this.url;
+    }
+
+    async transcribe(audioBlob, language, signal) {
+        const mimeType = (audioBlob.type || 'audio/webm').split(';')[0];
+        const formData = new FormData();
+        formData.append('file', audioBlob, `recording.${mimeType.split('/')[1]}`);
+        formData.append('model', this.model);
+        formData.append('response_format', 'verbose_json');
+        if (language) {
+            formData.append('language', language);
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body: formData,
+            signal: signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Whisper transcription failed: ${response.status} ${response.statusText}`);
+        }
+
+        // verbose_json adds the detected language; plain servers may still answer { text }
+        const result = await response.json();
+        return {
+            transcript: (result.text || '').trim(),
+            confidence: 0,
+            language: WhisperSpeechBackend.toLanguageCode(result.language) || language
+        };
+    }
+
+    // Whisper reports languages by name ('english'); the app uses ISO codes
+    static toLanguageCode(language) {
+        if (!language) return null;
+        if (language.length <= 3) return language.toLowerCase();
+
+        const names = {
+            english: 'en', spanish: 'es', french: 'fr', german: 'de', italian: 'it', portuguese: 'pt',
+            russian: 'ru', chinese: 'zh', japanese: 'ja', korean: 'ko', arabic: 'ar', hindi: 'hi'
+        };
+        return names[language.toLowerCase()] || null;
+    }
+}
+
+class SpeechToText {
+    constructor(mcpService = null) {
+        this.config = window.MCPhonyConfig.STT;
+        this.backends = this.config.PROVIDERS.map(name => this.createBackend(name, mcpService));
+    }
+
+    createBackend(name, mcpService) {
+        switch (name) {
+            case STT_PROVIDERS.WEB_SPEECH:
+                return new WebSpeechBackend();
+            case STT_PROVIDERS.MCP_ELEVENLABS:
+                return new ElevenLabsMCPSpeechBackend(mcpService, this.config);
+            case STT_PROVIDERS.WHISPER:
+                return new WhisperSpeechBackend(this.config);
+            default:
+                throw new Error(`Unknown speech-to-text provider: ${name}`);
+        }
+    }
+
+    // True when the preferred available backend recognizes live (Web Speech)
+    usesLiveRecognition() {
+        const backend = this.backends.find(candidate => candidate.isAvailable());
+        return !!backend && backend.live;
+    }
+
+    hasRecordingBackend() {
+        return this.backends.some(backend => !backend.live && backend.isAvailable());
+    }
+
+    // Transcribe a recording with the first recording backend that succeeds.
+    // Returns { transcript, confidence, language, provider }; language null means auto-detect.
+    async transcribe(audioBlob, language = null) {
+        const errors = [];
+
+        for (const backend of this.backends) {
+            if (backend.live || !backend.isAvailable()) continue;
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.config.TIMEOUT);
+
+            try {
+                const result = await backend.transcribe(audioBlob, language, controller.signal);
+                console.log(`📝 Transcribed with ${backend.name}`);
+                return { ...result, provider: backend.name };
+            } catch (error) {
+                console.warn(`⚠️ ${backend.name} transcription failed:`, error);
+                errors.push(`${backend.name}: ${error.message}`);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        throw new Error(errors.length > 0
+            ? `All speech-to-text backends failed (${errors.join('; ')})`
+            : 'No speech-to-text backend is available');
+    }
+}
+
+// Export for use in other modules
+window.STT_PROVIDERS = STT_PROVIDERS;
+window.WebSpeechBackend = WebSpeechBackend;
+window.ElevenLabsMCPSpeechBackend = ElevenLabsMCPSpeechBackend;
+window.WhisperSpeechBackend = WhisperSpeechBackend;
+window.SpeechToText = SpeechToText;
@@ -0,0 +1,149 @@
+// Streaming Audio Player - Progressive playback of chunked audio through MediaSource
+// Playback begins as soon as the first chunk is buffered instead of after the whole file arrives
+
+class StreamingAudioPlayer {
+    constructor(mimeType = 'audio/mpeg', onStart = null) {
+        this.mimeType = mimeType;
+        this.onStart = onStart || (() => {});
+        this.queue = [];
+        this.mediaSource = null;
+        this.sourceBuffer = null;
+        this.audio = null;
+        this.url = null;
+        this.hasStarted = false;
+        this.isEnded = false;
+        this.isStopped = false;
+        this.finished = null;
+    }
+
+    static isSupported(mimeType = 'audio/mpeg') {
+        return typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported(mimeType);
+    }
+
+    // Resolves when playback ends or is stopped; rejects if the audio pipeline fails
+    start() {
+        this.finished = new Promise((resolve, reject) => {
+            this.resolveFinished = resolve;
+            this.rejectFinished = reject;
+        });
+
+        this.mediaSource = new MediaSource();
+        this.url = URL.createObjectURL(this.mediaSource);
+        this.audio = new Audio(this.url);
+
+        this.audio.onended = () => this.complete();
+        this.audio.onerror = () => this.fail(new Error('Streaming audio playback failed'));
+
+        this.mediaSource.addEventListener('sourceopen', () => {
+            try {
+                this.sourceBuffer = this.mediaSource.addSourceBuffer(this.mimeType);
+                // Chunks are appended back to back regardless of their timestamps
+                this.sourceBuffer.mode = 'sequence';
+                this.sourceBuffer.addEventListener('updateend', () => this.flush());
+                this.flush();
+            } catch (error) {
+                this.fail(error);
+            }
+        }, { once: true });
+
+        return this.finished;
+    }
+
+    append(chunk) {
+        if (this.isStopped) return;
+
+        this.queue.push(chunk);
+        this.flush();
+    }
+
+    // No more chunks will arrive
+    end() {
+        this.isEnded = true;
+        this.flush();
+    }
+
+    // SourceBuffer accepts one append at a time, so queued chunks go in on each updateend
+    flush() {
+        if (this.isStopped || !this.sourceBuffer || this.sourceBuffer.updating) return;
+
+        if (this.queue.length > 0) {
+            try {
+                this.sourceBuffer.appendBuffer(this.queue.shift());
+            } catch (error) {
+                this.fail(error);
+                return;
+            }
+
+            if (!this.hasStarted) {
+                this.hasStarted = true;
+                this.audio.play()
+                    .then(() => this.onStart())
+                    .catch(error => this.fail(error));
+            }
+            return;
+        }
+
+        if (this.isEnded) {
+            if (!this.hasStarted) {
+                // The stream finished without any audio
+                this.complete();
+            } else if (this.mediaSource.readyState === 'open') {
+                this.mediaSource.endOfStream();
+            }
+        }
+    }
+
+    stop() {
+        if (this.isStopped) return;
+
+        this.isStopped = true;
+        this.cleanup();
+        if (this.resolveFinished) {
+            this.resolveFinished();
+        }
+    }
+
+    complete() {
+        if (this.isStopped) return;
+
+        this.isStopped = true;
+        this.cleanup();
+        this.resolveFinished();
+    }
+
+    fail(error) {
+        if (this.isStopped) return;
+
+        this.isStopped = true;
+        this.cleanup();
+        this.rejectFinished(error);
+    }
+
+    cleanup() {
+        this.queue = [];
+
+        if (this.audio) {
+            this.audio.onended = null;
+            this.audio.onerror = null;
+            this.audio.pause();
+            this.audio.removeAttribute('src');
+            this.audio.load();
+        }
+
+        if (this.mediaSource && this.mediaSource.readyState === 'open') {
+            try {
+                this.mediaSource.endOfStream();
+            } catch (error) {
+                // Already detached from the audio element
+            }
+        }
+
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.StreamingAudioPlayer = StreamingAudioPlayer;
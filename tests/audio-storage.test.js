@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+const { startHttpMock } = require('./helpers/http-mock');
+const { installStubWebSocket, startStubServer, stopStubServer } = require('./helpers/mcp-stub');
+
+silenceConsole();
+installStubWebSocket();
+resetConfig();
+loadScripts('mcp-integration.js', 'audio-storage.js');
+
+const STORAGE_URL = 'ws://storage.test';
+
+let storageApi = null;
+let uploadReply = null;         // What a PUT answers in the current test
+let presignedPublicUrl = true;  // Whether the presign endpoint also returns the public URL
+
+test.before(async () => {
+    storageApi = await startHttpMock((request) => {
+        if (request.method === 'POST' && request.path === '/presign') {
+            const { key } = JSON.parse(request.body);
+            return { body: { uploadUrl: `${storageApi.url}/bucket/${key}?signature=abc`, publicUrl: presignedPublicUrl ? `https://cdn.test/${key}` : undefined } };
+        }
+        if (request.method === 'PUT') {
+            return uploadReply;
+        }
+        return { status: 404 };
+    });
+});
+
+test.after(() => storageApi.close());
+
+test.beforeEach(() => {
+    storageApi.requests.length = 0;
+    uploadReply = { status: 201 };
+    presignedPublicUrl = true;
+});
+
+function recording(size = 10, type = 'audio/webm;codecs=opus') {
+    return new Blob([Buffer.alloc(size, 1)], { type });
+}
+
+function createStorage(backend, settings) {
+    const config = resetConfig();
+    config.STORAGE.BACKEND = backend;
+    config.STORAGE[backend.toUpperCase()] = { ...config.STORAGE[backend.toUpperCase()], ...settings };
+    return new AudioStorageService();
+}
+
+test('a recording over MAX_AUDIO_SIZE is rejected before anything is uploaded', async () => {
+    const storage = createStorage('http', { UPLOAD_URL: `${storageApi.url}/audio` });
+    storage.maxSize = 100;
+
+    await assert.rejects(storage.uploadRecording(recording(101), { userId: 'user_1' }), (error) => {
+        assert.ok(error instanceof AudioTooLargeError);
+        assert.equal(error.size, 101);
+        assert.equal(error.maxSize, 100);
+        return true;
+    });
+    assert.equal(storageApi.requests.length, 0);
+
+    const upload = await storage.uploadRecording(recording(100), { userId: 'user_1', durationMs: 1500 });
+    assert.equal(upload.size, 100);
+    assert.equal(upload.durationMs, 1500);
+    assert.equal(upload.contentType, 'audio/webm;codecs=opus');
+});
+
+test('the HTTP backend PUTs the recording under a per-user key', async () => {
+    const storage = createStorage('http', { UPLOAD_URL: `${storageApi.url}/audio/`, HEADERS: { Authorization: 'Bearer token' } });
+
+    const upload = await storage.uploadRecording(recording(), { userId: 'user 1' });
+
+    const [request] = storageApi.requests;
+    assert.equal(request.method, 'PUT');
+    assert.match(request.path, /^\/audio\/voice-messages\/user%201\/\d+-\w+\.webm$/);
+    assert.equal(request.headers['content-type'], 'audio/webm;codecs=opus');
+    assert.equal(request.headers.authorization, 'Bearer token');
+    assert.equal(request.body.length, 10);
+    assert.equal(upload.url, `${storageApi.url}${request.path}`);
+});
+
+test('the HTTP backend prefers the URL the server answers with', async () => {
+    const storage = createStorage('http', { UPLOAD_URL: `${storageApi.url}/audio` });
+
+    uploadReply = { status: 201, body: { url: 'https://cdn.test/a.webm' } };
+    assert.equal((await storage.uploadRecording(recording(), { userId: 'user_1' })).url, 'https://cdn.test/a.webm');
+
+    uploadReply = { status: 201, headers: { Location: 'https://cdn.test/b.webm' } };
+    assert.equal((await storage.uploadRecording(recording(), { userId: 'user_1' })).url, 'https://cdn.test/b.webm');
+
+    uploadReply = { status: 503 };
+    await assert.rejects(storage.uploadRecording(recording(), { userId: 'user_1' }), /Audio upload failed: 503/);
+});
+
+test('the S3 backend presigns the key, then PUTs to the presigned URL', async () => {
+    const storage = createStorage('s3', { PRESIGN_URL: `${storageApi.url}/presign`, PUBLIC_BASE_URL: 'https://bucket.test/' });
+
+    const upload = await storage.uploadRecording(recording(10, 'audio/mp4'), { userId: 'user_1' });
+
+    const [presign, put] = storageApi.requests;
+    const presignBody = JSON.parse(presign.body);
+    assert.match(presignBody.key, /^voice-messages\/user_1\/\d+-\w+\.m4a$/);
+    assert.equal(presignBody.contentType, 'audio/mp4');
+    assert.equal(presignBody.size, 10);
+    assert.equal(put.method, 'PUT');
+    assert.equal(put.path, `/bucket/${presignBody.key}?signature=abc`);
+    assert.equal(put.headers['content-type'], 'audio/mp4');
+    assert.equal(upload.url, `https://cdn.test/${presignBody.key}`);
+
+    presignedPublicUrl = false;
+    const fallback = await storage.uploadRecording(recording(10, 'audio/mp4'), { userId: 'user_1' });
+    assert.match(fallback.url, /^https:\/\/bucket\.test\/voice-messages\/user_1\/\d+-\w+\.m4a$/);
+});
+
+test('the S3 backend fails without a presign endpoint or when the PUT is refused', async () => {
+    const unconfigured = createStorage('s3', { PRESIGN_URL: '' });
+    await assert.rejects(unconfigured.uploadRecording(recording(), { userId: 'user_1' }), /requires STORAGE\.S3\.PRESIGN_URL/);
+    assert.equal(storageApi.requests.length, 0);
+
+    const storage = createStorage('s3', { PRESIGN_URL: `${storageApi.url}/presign` });
+    uploadReply = { status: 403 };
+    await assert.rejects(storage.uploadRecording(recording(), { userId: 'user_1' }), /Audio upload failed: 403/);
+});
+
+test('an unknown backend is reported when the service is created', () => {
+    assert.throws(() => createStorage('ftp', {}), /Unknown audio storage backend: ftp/);
+});
+
+test('a connected storage MCP server takes the upload instead of STORAGE.BACKEND', async () => {
+    const uploads = [];
+    startStubServer(STORAGE_URL, {
+        tools: {
+            upload_audio: (args) => {
+                uploads.push(args);
+                return { url: `https://mcp-storage.test/${args.key}` };
+            }
+        }
+    });
+    const config = resetConfig();
+    config.STORAGE.HTTP = { ...config.STORAGE.HTTP, UPLOAD_URL: `${storageApi.url}/audio` };
+    config.MCP.SERVERS = [{ NAME: 'storage', LABEL: 'Storage', URL: STORAGE_URL, AUTH_TOKEN: '', ROLE: 'storage', PRIORITY: 1 }];
+    const mcpService = new MCPIntegrationService();
+    const storage = new AudioStorageService(config.STORAGE, mcpService);
+
+    try {
+        const direct = await storage.uploadRecording(recording(), { userId: 'user_1' });
+        assert.match(direct.url, new RegExp(`^${storageApi.url}/audio/`));
+        assert.equal(storageApi.requests.length, 1);
+
+        await mcpService.initialize([MCP_ROLES.STORAGE]);
+        const upload = await storage.uploadRecording(recording(), { userId: 'user_1' });
+
+        assert.equal(storageApi.requests.length, 1);
+        assert.equal(uploads.length, 1);
+        assert.match(uploads[0].key, /^voice-messages\/user_1\/\d+-\w+\.webm$/);
+        assert.equal(uploads[0].mime_type, 'audio/webm;codecs=opus');
+        assert.equal(Buffer.from(uploads[0].data, 'base64').length, 10);
+        assert.equal(upload.url, `https://mcp-storage.test/${uploads[0].key}`);
+    } finally {
+        stopStubServer(STORAGE_URL);
+    }
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, silenceConsole, FakeElement } = require('./helpers/browser-env');
+
+silenceConsole();
+loadScripts('conversation-history.js');
+
+// A store whose getThread calls wait until the test answers them
+function createDeferredStore() {
+    const pending = [];
+    return {
+        pending,
+        getThread(userId, friendId, options) {
+            return new Promise(resolve => pending.push({ options, resolve }));
+        }
+    };
+}
+
+function createHistory(store) {
+    const elements = {
+        panel: new FakeElement(),
+        title: new FakeElement(),
+        list: new FakeElement(),
+        search: new FakeElement('input'),
+        loadMore: new FakeElement('button')
+    };
+    return { history: new ConversationHistory(store, elements), elements };
+}
+
+function message(id, text) {
+    return { id, sender_id: 'me', recipient_id: 'friend', original_text: text, translated_text: text, created_at: '2025-01-01T00:00:00Z' };
+}
+
+function renderedTexts(list) {
+    return list.children.map(item => item.children[0].textContent);
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('a search during a load replaces the stale page instead of being dropped', async () => {
+    const store = createDeferredStore();
+    const { history, elements } = createHistory(store);
+
+    const opening = history.open('me', 'friend');
+    await flush();
+    const searching = history.search('hello');
+    await flush();
+
+    assert.equal(store.pending.length, 2);
+    assert.equal(store.pending[1].options.search, 'hello');
+
+    // The unfiltered page answers last and must not end up in the list
+    store.pending[1].resolve({ messages: [message(2, 'hello there')], nextCursor: null });
+    store.pending[0].resolve({ messages: [message(3, 'unrelated'), message(2, 'hello there')], nextCursor: { createdAt: 'x', id: 2 } });
+    await Promise.all([opening, searching]);
+
+    assert.deepEqual(renderedTexts(elements.list), ['hello there']);
+    assert.equal(history.nextCursor, null);
+    assert.equal(elements.loadMore.style.display, 'none');
+});
+
+test('load more is ignored while a page for the same view is loading', async () => {
+    const store = createDeferredStore();
+    const { history, elements } = createHistory(store);
+
+    const opening = history.open('me', 'friend');
+    await flush();
+    store.pending[0].resolve({ messages: [message(5, 'newest')], nextCursor: { createdAt: 'x', id: 5 } });
+    await opening;
+
+    const first = history.loadMore();
+    const second = history.loadMore();
+    await flush();
+    assert.equal(store.pending.length, 2);
+
+    store.pending[1].resolve({ messages: [message(4, 'older')], nextCursor: null });
+    await Promise.all([first, second]);
+
+    assert.deepEqual(renderedTexts(elements.list), ['older', 'newest']);
+});
+
+test('LocalConversationStore threads survive a reload of the store', async () => {
+    const store = new LocalConversationStore('test_history');
+    store.addMessage({ senderId: 'VOICE-A', recipientId: 'VOICE-B', originalText: 'hi', translatedText: 'hallo', languageFrom: 'en', languageTo: 'de' });
+
+    const reloaded = new LocalConversationStore('test_history');
+    const thread = await reloaded.getThread('VOICE-A', 'VOICE-B');
+
+    assert.deepEqual(thread.messages.map(row => row.original_text), ['hi']);
+});
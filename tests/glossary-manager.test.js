@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+
+silenceConsole();
+resetConfig();
+loadScripts('translation-cache.js', 'deepl-service.js', 'glossary-manager.js');
+
+// DeepLService stand-in holding glossaries in memory; failOn names a method that should throw
+function createDeepL() {
+    const deepL = {
+        glossaries: new Map([['gloss-1', { glossary_id: 'gloss-1', name: 'Product', source_lang: 'en', target_lang: 'de', entries: 'device\tGerät\nscreen\tBildschirm' }]]),
+        nextId: 2,
+        calls: [],
+        failOn: null,
+        toGlossaryLang: DeepLService.prototype.toGlossaryLang,
+        toSourceLang: DeepLService.prototype.toSourceLang,
+
+        record(method) {
+            deepL.calls.push(method);
+            if (deepL.failOn === method) {
+                throw new Error(`DeepL ${method} failed`);
+            }
+        },
+        async getGlossaryLanguagePairs() {
+            deepL.record('pairs');
+            return [{ source_lang: 'en', target_lang: 'de' }, { source_lang: 'de', target_lang: 'en' }];
+        },
+        async getGlossaries() {
+            deepL.record('list');
+            return { glossaries: [...deepL.glossaries.values()].map(({ entries, ...glossary }) => glossary) };
+        },
+        async getGlossary(glossaryId) {
+            deepL.record('get');
+            const { entries, ...glossary } = deepL.glossaries.get(glossaryId);
+            return glossary;
+        },
+        async getGlossaryEntries(glossaryId) {
+            deepL.record('entries');
+            return deepL.glossaries.get(glossaryId).entries;
+        },
+        async createGlossary(name, sourceLang, targetLang, entries, format) {
+            deepL.record('create');
+            assert.equal(format, 'tsv');
+            const glossary = { glossary_id: `gloss-${deepL.nextId++}`, name, source_lang: sourceLang, target_lang: targetLang, entries };
+            deepL.glossaries.set(glossary.glossary_id, glossary);
+            return { glossary_id: glossary.glossary_id, name };
+        },
+        async deleteGlossary(glossaryId) {
+            deepL.record('delete');
+            deepL.glossaries.delete(glossaryId);
+        }
+    };
+    return deepL;
+}
+
+async function createManager() {
+    localStorage.clear();
+    const deepL = createDeepL();
+    const cache = new TranslationCache({ MAX_ENTRIES: 10, TTL: 60000, DB_NAME: 'test-glossaries' });
+    const manager = new GlossaryManager(deepL, cache);
+    await manager.list();
+    manager.selectForConversation('user_2', 'gloss-1');
+    manager.selectForConversation('user_3', 'gloss-1');
+    await cache.set(TranslationCache.keyParams('device', 'DE', 'EN', { glossaryId: 'gloss-1' }), { translatedText: 'Gerät' });
+    await cache.set(TranslationCache.keyParams('device', 'DE', 'EN'), { translatedText: 'Gerät' });
+    return { manager, deepL, cache };
+}
+
+test('TSV and CSV entries survive a format and parse round trip', () => {
+    const entries = [['device', 'Gerät'], ['say "hi"', 'sag "hallo"'], ['a, b', 'a, b'], ['line', 'Zeile']];
+
+    const csv = GlossaryManager.formatEntries(entries, 'csv');
+    assert.equal(csv.split('\n')[1], '"say ""hi""","sag ""hallo"""');
+    assert.deepEqual(GlossaryManager.parseEntries(csv, 'csv'), entries);
+
+    const tsv = GlossaryManager.formatEntries(entries, 'tsv');
+    assert.equal(tsv.split('\n')[0], 'device\tGerät');
+    assert.deepEqual(GlossaryManager.parseEntries(tsv, 'tsv'), entries);
+
+    // CRLF, blank lines and stray spaces around terms are tolerated
+    assert.deepEqual(GlossaryManager.parseEntries(' device \t Gerät \r\n\r\nscreen\tBildschirm\r\n', 'tsv'), [['device', 'Gerät'], ['screen', 'Bildschirm']]);
+    assert.deepEqual(GlossaryManager.parseEntries('device,Gerät\r\n"multi\nline",x\r\n', 'csv'), [['device', 'Gerät'], ['multi\nline', 'x']]);
+});
+
+test('malformed rows and invalid entries are rejected', () => {
+    assert.throws(() => GlossaryManager.parseEntries('device\tGerät\nscreen', 'tsv'), /Line 2: expected 2 columns, found 1/);
+    assert.throws(() => GlossaryManager.parseEntries('a,b,c', 'csv'), /Line 1: expected 2 columns, found 3/);
+
+    assert.throws(() => GlossaryManager.validateEntries([]), /at least one entry/);
+    assert.throws(() => GlossaryManager.validateEntries([['device', '']]), /Entry 1: source and target must not be empty/);
+    assert.throws(() => GlossaryManager.validateEntries([['device', 'Gerät'], ['multi\nline', 'x']]), /Entry 2: terms must not contain tabs or line breaks/);
+    assert.throws(() => GlossaryManager.validateEntries([['device', 'Gerät'], ['device', 'Apparat']]), /Entry 2: duplicate source term "device"/);
+    assert.doesNotThrow(() => GlossaryManager.validateEntries([['device', 'Gerät'], ['Device', 'Gerät']]));
+});
+
+test('create refuses a nameless glossary, invalid entries and unsupported language pairs before calling DeepL', async () => {
+    const { manager, deepL } = await createManager();
+    deepL.calls.length = 0;
+
+    await assert.rejects(manager.create('  ', 'en', 'de', [['a', 'b']]), /Glossary name is required/);
+    await assert.rejects(manager.create('Dup', 'en', 'de', [['a', 'b'], ['a', 'c']]), /duplicate source term/);
+    await assert.rejects(manager.create('French', 'en', 'fr', [['a', 'b']]), /DeepL does not support glossaries from en to fr/);
+    assert.deepEqual(deepL.calls, ['pairs']);
+});
+
+test('update re-creates the glossary, moves conversations to it, deletes the old one and drops its cached translations', async () => {
+    const { manager, deepL, cache } = await createManager();
+
+    const replacement = await manager.update('gloss-1', { entries: [['device', 'Endgerät']] });
+
+    assert.equal(replacement.glossary_id, 'gloss-2');
+    assert.equal(replacement.name, 'Product');
+    assert.equal(deepL.glossaries.get('gloss-2').entries, 'device\tEndgerät');
+    assert.equal(deepL.glossaries.get('gloss-2').source_lang, 'en');
+    assert.equal(deepL.glossaries.has('gloss-1'), false);
+    assert.deepEqual(deepL.calls.slice(deepL.calls.indexOf('get')), ['get', 'pairs', 'create', 'list', 'delete', 'list']);
+
+    assert.equal(manager.getSelection('user_2'), 'gloss-2');
+    assert.equal(manager.getSelection('user_3'), 'gloss-2');
+    assert.deepEqual(JSON.parse(localStorage.getItem('mcphony_glossary_selection')), { user_2: 'gloss-2', user_3: 'gloss-2' });
+    assert.deepEqual(manager.glossaries.map(glossary => glossary.glossary_id), ['gloss-2']);
+
+    assert.equal(await cache.get(TranslationCache.keyParams('device', 'DE', 'EN', { glossaryId: 'gloss-1' })), null);
+    assert.ok(await cache.get(TranslationCache.keyParams('device', 'DE', 'EN')));
+
+    // A rename alone keeps the current entries
+    const renamed = await manager.update('gloss-2', { name: 'Hardware' });
+    assert.equal(deepL.glossaries.get(renamed.glossary_id).entries, 'device\tEndgerät');
+    assert.equal(renamed.name, 'Hardware');
+});
+
+test('an update that fails to create leaves the old glossary, selections and cache untouched', async () => {
+    const { manager, deepL, cache } = await createManager();
+    deepL.failOn = 'create';
+
+    await assert.rejects(manager.update('gloss-1', { entries: [['device', 'Endgerät']] }), /DeepL create failed/);
+
+    assert.deepEqual([...deepL.glossaries.keys()], ['gloss-1']);
+    assert.equal(manager.getSelection('user_2'), 'gloss-1');
+    assert.ok(await cache.get(TranslationCache.keyParams('device', 'DE', 'EN', { glossaryId: 'gloss-1' })));
+
+    // Invalid entries fail before anything is sent
+    deepL.failOn = null;
+    deepL.calls.length = 0;
+    await assert.rejects(manager.update('gloss-1', { entries: [['device', '']] }), /must not be empty/);
+    assert.deepEqual(deepL.calls, ['get']);
+});
+
+test('an update whose old glossary cannot be deleted still switches to the replacement', async () => {
+    const { manager, deepL, cache } = await createManager();
+    deepL.failOn = 'delete';
+
+    const replacement = await manager.update('gloss-1', { entries: [['device', 'Endgerät']] });
+
+    assert.deepEqual([...deepL.glossaries.keys()], ['gloss-1', 'gloss-2']);
+    assert.equal(manager.getSelection('user_2'), replacement.glossary_id);
+    assert.equal(manager.getSelection('user_3'), replacement.glossary_id);
+    // The old glossary's translations stay cached only because the glossary itself still exists
+    assert.ok(await cache.get(TranslationCache.keyParams('device', 'DE', 'EN', { glossaryId: 'gloss-1' })));
+
+    // A plain delete failing is reported and changes nothing
+    manager.selectForConversation('user_4', 'gloss-1');
+    await assert.rejects(manager.delete('gloss-1'), /DeepL delete failed/);
+    assert.equal(manager.getSelection('user_4'), 'gloss-1');
+});
+
+test('a glossary only applies to translations into its target language, from its source language', async () => {
+    const { manager } = await createManager();
+
+    assert.deepEqual(manager.getTranslationOptions('user_2', 'de-DE'), { sourceLang: 'EN', options: { glossaryId: 'gloss-1' } });
+    assert.deepEqual(manager.getTranslationOptions('user_2', 'de', 'en-US'), { sourceLang: 'EN', options: { glossaryId: 'gloss-1' } });
+    assert.deepEqual(manager.getTranslationOptions('user_2', 'fr'), { sourceLang: null, options: {} });
+    assert.deepEqual(manager.getTranslationOptions('user_2', 'de', 'es'), { sourceLang: null, options: {} });
+    assert.deepEqual(manager.getTranslationOptions('user_9', 'de'), { sourceLang: null, options: {} });
+});
@@ -0,0 +1,225 @@
+// Browser Environment - Just enough of `window` to run the app's scripts under node:test
+// Scripts are evaluated like <script> tags: top-level classes and consts are shared globals
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const loaded = new Set();
+
+globalThis.window = globalThis;
+
+const windowEvents = new EventTarget();
+window.addEventListener = windowEvents.addEventListener.bind(windowEvents);
+window.removeEventListener = windowEvents.removeEventListener.bind(windowEvents);
+window.dispatchEvent = windowEvents.dispatchEvent.bind(windowEvents);
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+window.localStorage = new MemoryStorage();
+
+// Elements are created on first lookup, so app code that updates the UI runs without markup
+class FakeElement extends EventTarget {
+    constructor(tagName = 'div') {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.style = {};
+        this.dataset = {};
+        this.children = [];
+        this.textContent = '';
+        this.html = '';
+        this.value = '';
+        this.disabled = false;
+        this.className = '';
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            toggle: (name, force) => {
+                const on = force === undefined ? !classes.has(name) : force;
+                if (on) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return on;
+            },
+            contains: (name) => classes.has(name)
+        };
+    }
+
+    // Assigning markup replaces the children, which is all the app uses it for
+    get innerHTML() {
+        return this.html;
+    }
+
+    set innerHTML(value) {
+        this.html = value;
+        this.children = [];
+    }
+
+    get firstChild() {
+        return this.children[0] || null;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    // Fragments insert their children, as in the DOM
+    insertBefore(child, reference) {
+        const nodes = child.tagName === '#DOCUMENT-FRAGMENT' ? child.children.splice(0) : [child];
+        const index = reference ? this.children.indexOf(reference) : -1;
+        this.children.splice(index === -1 ? this.children.length : index, 0, ...nodes);
+        return child;
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    setAttribute(name, value) {
+        this[name] = String(value);
+    }
+}
+
+const elements = new Map();
+window.document = {
+    addEventListener() {},
+    removeEventListener() {},
+    getElementById(id) {
+        if (!elements.has(id)) {
+            elements.set(id, new FakeElement());
+        }
+        return elements.get(id);
+    },
+    createElement: (tagName) => new FakeElement(tagName),
+    createDocumentFragment: () => new FakeElement('#document-fragment'),
+    querySelector: () => null,
+    querySelectorAll: () => []
+};
+
+// <audio> that finishes right after play(); with FakeAudio.autoEnd = false it plays until paused
+class FakeAudio {
+    constructor(src = '') {
+        this.src = src;
+        this.paused = true;
+        this.ended = false;
+        FakeAudio.instances.push(this);
+    }
+
+    play() {
+        this.paused = false;
+        if (FakeAudio.autoEnd) {
+            setTimeout(() => {
+                this.ended = true;
+                this.paused = true;
+                if (this.onended) {
+                    this.onended();
+                }
+            }, 5);
+        }
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    removeAttribute(name) {
+        this[name] = '';
+    }
+
+    load() {}
+}
+
+FakeAudio.instances = [];
+FakeAudio.autoEnd = true;
+
+// speechSynthesis that "speaks" each utterance after a tick
+const fakeSpeechSynthesis = {
+    spoken: [],
+    speaking: false,
+    current: null,
+    getVoices: () => [],
+    speak(utterance) {
+        this.spoken.push(utterance.text);
+        this.speaking = true;
+        this.current = utterance;
+        setTimeout(() => {
+            if (this.current !== utterance) return;
+            this.speaking = false;
+            this.current = null;
+            utterance.onend();
+        }, 5);
+    },
+    cancel() {
+        const utterance = this.current;
+        this.speaking = false;
+        this.current = null;
+        if (utterance) {
+            utterance.onerror({ error: 'canceled' });
+        }
+    }
+};
+
+function installAudioFakes() {
+    window.Audio = FakeAudio;
+    window.speechSynthesis = fakeSpeechSynthesis;
+    window.SpeechSynthesisUtterance = class {
+        constructor(text) {
+            this.text = text;
+        }
+    };
+    return { FakeAudio, speechSynthesis: fakeSpeechSynthesis };
+}
+
+// Each script runs once per test process, in the order given
+function loadScripts(...files) {
+    for (const file of files) {
+        if (loaded.has(file)) continue;
+
+        const filename = path.join(ROOT, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+        loaded.add(file);
+    }
+}
+
+// A fresh copy of config.js, so a test can change settings without leaking into the next one
+function resetConfig() {
+    const filename = path.join(ROOT, 'config.js');
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    return window.MCPhonyConfig;
+}
+
+// The app logs every MCP message and provider choice; keep test output readable
+function silenceConsole() {
+    console.log = console.info = console.warn = console.error = () => {};
+}
+
+module.exports = { loadScripts, resetConfig, silenceConsole, installAudioFakes, MemoryStorage, FakeElement, FakeAudio };
@@ -0,0 +1,45 @@
+// HTTP Mock - A local HTTP server standing in for a REST API (ElevenLabs, DeepL) in tests
+// The handler sees { method, path, headers, body } and returns { status, headers, body }
+
+const http = require('http');
+
+async function startHttpMock(handler) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const request = {
+                method: req.method,
+                path: req.url,
+                headers: req.headers,
+                body: Buffer.concat(chunks).toString('utf8')
+            };
+            requests.push(request);
+
+            const reply = (await handler(request)) || { status: 404 };
+            const body = reply.body === undefined ? '' : reply.body;
+            const isJson = typeof body === 'object' && !Buffer.isBuffer(body);
+
+            res.writeHead(reply.status || 200, {
+                'Content-Type': isJson ? 'application/json' : 'application/octet-stream',
+                ...(reply.headers || {})
+            });
+            res.end(isJson ? JSON.stringify(body) : body);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { startHttpMock };
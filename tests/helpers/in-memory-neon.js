@@ -0,0 +1,153 @@
+// In-Memory Neon - Stand-in for the Neon MCP run_sql tools, for VoiceChatDatabase tests
+// Understands exactly the statements VoiceChatDatabase issues, reading values only from the typed
+// bind parameters; an unknown statement fails loudly so new queries must be taught here first
+
+class InMemoryNeon {
+    constructor() {
+        this.tables = { voice_users: [], friend_connections: [], voice_messages: [] };
+        this.statements = []; // Every { sql, params } received, in order
+        this.nextId = 1;
+        this.clock = Date.parse('2025-01-01T00:00:00Z');
+        this.failOn = null;   // Regex; a matching statement throws, to test rollback
+    }
+
+    // Same signature as VoiceChatNetwork.mcpQuery
+    async mcpQuery(toolName, args) {
+        switch (toolName) {
+            case 'run_sql':
+                return { rows: this.execute(args.params.sql, args.params.params) };
+            case 'run_sql_transaction': {
+                const snapshot = JSON.stringify(this.tables);
+                try {
+                    const results = args.params.sqlStatements.map(statement => this.execute(statement.sql, statement.params));
+                    return { results };
+                } catch (error) {
+                    this.tables = JSON.parse(snapshot);
+                    throw error;
+                }
+            }
+            default:
+                throw new Error(`InMemoryNeon does not implement ${toolName}`);
+        }
+    }
+
+    now() {
+        this.clock += 1000;
+        return new Date(this.clock).toISOString();
+    }
+
+    execute(sql, params) {
+        this.statements.push({ sql, params });
+        if (this.failOn && this.failOn.test(sql)) {
+            throw new Error('Simulated statement failure');
+        }
+
+        const values = params.map(InMemoryNeon.decode);
+        const arg = (n) => values[n - 1];
+        const normalized = sql.replace(/\s+/g, ' ').trim();
+
+        if (/^INSERT INTO voice_users/.test(normalized)) {
+            const existing = this.tables.voice_users.find(user => user.id === arg(1));
+            if (existing) {
+                existing.last_active = this.now();
+            } else {
+                const now = this.now();
+                this.tables.voice_users.push({ id: arg(1), username: arg(2), created_at: now, last_active: now, voice_signature: null });
+            }
+            return [];
+        }
+
+        if (/^SELECT .* FROM voice_users WHERE id = \$1$/.test(normalized)) {
+            return this.tables.voice_users.filter(user => user.id === arg(1));
+        }
+
+        if (/^UPDATE voice_users SET voice_signature = \$2::jsonb WHERE id = \$1$/.test(normalized)) {
+            this.tables.voice_users.filter(user => user.id === arg(1)).forEach(user => { user.voice_signature = arg(2); });
+            return [];
+        }
+
+        if (/^INSERT INTO friend_connections/.test(normalized)) {
+            const existing = this.tables.friend_connections.find(row => row.user1_id === arg(1) && row.user2_id === arg(2));
+            if (existing) {
+                existing.status = arg(3);
+            } else {
+                this.tables.friend_connections.push({ id: this.nextId++, user1_id: arg(1), user2_id: arg(2), status: arg(3), created_at: this.now() });
+            }
+            return [];
+        }
+
+        if (/^SELECT .* FROM friend_connections WHERE user1_id = \$1 OR user2_id = \$1/.test(normalized)) {
+            return this.tables.friend_connections
+                .filter(row => row.user1_id === arg(1) || row.user2_id === arg(1))
+                .sort((a, b) => b.created_at.localeCompare(a.created_at));
+        }
+
+        if (/^INSERT INTO voice_messages/.test(normalized)) {
+            this.tables.voice_messages.push({
+                id: this.nextId++,
+                sender_id: arg(1), recipient_id: arg(2), original_text: arg(3), translated_text: arg(4),
+                language_from: arg(5), language_to: arg(6), audio_blob_url: arg(7), audio_duration_ms: arg(8),
+                voice_characteristics: arg(9), created_at: this.now(), read_at: null
+            });
+            return [];
+        }
+
+        if (/^SELECT \* FROM voice_messages WHERE recipient_id = \$1 AND read_at IS NULL/.test(normalized)) {
+            return this.tables.voice_messages
+                .filter(row => row.recipient_id === arg(1) && row.read_at === null)
+                .sort(InMemoryNeon.byCreatedThenId)
+                .slice(0, arg(2));
+        }
+
+        if (/FROM voice_messages WHERE \(\(sender_id = \$1 AND recipient_id = \$2\)/.test(normalized)) {
+            const before = arg(3) === null ? null : { created_at: arg(3), id: arg(4) };
+            const search = arg(5) === null ? null : InMemoryNeon.likeToRegExp(arg(5));
+
+            return this.tables.voice_messages
+                .filter(row => (row.sender_id === arg(1) && row.recipient_id === arg(2)) ||
+                    (row.sender_id === arg(2) && row.recipient_id === arg(1)))
+                .filter(row => !before || InMemoryNeon.byCreatedThenId(row, before) < 0)
+                .filter(row => !search || search.test(row.original_text || '') || search.test(row.translated_text || ''))
+                .sort((a, b) => InMemoryNeon.byCreatedThenId(b, a))
+                .slice(0, arg(6));
+        }
+
+        if (/^UPDATE voice_messages SET read_at = CURRENT_TIMESTAMP WHERE id = \$1$/.test(normalized)) {
+            this.tables.voice_messages.filter(row => row.id === arg(1)).forEach(row => { row.read_at = this.now(); });
+            return [];
+        }
+
+        throw new Error(`InMemoryNeon cannot run: ${normalized}`);
+    }
+
+    static decode(param) {
+        if (!param || typeof param !== 'object' || !('type' in param)) {
+            throw new Error(`Untyped bind value: ${JSON.stringify(param)}`);
+        }
+        return param.type === 'jsonb' ? JSON.parse(param.value) : param.value;
+    }
+
+    static byCreatedThenId(a, b) {
+        return a.created_at.localeCompare(b.created_at) || a.id - b.id;
+    }
+
+    // ILIKE with backslash escapes, as VoiceChatDatabase.getThread builds its search pattern
+    static likeToRegExp(pattern) {
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '\\') {
+                source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            } else if (char === '%') {
+                source += '.*';
+            } else if (char === '_') {
+                source += '.';
+            } else {
+                source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`, 'is');
+    }
+}
+
+module.exports = { InMemoryNeon };
@@ -0,0 +1,189 @@
+// MCP Stub - Local MCP servers behind an in-process WebSocket, for MCPIntegrationService tests
+// installStubWebSocket() replaces the global WebSocket; sockets opened to a URL with no stub
+// server behind it fail the way a refused browser connection does (error, then close)
+
+class MCPStubServer {
+    constructor(options = {}) {
+        this.protocolVersion = options.protocolVersion || '2025-06-18';
+        this.capabilities = options.capabilities || { tools: { listChanged: true } };
+        this.serverInfo = options.serverInfo || { name: 'mcp-stub', version: '1.0.0' };
+        this.tools = options.tools || {};         // name -> (args) => data, wrapped as text content
+        this.resources = options.resources || {}; // uri -> { mimeType, text }
+        this.pageSize = options.pageSize || Infinity;
+        this.received = [];                       // Every message from the client, in order
+        this.sockets = new Set();
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+    }
+
+    methods() {
+        return this.received.map(message => message.method);
+    }
+
+    // Server -> client notification on every open socket
+    notify(method, params) {
+        for (const socket of this.sockets) {
+            socket.deliver({ jsonrpc: '2.0', method: method, params: params });
+        }
+    }
+
+    // Drop every connection as a crashed server would
+    disconnect() {
+        for (const socket of [...this.sockets]) {
+            socket.serverClose();
+        }
+    }
+
+    async handle(socket, message) {
+        this.received.push(message);
+        // Notifications, and answers to requests the server sent, need no reply
+        if (message.id === undefined || message.method === undefined) return;
+
+        try {
+            socket.deliver({ jsonrpc: '2.0', id: message.id, result: await this.respond(message) });
+        } catch (error) {
+            socket.deliver({ jsonrpc: '2.0', id: message.id, error: { code: error.code || -32603, message: error.message } });
+        }
+    }
+
+    async respond(message) {
+        const params = message.params || {};
+
+        switch (message.method) {
+            case 'initialize':
+                return {
+                    protocolVersion: this.protocolVersion,
+                    capabilities: this.capabilities,
+                    serverInfo: this.serverInfo
+                };
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return this.page(Object.keys(this.tools).map(name => ({ name: name, inputSchema: { type: 'object' } })), params.cursor, 'tools');
+            case 'tools/call':
+                return this.callTool(params.name, params.arguments || {});
+            case 'resources/list':
+                return this.page(Object.keys(this.resources).map(uri => ({ uri: uri, name: uri, mimeType: this.resources[uri].mimeType })), params.cursor, 'resources');
+            case 'resources/read': {
+                const resource = this.resources[params.uri];
+                if (!resource) {
+                    throw Object.assign(new Error(`Unknown resource: ${params.uri}`), { code: -32002 });
+                }
+                return { contents: [{ uri: params.uri, mimeType: resource.mimeType, text: resource.text }] };
+            }
+            default:
+                throw Object.assign(new Error(`Method not found: ${message.method}`), { code: -32601 });
+        }
+    }
+
+    // Spec-shaped tools/call results: data as JSON text content, failures as isError
+    async callTool(name, args) {
+        const tool = this.tools[name];
+        if (!tool) {
+            throw Object.assign(new Error(`Unknown tool: ${name}`), { code: -32602 });
+        }
+
+        try {
+            const data = await tool(args);
+            return { content: [{ type: 'text', text: JSON.stringify(data) }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: error.message }], isError: true };
+        }
+    }
+
+    page(items, cursor, key) {
+        const start = cursor ? parseInt(cursor, 10) : 0;
+        const end = Math.min(items.length, start + this.pageSize);
+        const result = { [key]: items.slice(start, end) };
+        if (end < items.length) {
+            result.nextCursor = String(end);
+        }
+        return result;
+    }
+}
+
+const servers = new Map();
+
+class StubWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = StubWebSocket.CONNECTING;
+        this.server = servers.get(url.split('?')[0]) || null;
+
+        setTimeout(() => {
+            if (!this.server) {
+                this.readyState = StubWebSocket.CLOSED;
+                if (this.onerror) {
+                    this.onerror({ type: 'error' });
+                }
+                if (this.onclose) {
+                    this.onclose({ code: 1006 });
+                }
+                return;
+            }
+            this.readyState = StubWebSocket.OPEN;
+            this.server.accept(this);
+            if (this.onopen) {
+                this.onopen({ type: 'open' });
+            }
+        }, 0);
+    }
+
+    send(data) {
+        if (this.readyState !== StubWebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        const message = JSON.parse(data);
+        setTimeout(() => this.server.handle(this, message), 0);
+    }
+
+    deliver(message) {
+        setTimeout(() => {
+            if (this.readyState === StubWebSocket.OPEN && this.onmessage) {
+                this.onmessage({ data: JSON.stringify(message) });
+            }
+        }, 0);
+    }
+
+    close() {
+        this.serverClose();
+    }
+
+    serverClose() {
+        if (this.readyState === StubWebSocket.CLOSED) return;
+
+        this.readyState = StubWebSocket.CLOSED;
+        if (this.server) {
+            this.server.sockets.delete(this);
+        }
+        setTimeout(() => {
+            if (this.onclose) this.onclose({ code: 1000 });
+        }, 0);
+    }
+}
+
+StubWebSocket.CONNECTING = 0;
+StubWebSocket.OPEN = 1;
+StubWebSocket.CLOSING = 2;
+StubWebSocket.CLOSED = 3;
+
+function installStubWebSocket() {
+    globalThis.WebSocket = StubWebSocket;
+}
+
+// Serve a stub at url until removed
+function startStubServer(url, options) {
+    const server = new MCPStubServer(options);
+    servers.set(url, server);
+    return server;
+}
+
+// New sockets to url are refused. Open ones stay up: dropping them would start the client's
+// reconnect loop and keep the test process alive; call server.disconnect() to test that.
+function stopStubServer(url) {
+    servers.delete(url);
+}
+
+module.exports = { MCPStubServer, StubWebSocket, installStubWebSocket, startStubServer, stopStubServer };
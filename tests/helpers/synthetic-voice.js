@@ -0,0 +1,219 @@
+// Synthetic Voice - Test signals with a known fundamental, written and read as 16-bit PCM WAV
+// Sines check the detector's arithmetic; glottal pulse trains through vowel formants look like
+// voiced speech (strong harmonics, weak fundamental) and are where octave errors show up.
+// Noise and an AnalyserNode stand-in cover voice activity detection.
+
+// Deterministic noise so every run sees the same signal
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+function sine(frequency, sampleRate, durationSeconds, amplitude = 0.5) {
+    const samples = new Float32Array(Math.round(sampleRate * durationSeconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+}
+
+// Uniform white noise; options.formant = [frequency, bandwidth] shapes it like a fan or hiss
+// concentrated in that band
+function noise(options) {
+    const random = seededRandom(options.seed || 7);
+    let samples = new Float32Array(Math.round(options.sampleRate * options.duration));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = 2 * random() - 1;
+    }
+    if (options.formant) {
+        samples = resonate(resonate(samples, options.formant[0], options.formant[1], options.sampleRate), options.formant[0], options.formant[1], options.sampleRate);
+    }
+    return normalize(samples, options.amplitude || 0.5);
+}
+
+// What AnalyserNode.getFloatFrequencyData reports for one frame (Blackman window, no smoothing):
+// frame.length / 2 bins of dB relative to full scale
+function frequencyDb(frame) {
+    const size = frame.length;
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        const x = i / size;
+        re[i] = frame[i] * (0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x));
+    }
+
+    // In-place radix-2 FFT
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+        }
+    }
+    for (let length = 2; length <= size; length <<= 1) {
+        const angle = -2 * Math.PI / length;
+        for (let start = 0; start < size; start += length) {
+            for (let k = 0; k < length / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + length / 2;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+
+    const bins = new Float32Array(size / 2);
+    for (let k = 0; k < bins.length; k++) {
+        bins[k] = 20 * Math.log10(Math.hypot(re[k], im[k]) / size);
+    }
+    return bins;
+}
+
+// Rosenberg glottal flow over one period: opening for 40%, closing for 16%, closed for the rest
+function rosenbergFlow(phase) {
+    const opening = 0.4;
+    const closing = 0.16;
+    if (phase < opening) return 0.5 * (1 - Math.cos(Math.PI * phase / opening));
+    if (phase < opening + closing) return Math.cos(Math.PI / 2 * (phase - opening) / closing);
+    return 0;
+}
+
+// Vowel formants (Hz, bandwidth Hz)
+const VOWELS = {
+    a: [[730, 90], [1090, 110], [2440, 170]],
+    i: [[270, 60], [2290, 100], [3010, 120]],
+    u: [[300, 60], [870, 80], [2240, 120]]
+};
+
+// Glottal pulse train through formant resonators. options.frequency may be a function of time
+// (seconds) for glides; options.jitter is the relative period-to-period variation (0.01 = 1%)
+function glottalPulses(options) {
+    const sampleRate = options.sampleRate;
+    const length = Math.round(sampleRate * options.duration);
+    const frequencyAt = typeof options.frequency === 'function' ? options.frequency : () => options.frequency;
+    const random = seededRandom(options.seed || 1);
+    const jitter = options.jitter || 0;
+
+    // Flow derivative: the excitation a real glottis radiates through the lips
+    const excitation = new Float32Array(length);
+    let phase = 0;
+    let periodScale = 1;
+    let previous = 0;
+    for (let i = 0; i < length; i++) {
+        const flow = rosenbergFlow(phase);
+        excitation[i] = flow - previous;
+        previous = flow;
+
+        phase += frequencyAt(i / sampleRate) * periodScale / sampleRate;
+        if (phase >= 1) {
+            phase -= 1;
+            periodScale = 1 + jitter * (2 * random() - 1);
+        }
+    }
+
+    let signal = excitation;
+    for (const [formant, bandwidth] of VOWELS[options.vowel || 'a']) {
+        signal = resonate(signal, formant, bandwidth, sampleRate);
+    }
+
+    if (options.noise) {
+        const level = options.noise * peak(signal);
+        for (let i = 0; i < length; i++) {
+            signal[i] += level * (2 * random() - 1);
+        }
+    }
+
+    return normalize(signal, options.amplitude || 0.5);
+}
+
+// Two-pole resonator (one formant)
+function resonate(input, frequency, bandwidth, sampleRate) {
+    const r = Math.exp(-Math.PI * bandwidth / sampleRate);
+    const a1 = 2 * r * Math.cos(2 * Math.PI * frequency / sampleRate);
+    const a2 = -r * r;
+    const gain = 1 - r;
+    const output = new Float32Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+        output[i] = gain * input[i] + a1 * (i > 0 ? output[i - 1] : 0) + a2 * (i > 1 ? output[i - 2] : 0);
+    }
+    return output;
+}
+
+function peak(samples) {
+    let max = 0;
+    for (let i = 0; i < samples.length; i++) {
+        max = Math.max(max, Math.abs(samples[i]));
+    }
+    return max;
+}
+
+function normalize(samples, amplitude) {
+    const scale = amplitude / (peak(samples) || 1);
+    return samples.map(sample => sample * scale);
+}
+
+// Mono 16-bit PCM WAV
+function encodeWav(samples, sampleRate) {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);              // PCM
+    buffer.writeUInt16LE(1, 22);              // Mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+    buffer.writeUInt16LE(2, 32);              // Block align
+    buffer.writeUInt16LE(16, 34);             // Bits per sample
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * 2, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        buffer.writeInt16LE(Math.round(clamped * 32767), 44 + i * 2);
+    }
+    return buffer;
+}
+
+// { sampleRate, samples } from a mono 16-bit PCM WAV, walking the chunks rather than assuming 44 bytes
+function decodeWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let sampleRate = 0;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            if (buffer.readUInt16LE(body) !== 1 || buffer.readUInt16LE(body + 2) !== 1 || buffer.readUInt16LE(body + 14) !== 16) {
+                throw new Error('Only mono 16-bit PCM is supported');
+            }
+            sampleRate = buffer.readUInt32LE(body + 4);
+        } else if (id === 'data') {
+            const samples = new Float32Array(size / 2);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = buffer.readInt16LE(body + i * 2) / 32768;
+            }
+            return { sampleRate, samples };
+        }
+        offset = body + size + (size % 2);
+    }
+    throw new Error('WAV has no data chunk');
+}
+
+module.exports = { sine, glottalPulses, noise, frequencyDb, encodeWav, decodeWav, seededRandom };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+
+silenceConsole();
+resetConfig();
+loadScripts('mcp-integration.js', 'translation-router.js', 'language-identifier.js');
+
+// The local detector answers with whatever the test queued next
+function createIdentifier(mcpService = null) {
+    resetConfig();
+    const guesses = [];
+    const translationService = { identifyLanguage: () => guesses.shift() };
+    return { identifier: new LanguageIdentifier(translationService, mcpService), guesses };
+}
+
+// Settle on English with a few confident utterances
+function speakEnglish(identifier, utterances = 4) {
+    for (let i = 0; i < utterances; i++) {
+        identifier.observe('en', 0.9);
+    }
+}
+
+test('a single utterance in another language does not switch', () => {
+    const { identifier } = createIdentifier();
+    speakEnglish(identifier);
+
+    const result = identifier.observe('de', 0.9);
+
+    // German now scores slightly higher, but not by SWITCH_MARGIN
+    assert.ok(identifier.scores.de > identifier.scores.en);
+    assert.ok(identifier.scores.de - identifier.scores.en < identifier.config.SWITCH_MARGIN);
+    assert.equal(result.language, 'en');
+    assert.equal(result.locale, 'en-US');
+
+    // Back to English: the odd utterance fades out
+    identifier.observe('en', 0.9);
+    assert.equal(identifier.language, 'en');
+    assert.ok(identifier.scores.de < identifier.config.MIN_CONFIDENCE);
+});
+
+test('a language that keeps its lead by SWITCH_MARGIN takes over', () => {
+    const { identifier } = createIdentifier();
+    speakEnglish(identifier);
+
+    identifier.observe('de', 0.9);
+    const result = identifier.observe('de', 0.9);
+
+    assert.equal(result.language, 'de');
+    assert.equal(result.locale, 'de-DE');
+    assert.ok(result.confidence > identifier.config.MIN_CONFIDENCE);
+});
+
+test('weak evidence never reaches MIN_CONFIDENCE, however long it lasts', () => {
+    const { identifier } = createIdentifier();
+    speakEnglish(identifier, 1);
+
+    for (let i = 0; i < 10; i++) {
+        identifier.observe('fr', 0.35);
+    }
+
+    assert.equal(identifier.language, 'en');
+    assert.ok(identifier.scores.fr < identifier.config.MIN_CONFIDENCE);
+    assert.ok(identifier.scores.fr - identifier.scores.en >= identifier.config.SWITCH_MARGIN);
+});
+
+test('shaky transcripts count for less and unsure guesses are checked remotely', async () => {
+    const detected = [];
+    const mcpService = {
+        isRoleConnected: role => role === MCP_ROLES.TRANSLATION,
+        deepLDetectLanguage: async (text) => {
+            detected.push(text);
+            return 'DE';
+        }
+    };
+    const { identifier, guesses } = createIdentifier(mcpService);
+
+    // Confident local guess, recognizer 50% sure: strength 0.8 * 0.75
+    guesses.push({ language: 'en', confidence: 0.8 });
+    await identifier.identify('hello there', 0.5);
+    assert.ok(Math.abs(identifier.scores.en - 0.8 * 0.75 * (1 - identifier.config.DECAY)) < 1e-9);
+    assert.deepEqual(detected, []);
+
+    // Below REMOTE_BELOW DeepL's answer replaces the local guess
+    guesses.push({ language: 'en', confidence: 0.3 });
+    await identifier.identify('hallo zusammen');
+    assert.deepEqual(detected, ['hallo zusammen']);
+    assert.ok(identifier.scores.de > 0);
+
+    // Empty transcripts are no evidence at all
+    const observations = identifier.observations;
+    await identifier.identify('   ');
+    assert.equal(identifier.observations, observations);
+});
+
+test('reset returns to DEFAULT_LANGUAGE with no evidence', () => {
+    const { identifier } = createIdentifier();
+    identifier.observe('de', 0.9);
+    identifier.observe('de', 0.9);
+    assert.equal(identifier.language, 'de');
+
+    identifier.reset();
+    assert.deepEqual(identifier.getResult(), { language: 'en', confidence: 0, locale: 'en-US' });
+    assert.deepEqual(identifier.scores, {});
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, silenceConsole } = require('./helpers/browser-env');
+
+silenceConsole();
+loadScripts('live-interpreter.js');
+
+// An interpreter whose translations resolve only when the test says so
+function createInterpreter() {
+    const pending = [];
+    const spoken = [];
+    const translated = [];
+    const errors = [];
+    const interpreter = new LiveInterpreter({
+        translate: (text, targetLang) => new Promise((resolve, reject) => {
+            pending.push({
+                text,
+                resolve: () => resolve({ translatedText: `[${targetLang}] ${text}` }),
+                reject
+            });
+        }),
+        speak: async (text) => {
+            spoken.push(text);
+        },
+        getTargetLang: () => 'de',
+        onTranslated: segment => translated.push(segment.index),
+        onError: (segment, error) => errors.push(`${segment.index}: ${error.message}`)
+    });
+    interpreter.start();
+    return { interpreter, pending, spoken, translated, errors };
+}
+
+// A SpeechRecognition result event with one final segment
+function finalResult(transcript) {
+    const result = [{ transcript }];
+    result.isFinal = true;
+    return { resultIndex: 0, results: [result] };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('sentences are spoken in the order they were said, whatever order their translations return in', async () => {
+    const { interpreter, pending, spoken, translated } = createInterpreter();
+
+    interpreter.handleResult(finalResult('First one. Second one. Third one.'));
+
+    // All three are translated at once
+    assert.deepEqual(pending.map(item => item.text), ['First one.', 'Second one.', 'Third one.']);
+    assert.equal(interpreter.hasPendingOutput(), true);
+
+    pending[2].resolve();
+    await settle();
+    assert.deepEqual(spoken, []);
+
+    pending[0].resolve();
+    await settle();
+    assert.deepEqual(spoken, ['[de] First one.']);
+
+    pending[1].resolve();
+    await interpreter.outputChain;
+    assert.deepEqual(spoken, ['[de] First one.', '[de] Second one.', '[de] Third one.']);
+    assert.deepEqual(translated, [0, 1, 2]);
+    assert.equal(interpreter.hasPendingOutput(), false);
+});
+
+test('cancel drops translations that arrive afterwards and starts a new generation', async () => {
+    const { interpreter, pending, spoken, translated, errors } = createInterpreter();
+
+    interpreter.handleResult(finalResult('Old sentence.'));
+    interpreter.handleResult(finalResult('Another old one.'));
+    const staleChain = interpreter.outputChain;
+
+    interpreter.cancel();
+    assert.equal(interpreter.generation, 1);
+    assert.equal(interpreter.isActive, false);
+    assert.equal(interpreter.hasPendingOutput(), false);
+
+    pending[0].resolve();
+    pending[1].reject(new Error('translation failed'));
+    await staleChain;
+    assert.deepEqual(spoken, []);
+    assert.deepEqual(translated, []);
+    assert.deepEqual(errors, []);
+
+    // Sentences after the cancel are spoken without waiting for the stale ones
+    interpreter.start();
+    interpreter.handleResult(finalResult('New sentence.'));
+    pending[2].resolve();
+    await interpreter.outputChain;
+    assert.deepEqual(spoken, ['[de] New sentence.']);
+    assert.deepEqual(translated, [2]);
+    assert.equal(interpreter.hasPendingOutput(), false);
+});
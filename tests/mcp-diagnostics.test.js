@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+const { installStubWebSocket, startStubServer, stopStubServer } = require('./helpers/mcp-stub');
+
+silenceConsole();
+installStubWebSocket();
+resetConfig();
+loadScripts('mcp-integration.js', 'mcp-diagnostics.js');
+
+const TTS_URL = 'ws://tts.test';
+const TRANSLATION_URL = 'ws://translation.test';
+
+function createService() {
+    const config = resetConfig();
+    config.MCP.SERVERS = [
+        { NAME: 'elevenlabs', LABEL: 'ElevenLabs', URL: TTS_URL, AUTH_TOKEN: '', ROLE: 'tts', PRIORITY: 1 },
+        { NAME: 'deepl', LABEL: 'DeepL', URL: TRANSLATION_URL, AUTH_TOKEN: '', ROLE: 'translation', PRIORITY: 1 }
+    ];
+    config.MCP.DIAGNOSTICS.PING_TIMEOUT = 50;
+    return new MCPIntegrationService();
+}
+
+// Stub server that never answers pings
+function startHangingServer(url) {
+    const server = startStubServer(url);
+    const respond = server.respond.bind(server);
+    server.respond = (message) => message.method === 'ping' ? new Promise(() => {}) : respond(message);
+    return server;
+}
+
+test.afterEach(() => {
+    stopStubServer(TTS_URL);
+    stopStubServer(TRANSLATION_URL);
+});
+
+test('a hanging server neither delays the other ping nor overlaps the next round', async () => {
+    const hanging = startHangingServer(TTS_URL);
+    startStubServer(TRANSLATION_URL);
+    const service = createService();
+    await service.initialize();
+    const diagnostics = new MCPDiagnostics(service);
+
+    const round = diagnostics.pingAll();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(diagnostics.getServer('deepl').latencies.length, 1);
+
+    await diagnostics.pingAll();
+    await round;
+
+    assert.equal(hanging.methods().filter(method => method === 'ping').length, 1);
+    assert.equal(diagnostics.getServer('elevenlabs').latencies.length, 0);
+    assert.ok(diagnostics.getServer('elevenlabs').errors.some(entry => entry.message === 'ping: MCP request timeout'));
+    assert.equal(diagnostics.pinging, false);
+});
+
+test('ping timeouts do not open the circuit', async () => {
+    startHangingServer(TTS_URL);
+    const service = createService();
+    await service.initialize([MCP_ROLES.TTS]);
+    const diagnostics = new MCPDiagnostics(service);
+
+    for (let i = 0; i < service.config.RETRY_ATTEMPTS + 1; i++) {
+        await diagnostics.pingAll();
+    }
+
+    const breaker = service.getCircuitBreaker('elevenlabs');
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.failures, 0);
+    assert.equal(service.isServerAvailable('elevenlabs'), true);
+});
+
+test('configured servers the client never started are listed as not connected', async () => {
+    startStubServer(TTS_URL);
+    const service = createService();
+    service.config.SERVERS.push({ NAME: 'neon', LABEL: 'Neon', URL: 'ws://neon.test', AUTH_TOKEN: '', ROLE: 'database', PRIORITY: 1 });
+    await service.initialize([MCP_ROLES.TTS]);
+    const diagnostics = new MCPDiagnostics(service);
+
+    const snapshot = diagnostics.getSnapshot();
+    assert.deepEqual(snapshot.map(server => [server.server, server.connected, server.started]), [
+        ['elevenlabs', true, true],
+        ['deepl', false, false],
+        ['neon', false, false]
+    ]);
+    assert.equal(snapshot[2].name, 'Neon');
+    assert.equal(snapshot[2].role, 'database');
+
+    const panel = new MCPDiagnosticsPanel(diagnostics);
+    panel.render();
+    const badges = panel.serversEl.children.map(card => card.children[0].children[1].textContent);
+    assert.deepEqual(badges, ['connected', 'not connected', 'not connected']);
+});
@@ -0,0 +1,400 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+const { installStubWebSocket, startStubServer, stopStubServer } = require('./helpers/mcp-stub');
+
+silenceConsole();
+installStubWebSocket();
+resetConfig();
+loadScripts('mcp-integration.js');
+
+const TTS_URL = 'ws://tts.test';
+const TRANSLATION_URL = 'ws://translation.test';
+
+function createService(servers) {
+    const config = resetConfig();
+    config.MCP.SERVERS = servers || [
+        { NAME: 'elevenlabs', LABEL: 'ElevenLabs', URL: TTS_URL, AUTH_TOKEN: '', ROLE: 'tts', PRIORITY: 1 },
+        { NAME: 'deepl', LABEL: 'DeepL', URL: TRANSLATION_URL, AUTH_TOKEN: '', ROLE: 'translation', PRIORITY: 1 }
+    ];
+    return new MCPIntegrationService();
+}
+
+// Settle the stub's setTimeout(0) message hops
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test.afterEach(() => {
+    stopStubServer(TTS_URL);
+    stopStubServer(TRANSLATION_URL);
+});
+
+test('initialize runs initialize, notifications/initialized, then tools/list', async () => {
+    const server = startStubServer(TTS_URL, { tools: { 'text-to-speech': () => ({}) } });
+    const service = createService();
+
+    const { connected, failed } = await service.initialize([MCP_ROLES.TTS]);
+
+    assert.deepEqual(connected, ['elevenlabs']);
+    assert.deepEqual(failed, []);
+    assert.deepEqual(server.methods(), ['initialize', 'notifications/initialized', 'tools/list']);
+
+    const initialize = server.received[0];
+    assert.equal(initialize.params.protocolVersion, MCPIntegrationService.PROTOCOL_VERSIONS[0]);
+    assert.equal(initialize.params.clientInfo.name, 'MCPhony');
+    assert.deepEqual(initialize.params.capabilities, {});
+
+    const connection = service.connections.get('elevenlabs');
+    assert.equal(connection.protocolVersion, '2025-06-18');
+    assert.deepEqual(connection.serverInfo, { name: 'mcp-stub', version: '1.0.0' });
+});
+
+test('an older protocol version the client supports is accepted', async () => {
+    startStubServer(TTS_URL, { protocolVersion: '2024-11-05' });
+    const service = createService();
+
+    await service.initialize([MCP_ROLES.TTS]);
+
+    assert.equal(service.connections.get('elevenlabs').protocolVersion, '2024-11-05');
+});
+
+test('an unsupported protocol version ends the session', async () => {
+    const server = startStubServer(TTS_URL, { protocolVersion: '1999-01-01' });
+    const service = createService();
+    const connection = service.createConnection('elevenlabs', { url: TTS_URL, name: 'ElevenLabs' });
+
+    await assert.rejects(service.openSocket('elevenlabs', connection), /unsupported protocol version 1999-01-01/);
+    assert.equal(connection.isConnected, false);
+    assert.ok(!server.methods().includes('notifications/initialized'));
+});
+
+test('tools are discovered across tools/list pages', async () => {
+    startStubServer(TTS_URL, {
+        pageSize: 2,
+        tools: { 'text-to-speech': () => ({}), 'get-voices': () => ({}), 'speech-to-text': () => ({}) }
+    });
+    const service = createService();
+
+    await service.initialize([MCP_ROLES.TTS]);
+
+    assert.deepEqual(service.connections.get('elevenlabs').capabilities, ['text-to-speech', 'get-voices', 'speech-to-text']);
+    assert.equal(service.hasTool('elevenlabs', 'speech-to-text'), true);
+    assert.equal(service.hasTool('elevenlabs', 'clone-voice'), false);
+});
+
+test('a server without the tools capability is not asked for tools', async () => {
+    const server = startStubServer(TTS_URL, { capabilities: {} });
+    const service = createService();
+
+    await service.initialize([MCP_ROLES.TTS]);
+
+    assert.ok(!server.methods().includes('tools/list'));
+    assert.deepEqual(service.connections.get('elevenlabs').capabilities, []);
+});
+
+test('tools/list_changed triggers rediscovery', async () => {
+    const server = startStubServer(TTS_URL, { tools: { 'text-to-speech': () => ({}) } });
+    const service = createService();
+    await service.initialize([MCP_ROLES.TTS]);
+
+    server.tools['get-voices'] = () => ({ voices: [] });
+    server.notify('notifications/tools/list_changed');
+    await settle();
+
+    assert.deepEqual(service.connections.get('elevenlabs').capabilities, ['text-to-speech', 'get-voices']);
+});
+
+test('resources are listed and read when the server offers them', async () => {
+    startStubServer(TTS_URL, {
+        capabilities: { tools: {}, resources: {} },
+        resources: { 'voices://default': { mimeType: 'application/json', text: '{"voice":"Rachel"}' } }
+    });
+    const service = createService();
+    await service.initialize([MCP_ROLES.TTS]);
+
+    const resources = await service.listResources('elevenlabs');
+    assert.deepEqual(resources.map(resource => resource.uri), ['voices://default']);
+
+    const contents = await service.readResource('elevenlabs', 'voices://default');
+    assert.equal(contents[0].text, '{"voice":"Rachel"}');
+});
+
+test('server pings are answered', async () => {
+    const server = startStubServer(TTS_URL, {});
+    const service = createService();
+    await service.initialize([MCP_ROLES.TTS]);
+
+    const socket = [...server.sockets][0];
+    socket.onmessage({ data: JSON.stringify({ jsonrpc: '2.0', id: 'server-1', method: 'ping' }) });
+    socket.onmessage({ data: JSON.stringify({ jsonrpc: '2.0', id: 'server-2', method: 'sampling/createMessage' }) });
+    await settle();
+
+    const answers = server.received.filter(message => message.method === undefined);
+    assert.deepEqual(answers.find(message => message.id === 'server-1').result, {});
+    assert.equal(answers.find(message => message.id === 'server-2').error.code, -32601);
+});
+
+test('ElevenLabs and DeepL wrappers unwrap spec-shaped tool results', async () => {
+    startStubServer(TTS_URL, {
+        tools: {
+            'text-to-speech': () => ({ audio_data: 'SUQz' }),
+            'get-voices': () => ({ voices: [{ voice_id: 'v1', name: 'Rachel' }] })
+        }
+    });
+    startStubServer(TRANSLATION_URL, {
+        tools: {
+            translate: (args) => ({ translation: { text: `[${args.target_lang}] ${args.text}`, detected_source_language: 'EN' } }),
+            'detect-language': () => ({ detected_language: 'DE' }),
+            'supported-languages': () => ({ languages: [{ language: 'DE', name: 'German' }] }),
+            usage: () => ({ usage: { character_count: 10, character_limit: 500000 } })
+        }
+    });
+    const service = createService();
+    await service.initialize();
+
+    assert.equal(await service.elevenLabsTextToSpeech('hello'), 'SUQz');
+    assert.deepEqual(await service.elevenLabsGetVoices(), [{ voice_id: 'v1', name: 'Rachel' }]);
+    assert.deepEqual(await service.deepLTranslate('hello', 'DE', 'EN'), { text: '[DE] hello', detected_source_language: 'EN' });
+    assert.equal(await service.deepLDetectLanguage('hallo'), 'DE');
+    assert.deepEqual(await service.deepLGetSupportedLanguages(), [{ language: 'DE', name: 'German' }]);
+    assert.deepEqual(await service.deepLCheckUsage(), { character_count: 10, character_limit: 500000 });
+});
+
+test('a tool reporting isError rejects with its message', async () => {
+    startStubServer(TRANSLATION_URL, {
+        tools: { translate: () => { throw new Error('Quota exceeded'); } }
+    });
+    const service = createService();
+    await service.initialize([MCP_ROLES.TRANSLATION]);
+
+    await assert.rejects(service.deepLTranslate('hello', 'DE'), /Quota exceeded/);
+});
+
+test('parseToolResult prefers structuredContent and falls back to plain text', () => {
+    const service = createService([]);
+
+    assert.deepEqual(service.parseToolResult({ content: [], structuredContent: { rows: [1] } }), { rows: [1] });
+    assert.equal(service.parseToolResult({ content: [{ type: 'text', text: 'plain' }] }), 'plain');
+    assert.deepEqual(service.parseToolResult({ content: [{ type: 'text', text: '{"a":' }, { type: 'text', text: '1}' }] }), { a: 1 });
+});
+
+test('requests made after a failed first connection wait for the retry instead of throwing', async () => {
+    const service = createService();
+    service.config.RETRY_DELAY = 20;
+
+    const { failed } = await service.initialize([MCP_ROLES.TTS]);
+    assert.deepEqual(failed, ['elevenlabs']);
+    assert.equal(service.isRoleConnected(MCP_ROLES.TTS), false);
+
+    const reconnected = new Promise(resolve => window.addEventListener('mcpReconnected', resolve, { once: true }));
+    const call = service.callMCPTool('elevenlabs', 'get-voices', {});
+    startStubServer(TTS_URL, { tools: { 'get-voices': () => ({ voices: [{ voice_id: 'v1' }] }) } });
+
+    assert.deepEqual(service.parseToolResult(await call), { voices: [{ voice_id: 'v1' }] });
+    await reconnected;
+    assert.equal(service.isRoleConnected(MCP_ROLES.TTS), true);
+});
+
+test('the circuit opens after RETRY_ATTEMPTS failures and lets a single trial decide after the cool-down', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const transitions = [];
+    const breaker = new CircuitBreaker(3, 5000, (state, previous) => transitions.push(`${previous} -> ${state}`));
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    breaker.recordFailure();
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.canAttempt(), false);
+    assert.equal(breaker.tryAcquireTrial(), false);
+
+    // Checking availability after the cool-down changes nothing
+    now += 5000;
+    assert.equal(breaker.canAttempt(), true);
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+    // One trial, then nobody else until it is decided
+    assert.equal(breaker.tryAcquireTrial(), true);
+    assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+    assert.equal(breaker.canAttempt(), false);
+    assert.equal(breaker.tryAcquireTrial(), false);
+
+    // A failed trial reopens for a full cool-down
+    breaker.recordFailure();
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.remainingOpenTime(), 5000);
+
+    // A trial without a verdict frees the slot; a successful one closes the circuit
+    now += 5000;
+    assert.equal(breaker.tryAcquireTrial(), true);
+    breaker.releaseTrial();
+    assert.equal(breaker.tryAcquireTrial(), true);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.failures, 0);
+    assert.equal(breaker.tryAcquireTrial(), true);
+    assert.equal(breaker.tryAcquireTrial(), true);
+
+    assert.deepEqual(transitions, [
+        'closed -> open',
+        'open -> half-open',
+        'half-open -> open',
+        'open -> half-open',
+        'half-open -> closed'
+    ]);
+});
+
+test('role lookups leave an open circuit alone and only one request is let through half-open', async () => {
+    let release = null;
+    startStubServer(TTS_URL, { tools: { 'get-voices': () => new Promise(resolve => { release = resolve; }) } });
+    const service = createService();
+    await service.initialize([MCP_ROLES.TTS]);
+
+    const breaker = service.getCircuitBreaker('elevenlabs');
+    for (let i = 0; i < service.config.RETRY_ATTEMPTS; i++) {
+        breaker.recordFailure();
+    }
+    assert.equal(service.isRoleConnected(MCP_ROLES.TTS), false);
+    await assert.rejects(service.callMCPTool('elevenlabs', 'get-voices', {}), /circuit open/);
+
+    breaker.openedAt -= service.config.CIRCUIT_BREAKER.OPEN_DURATION;
+    assert.equal(service.isServerAvailable('elevenlabs'), true);
+    assert.equal(service.getServerForRole(MCP_ROLES.TTS), 'elevenlabs');
+    assert.equal(service.isRoleConnected(MCP_ROLES.TTS), true);
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+
+    const trial = service.callMCPTool('elevenlabs', 'get-voices', {});
+    assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+    assert.equal(service.isServerAvailable('elevenlabs'), false);
+    await assert.rejects(service.callMCPTool('elevenlabs', 'get-voices', {}), /circuit open/);
+
+    await settle();
+    release({ voices: [] });
+    assert.deepEqual(service.parseToolResult(await trial), { voices: [] });
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(service.isRoleConnected(MCP_ROLES.TTS), true);
+});
+
+test('reconnects back off exponentially with jitter and wait out an open circuit', (t) => {
+    const service = createService();
+    const connection = service.createConnection('elevenlabs', { url: TTS_URL, name: 'ElevenLabs' });
+    const timers = [];
+    t.mock.method(Date, 'now', () => 1000);
+    t.mock.method(globalThis, 'setTimeout', (callback, delay) => timers.push(delay));
+    const scheduled = [];
+    const onScheduled = event => scheduled.push(event.detail);
+    window.addEventListener('mcpReconnectScheduled', onScheduled);
+    t.after(() => window.removeEventListener('mcpReconnectScheduled', onScheduled));
+
+    // RETRY_DELAY 1000, RETRY_MAX_DELAY 30000: the delay lies between half and all of the ceiling
+    t.mock.method(Math, 'random', () => 0);
+    for (let i = 0; i < 6; i++) {
+        service.scheduleReconnect('elevenlabs', connection);
+    }
+    assert.deepEqual(timers, [500, 1000, 2000, 4000, 8000, 15000]);
+    assert.deepEqual(scheduled.map(detail => detail.attempt), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(scheduled.map(detail => detail.delay), timers);
+
+    Math.random.mock.mockImplementation(() => 0.5);
+    connection.reconnectAttempts = 0;
+    timers.length = 0;
+    for (let i = 0; i < 6; i++) {
+        service.scheduleReconnect('elevenlabs', connection);
+    }
+    assert.deepEqual(timers, [750, 1500, 3000, 6000, 12000, 22500]);
+
+    // An open circuit holds the next attempt back until its cool-down is over
+    const breaker = service.getCircuitBreaker('elevenlabs');
+    for (let i = 0; i < service.config.RETRY_ATTEMPTS; i++) {
+        breaker.recordFailure();
+    }
+    connection.reconnectAttempts = 0;
+    service.scheduleReconnect('elevenlabs', connection);
+    assert.equal(timers[timers.length - 1], service.config.CIRCUIT_BREAKER.OPEN_DURATION);
+});
+
+// A service whose TTS server was down at startup, so requests queue until the retry connects
+async function createQueueingService(retryDelay = 20) {
+    const service = createService();
+    service.config.RETRY_DELAY = retryDelay;
+    await service.initialize([MCP_ROLES.TTS]);
+    return service;
+}
+
+const reconnected = () => new Promise(resolve => window.addEventListener('mcpReconnected', resolve, { once: true }));
+
+test('queued requests are sent in the order they were made once the server connects', async () => {
+    const service = await createQueueingService();
+    const done = reconnected();
+
+    const calls = ['first', 'second', 'third'].map(tool => service.callMCPTool('elevenlabs', tool, {}));
+    assert.equal(service.connections.get('elevenlabs').messageQueue.length, 3);
+
+    const echo = name => () => ({ tool: name });
+    const server = startStubServer(TTS_URL, { tools: { first: echo('first'), second: echo('second'), third: echo('third') } });
+
+    const results = await Promise.all(calls);
+    await done;
+    assert.deepEqual(results.map(result => service.parseToolResult(result).tool), ['first', 'second', 'third']);
+    assert.deepEqual(server.received.filter(message => message.method === 'tools/call').map(message => message.params.name), ['first', 'second', 'third']);
+});
+
+test('requests beyond QUEUE.MAX_SIZE are rejected at once', async () => {
+    const service = await createQueueingService();
+    service.config.QUEUE.MAX_SIZE = 2;
+    const done = reconnected();
+
+    const queued = [service.callMCPTool('elevenlabs', 'get-voices', {}), service.callMCPTool('elevenlabs', 'get-voices', {})];
+    await assert.rejects(service.callMCPTool('elevenlabs', 'get-voices', {}), /MCP request queue for ElevenLabs is full/);
+    assert.equal(service.connections.get('elevenlabs').messageQueue.length, 2);
+
+    startStubServer(TTS_URL, { tools: { 'get-voices': () => ({ voices: [] }) } });
+    assert.equal((await Promise.all(queued)).length, 2);
+    await done;
+});
+
+test('a queued request fails once QUEUE.DEADLINE passes without a connection', async () => {
+    const service = await createQueueingService(400);
+    service.config.QUEUE.DEADLINE = 30;
+    const done = reconnected();
+
+    await assert.rejects(service.callMCPTool('elevenlabs', 'get-voices', {}), /MCP request to ElevenLabs expired while reconnecting/);
+    assert.equal(service.connections.get('elevenlabs').messageQueue.length, 0);
+
+    // options.deadline overrides the default for one request
+    const patient = service.callMCPTool('elevenlabs', 'get-voices', {}, { deadline: 5000 });
+    const server = startStubServer(TTS_URL, { tools: { 'get-voices': () => ({ voices: [] }) } });
+    assert.deepEqual(service.parseToolResult(await patient), { voices: [] });
+    await done;
+    assert.equal(server.received.filter(message => message.method === 'tools/call').length, 1);
+});
+
+test('a dropped connection fails requests in flight unless they may be retried, which are sent again', async () => {
+    let translateCalls = 0;
+    const server = startStubServer(TTS_URL, {
+        tools: {
+            // Neither first call is answered; the connection drops under them
+            translate: () => ++translateCalls === 1 ? new Promise(() => {}) : { translation: 'hallo' },
+            'create-voice': () => new Promise(() => {})
+        }
+    });
+    const service = createService();
+    service.config.RETRY_DELAY = 20;
+    await service.initialize([MCP_ROLES.TTS]);
+    const connection = service.connections.get('elevenlabs');
+
+    const write = service.callMCPTool('elevenlabs', 'create-voice', {});
+    const read = service.sendRequest(connection, 'tools/call', { name: 'translate', arguments: {} }, { retryOnClose: true });
+    await settle();
+    assert.equal(service.getInFlightRequests('elevenlabs').length, 2);
+
+    const done = reconnected();
+    server.disconnect();
+
+    await assert.rejects(write, /MCP connection to ElevenLabs closed before it answered/);
+    assert.equal(connection.messageQueue.length, 1);
+    assert.deepEqual(service.parseToolResult(await read), { translation: 'hallo' });
+    await done;
+    assert.equal(translateCalls, 2);
+    assert.equal(connection.messageQueue.length, 0);
+});
@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+const { sine, glottalPulses, encodeWav, decodeWav, seededRandom } = require('./helpers/synthetic-voice');
+
+// AudioWorkletGlobalScope stand-ins for pitch-worklet.js
+const processors = new Map();
+class FakeAudioWorkletProcessor {
+    constructor() {
+        this.port = { messages: [], postMessage(message) { this.messages.push(message); } };
+    }
+}
+globalThis.AudioWorkletProcessor = FakeAudioWorkletProcessor;
+globalThis.registerProcessor = (name, processor) => processors.set(name, processor);
+globalThis.sampleRate = 44100;
+
+loadScripts('pitch-detector.js', 'pitch-worklet.js');
+
+const FRAME = 2048;
+
+// Round-trip through a WAV file so the detector sees 16-bit quantised audio
+function wav(samples, sampleRate) {
+    return decodeWav(encodeWav(samples, sampleRate));
+}
+
+// Raw detector estimates for each frame of a recording, half a frame apart
+function detectRecording(recording, options = {}) {
+    const detector = new PitchDetector(recording.sampleRate, options);
+    const estimates = [];
+    for (let start = 0; start + FRAME <= recording.samples.length; start += FRAME / 2) {
+        estimates.push(detector.detect(recording.samples.subarray(start, start + FRAME)));
+    }
+    return estimates;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function assertWithin(actual, expected, percent, label) {
+    const error = Math.abs(actual - expected) / expected * 100;
+    assert.ok(error <= percent, `${label}: detected ${actual.toFixed(2)} Hz, expected ${expected} Hz (${error.toFixed(2)}% off)`);
+}
+
+test('the WAV round trip keeps the sample rate and the signal to 16-bit precision', () => {
+    const samples = sine(220, 16000, 0.05);
+    const recording = wav(samples, 16000);
+
+    assert.equal(recording.sampleRate, 16000);
+    assert.equal(recording.samples.length, samples.length);
+    assert.ok(recording.samples.every((sample, i) => Math.abs(sample - samples[i]) < 1 / 16384));
+});
+
+test('sines are detected within 0.5% across the speaking range', () => {
+    for (const sampleRate of [16000, 44100, 48000]) {
+        for (const frequency of [65, 82.4, 110, 146.8, 196, 261.6, 349.2, 440, 493.9]) {
+            const estimates = detectRecording(wav(sine(frequency, sampleRate, 0.3), sampleRate));
+
+            assert.ok(estimates.every(estimate => estimate.voiced), `${frequency} Hz at ${sampleRate} Hz has unvoiced frames`);
+            for (const estimate of estimates) {
+                assertWithin(estimate.frequency, frequency, 0.5, `sine ${frequency} Hz at ${sampleRate} Hz`);
+                assert.ok(estimate.clarity > 0.95);
+            }
+        }
+    }
+});
+
+test('glottal pulse trains are detected within 0.5% for male, female and child voices', () => {
+    const cases = [
+        { frequency: 85, vowel: 'a' },
+        { frequency: 110, vowel: 'u' },
+        { frequency: 130, vowel: 'i' },
+        { frequency: 180, vowel: 'a' },
+        { frequency: 220, vowel: 'i' },
+        { frequency: 260, vowel: 'u' },
+        { frequency: 320, vowel: 'a' },
+        { frequency: 400, vowel: 'i' }
+    ];
+
+    for (const sampleRate of [16000, 44100]) {
+        for (const { frequency, vowel } of cases) {
+            const recording = wav(glottalPulses({ frequency, vowel, sampleRate, duration: 0.4 }), sampleRate);
+            const estimates = detectRecording(recording);
+            const label = `/${vowel}/ at ${frequency} Hz, ${sampleRate} Hz`;
+
+            assert.ok(estimates.every(estimate => estimate.voiced), `${label} has unvoiced frames`);
+            // The first frame holds the formant filters' onset, before the waveform settles into periods
+            assertWithin(estimates[0].frequency, frequency, 3, `${label} onset`);
+            for (const estimate of estimates.slice(1)) {
+                assertWithin(estimate.frequency, frequency, 0.5, label);
+            }
+        }
+    }
+});
+
+test('jitter and breath noise cost accuracy but not octaves', () => {
+    for (const frequency of [95, 150, 230]) {
+        const recording = wav(glottalPulses({
+            frequency, vowel: 'a', sampleRate: 44100, duration: 0.6, jitter: 0.01, noise: 0.05, seed: frequency
+        }), 44100);
+        const estimates = detectRecording(recording);
+        const voiced = estimates.filter(estimate => estimate.voiced);
+
+        assert.ok(voiced.length >= estimates.length * 0.9, `${frequency} Hz: only ${voiced.length}/${estimates.length} frames voiced`);
+        for (const estimate of voiced) {
+            assertWithin(estimate.frequency, frequency, 3, `noisy ${frequency} Hz`);
+        }
+    }
+});
+
+test('silence and white noise are unvoiced', () => {
+    const silence = detectRecording(wav(new Float32Array(44100 * 0.2), 44100));
+    assert.ok(silence.every(estimate => !estimate.voiced && estimate.frequency === 0));
+
+    const random = seededRandom(7);
+    const noise = new Float32Array(44100 * 0.2).map(() => 0.3 * (2 * random() - 1));
+    const noisy = detectRecording(wav(noise, 44100));
+    assert.ok(noisy.filter(estimate => estimate.voiced).length <= 1, 'white noise reported as voiced');
+});
+
+test('PitchTracker follows a glottal glide and folds an injected octave jump', () => {
+    const sampleRate = 44100;
+    const glide = t => 120 + 80 * t; // 120 Hz to 200 Hz over one second
+    const recording = wav(glottalPulses({ frequency: glide, vowel: 'a', sampleRate, duration: 1 }), sampleRate);
+    const detector = new PitchDetector(sampleRate);
+    const tracker = new PitchTracker();
+
+    let frames = 0;
+    for (let start = 0; start + FRAME <= recording.samples.length; start += FRAME / 2) {
+        const estimate = detector.detect(recording.samples.subarray(start, start + FRAME));
+        if (frames === 20) {
+            estimate.frequency *= 2; // One frame locks onto the second harmonic
+        }
+        const track = tracker.update(estimate);
+        frames++;
+
+        // The median filter trails the glide by about two hops
+        const expected = glide((start + FRAME / 2 - FRAME) / sampleRate);
+        if (frames > 5) {
+            assert.equal(track.voiced, true);
+            assertWithin(track.pitch, Math.max(120, expected), 3, `glide frame ${frames}`);
+        }
+    }
+});
+
+test('PitchTracker folds octave jumps shorter than octaveFrames and follows one that persists', () => {
+    const tracker = new PitchTracker({ octaveFrames: 3 });
+    const feed = frequency => tracker.update({ frequency, clarity: 0.95, voiced: true }).pitch;
+
+    for (let i = 0; i < 5; i++) {
+        feed(110);
+    }
+
+    // Two frames an octave up, then back: folded throughout
+    assert.deepEqual([feed(220), feed(221), feed(110)], [110, 110, 110]);
+
+    // A real octave change is followed once it has lasted three frames
+    assert.deepEqual([feed(220), feed(220), feed(220), feed(220)], [110, 110, 220, 220]);
+
+    // And the same downwards
+    assert.deepEqual([feed(110), feed(110), feed(110)], [220, 220, 110]);
+});
+
+test('the worklet reports the tracked pitch of a WAV fed in render quanta', () => {
+    const Processor = processors.get('pitch-processor');
+    const processor = new Processor({ processorOptions: { frameSize: FRAME, hopSize: 1024 } });
+    const recording = wav(glottalPulses({ frequency: 145, vowel: 'u', sampleRate: 44100, duration: 0.5 }), 44100);
+
+    for (let start = 0; start < recording.samples.length; start += 128) {
+        assert.equal(processor.process([[recording.samples.subarray(start, start + 128)]]), true);
+    }
+
+    const messages = processor.port.messages;
+    assert.ok(messages.length >= 18, `only ${messages.length} frames analysed`);
+    assert.ok(messages.every(message => message.voiced));
+    assertWithin(median(messages.map(message => message.rawPitch)), 145, 1, 'worklet raw pitch');
+    assertWithin(messages[messages.length - 1].pitch, 145, 1, 'worklet tracked pitch');
+
+    processor.port.onmessage({ data: 'reset' });
+    assert.equal(processor.tracker.pitch, 0);
+
+    // After 'stop' the processor asks to be released and analyses nothing more
+    processor.port.onmessage({ data: 'stop' });
+    const analysed = messages.length;
+    for (let start = 0; start < FRAME * 2; start += 128) {
+        assert.equal(processor.process([[recording.samples.subarray(start, start + 128)]]), false);
+    }
+    assert.equal(messages.length, analysed);
+});
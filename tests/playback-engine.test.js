@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole, installAudioFakes } = require('./helpers/browser-env');
+const { installStubWebSocket, startStubServer, stopStubServer } = require('./helpers/mcp-stub');
+const { startHttpMock } = require('./helpers/http-mock');
+
+silenceConsole();
+installStubWebSocket();
+const { FakeAudio, speechSynthesis } = installAudioFakes();
+resetConfig();
+loadScripts('elevenlabs-service.js', 'mcp-integration.js', 'streaming-audio-player.js', 'playback-engine.js', 'voice-mcp-client.js');
+
+const TTS_URL = 'ws://tts.test';
+const AUDIO = Buffer.from('ID3 fake mpeg audio');
+
+let elevenLabsApi = null;
+let ttsReply = null; // What POST /text-to-speech answers in the current test
+
+test.before(async () => {
+    elevenLabsApi = await startHttpMock((request) => {
+        if (request.headers['xi-api-key'] !== 'test-key') {
+            return { status: 401, body: { detail: 'invalid api key' } };
+        }
+        if (request.method === 'GET' && request.path === '/v1/voices') {
+            return { body: { voices: [{ voice_id: 'voice-1', name: 'Rachel' }] } };
+        }
+        if (request.method === 'POST' && request.path.startsWith('/v1/text-to-speech/')) {
+            return ttsReply;
+        }
+        return { status: 404 };
+    });
+});
+
+test.after(() => elevenLabsApi.close());
+
+test.beforeEach(() => {
+    elevenLabsApi.requests.length = 0;
+    FakeAudio.instances.length = 0;
+    FakeAudio.autoEnd = true;
+    speechSynthesis.spoken.length = 0;
+    ttsReply = { body: AUDIO, headers: { 'Content-Type': 'audio/mpeg' } };
+});
+
+test.afterEach(() => stopStubServer(TTS_URL));
+
+// options.apiKey null leaves the placeholder key; options.mcpTool adds an MCP TTS server
+async function createEngine(options = {}) {
+    const config = resetConfig();
+    config.ELEVENLABS.BASE_URL = `${elevenLabsApi.url}/v1`;
+    config.ELEVENLABS.STREAMING = false;
+    if (options.apiKey !== null) {
+        config.ELEVENLABS_API_KEY = options.apiKey || 'test-key';
+    }
+    config.MCP.SERVERS = [];
+
+    let mcpService = null;
+    if (options.mcpTool) {
+        startStubServer(TTS_URL, { tools: { 'text-to-speech': options.mcpTool } });
+        config.MCP.SERVERS = [{ NAME: 'elevenlabs', URL: TTS_URL, AUTH_TOKEN: '', ROLE: 'tts', PRIORITY: 1 }];
+        mcpService = new MCPIntegrationService();
+        await mcpService.initialize();
+    }
+
+    return new PlaybackEngine(mcpService);
+}
+
+function ttsRequests() {
+    return elevenLabsApi.requests.filter(request => request.method === 'POST');
+}
+
+test('the MCP server is preferred when connected', async () => {
+    const engine = await createEngine({ mcpTool: () => ({ audio_data: AUDIO.toString('base64') }) });
+    const started = [];
+
+    const used = await engine.speak('hello', { onStart: (name) => started.push(name) });
+
+    assert.equal(used, PLAYBACK_ENGINES.ELEVENLABS_MCP);
+    assert.deepEqual(started, [PLAYBACK_ENGINES.ELEVENLABS_MCP]);
+    assert.equal(engine.lastEngine, PLAYBACK_ENGINES.ELEVENLABS_MCP);
+    assert.equal(ttsRequests().length, 0);
+    assert.equal(FakeAudio.instances.length, 1);
+});
+
+test('a failing MCP server falls back to the direct API', async () => {
+    const engine = await createEngine({ mcpTool: () => { throw new Error('upstream timeout'); } });
+    const started = [];
+
+    const used = await engine.speak('hello', { voiceId: 'voice-1', onStart: (name) => started.push(name) });
+
+    assert.equal(used, PLAYBACK_ENGINES.ELEVENLABS);
+    assert.deepEqual(started, [PLAYBACK_ENGINES.ELEVENLABS]);
+
+    const [request] = ttsRequests();
+    assert.equal(request.path, '/v1/text-to-speech/voice-1');
+    assert.equal(JSON.parse(request.body).text, 'hello');
+});
+
+test('without an API key or MCP server Web Speech is used and nothing is requested', async () => {
+    const engine = await createEngine({ apiKey: null });
+
+    const used = await engine.speak('hello');
+
+    assert.equal(used, PLAYBACK_ENGINES.WEB_SPEECH);
+    assert.deepEqual(speechSynthesis.spoken, ['hello']);
+    assert.equal(elevenLabsApi.requests.length, 0);
+});
+
+test('an exhausted quota falls back to Web Speech and disables ElevenLabs for the session', async () => {
+    const engine = await createEngine();
+    ttsReply = { status: 429, body: { detail: { status: 'quota_exceeded' } } };
+
+    assert.equal(await engine.speak('first'), PLAYBACK_ENGINES.WEB_SPEECH);
+    assert.equal(ttsRequests().length, 1);
+    assert.ok(engine.elevenLabsDisabledReason);
+
+    assert.equal(await engine.speak('second'), PLAYBACK_ENGINES.WEB_SPEECH);
+    assert.equal(ttsRequests().length, 1);
+    assert.deepEqual(speechSynthesis.spoken, ['first', 'second']);
+});
+
+test('a rejected API key is treated like an exhausted quota', async () => {
+    const engine = await createEngine({ apiKey: 'wrong-key' });
+
+    assert.equal(await engine.speak('hello'), PLAYBACK_ENGINES.WEB_SPEECH);
+    assert.ok(engine.elevenLabsDisabledReason);
+});
+
+test('a transient server error falls back once but keeps ElevenLabs enabled', async () => {
+    const engine = await createEngine();
+    ttsReply = { status: 500, body: { detail: 'internal error' } };
+
+    assert.equal(await engine.speak('first'), PLAYBACK_ENGINES.WEB_SPEECH);
+    assert.equal(engine.elevenLabsDisabledReason, null);
+
+    ttsReply = { body: AUDIO, headers: { 'Content-Type': 'audio/mpeg' } };
+    assert.equal(await engine.speak('second'), PLAYBACK_ENGINES.ELEVENLABS);
+});
+
+test('the mobile status bar names the engine that is speaking', async () => {
+    const client = Object.create(VoiceChatNetwork.prototype);
+    const statuses = [];
+    client.playbackEngine = await createEngine();
+    client.interpreter = null;
+    client.showStatus = (text) => statuses.push(text);
+
+    assert.equal(await client.speak('hello'), PLAYBACK_ENGINES.ELEVENLABS);
+    assert.deepEqual(statuses, ['Playing (ElevenLabs)', 'Ready']);
+});
+
+test('stop() silences a clip from the direct API', async () => {
+    const engine = await createEngine();
+    FakeAudio.autoEnd = false;
+
+    let playing = null;
+    const speaking = engine.speak('hello', { onStart: () => { playing = FakeAudio.instances[0]; } });
+    while (!playing) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.equal(playing.paused, false);
+
+    engine.stop();
+
+    assert.equal(await speaking, PLAYBACK_ENGINES.ELEVENLABS);
+    assert.equal(playing.paused, true);
+    assert.equal(engine.isPlaying(), false);
+});
+
+test('starting a new utterance cancels a clip from the MCP server', async () => {
+    const engine = await createEngine({ mcpTool: () => ({ audio_data: AUDIO.toString('base64') }) });
+    FakeAudio.autoEnd = false;
+
+    let second = null;
+    const first = engine.speak('first', {
+        onStart: () => setTimeout(() => {
+            FakeAudio.autoEnd = true;
+            second = engine.speak('second');
+        }, 0)
+    });
+    await first;
+    await second;
+
+    assert.equal(FakeAudio.instances.length, 2);
+    assert.equal(FakeAudio.instances[0].paused, true);
+    assert.equal(FakeAudio.instances[0].ended, false);
+});
+
+test('a clip that finishes synthesizing after stop() is never played', async () => {
+    let answer = null;
+    const engine = await createEngine({
+        mcpTool: () => new Promise(resolve => { answer = () => resolve({ audio_data: AUDIO.toString('base64') }); })
+    });
+
+    const speaking = engine.speak('hello');
+    while (!answer) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    engine.stop();
+    answer();
+    await speaking;
+
+    assert.equal(FakeAudio.instances.length, 0);
+    assert.deepEqual(speechSynthesis.spoken, []);
+});
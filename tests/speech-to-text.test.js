@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+const { installStubWebSocket, startStubServer, stopStubServer } = require('./helpers/mcp-stub');
+const { startHttpMock } = require('./helpers/http-mock');
+
+silenceConsole();
+installStubWebSocket();
+resetConfig();
+loadScripts('mcp-integration.js', 'speech-to-text.js');
+
+const TTS_URL = 'ws://tts.test';
+
+let whisperApi = null;
+
+test.before(async () => {
+    whisperApi = await startHttpMock((request) => {
+        if (request.method === 'POST' && request.path === '/v1/audio/transcriptions') {
+            return { body: { text: ' hello from whisper ', language: 'english' } };
+        }
+        return { status: 404 };
+    });
+});
+
+test.after(() => whisperApi.close());
+
+test.beforeEach(() => {
+    whisperApi.requests.length = 0;
+});
+
+test.afterEach(() => stopStubServer(TTS_URL));
+
+function recording() {
+    return new Blob([Buffer.alloc(16, 1)], { type: 'audio/webm;codecs=opus' });
+}
+
+// options.sttTool adds an ElevenLabs MCP server answering speech-to-text; options.whisper sets the Whisper URL
+async function createSpeechToText(options = {}) {
+    const config = resetConfig();
+    config.STT.WHISPER.URL = options.whisper ? `${whisperApi.url}/v1/audio/transcriptions` : '';
+    config.STT.TIMEOUT = options.timeout || 1000;
+    config.MCP.SERVERS = [];
+
+    let mcpService = null;
+    let server = null;
+    if (options.sttTool) {
+        server = startStubServer(TTS_URL, { tools: { 'speech-to-text': options.sttTool } });
+        config.MCP.SERVERS = [{ NAME: 'elevenlabs', URL: TTS_URL, AUTH_TOKEN: '', ROLE: 'tts', PRIORITY: 1 }];
+        mcpService = new MCPIntegrationService();
+        await mcpService.initialize();
+    }
+
+    return { stt: new SpeechToText(mcpService), server };
+}
+
+test('Whisper is unavailable until its URL is configured', async () => {
+    const { stt } = await createSpeechToText();
+
+    assert.equal(stt.backends.find(backend => backend.name === STT_PROVIDERS.WHISPER).isAvailable(), false);
+    assert.equal(stt.hasRecordingBackend(), false);
+    await assert.rejects(stt.transcribe(recording()), /No speech-to-text backend is available/);
+    assert.equal(whisperApi.requests.length, 0);
+});
+
+test('recordings go to the MCP backend first and to Whisper when it fails', async () => {
+    const calls = [];
+    let fail = false;
+    const { stt } = await createSpeechToText({
+        whisper: true,
+        sttTool: (args) => {
+            calls.push(args);
+            if (fail) throw new Error('quota exceeded');
+            return { text: 'hallo', language_code: 'de', language_probability: 0.9 };
+        }
+    });
+
+    const viaMcp = await stt.transcribe(recording(), 'de');
+    assert.deepEqual(viaMcp, { transcript: 'hallo', confidence: 0.9, language: 'de', provider: STT_PROVIDERS.MCP_ELEVENLABS });
+    assert.equal(calls[0].language_code, 'de');
+    assert.equal(calls[0].audio.mime_type, 'audio/webm');
+    assert.equal(whisperApi.requests.length, 0);
+
+    fail = true;
+    const viaWhisper = await stt.transcribe(recording());
+    assert.deepEqual(viaWhisper, { transcript: 'hello from whisper', confidence: 0, language: 'en', provider: STT_PROVIDERS.WHISPER });
+    assert.equal(calls.length, 2);
+    assert.equal(whisperApi.requests.length, 1);
+    assert.match(whisperApi.requests[0].body, /name="file"; filename="recording\.webm"/);
+});
+
+test('STT.TIMEOUT cancels a hanging MCP transcription before Whisper takes over', async () => {
+    const { stt, server } = await createSpeechToText({ whisper: true, timeout: 50, sttTool: () => new Promise(() => {}) });
+
+    const startedAt = Date.now();
+    const result = await stt.transcribe(recording(), 'en');
+
+    assert.equal(result.provider, STT_PROVIDERS.WHISPER);
+    assert.ok(Date.now() - startedAt < 1000, `took ${Date.now() - startedAt} ms`);
+
+    const call = server.received.find(message => message.method === 'tools/call');
+    const cancelled = server.received.find(message => message.method === 'notifications/cancelled');
+    assert.ok(cancelled, 'expected notifications/cancelled');
+    assert.equal(cancelled.params.requestId, call.id);
+    assert.deepEqual(stt.backends[1].mcpService.getInFlightRequests('elevenlabs'), []);
+});
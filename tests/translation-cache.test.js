@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+
+silenceConsole();
+resetConfig();
+loadScripts('translation-cache.js');
+
+// Without IndexedDB under node the cache is memory-only, which is all these tests need
+function createCache(maxEntries = 3, ttl = 1000) {
+    return new TranslationCache({ MAX_ENTRIES: maxEntries, TTL: ttl, DB_NAME: 'test-translation-cache' });
+}
+
+function key(text, options = {}) {
+    return TranslationCache.keyParams(text, 'DE', 'EN', options);
+}
+
+function translation(text) {
+    return { originalText: text, translatedText: `[de] ${text}`, detectedSourceLanguage: 'EN', targetLanguage: 'DE' };
+}
+
+test('the least recently used entry is evicted once MAX_ENTRIES is exceeded', async () => {
+    const cache = createCache(3);
+    for (const text of ['one', 'two', 'three']) {
+        await cache.set(key(text), translation(text));
+    }
+
+    // Reading 'one' makes 'two' the least recently used
+    assert.equal((await cache.get(key('one'))).translatedText, '[de] one');
+    await cache.set(key('four'), translation('four'));
+
+    assert.equal(await cache.get(key('two')), null);
+    assert.deepEqual(await Promise.all(['one', 'three', 'four'].map(async text => !!(await cache.get(key(text))))), [true, true, true]);
+    assert.equal(cache.getStats().evictions, 1);
+    assert.equal(cache.getStats().size, 3);
+});
+
+test('entries expire TTL after they were stored, however often they are read', async (t) => {
+    let now = 10000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = createCache(3, 1000);
+
+    await cache.set(key('hello'), translation('hello'));
+    now += 999;
+    assert.ok(await cache.get(key('hello')));
+
+    now += 2;
+    assert.equal(await cache.get(key('hello')), null);
+    assert.equal(cache.getStats().expirations, 1);
+    assert.equal(cache.getStats().size, 0);
+});
+
+test('the key covers source, target, formality and glossary', async () => {
+    const cache = createCache(10);
+    await cache.set(key('hello'), translation('hello'));
+
+    assert.equal(await cache.get(key('hello', { formality: 'more' })), null);
+    assert.equal(await cache.get(key('hello', { glossaryId: 'gloss-1' })), null);
+    assert.equal(await cache.get(TranslationCache.keyParams('hello', 'FR', 'EN')), null);
+    assert.equal(await cache.get(TranslationCache.keyParams('hello', 'DE', null)), null);
+    assert.ok(await cache.get(key('hello', { formality: undefined })));
+});
+
+test('invalidateGlossary drops only the translations made with that glossary', async () => {
+    const cache = createCache(10);
+    await cache.set(key('device', { glossaryId: 'gloss-1' }), translation('device'));
+    await cache.set(key('screen', { glossaryId: 'gloss-1' }), translation('screen'));
+    await cache.set(key('device', { glossaryId: 'gloss-2' }), translation('device'));
+    await cache.set(key('device'), translation('device'));
+
+    assert.equal(await cache.invalidateGlossary('gloss-1'), 2);
+
+    assert.equal(await cache.get(key('device', { glossaryId: 'gloss-1' })), null);
+    assert.equal(await cache.get(key('screen', { glossaryId: 'gloss-1' })), null);
+    assert.ok(await cache.get(key('device', { glossaryId: 'gloss-2' })));
+    assert.ok(await cache.get(key('device')));
+    assert.equal(cache.getStats().invalidations, 2);
+});
+
+test('getStats counts hits and misses and reports the hit rate', async () => {
+    const cache = createCache(2);
+    assert.deepEqual(cache.getStats(), {
+        hits: 0,
+        misses: 0,
+        evictions: 0,
+        expirations: 0,
+        invalidations: 0,
+        size: 0,
+        maxEntries: 2,
+        hitRate: 0,
+        persistent: false
+    });
+
+    await cache.set(key('hello'), translation('hello'));
+    await cache.get(key('hello'));
+    await cache.get(key('hello'));
+    await cache.get(key('bye'));
+    await cache.get(key('hello', { formality: 'less' }));
+
+    const stats = cache.getStats();
+    assert.equal(stats.hits, 2);
+    assert.equal(stats.misses, 2);
+    assert.equal(stats.hitRate, 0.5);
+    assert.equal(stats.size, 1);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+const { installStubWebSocket, startStubServer, stopStubServer } = require('./helpers/mcp-stub');
+const { startHttpMock } = require('./helpers/http-mock');
+
+silenceConsole();
+installStubWebSocket();
+resetConfig();
+loadScripts('translation-service.js', 'translation-cache.js', 'deepl-service.js', 'mcp-integration.js', 'translation-router.js', 'glossary-manager.js');
+
+const TRANSLATION_URL = 'ws://translation.test';
+
+let deepLApi = null;
+let translateReply = null; // The translation POST /translate answers for each text; null never answers
+
+test.before(async () => {
+    deepLApi = await startHttpMock((request) => {
+        if (request.method === 'GET' && request.path.startsWith('/v2/languages')) {
+            return { body: [{ language: 'DE', name: 'German' }] };
+        }
+        if (request.method === 'GET' && request.path === '/v2/usage') {
+            return { body: { character_count: 0, character_limit: 500000 } };
+        }
+        if (request.method === 'GET' && request.path === '/v2/glossaries') {
+            return { body: { glossaries: [{ glossary_id: 'gloss-1', name: 'Product', source_lang: 'en', target_lang: 'de', ready: true }] } };
+        }
+        if (request.method === 'POST' && request.path === '/v2/translate') {
+            if (!translateReply) return new Promise(() => {});
+            const texts = JSON.parse(request.body).text;
+            return { body: { translations: texts.map(() => translateReply) } };
+        }
+        return { status: 404 };
+    });
+});
+
+test.after(() => deepLApi.close());
+
+test.beforeEach(() => {
+    deepLApi.requests.length = 0;
+    translateReply = { text: 'hallo', detected_source_language: 'EN' };
+});
+
+test.afterEach(() => stopStubServer(TRANSLATION_URL));
+
+// options.mcpTool adds an MCP translation server; options.providers limits the chain;
+// options.cache turns on a fresh memory-only translation cache
+async function createRouter(options = {}) {
+    const config = resetConfig();
+    config.DEEPL.BASE_URL = `${deepLApi.url}/v2`;
+    config.DEEPL_API_KEY = 'test-key';
+    config.TRANSLATION.CACHE.ENABLED = !!options.cache;
+    config.TRANSLATION.TIMEOUTS['mcp-deepl'] = 100;
+    config.TRANSLATION.TIMEOUTS['deepl'] = 200;
+    config.MCP.SERVERS = [];
+    if (options.providers) {
+        config.TRANSLATION.PROVIDERS = options.providers;
+    }
+
+    TranslationCache.instance = null;
+
+    let mcpService = null;
+    let server = null;
+    if (options.mcpTool) {
+        server = startStubServer(TRANSLATION_URL, { tools: { translate: options.mcpTool } });
+        config.MCP.SERVERS = [{ NAME: 'deepl', URL: TRANSLATION_URL, AUTH_TOKEN: '', ROLE: 'translation', PRIORITY: 1 }];
+        mcpService = new MCPIntegrationService();
+        await mcpService.initialize();
+    }
+
+    return { router: new TranslationRouter(mcpService), server };
+}
+
+test('a timed-out MCP request is cancelled on the server before the next provider answers', async () => {
+    const { router, server } = await createRouter({ mcpTool: () => new Promise(() => {}) });
+
+    const result = await router.translateText('hello', 'de', 'en');
+
+    assert.equal(result.provider, TRANSLATION_PROVIDERS.DEEPL);
+    assert.equal(result.translatedText, 'hallo');
+
+    const call = server.received.find(message => message.method === 'tools/call');
+    const cancelled = server.received.find(message => message.method === 'notifications/cancelled');
+    assert.ok(cancelled, 'expected notifications/cancelled');
+    assert.equal(cancelled.params.requestId, call.id);
+});
+
+test('a timed-out DeepL request is aborted before falling back offline', async () => {
+    const { router } = await createRouter({ providers: ['deepl', 'offline'] });
+    translateReply = null;
+
+    const signals = [];
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = (url, init) => {
+        if (init && init.signal) signals.push(init.signal);
+        return realFetch(url, init);
+    };
+
+    try {
+        const result = await router.translateText('hello', 'de', 'en');
+        assert.equal(result.provider, TRANSLATION_PROVIDERS.OFFLINE);
+    } finally {
+        globalThis.fetch = realFetch;
+    }
+
+    assert.equal(signals.length, 1);
+    assert.equal(signals[0].aborted, true);
+});
+
+test('MCP requests send the source language as a base code', async () => {
+    const calls = [];
+    const { router } = await createRouter({
+        mcpTool: (args) => {
+            calls.push(args);
+            return { translation: { text: 'olá', detected_source_language: 'EN' } };
+        }
+    });
+
+    await router.translateText('hello', 'pt', 'en');
+
+    assert.equal(calls[0].source_lang, 'EN');
+    assert.equal(calls[0].target_lang, 'PT-PT');
+});
+
+test('direct DeepL requests send the source language as a base code', async () => {
+    await createRouter();
+    const deepL = new DeepLService();
+
+    await deepL.translateText('olá', 'en', 'pt');
+    await deepL.translateBatch(['hello', 'bye'], 'de', 'en-US');
+
+    const bodies = deepLApi.requests.filter(request => request.method === 'POST').map(request => JSON.parse(request.body));
+    assert.deepEqual(bodies.map(body => body.source_lang), ['PT', 'EN']);
+    assert.equal(bodies[0].target_lang, 'EN-US');
+});
+
+test('an en to de glossary translates with source_lang EN and the glossary ID', async () => {
+    const calls = [];
+    const { router } = await createRouter({
+        mcpTool: (args) => {
+            calls.push(args);
+            return { translation: { text: 'Hallo Gerät', detected_source_language: 'EN' } };
+        }
+    });
+    const glossaries = new GlossaryManager(new DeepLService());
+    await glossaries.list();
+    glossaries.selectForConversation('user_2', 'gloss-1');
+
+    const glossary = glossaries.getTranslationOptions('user_2', 'de', 'en');
+    assert.deepEqual(glossary, { sourceLang: 'EN', options: { glossaryId: 'gloss-1' } });
+
+    await router.translateText('hello device', 'de', glossary.sourceLang, glossary.options);
+    assert.equal(calls[0].source_lang, 'EN');
+    assert.equal(calls[0].glossary_id, 'gloss-1');
+
+    router.mcpService = null;
+    await router.translateText('hello device', 'de', glossary.sourceLang, glossary.options);
+    const [request] = deepLApi.requests.filter(item => item.method === 'POST');
+    assert.equal(JSON.parse(request.body).source_lang, 'EN');
+    assert.equal(JSON.parse(request.body).glossary_id, 'gloss-1');
+});
+
+test('MCP translations are cached in front of the provider chain under the key DeepL batches use', async () => {
+    const calls = [];
+    const { router } = await createRouter({
+        cache: true,
+        mcpTool: (args) => {
+            calls.push(args);
+            return { translation: { text: 'hallo', detected_source_language: 'EN' } };
+        }
+    });
+
+    const first = await router.translateText('hello', 'de', 'en');
+    const second = await router.translateText('hello', 'de', 'en');
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(second, first);
+    assert.equal(second.provider, TRANSLATION_PROVIDERS.MCP_DEEPL);
+
+    // A different formality is a different key
+    await router.translateText('hello', 'de', 'en', { formality: 'more' });
+    assert.equal(calls.length, 2);
+
+    const [batched] = await new DeepLService().translateBatch(['hello'], 'de', 'en');
+    assert.equal(batched.translatedText, 'hallo');
+    assert.equal(deepLApi.requests.filter(request => request.method === 'POST').length, 0);
+    assert.equal(router.cache.getStats().hits, 2);
+});
+
+test('offline results are not cached', async () => {
+    const { router } = await createRouter({ cache: true, providers: ['offline'] });
+    const offline = [];
+    router.translationService.translateText = async (text) => {
+        offline.push(text);
+        return { translatedText: `[de] ${text}` };
+    };
+
+    await router.translateText('hello', 'de', 'en');
+    await router.translateText('hello', 'de', 'en');
+
+    assert.deepEqual(offline, ['hello', 'hello']);
+    assert.equal(router.cache.getStats().size, 0);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig } = require('./helpers/browser-env');
+const { sine, glottalPulses, noise, frequencyDb, encodeWav, decodeWav } = require('./helpers/synthetic-voice');
+
+const config = resetConfig();
+loadScripts('voice-activity-detector.js');
+
+const SAMPLE_RATE = 44100;
+const FRAME = 2048;
+const HOP = 1024;
+const BIN_HZ = SAMPLE_RATE / FRAME;
+
+const vowel = seconds => glottalPulses({ frequency: 150, vowel: 'a', sampleRate: SAMPLE_RATE, duration: seconds, amplitude: 0.3 });
+const silence = seconds => new Float32Array(Math.round(SAMPLE_RATE * seconds));
+const hiss = seconds => noise({ sampleRate: SAMPLE_RATE, duration: seconds, amplitude: 0.3, formant: [1800, 6000] });
+
+// Concatenate the parts over a quiet room (-58 dBFS noise) and round-trip through a WAV file
+function recording(...parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const room = noise({ sampleRate: SAMPLE_RATE, duration: length / SAMPLE_RATE, amplitude: 0.002 });
+    const samples = new Float32Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        samples.set(part, offset);
+        offset += part.length;
+    }
+    for (let i = 0; i < length; i++) {
+        samples[i] += room[i];
+    }
+    return decodeWav(encodeWav(samples, SAMPLE_RATE)).samples;
+}
+
+function features(frame, voiced = false) {
+    return { ...VoiceActivityDetector.frameFeatures(frame, frequencyDb(frame), BIN_HZ, config.VAD.SPEECH_BAND), voiced };
+}
+
+// Feed a recording hop by hop like the analyser loop; returns [event, ms] pairs
+function detect(samples, vadConfig = config.VAD) {
+    const vad = new VoiceActivityDetector(vadConfig);
+    const events = [];
+    for (let end = FRAME; end <= samples.length; end += HOP) {
+        const now = end / SAMPLE_RATE * 1000;
+        const event = vad.process(features(samples.subarray(end - FRAME, end)), now);
+        if (event) events.push([event, Math.round(now)]);
+    }
+    return events;
+}
+
+function middleFrame(samples) {
+    return samples.subarray(4096, 4096 + FRAME);
+}
+
+test('a voiced vowel is loud, sits in the speech band and has a harmonic spectrum', () => {
+    const vad = new VoiceActivityDetector(config.VAD);
+    const speech = features(middleFrame(recording(vowel(0.5))));
+
+    assert.ok(Math.abs(speech.levelDb - -18) < 2, `level ${speech.levelDb}`);
+    assert.ok(speech.bandRatio > 0.9, `band ratio ${speech.bandRatio}`);
+    assert.ok(speech.flatness < 0.01, `flatness ${speech.flatness}`);
+    assert.equal(vad.isSpeechFrame(speech, -46), true);
+    assert.equal(vad.isSpeechFrame(speech, -10), false);
+});
+
+test('hum, broadband noise and speech-band hiss are not speech', () => {
+    const vad = new VoiceActivityDetector(config.VAD);
+
+    // Loud, but its energy is below the speech band
+    const hum = features(middleFrame(recording(sine(100, SAMPLE_RATE, 0.5, 0.3))));
+    assert.ok(hum.levelDb > -20);
+    assert.ok(hum.bandRatio < config.VAD.MIN_SPEECH_BAND_RATIO, `hum band ratio ${hum.bandRatio}`);
+    assert.equal(vad.isSpeechFrame(hum, -46), false);
+
+    // White noise spreads over the whole spectrum
+    const white = features(middleFrame(recording(noise({ sampleRate: SAMPLE_RATE, duration: 0.5, amplitude: 0.3 }))));
+    assert.ok(white.bandRatio < config.VAD.MIN_SPEECH_BAND_RATIO, `white band ratio ${white.bandRatio}`);
+    assert.equal(vad.isSpeechFrame(white, -46), false);
+
+    // Hiss in the speech band passes the band check but its spectrum is flat...
+    const fan = features(middleFrame(recording(hiss(0.5))));
+    assert.ok(fan.bandRatio > config.VAD.MIN_SPEECH_BAND_RATIO, `hiss band ratio ${fan.bandRatio}`);
+    assert.ok(fan.flatness > config.VAD.MAX_FLATNESS, `hiss flatness ${fan.flatness}`);
+    assert.equal(vad.isSpeechFrame(fan, -46), false);
+
+    // ...unless the pitch tracker hears a voice in it
+    assert.equal(vad.isSpeechFrame({ ...fan, voiced: true }, -46), true);
+
+    const quiet = features(silence(0.1).subarray(0, FRAME));
+    assert.equal(quiet.levelDb, -Infinity);
+    assert.equal(quiet.bandRatio, 0);
+    assert.equal(vad.isSpeechFrame(quiet, -46), false);
+});
+
+test('speech starts after MIN_SPEECH_MS and ends after TRAILING_SILENCE_MS', () => {
+    const events = detect(recording(silence(0.5), vowel(1), silence(1.6)));
+
+    assert.deepEqual(events.map(([event]) => event), ['speech-start', 'speech-end']);
+    const [[, startedAt], [, endedAt]] = events;
+    assert.ok(startedAt >= 500 + config.VAD.MIN_SPEECH_MS && startedAt <= 500 + config.VAD.MIN_SPEECH_MS + 80, `started at ${startedAt} ms`);
+    assert.ok(endedAt >= 1500 + config.VAD.TRAILING_SILENCE_MS && endedAt <= 1500 + config.VAD.TRAILING_SILENCE_MS + 80, `ended at ${endedAt} ms`);
+});
+
+test('a short burst does not start speech and a pause shorter than the hangover does not end it', () => {
+    assert.deepEqual(detect(recording(silence(0.5), vowel(0.06), silence(1))), []);
+
+    const events = detect(recording(silence(0.5), vowel(0.6), silence(0.5), vowel(0.6), silence(1.5)));
+    assert.deepEqual(events.map(([event]) => event), ['speech-start', 'speech-end']);
+    assert.ok(events[1][1] >= 2200 + config.VAD.TRAILING_SILENCE_MS, `ended at ${events[1][1]} ms`);
+});
+
+test('steady hiss and hum never start a recording', () => {
+    assert.deepEqual(detect(recording(silence(0.3), hiss(1.5), silence(0.3))), []);
+    assert.deepEqual(detect(recording(silence(0.3), sine(100, SAMPLE_RATE, 1.5, 0.3), silence(0.3))), []);
+});
+
+test('a stalled frame loop counts a long gap as at most 100 ms', () => {
+    const vad = new VoiceActivityDetector(config.VAD);
+    const speech = features(middleFrame(recording(vowel(0.5))));
+    const room = features(middleFrame(recording(silence(0.5))));
+
+    vad.process(room, 0);
+    assert.equal(vad.process(speech, 10), null);
+    // A background tab stalls for two seconds: still short of MIN_SPEECH_MS (10 + 100 < 120)
+    assert.equal(vad.process(speech, 2010), null);
+    assert.equal(vad.process(speech, 2030), 'speech-start');
+});
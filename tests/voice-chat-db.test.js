@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+const { InMemoryNeon } = require('./helpers/in-memory-neon');
+
+loadScripts('voice-chat-db.js');
+
+const INJECTION = "x'; DROP TABLE voice_users;--";
+
+function createDatabase() {
+    const neon = new InMemoryNeon();
+    const db = new VoiceChatDatabase((toolName, args) => neon.mcpQuery(toolName, args), 'project-1');
+    return { neon, db };
+}
+
+test('bindValue tags every value with its SQL type', () => {
+    assert.deepEqual(VoiceChatDatabase.bindValue('hi'), { type: 'text', value: 'hi' });
+    assert.deepEqual(VoiceChatDatabase.bindValue(3), { type: 'integer', value: 3 });
+    assert.deepEqual(VoiceChatDatabase.bindValue(0.5), { type: 'numeric', value: 0.5 });
+    assert.deepEqual(VoiceChatDatabase.bindValue(false), { type: 'boolean', value: false });
+    assert.deepEqual(VoiceChatDatabase.bindValue(undefined), { type: 'null', value: null });
+    assert.deepEqual(VoiceChatDatabase.bindValue(new Date('2025-01-01T00:00:00Z')), { type: 'timestamp', value: '2025-01-01T00:00:00.000Z' });
+    assert.deepEqual(VoiceChatDatabase.bindValue({ pitch: 120 }), { type: 'jsonb', value: '{"pitch":120}' });
+    assert.throws(() => VoiceChatDatabase.bindValue(NaN), /non-finite/);
+});
+
+test('highestPlaceholderIndex returns the highest $n, not the number of placeholders', () => {
+    assert.equal(VoiceChatDatabase.highestPlaceholderIndex('SELECT 1'), 0);
+    assert.equal(VoiceChatDatabase.highestPlaceholderIndex('WHERE a = $1 OR b = $1'), 1);
+    assert.equal(VoiceChatDatabase.highestPlaceholderIndex('WHERE a = $1 AND c = $3'), 3);
+    assert.equal(VoiceChatDatabase.highestPlaceholderIndex('VALUES ($2, $10, $1)'), 10);
+});
+
+test('buildStatement requires one bind value per placeholder index', () => {
+    const { db } = createDatabase();
+
+    assert.throws(() => db.buildStatement('WHERE a = $1 AND b = $2', ['x']), /expects 2 parameter\(s\) but 1/);
+    assert.deepEqual(db.buildStatement('WHERE a = $1 OR b = $1', ['x']).params, [{ type: 'text', value: 'x' }]);
+});
+
+test('user IDs travel as bind values, never inside the SQL', async () => {
+    const { neon, db } = createDatabase();
+
+    await db.upsertUser(INJECTION, 'mallory');
+    await db.upsertUser('user_1', 'alice');
+
+    for (const statement of neon.statements) {
+        assert.ok(!statement.sql.includes(INJECTION), statement.sql);
+    }
+    assert.deepEqual(neon.statements[0].params, [{ type: 'text', value: INJECTION }, { type: 'text', value: 'mallory' }]);
+    assert.equal(neon.tables.voice_users.length, 2);
+    assert.equal((await db.findUser(INJECTION)).username, 'mallory');
+});
+
+test('updateVoiceSignature stores the signature as jsonb', async () => {
+    const { neon, db } = createDatabase();
+
+    await db.upsertUser('user_1', 'alice');
+    await db.updateVoiceSignature('user_1', { averagePitch: 180, gender: 'female' });
+
+    assert.equal(neon.statements[1].params[1].type, 'jsonb');
+    assert.deepEqual((await db.findUser('user_1')).voice_signature, { averagePitch: 180, gender: 'female' });
+});
+
+test('upsertFriendConnection updates the status of an existing pair', async () => {
+    const { db } = createDatabase();
+
+    await db.upsertFriendConnection('user_1', INJECTION, 'pending');
+    await db.upsertFriendConnection('user_1', INJECTION);
+
+    const connections = await db.getFriendConnections(INJECTION);
+    assert.equal(connections.length, 1);
+    assert.equal(connections[0].status, 'connected');
+});
+
+test('unread messages come oldest first and disappear once marked read', async () => {
+    const { neon, db } = createDatabase();
+
+    for (const text of ['first', 'second', 'third']) {
+        await db.insertMessage({
+            senderId: 'user_2', recipientId: 'user_1', originalText: text, translatedText: text.toUpperCase(),
+            languageFrom: 'en', languageTo: 'de', audioDurationMs: 1500
+        });
+    }
+
+    const insert = neon.statements[0].params;
+    assert.equal(insert[7].type, 'integer');
+    assert.deepEqual(insert[8], { type: 'jsonb', value: '{}' });
+    assert.equal(insert[6].type, 'null');
+
+    const unread = await db.getUnreadMessages('user_1', 2);
+    assert.deepEqual(unread.map(message => message.original_text), ['first', 'second']);
+    assert.equal(neon.statements[neon.statements.length - 1].params[1].value, 2);
+
+    await db.markMessageRead(unread[0].id);
+    const remaining = await db.getUnreadMessages('user_1');
+    assert.deepEqual(remaining.map(message => message.original_text), ['second', 'third']);
+});
+
+test('getThread pages newest first through both directions of a conversation', async () => {
+    const { db } = createDatabase();
+    const send = (from, to, text) => db.insertMessage({
+        senderId: from, recipientId: to, originalText: text, translatedText: text, languageFrom: 'en', languageTo: 'en'
+    });
+
+    await send('user_1', 'user_2', 'one');
+    await send('user_2', 'user_1', 'two');
+    await send('user_3', 'user_1', 'elsewhere');
+    await send('user_1', 'user_2', 'three');
+
+    const firstPage = await db.getThread('user_1', 'user_2', { limit: 2 });
+    assert.deepEqual(firstPage.messages.map(message => message.original_text), ['three', 'two']);
+    assert.ok(firstPage.nextCursor);
+
+    const secondPage = await db.getThread('user_1', 'user_2', { limit: 2, before: firstPage.nextCursor });
+    assert.deepEqual(secondPage.messages.map(message => message.original_text), ['one']);
+    assert.equal(secondPage.nextCursor, null);
+});
+
+test('getThread search escapes LIKE wildcards in the search text', async () => {
+    const { neon, db } = createDatabase();
+    const send = (text) => db.insertMessage({
+        senderId: 'user_1', recipientId: 'user_2', originalText: text, translatedText: '', languageFrom: 'en', languageTo: 'de'
+    });
+
+    await send('50% off');
+    await send('500 off');
+
+    const thread = await db.getThread('user_1', 'user_2', { search: '50%' });
+    assert.deepEqual(thread.messages.map(message => message.original_text), ['50% off']);
+    assert.equal(neon.statements[neon.statements.length - 1].params[4].value, '%50\\%%');
+});
+
+test('transaction sends typed statements together and rolls back on failure', async () => {
+    const { neon, db } = createDatabase();
+    neon.failOn = /INSERT INTO friend_connections/;
+
+    await assert.rejects(db.transaction([
+        { sql: 'INSERT INTO voice_users (id, username, last_active) VALUES ($1, $2, CURRENT_TIMESTAMP)', params: ['user_1', 'alice'] },
+        { sql: 'INSERT INTO friend_connections (user1_id, user2_id, status) VALUES ($1, $2, $3)', params: ['user_1', 'user_2', 'connected'] }
+    ]), /Simulated statement failure/);
+
+    assert.equal(neon.tables.voice_users.length, 0);
+});
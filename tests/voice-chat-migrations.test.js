@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, silenceConsole } = require('./helpers/browser-env');
+
+silenceConsole();
+loadScripts('voice-chat-migrations.js');
+
+// The query/transaction surface of VoiceChatDatabase over a schema_migrations table; each
+// transaction's statements are logged, and a statement matching failOn rolls the whole one back
+class MigrationDatabase {
+    constructor(applied = []) {
+        this.applied = applied.map(version => ({ version: String(version) }));
+        this.transactions = [];
+        this.failOn = null;
+    }
+
+    async query(sql) {
+        if (/^CREATE TABLE IF NOT EXISTS schema_migrations/.test(sql)) return [];
+        if (sql === 'SELECT version FROM schema_migrations ORDER BY version') {
+            return [...this.applied].sort((a, b) => a.version - b.version);
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    }
+
+    async transaction(statements) {
+        if (this.failOn && statements.some(statement => this.failOn.test(statement.sql))) {
+            throw new Error('Simulated statement failure');
+        }
+        this.transactions.push(statements.map(statement => statement.sql));
+
+        const record = statements[statements.length - 1];
+        if (/^INSERT INTO schema_migrations/.test(record.sql)) {
+            this.applied.push({ version: String(record.params[0]) });
+        } else if (/^DELETE FROM schema_migrations/.test(record.sql)) {
+            this.applied = this.applied.filter(row => row.version !== String(record.params[0]));
+        }
+        return { results: statements.map(() => []) };
+    }
+}
+
+function migration(version) {
+    return { version, name: `migration_${version}`, up: [`UP ${version}`], down: [`DOWN ${version}a`, `DOWN ${version}b`] };
+}
+
+test('pending migrations are applied in version order, each in its own transaction, skipping applied ones', async () => {
+    const db = new MigrationDatabase([3, 1]);
+    const runner = new MigrationRunner(db, [migration(4), migration(2), migration(1), migration(3)]);
+
+    assert.equal(await runner.migrate(), 4);
+
+    assert.deepEqual(db.transactions, [
+        ['UP 2', 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)'],
+        ['UP 4', 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)']
+    ]);
+    assert.equal(await runner.getCurrentVersion(), 4);
+
+    // Nothing left to do the second time
+    await runner.migrate();
+    assert.equal(db.transactions.length, 2);
+});
+
+test('a failing migration stops the run with the earlier ones recorded', async () => {
+    const db = new MigrationDatabase();
+    db.failOn = /^UP 2$/;
+    const runner = new MigrationRunner(db, [migration(1), migration(2), migration(3)]);
+
+    await assert.rejects(runner.migrate(), /Simulated statement failure/);
+
+    assert.deepEqual(await runner.getAppliedVersions(), [1]);
+    assert.equal(db.transactions.length, 1);
+});
+
+test('a database ahead of the code raises SchemaVersionError and changes nothing', async () => {
+    const db = new MigrationDatabase([1, 2, 7]);
+    const runner = new MigrationRunner(db, [migration(1), migration(2), migration(3)]);
+
+    await assert.rejects(runner.migrate(), (error) => {
+        assert.ok(error instanceof SchemaVersionError);
+        assert.equal(error.databaseVersion, 7);
+        assert.equal(error.clientVersion, 3);
+        assert.match(error.message, /Database schema version 7 is newer than this client supports \(3\)/);
+        return true;
+    });
+    assert.deepEqual(db.transactions, []);
+});
+
+test('rollback reverts applied migrations newest first, down to the target version', async () => {
+    const db = new MigrationDatabase([1, 2, 4]);
+    const runner = new MigrationRunner(db, [migration(1), migration(2), migration(3), migration(4)]);
+
+    assert.equal(await runner.rollback(1), 1);
+
+    // 3 was never applied, so there is nothing to revert for it
+    assert.deepEqual(db.transactions, [
+        ['DOWN 4a', 'DOWN 4b', 'DELETE FROM schema_migrations WHERE version = $1'],
+        ['DOWN 2a', 'DOWN 2b', 'DELETE FROM schema_migrations WHERE version = $1']
+    ]);
+    assert.deepEqual(await runner.getAppliedVersions(), [1]);
+
+    await runner.rollback();
+    assert.equal(await runner.getCurrentVersion(), 0);
+    assert.deepEqual(db.transactions[2], ['DOWN 1a', 'DOWN 1b', 'DELETE FROM schema_migrations WHERE version = $1']);
+});
+
+test('duplicate versions are refused and the shipped migrations are numbered 1..n', () => {
+    assert.throws(() => new MigrationRunner(new MigrationDatabase(), [migration(1), migration(2), migration(1)]), /Duplicate migration version: 1/);
+
+    const runner = new MigrationRunner(new MigrationDatabase());
+    assert.deepEqual(runner.migrations.map(entry => entry.version), VOICE_CHAT_MIGRATIONS.map((entry, index) => index + 1));
+    assert.equal(runner.getLatestVersion(), VOICE_CHAT_MIGRATIONS.length);
+    assert.ok(VOICE_CHAT_MIGRATIONS.every(entry => entry.up.length > 0 && entry.down.length > 0));
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+
+loadScripts('voice-chat.js');
+
+test('the desktop voice ID is generated once and reused after a reload', () => {
+    localStorage.clear();
+
+    const first = Object.create(VoiceChat.prototype).loadVoiceId();
+    const afterReload = Object.create(VoiceChat.prototype).loadVoiceId();
+
+    assert.match(first, /^VOICE-[A-Z0-9]+$/);
+    assert.equal(afterReload, first);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig } = require('./helpers/browser-env');
+
+resetConfig();
+loadScripts('elevenlabs-service.js', 'voice-library.js');
+
+const VOICES = [
+    { voice_id: 'v-anna', name: 'Anna', category: 'premade', labels: { gender: 'female', language: 'de', accent: 'german' } },
+    { voice_id: 'v-ben', name: 'Ben', category: 'premade', labels: { gender: 'male', accent: 'british', description: 'calm' }, verified_languages: [{ language: 'en' }] },
+    { voice_id: 'v-clone', name: 'My Clone', category: 'cloned', labels: {} },
+    { voice_id: 'v-carla', name: 'Carla', category: 'generated', labels: { gender: 'female', language: 'fr' } }
+];
+
+// ElevenLabsService stand-in that records the calls the library makes
+function createLibrary() {
+    const calls = [];
+    const stored = { stability: 0.3, similarity_boost: 0.9, style: 0.1, use_speaker_boost: false };
+    const elevenLabs = {
+        loadVoices: async () => VOICES.map(voice => ({ ...voice })),
+        deleteVoice: async (voiceId) => calls.push(['delete', voiceId]),
+        getVoiceSettings: async (voiceId) => {
+            calls.push(['get-settings', voiceId]);
+            return { ...stored };
+        },
+        editVoiceSettings: async (voiceId, settings) => calls.push(['edit-settings', voiceId, settings])
+    };
+    return { library: new VoiceLibrary(elevenLabs), calls };
+}
+
+test.beforeEach(() => localStorage.clear());
+
+test('filter matches language labels, gender and search terms; unlabelled voices suit any language', async () => {
+    const { library } = createLibrary();
+    await library.load();
+    const ids = options => library.filter(options).map(voice => voice.voice_id);
+
+    assert.deepEqual(ids({}), ['v-anna', 'v-ben', 'v-clone', 'v-carla']);
+    assert.deepEqual(ids({ language: 'de' }), ['v-anna', 'v-clone']);
+    assert.deepEqual(ids({ language: 'en' }), ['v-ben', 'v-clone']);
+    assert.deepEqual(ids({ gender: 'female' }), ['v-anna', 'v-carla']);
+    assert.deepEqual(ids({ language: 'fr', gender: 'female' }), ['v-carla']);
+    assert.deepEqual(ids({ search: '  CALM ' }), ['v-ben']);
+    assert.deepEqual(ids({ search: 'cloned' }), ['v-clone']);
+    assert.deepEqual(ids({ language: 'de', search: 'british' }), []);
+});
+
+test('premade voices cannot be deleted', async () => {
+    const { library, calls } = createLibrary();
+    await library.load();
+
+    await assert.rejects(library.delete('v-anna'), /Anna is a premade voice and cannot be deleted/);
+    assert.deepEqual(calls, []);
+    assert.ok(library.get('v-anna'));
+});
+
+test('deleting a voice drops it, its settings and the language defaults that used it', async () => {
+    const { library, calls } = createLibrary();
+    await library.load();
+    await library.getSettings('v-clone');
+    library.setDefaultVoice('de', 'v-clone');
+    library.setDefaultVoice('en', 'v-clone');
+    library.setDefaultVoice('fr', 'v-carla');
+
+    await library.delete('v-clone');
+
+    assert.deepEqual(calls[calls.length - 1], ['delete', 'v-clone']);
+    assert.equal(library.get('v-clone'), null);
+    assert.equal(library.settings.has('v-clone'), false);
+    assert.equal(library.getDefaultVoice('de'), null);
+    assert.equal(library.getDefaultVoice('en'), null);
+    assert.equal(library.getDefaultVoice('fr'), 'v-carla');
+    assert.deepEqual(JSON.parse(localStorage.getItem('mcphony_voice_defaults')), { fr: 'v-carla' });
+});
+
+test('updateSettings clamps to 0..1 and coerces the form values before saving', async () => {
+    const { library, calls } = createLibrary();
+
+    const saved = await library.updateSettings('v-clone', { stability: '1.4', similarity_boost: -0.2, style: '0.35', use_speaker_boost: 'on' });
+
+    const expected = { stability: 1, similarity_boost: 0, style: 0.35, use_speaker_boost: true };
+    assert.deepEqual(saved, expected);
+    assert.deepEqual(calls, [['edit-settings', 'v-clone', expected]]);
+    assert.deepEqual(await library.getSettings('v-clone'), expected);
+});
+
+test('language defaults persist across instances and can be cleared', () => {
+    const { library } = createLibrary();
+    library.setDefaultVoice('de', 'v-anna');
+    library.setDefaultVoice('en', 'v-ben');
+
+    const reloaded = createLibrary().library;
+    assert.equal(reloaded.getDefaultVoice('de'), 'v-anna');
+    assert.equal(reloaded.getDefaultVoice('en'), 'v-ben');
+    assert.equal(reloaded.getDefaultVoice('fr'), null);
+    assert.equal(reloaded.getDefaultVoice(null), null);
+
+    reloaded.setDefaultVoice('de', null);
+    assert.equal(createLibrary().library.getDefaultVoice('de'), null);
+    assert.equal(createLibrary().library.getDefaultVoice('en'), 'v-ben');
+
+    localStorage.setItem('mcphony_voice_defaults', '{not json');
+    assert.equal(createLibrary().library.getDefaultVoice('en'), null);
+});
+
+test('voices whose settings were not loaded this session play with their saved settings', async () => {
+    const { library } = createLibrary();
+    library.setDefaultVoice('de', 'v-anna');
+    const elevenLabs = new ElevenLabsService();
+
+    // After a reload nothing is cached: ElevenLabs is left to apply the saved settings
+    const fresh = library.resolveVoiceOptions('de');
+    assert.deepEqual(fresh, { voiceId: 'v-anna', useStoredSettings: true });
+    assert.equal(elevenLabs.buildVoiceSettings(fresh), null);
+
+    // Settings loaded or saved this session are sent as they are, zeroes included
+    await library.updateSettings('v-anna', { stability: 0, similarity_boost: 0.8, style: 0, use_speaker_boost: false });
+    const tuned = library.resolveVoiceOptions('de');
+    assert.equal(tuned.useStoredSettings, undefined);
+    assert.deepEqual(elevenLabs.buildVoiceSettings(tuned), { stability: 0, similarity_boost: 0.8, style: 0, use_speaker_boost: false });
+
+    // Without a chosen voice the configured defaults still apply
+    assert.deepEqual(library.resolveVoiceOptions('fr'), {});
+    assert.deepEqual(elevenLabs.buildVoiceSettings({}), {
+        stability: elevenLabs.config.VOICE_STABILITY,
+        similarity_boost: elevenLabs.config.VOICE_SIMILARITY,
+        style: elevenLabs.config.VOICE_STYLE,
+        use_speaker_boost: elevenLabs.config.VOICE_USE_SPEAKER_BOOST
+    });
+});
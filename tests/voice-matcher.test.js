@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, installAudioFakes } = require('./helpers/browser-env');
+
+const { speechSynthesis } = installAudioFakes();
+loadScripts('voice-library.js', 'voice-matcher.js');
+
+const FEMALE = { gender: 'female', pitch: 210 };
+const MALE = { gender: 'male', pitch: 120 };
+
+function candidate(id, gender, languages, expectedPitch) {
+    return { id, name: id, gender, languages, expectedPitch: expectedPitch === undefined ? VoiceMatcher.expectedPitch(gender) : expectedPitch };
+}
+
+test('scoreVoice adds language, gender and pitch terms', () => {
+    // Language match 50 + gender match 30 + pitch at the speaker's median 20
+    assert.equal(VoiceMatcher.scoreVoice(FEMALE, candidate('a', 'female', ['de']), 'de'), 100);
+    // Unlabelled (multilingual) voices score 30 for language
+    assert.equal(VoiceMatcher.scoreVoice(FEMALE, candidate('b', 'female', []), 'de'), 80);
+    // Gender mismatch -30; 0.81 octaves apart loses the whole pitch term but never goes negative
+    assert.equal(VoiceMatcher.scoreVoice(FEMALE, candidate('c', 'male', ['de']), 'de'), 20);
+    // Wrong language -100 outweighs everything else
+    assert.equal(VoiceMatcher.scoreVoice(FEMALE, candidate('d', 'female', ['fr']), 'de'), -50);
+    // No target language: only gender and pitch count
+    assert.equal(VoiceMatcher.scoreVoice(FEMALE, candidate('e', 'female', ['fr']), null), 50);
+});
+
+test('the pitch term falls by 40 per octave from the expected pitch', () => {
+    const halfOctave = candidate('a', 'unknown', ['de'], 210 / Math.SQRT2);
+    const quarterOctave = candidate('b', 'unknown', ['de'], 210 * Math.pow(2, 0.25));
+
+    assert.ok(Math.abs(VoiceMatcher.scoreVoice(FEMALE, halfOctave, 'de') - 50) < 1e-9);
+    assert.ok(Math.abs(VoiceMatcher.scoreVoice(FEMALE, quarterOctave, 'de') - 60) < 1e-9);
+    assert.equal(VoiceMatcher.scoreVoice({ gender: 'female', pitch: 0 }, quarterOctave, 'de'), 50);
+});
+
+test('unknown genders neither gain nor lose points', () => {
+    assert.equal(VoiceMatcher.scoreVoice(MALE, candidate('a', 'unknown', ['en'], 0), 'en'), 50);
+    assert.equal(VoiceMatcher.scoreVoice({ gender: 'unknown', pitch: 0 }, candidate('b', 'male', ['en'], 0), 'en'), 50);
+});
+
+test('expectedPitch shifts with the voice description', () => {
+    assert.equal(VoiceMatcher.expectedPitch('male'), 120);
+    assert.equal(VoiceMatcher.expectedPitch('male', 'deep and calm'), 102);
+    assert.ok(Math.abs(VoiceMatcher.expectedPitch('female', 'young') - 241.5) < 1e-9);
+    assert.equal(VoiceMatcher.expectedPitch('unknown', 'deep'), 0);
+});
+
+test('rank is the same whatever order the candidates arrive in', () => {
+    const candidates = [
+        candidate('zoe', 'female', ['de']),
+        candidate('adam', 'male', ['de']),
+        candidate('anna', 'female', ['de']),
+        candidate('multi', 'female', []),
+        candidate('pierre', 'male', ['fr'])
+    ];
+    const expected = ['anna', 'zoe', 'multi', 'adam', 'pierre'];
+
+    for (let shift = 0; shift < candidates.length; shift++) {
+        const rotated = candidates.slice(shift).concat(candidates.slice(0, shift));
+        assert.deepEqual(VoiceMatcher.rank(FEMALE, rotated, 'de').map(entry => entry.candidate.id), expected);
+        assert.deepEqual(VoiceMatcher.rank(FEMALE, rotated.reverse(), 'de').map(entry => entry.candidate.id), expected);
+    }
+});
+
+test('bestMatch returns null when no voice speaks the target language', () => {
+    const candidates = [candidate('pierre', 'male', ['fr']), candidate('marie', 'female', ['fr'])];
+
+    assert.equal(VoiceMatcher.bestMatch(FEMALE, candidates, 'ja'), null);
+    assert.equal(VoiceMatcher.bestMatch(FEMALE, candidates, 'fr').id, 'marie');
+});
+
+test('profileFrom prefers the recording median over the single-frame gender', () => {
+    assert.deepEqual(VoiceMatcher.profileFrom({ gender: 'female', pitch: 230, pitchRange: { median: 130 } }), { gender: 'male', pitch: 130 });
+    assert.deepEqual(VoiceMatcher.profileFrom({ gender: 'unknown', pitch: 190 }), { gender: 'female', pitch: 190 });
+    assert.deepEqual(VoiceMatcher.profileFrom({ gender: 'male', pitch: 0 }), { gender: 'male', pitch: 0 });
+    assert.equal(VoiceMatcher.profileFrom({ gender: 'unknown', pitch: 0 }), null);
+    assert.equal(VoiceMatcher.profileFrom(null), null);
+});
+
+test('webSpeechPitch follows the speaker and stays within 0.5-1.5', () => {
+    const voice = candidate('a', 'female', ['en']);
+
+    assert.equal(VoiceMatcher.webSpeechPitch({ gender: 'female', pitch: 231 }, voice), 1.1);
+    assert.equal(VoiceMatcher.webSpeechPitch({ gender: 'female', pitch: 500 }, voice), 1.5);
+    assert.equal(VoiceMatcher.webSpeechPitch({ gender: 'male', pitch: 80 }, voice), 0.5);
+    assert.equal(VoiceMatcher.webSpeechPitch({ gender: 'female', pitch: 0 }, voice), 1.0);
+});
+
+test('describe* normalise ElevenLabs labels and Web Speech names', () => {
+    const elevenLabs = VoiceMatcher.describeElevenLabsVoice({
+        voice_id: 'v1', name: 'Brian', labels: { gender: 'Male', description: 'deep', language: 'EN' }
+    });
+    assert.deepEqual(elevenLabs, { id: 'v1', name: 'Brian', gender: 'male', languages: ['en'], expectedPitch: 102 });
+
+    const webSpeech = VoiceMatcher.describeWebSpeechVoice({ name: 'Microsoft Zira - English', voiceURI: 'zira', lang: 'en-US' });
+    assert.deepEqual(webSpeech, { id: 'zira', name: 'Microsoft Zira - English', gender: 'female', languages: ['en'], expectedPitch: 210 });
+});
+
+test('resolve: override, then caller voice, then language default, then closest match', () => {
+    localStorage.clear();
+    const library = new VoiceLibrary({});
+    library.voices = [
+        { voice_id: 'v-male', name: 'Adam', labels: { gender: 'male', language: 'de' } },
+        { voice_id: 'v-female', name: 'Anna', labels: { gender: 'female', language: 'de' } }
+    ];
+    const matcher = new VoiceMatcher(library);
+    const speaker = { userId: 'user_2', characteristics: { gender: 'female', pitch: 200 } };
+
+    assert.equal(matcher.resolve({ lang: 'de-DE', speaker }).voiceId, 'v-female');
+    assert.equal(matcher.resolve({ lang: 'de', speaker: { userId: 'user_3', characteristics: { pitch: 110 } } }).voiceId, 'v-male');
+
+    library.defaults.de = 'v-default';
+    assert.equal(matcher.resolve({ lang: 'de', speaker }).voiceId, 'v-default');
+    assert.equal(matcher.resolve({ lang: 'de', speaker, voiceId: 'v-clone' }).voiceId, 'v-clone');
+
+    matcher.setOverride('user_2', 'v-override');
+    assert.equal(matcher.resolve({ lang: 'de', speaker, voiceId: 'v-clone' }).voiceId, 'v-override');
+    assert.equal(new VoiceMatcher(library).getOverride('user_2'), 'v-override');
+});
+
+test('resolve picks and pitches the closest Web Speech voice', () => {
+    const voices = [
+        { name: 'Google Deutsch', voiceURI: 'google-de', lang: 'de-DE' },
+        { name: 'Anna', voiceURI: 'anna-de', lang: 'de-DE' },
+        { name: 'Thomas', voiceURI: 'thomas-fr', lang: 'fr-FR' }
+    ];
+    speechSynthesis.getVoices = () => voices;
+
+    try {
+        const resolved = new VoiceMatcher(null).resolve({ lang: 'de', speaker: { characteristics: { gender: 'female', pitch: 189 } } });
+        assert.equal(resolved.webSpeechVoice, 'anna-de');
+        assert.equal(resolved.pitch, 0.9);
+    } finally {
+        speechSynthesis.getVoices = () => [];
+    }
+});
@@ -0,0 +1,386 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, resetConfig, silenceConsole } = require('./helpers/browser-env');
+const { installStubWebSocket, startStubServer, stopStubServer } = require('./helpers/mcp-stub');
+const { InMemoryNeon } = require('./helpers/in-memory-neon');
+const { startHttpMock } = require('./helpers/http-mock');
+
+silenceConsole();
+installStubWebSocket();
+resetConfig();
+loadScripts(
+    'mcp-integration.js', 'voice-chat-db.js', 'voice-chat-migrations.js', 'audio-storage.js', 'speech-to-text.js', 'voice-mcp-client.js'
+);
+
+const DATABASE_URL = 'ws://database.test';
+
+// A Neon MCP server that knows its projects and the schema_migrations table
+function startNeonStub(options = {}) {
+    const applied = [...(options.applied || [])];
+    const calls = [];
+
+    const server = startStubServer(DATABASE_URL, {
+        tools: {
+            list_projects: () => options.projects || [{ id: 'proj-neon', name: 'voice' }],
+            run_sql: (args) => {
+                calls.push(args);
+                if (options.failSql) {
+                    throw new Error(options.failSql);
+                }
+                if (/SELECT version FROM schema_migrations/.test(args.sql)) {
+                    return applied.map(version => ({ version: String(version) }));
+                }
+                return [];
+            },
+            subscribe_messages: () => ({ subscribed: true }),
+            run_sql_transaction: (args) => {
+                calls.push(args);
+                const record = args.sqlStatements[args.sqlStatements.length - 1];
+                applied.push(record.params[0].value);
+                return args.sqlStatements.map(() => []);
+            }
+        }
+    });
+
+    return { server, calls, applied };
+}
+
+// The client without its constructor's UI and audio setup; only what the database path touches
+function createClient() {
+    const config = resetConfig();
+    config.MCP.SERVERS = [{ NAME: 'neon', LABEL: 'Neon', URL: DATABASE_URL, AUTH_TOKEN: '', ROLE: 'database', PRIORITY: 1 }];
+
+    const client = Object.create(VoiceChatNetwork.prototype);
+    client.mcpService = new MCPIntegrationService();
+    client.db = new VoiceChatDatabase((toolName, args) => client.mcpQuery(toolName, args));
+    client.showStatus = () => {};
+    return { client, config };
+}
+
+test.afterEach(() => stopStubServer(DATABASE_URL));
+
+test('initializeMCPConnection connects the database server and migrates the first project', async () => {
+    const { calls, applied } = startNeonStub();
+    const { client } = createClient();
+
+    await client.initializeMCPConnection();
+
+    assert.equal(client.mcpAvailable, true);
+    assert.equal(client.projectId, 'proj-neon');
+    assert.equal(client.db.projectId, 'proj-neon');
+    assert.equal(client.schemaVersion, VOICE_CHAT_MIGRATIONS.length);
+    assert.deepEqual(applied, VOICE_CHAT_MIGRATIONS.map(migration => migration.version));
+    assert.ok(calls.every(args => args.projectId === 'proj-neon'));
+});
+
+test('a configured PROJECT_ID skips list_projects', async () => {
+    const { server } = startNeonStub();
+    const { client, config } = createClient();
+    config.MCP.DATABASE.PROJECT_ID = 'proj-configured';
+
+    await client.initializeMCPConnection();
+
+    assert.equal(client.projectId, 'proj-configured');
+    const toolCalls = server.received.filter(message => message.method === 'tools/call').map(message => message.params.name);
+    assert.ok(!toolCalls.includes('list_projects'));
+});
+
+test('mcpQuery unwraps run_sql results into rows', async () => {
+    startNeonStub({ applied: [1, 2] });
+    const { client } = createClient();
+    await client.mcpService.initialize([MCP_ROLES.DATABASE]);
+
+    const result = await client.mcpQuery('run_sql', { params: { sql: 'SELECT version FROM schema_migrations ORDER BY version' } });
+
+    assert.deepEqual(result, { rows: [{ version: '1' }, { version: '2' }] });
+});
+
+test('tool errors from the server propagate out of initializeDatabase', async () => {
+    startNeonStub({ failSql: 'permission denied for schema public' });
+    const { client } = createClient();
+    await client.mcpService.initialize([MCP_ROLES.DATABASE]);
+
+    await assert.rejects(client.initializeDatabase(), /permission denied for schema public/);
+});
+
+test('initializeDatabase fails when the server has no projects', async () => {
+    startNeonStub({ projects: [] });
+    const { client } = createClient();
+    await client.mcpService.initialize([MCP_ROLES.DATABASE]);
+
+    await assert.rejects(client.initializeDatabase(), /No Neon projects available/);
+});
+
+test('a database newer than the client stops initialization', async () => {
+    startNeonStub({ applied: [1, 2, 3, 4, 99] });
+    const { client } = createClient();
+
+    await assert.rejects(client.initializeMCPConnection(), SchemaVersionError);
+});
+
+test('without a database server the client runs in simulation mode', async () => {
+    const { client, config } = createClient();
+    config.MCP.SERVERS = [];
+
+    await client.initializeMCPConnection();
+
+    assert.equal(client.mcpAvailable, false);
+});
+
+test('a message whose read mark fails is shown only once', async () => {
+    const neon = new InMemoryNeon();
+    const client = Object.create(VoiceChatNetwork.prototype);
+    const shown = [];
+
+    client.db = new VoiceChatDatabase((toolName, args) => neon.mcpQuery(toolName, args));
+    client.mcpAvailable = true;
+    client.isInitialized = true;
+    client.currentUserId = 'user_1';
+    client.shownUnreadIds = new Set();
+    client.conversationHistory = { refresh() {} };
+    client.showIncomingMessage = (message) => shown.push(message.original_text);
+
+    await client.db.insertMessage({ senderId: 'user_2', recipientId: 'user_1', originalText: 'hello', translatedText: 'hallo', languageFrom: 'en', languageTo: 'de' });
+
+    neon.failOn = /SET read_at/;
+    assert.equal(await client.checkForNewMessages(), 1);
+    assert.equal(await client.checkForNewMessages(), 0);
+
+    neon.failOn = null;
+    assert.equal(await client.checkForNewMessages(), 0);
+    assert.deepEqual(shown, ['hello']);
+    assert.notEqual(neon.tables.voice_messages[0].read_at, null);
+    assert.equal(client.shownUnreadIds.size, 0);
+});
+
+// A connected client with one recorded, translated message ready to send
+function createSender(neon, uploadUrl) {
+    const config = resetConfig();
+    config.STORAGE.HTTP.UPLOAD_URL = uploadUrl;
+
+    const client = Object.create(VoiceChatNetwork.prototype);
+    const statuses = [];
+    client.db = new VoiceChatDatabase((toolName, args) => neon.mcpQuery(toolName, args));
+    client.audioStorage = new AudioStorageService();
+    client.mcpAvailable = true;
+    client.isConnected = true;
+    client.currentUserId = 'user_1';
+    client.connectedFriendId = 'user_2';
+    client.currentMessage = {
+        original: 'hello', translated: 'hallo', sourceLang: 'en',
+        audioBlob: new Blob(['fake audio'], { type: 'audio/webm' }), audioDurationMs: 1200
+    };
+    client.conversationHistory = { refresh() {} };
+    client.clearMessage = () => {};
+    client.showStatus = (text) => statuses.push(text);
+    return { client, statuses };
+}
+
+test('a failed audio upload still sends the text, without audio_url', async () => {
+    const storage = await startHttpMock(() => ({ status: 503 }));
+    const alerts = [];
+    globalThis.alert = (text) => alerts.push(text);
+
+    try {
+        const neon = new InMemoryNeon();
+        const { client, statuses } = createSender(neon, `${storage.url}/audio`);
+
+        await client.sendVoiceMessage();
+
+        assert.equal(storage.requests.length, 1);
+        assert.equal(neon.tables.voice_messages.length, 1);
+        assert.equal(neon.tables.voice_messages[0].translated_text, 'hallo');
+        assert.equal(neon.tables.voice_messages[0].audio_blob_url, null);
+        assert.deepEqual(statuses, ['Sending...', 'Sent Without Audio']);
+        assert.deepEqual(alerts, []);
+    } finally {
+        delete globalThis.alert;
+        await storage.close();
+    }
+});
+
+test('a recording over the size limit blocks the send', async () => {
+    const storage = await startHttpMock(() => ({ status: 201 }));
+    const alerts = [];
+    globalThis.alert = (text) => alerts.push(text);
+
+    try {
+        const neon = new InMemoryNeon();
+        const { client, statuses } = createSender(neon, `${storage.url}/audio`);
+        client.audioStorage.maxSize = 4;
+
+        await client.sendVoiceMessage();
+
+        assert.equal(storage.requests.length, 0);
+        assert.equal(neon.tables.voice_messages.length, 0);
+        assert.deepEqual(statuses, ['Sending...', 'Audio Too Large']);
+        assert.match(alerts[0], /too large/);
+    } finally {
+        delete globalThis.alert;
+        await storage.close();
+    }
+});
+
+// MediaRecorder that records in the container a browser picks, e.g. Safari's audio/mp4
+class FakeMediaRecorder {
+    constructor(stream) {
+        this.stream = stream;
+        this.state = 'inactive';
+        this.mimeType = FakeMediaRecorder.mimeType;
+    }
+
+    start() {
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        this.ondataavailable({ data: new Blob(['fake audio'], { type: this.mimeType }) });
+        this.onstop();
+    }
+}
+
+test('recordings are labelled and uploaded with the container the browser recorded', async () => {
+    const storage = await startHttpMock(() => ({ status: 201 }));
+    globalThis.MediaRecorder = FakeMediaRecorder;
+    FakeMediaRecorder.mimeType = 'audio/mp4;codecs=mp4a.40.2';
+
+    try {
+        const config = resetConfig();
+        config.STORAGE.HTTP.UPLOAD_URL = `${storage.url}/audio`;
+
+        const client = Object.create(VoiceChatNetwork.prototype);
+        client.isInitialized = true;
+        client.handsFreeStream = {};
+        client.voiceAnalyzer = null;
+        client.speechToText = { usesLiveRecognition: () => false };
+        client.transcribeRecording = () => {};
+        client.currentMessage = {};
+        client.showStatus = () => {};
+
+        await client.startRecording();
+        client.stopRecording(true);
+
+        const blob = client.currentMessage.audioBlob;
+        assert.equal(blob.type, 'audio/mp4;codecs=mp4a.40.2');
+
+        const upload = await new AudioStorageService().uploadRecording(blob, { userId: 'user_1' });
+        assert.match(upload.url, /\/audio\/voice-messages\/user_1\/\d+-\w+\.m4a$/);
+        assert.equal(storage.requests[0].headers['content-type'], 'audio/mp4;codecs=mp4a.40.2');
+    } finally {
+        delete globalThis.MediaRecorder;
+        await storage.close();
+    }
+});
+
+// Web Speech recognizer with the browser's lifecycle: stop() only finishes when onend fires later,
+// and start() before that throws InvalidStateError
+class FakeSpeechRecognition {
+    constructor() {
+        this.running = false;
+        this.starts = 0;
+    }
+
+    start() {
+        if (this.running) {
+            throw Object.assign(new Error('recognition has already started'), { name: 'InvalidStateError' });
+        }
+        this.running = true;
+        this.starts++;
+    }
+
+    stop() {
+        this.stopping = true;
+    }
+
+    abort() {
+        this.stopping = true;
+    }
+
+    // The browser finishing the stop
+    end() {
+        this.running = false;
+        this.stopping = false;
+        this.onend();
+    }
+}
+
+test('hands-free speech during the last session\'s shutdown records and recognizes without errors', async () => {
+    globalThis.MediaRecorder = FakeMediaRecorder;
+    globalThis.SpeechRecognition = FakeSpeechRecognition;
+    FakeMediaRecorder.mimeType = 'audio/webm';
+    const alerts = [];
+    globalThis.alert = (text) => alerts.push(text);
+
+    try {
+        resetConfig();
+        const client = Object.create(VoiceChatNetwork.prototype);
+        const microphone = { id: 'microphone' };
+        const delayed = { id: 'delayed microphone' };
+        client.isInitialized = true;
+        client.recognitionMode = 'message';
+        client.handsFree = true;
+        client.handsFreeStream = microphone;
+        client.voiceAnalyzer = { preRollStream: delayed, startAnalysis: async () => microphone };
+        client.playbackEngine = { isPlaying: () => false };
+        client.currentMessage = {};
+        client.showStatus = () => {};
+        client.applySourceLanguage = () => {};
+        await client.initializeSpeechRecognition();
+        const recognition = client.recognition;
+
+        await client.onSpeechDetected();
+        assert.equal(recognition.starts, 1);
+        assert.equal(client.mediaRecorder.stream, delayed);
+
+        client.stopRecording(true);          // Speech end
+        await client.onSpeechDetected();     // Next utterance before onend
+
+        assert.deepEqual(alerts, []);
+        assert.equal(client.isRecording, true);
+        assert.equal(recognition.starts, 1);
+
+        recognition.onerror({ error: 'no-speech' }); // Late error from the old session
+        recognition.end();                           // Late onend from the old session
+        assert.equal(client.isRecording, true);
+        assert.equal(recognition.starts, 2);
+
+        recognition.end();                           // The new session's own end stops its recording
+        assert.equal(client.isRecording, false);
+    } finally {
+        delete globalThis.MediaRecorder;
+        delete globalThis.SpeechRecognition;
+        delete globalThis.alert;
+    }
+});
+
+test('a database that was down at startup is used once it reconnects', { timeout: 5000 }, async () => {
+    const { client, config } = createClient();
+    config.MCP.RETRY_DELAY = 20;
+    client.currentUserId = 'user_1';
+    client.isInitialized = true;
+    client.conversationHistory = { store: null, refreshed: 0, refresh() { this.refreshed++; } };
+
+    await client.initializeMCPConnection();
+    assert.equal(client.mcpAvailable, false);
+    await client.startMessageDelivery();
+    assert.ok(!client.pushActive);
+
+    const enabled = new Promise(resolve => {
+        const subscribe = client.subscribeToMessages;
+        client.subscribeToMessages = async function () {
+            await subscribe.call(this);
+            if (this.pushActive) resolve();
+        };
+    });
+    const { server, applied } = startNeonStub();
+    await enabled;
+
+    assert.equal(client.mcpAvailable, true);
+    assert.equal(client.conversationHistory.store, client.db);
+    assert.equal(client.conversationHistory.refreshed, 1);
+    assert.deepEqual(applied, VOICE_CHAT_MIGRATIONS.map(migration => migration.version));
+    const toolCalls = server.received.filter(message => message.method === 'tools/call').map(message => message.params.name);
+    assert.ok(toolCalls.includes('subscribe_messages'));
+    assert.equal(client.pollTimer, null);
+});
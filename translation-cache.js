@@ -0,0 +1,215 @@
+// Translation Cache - LRU cache for DeepL translations, persisted in IndexedDB
+// Keyed by (text, source, target, formality, glossary) so quota isn't spent twice on the same request
+
+class TranslationCache {
+    constructor(config = window.MCPhonyConfig.TRANSLATION.CACHE) {
+        this.maxEntries = config.MAX_ENTRIES;
+        this.ttl = config.TTL;
+        this.dbName = config.DB_NAME;
+        this.storeName = 'translations';
+
+        // Map iteration order doubles as LRU order: oldest first
+        this.entries = new Map();
+        this.db = null;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            expirations: 0,
+            invalidations: 0
+        };
+
+        this.ready = this.open();
+    }
+
+    // One cache shared by the translation router, DeepLService and the glossary manager
+    static shared() {
+        if (!TranslationCache.instance) {
+            TranslationCache.instance = new TranslationCache();
+        }
+        return TranslationCache.instance;
+    }
+
+    // Key params from DeepL language codes ('DE', 'EN-US'; source as a base code) and request options
+    static keyParams(text, deeplTargetLang, deeplSourceLang, options = {}) {
+        return {
+            text: text,
+            sourceLang: deeplSourceLang,
+            targetLang: deeplTargetLang,
+            formality: options.formality,
+            glossaryId: options.glossaryId
+        };
+    }
+
+    static buildKey({ text, sourceLang, targetLang, formality, glossaryId }) {
+        return JSON.stringify([text, sourceLang || '', targetLang, formality || '', glossaryId || '']);
+    }
+
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('⚠️ IndexedDB unavailable, translation cache is memory-only');
+            return;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('glossaryId', 'glossaryId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            const stored = await this.request(this.transaction('readonly').getAll());
+            const now = Date.now();
+
+            stored
+                .sort((a, b) => a.lastAccess - b.lastAccess)
+                .forEach(entry => {
+                    if (this.isExpired(entry, now)) {
+                        this.deleteEntry(entry.key);
+                        this.stats.expirations++;
+                    } else {
+                        this.entries.set(entry.key, entry);
+                    }
+                });
+
+            this.evictOverflow();
+            console.log(`🗃️ Translation cache loaded (${this.entries.size} entries)`);
+        } catch (error) {
+            console.warn('⚠️ Failed to open translation cache, using memory only:', error);
+            this.db = null;
+        }
+    }
+
+    transaction(mode) {
+        return this.db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    // Persistence is best effort; the in-memory map is the source of truth
+    persistEntry(entry) {
+        if (!this.db) return;
+        this.request(this.transaction('readwrite').put(entry)).catch(error => {
+            console.warn('⚠️ Failed to persist translation cache entry:', error);
+        });
+    }
+
+    deleteEntry(key) {
+        this.entries.delete(key);
+        if (!this.db) return;
+        this.request(this.transaction('readwrite').delete(key)).catch(error => {
+            console.warn('⚠️ Failed to delete translation cache entry:', error);
+        });
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return now - entry.createdAt > this.ttl;
+    }
+
+    async get(params) {
+        await this.ready;
+
+        const key = TranslationCache.buildKey(params);
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        if (this.isExpired(entry)) {
+            this.deleteEntry(key);
+            this.stats.expirations++;
+            this.stats.misses++;
+            return null;
+        }
+
+        // Move to the most-recently-used end
+        this.entries.delete(key);
+        entry.lastAccess = Date.now();
+        this.entries.set(key, entry);
+        this.persistEntry(entry);
+
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    async set(params, value) {
+        await this.ready;
+
+        const key = TranslationCache.buildKey(params);
+        const now = Date.now();
+        const entry = {
+            key,
+            value,
+            glossaryId: params.glossaryId || '',
+            createdAt: now,
+            lastAccess: now
+        };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.persistEntry(entry);
+        this.evictOverflow();
+    }
+
+    evictOverflow() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.deleteEntry(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    // Drop every translation produced with a glossary that has since changed
+    async invalidateGlossary(glossaryId) {
+        await this.ready;
+
+        let removed = 0;
+        for (const [key, entry] of [...this.entries]) {
+            if (entry.glossaryId === glossaryId) {
+                this.deleteEntry(key);
+                removed++;
+            }
+        }
+
+        this.stats.invalidations += removed;
+        console.log(`🗃️ Invalidated ${removed} cached translation(s) for glossary ${glossaryId}`);
+        return removed;
+    }
+
+    async clear() {
+        await this.ready;
+
+        this.entries.clear();
+        if (this.db) {
+            await this.request(this.transaction('readwrite').clear());
+        }
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            persistent: !!this.db
+        };
+    }
+}
+
+TranslationCache.instance = null;
+
+// Export for use in other modules
+window.TranslationCache = TranslationCache;
@@ -0,0 +1,191 @@
+// Translation Router - Ordered provider chain for translation
+// Tries each configured provider in turn and returns one result shape whichever answers.
+// DeepL results, over MCP or direct, are cached in front of the chain.
+
+const TRANSLATION_PROVIDERS = {
+    MCP_DEEPL: 'mcp-deepl',
+    DEEPL: 'deepl',
+    OFFLINE: 'offline'
+};
+
+class TranslationRouter {
+    constructor(mcpService = null, translationService = null) {
+        this.config = window.MCPhonyConfig.TRANSLATION;
+        this.mcpService = mcpService;
+        this.translationService = translationService || new TranslationService();
+        this.deepLService = null;
+        this.cache = this.config.CACHE.ENABLED ? TranslationCache.shared() : null;
+        this.providers = this.config.PROVIDERS.map(name => this.createProvider(name));
+    }
+
+    createProvider(name) {
+        switch (name) {
+            case TRANSLATION_PROVIDERS.MCP_DEEPL:
+                return {
+                    name,
+                    isAvailable: () => {
+                        if (!this.mcpService || !window.MCPhonyConfig.MCP.ENABLED) return false;
+                        return this.mcpService.isRoleConnected(MCP_ROLES.TRANSLATION);
+                    },
+                    translate: async (text, targetLang, sourceLang, options) => {
+                        const translation = await this.mcpService.deepLTranslate(
+                            text,
+                            this.toDeepLCode(targetLang),
+                            sourceLang ? TranslationRouter.toAppCode(sourceLang).toUpperCase() : null,
+                            options
+                        );
+
+                        // MCP servers answer with either a bare string or a DeepL translation object
+                        return typeof translation === 'string'
+                            ? { translatedText: translation, detectedSourceLanguage: sourceLang }
+                            : {
+                                translatedText: translation.text || translation.translatedText,
+                                detectedSourceLanguage: translation.detected_source_language || sourceLang
+                            };
+                    }
+                };
+
+            case TRANSLATION_PROVIDERS.DEEPL:
+                return {
+                    name,
+                    isAvailable: () => {
+                        const apiKey = window.MCPhonyConfig.DEEPL_API_KEY;
+                        return !!apiKey && apiKey !== 'your_deepl_api_key_here';
+                    },
+                    translate: (text, targetLang, sourceLang, options) => {
+                        if (!this.deepLService) {
+                            this.deepLService = new DeepLService();
+                        }
+                        return this.deepLService.translateText(text, targetLang, sourceLang, options);
+                    }
+                };
+
+            case TRANSLATION_PROVIDERS.OFFLINE:
+                return {
+                    name,
+                    isAvailable: () => true,
+                    translate: async (text, targetLang, sourceLang) => {
+                        // TranslationService reports failures in the result rather than throwing
+                        const result = await this.translationService.translateText(text, targetLang, sourceLang);
+                        if (result.error) {
+                            throw new Error(result.error);
+                        }
+                        return result;
+                    }
+                };
+
+            default:
+                throw new Error(`Unknown translation provider: ${name}`);
+        }
+    }
+
+    // Target codes only: DeepL rejects regional variants such as 'EN-US' as a source language
+    toDeepLCode(langCode) {
+        return window.MCPhonyConfig.DEEPL.SUPPORTED_LANGUAGES[langCode] || langCode.toUpperCase();
+    }
+
+    // 'EN-US' / 'EN' / 'en' all become 'en'
+    static toAppCode(langCode) {
+        return langCode ? langCode.split('-')[0].toLowerCase() : null;
+    }
+
+    // run(signal) starts the provider's request; on timeout the signal cancels it, so a slow
+    // provider stops using quota and connections once the next one has taken over
+    withTimeout(run, timeoutMs, providerName) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(`${providerName} timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+        });
+
+        return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    async translateText(text, targetLang, sourceLang = null, options = {}) {
+        if (!text || text.trim().length === 0) {
+            return this.buildResult(text, '', sourceLang, targetLang, null);
+        }
+
+        // Nothing to do when the speaker already used the target language
+        if (sourceLang && TranslationRouter.toAppCode(sourceLang) === TranslationRouter.toAppCode(targetLang)) {
+            return this.buildResult(text, text, sourceLang, targetLang, null);
+        }
+
+        // Same key as DeepLService.translateBatch, so either path reuses the other's results
+        const cacheKey = TranslationCache.keyParams(
+            text,
+            this.toDeepLCode(targetLang),
+            sourceLang ? TranslationRouter.toAppCode(sourceLang).toUpperCase() : null,
+            options
+        );
+        const cached = this.cache ? await this.cache.get(cacheKey) : null;
+        if (cached) {
+            return this.buildResult(
+                text,
+                cached.translatedText,
+                cached.detectedSourceLanguage || sourceLang,
+                targetLang,
+                cached.provider || TRANSLATION_PROVIDERS.DEEPL
+            );
+        }
+
+        const failures = [];
+
+        for (const provider of this.providers) {
+            if (!provider.isAvailable()) continue;
+
+            const timeoutMs = this.config.TIMEOUTS[provider.name] || this.config.DEFAULT_TIMEOUT;
+
+            try {
+                const result = await this.withTimeout(
+                    signal => provider.translate(text, targetLang, sourceLang, { ...options, signal }),
+                    timeoutMs,
+                    provider.name
+                );
+
+                console.log(`🌐 Translated to ${targetLang} via ${provider.name}`);
+
+                // Offline results are not cached, so DeepL gets another go once it is reachable
+                if (this.cache && provider.name !== TRANSLATION_PROVIDERS.OFFLINE) {
+                    await this.cache.set(cacheKey, {
+                        originalText: text,
+                        translatedText: result.translatedText,
+                        detectedSourceLanguage: result.detectedSourceLanguage || sourceLang,
+                        targetLanguage: cacheKey.targetLang,
+                        provider: provider.name
+                    });
+                }
+
+                return this.buildResult(
+                    text,
+                    result.translatedText,
+                    result.detectedSourceLanguage || sourceLang,
+                    targetLang,
+                    provider.name
+                );
+            } catch (error) {
+                console.warn(`⚠️ Translation provider ${provider.name} failed:`, error);
+                failures.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`All translation providers failed (${failures.join('; ') || 'none available'})`);
+    }
+
+    buildResult(originalText, translatedText, sourceLang, targetLang, provider) {
+        return {
+            originalText,
+            translatedText,
+            detectedSourceLanguage: TranslationRouter.toAppCode(sourceLang),
+            targetLanguage: TranslationRouter.toAppCode(targetLang),
+            provider
+        };
+    }
+}
+
+// Export for use in other modules
+window.TRANSLATION_PROVIDERS = TRANSLATION_PROVIDERS;
+window.TranslationRouter = TranslationRouter;
@@ -14,18 +14,24 @@ class TranslationService {
             'hi': 'हिन्दी'
         };
         
-        // Language detection patterns (simplified)
-        this.languagePatterns = {
-            'en': /[a-zA-Z\s.,!?]+/,
-            'zh': /[\u4e00-\u9fff]+/,
-            'ru': /[а-яё\s.,!?]+/i,
-            'es': /[a-záéíóúüñ\s.,!?]+/i,
-            'fr': /[a-záàâäçéèêëïîôöùûüÿñæœ\s.,!?]+/i,
-            'de': /[a-zäöüß\s.,!?]+/i,
-            'ja': /[\u3040-\u309f\u30a0-\u30ff\u4e00-\u9fff]+/,
-            'ko': /[\uac00-\ud7af\u1100-\u11ff\u3130-\u318f]+/,
-            'ar': /[\u0600-\u06ff\u0750-\u077f]+/,
-            'hi': /[\u0900-\u097f]+/
+        // Scripts that identify a language on their own (checked in order: kana before shared Han)
+        this.scriptPatterns = {
+            'ja': /[\u3040-\u309f\u30a0-\u30ff]/g,
+            'ko': /[\uac00-\ud7af\u1100-\u11ff\u3130-\u318f]/g,
+            'zh': /[\u4e00-\u9fff]/g,
+            'ru': /[а-яё]/gi,
+            'ar': /[\u0600-\u06ff\u0750-\u077f]/g,
+            'hi': /[\u0900-\u097f]/g
+        };
+        
+        // Latin-script languages are told apart by their most common words
+        this.commonWords = {
+            'en': ['the', 'and', 'you', 'that', 'was', 'for', 'are', 'with', 'this', 'have', 'is', 'it', 'to', 'of', 'what', 'how'],
+            'es': ['el', 'la', 'que', 'de', 'y', 'en', 'los', 'se', 'no', 'por', 'es', 'una', 'está', 'qué', 'cómo', 'hola'],
+            'fr': ['le', 'la', 'et', 'les', 'des', 'est', 'un', 'une', 'je', 'vous', 'que', 'pas', 'il', 'c\'est', 'bonjour', 'pour'],
+            'de': ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ich', 'mit', 'sie', 'ein', 'eine', 'zu', 'den', 'wie', 'hallo', 'auf'],
+            'it': ['il', 'di', 'che', 'è', 'non', 'un', 'una', 'per', 'sono', 'come', 'ciao', 'gli', 'della', 'questo', 'ho', 'mi'],
+            'pt': ['o', 'que', 'não', 'de', 'um', 'uma', 'é', 'com', 'para', 'os', 'você', 'olá', 'está', 'eu', 'do', 'da']
         };
         
         this.initializeService();
@@ -35,68 +41,57 @@ class TranslationService {
         console.log('🌐 Translation Service initialized');
     }
     
-    async detectLanguage(text) {
-        if (!text || text.trim().length === 0) {
-            return 'en'; // Default to English
+    // Best guess with a 0-1 confidence; short or ambiguous text scores low
+    identifyLanguage(text) {
+        const cleanText = (text || '').toLowerCase().trim();
+        if (cleanText.length === 0) {
+            return { language: 'en', confidence: 0 };
         }
         
-        const cleanText = text.toLowerCase().trim();
-        let maxScore = 0;
-        let detectedLang = 'en';
-        
-        // Check against language patterns
-        for (const [lang, pattern] of Object.entries(this.languagePatterns)) {
+        // A distinctive script decides by itself once it makes up a fair share of the letters
+        const letters = cleanText.replace(/[\s\d.,!?¿¡'"()\-]/g, '').length || 1;
+        for (const [lang, pattern] of Object.entries(this.scriptPatterns)) {
             const matches = cleanText.match(pattern);
-            if (matches) {
-                const score = matches.join('').length / cleanText.length;
-                if (score > maxScore) {
-                    maxScore = score;
-                    detectedLang = lang;
-                }
+            const share = matches ? matches.length / letters : 0;
+            if (share > 0.3) {
+                return { language: lang, confidence: Math.min(1, share + 0.2) };
             }
         }
         
-        // Additional heuristics for common words
-        const commonWords = {
-            'en': ['the', 'and', 'you', 'that', 'was', 'for', 'are', 'with', 'his', 'they'],
-            'zh': ['的', '了', '在', '是', '我', '有', '和', '就', '不', '人'],
-            'ru': ['и', 'в', 'не', 'на', 'я', 'с', 'что', 'а', 'по', 'это'],
-            'es': ['de', 'la', 'que', 'el', 'en', 'y', 'a', 'se', 'no', 'te'],
-            'fr': ['de', 'le', 'et', 'à', 'un', 'il', 'être', 'et', 'en', 'avoir'],
-            'de': ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich'],
-            'ja': ['の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し'],
-            'ko': ['의', '는', '이', '가', '을', '를', '에', '와', '과', '로'],
-            'ar': ['في', 'من', 'إلى', 'على', 'أن', 'هذا', 'التي', 'كان', 'لم', 'قد'],
-            'hi': ['के', 'में', 'है', 'की', 'को', 'से', 'पर', 'इस', 'का', 'एक']
-        };
+        // Latin script: count common-word hits per language
+        const words = cleanText.split(/[\s.,!?¿¡"()]+/).filter(Boolean);
+        const hits = {};
+        let totalHits = 0;
+        for (const [lang, common] of Object.entries(this.commonWords)) {
+            hits[lang] = words.filter(word => common.includes(word)).length;
+            totalHits += hits[lang];
+        }
         
-        let bestMatch = detectedLang;
-        let bestScore = maxScore;
+        if (totalHits === 0) {
+            return { language: 'en', confidence: 0.1 };
+        }
         
-        for (const [lang, words] of Object.entries(commonWords)) {
-            let wordMatches = 0;
-            const textWords = cleanText.split(/\s+/);
-            
-            for (const word of words) {
-                if (textWords.includes(word.toLowerCase())) {
-                    wordMatches++;
-                }
-            }
-            
-            const wordScore = wordMatches / Math.min(words.length, textWords.length);
-            if (wordScore > bestScore) {
-                bestScore = wordScore;
-                bestMatch = lang;
-            }
+        const language = Object.keys(hits).reduce((best, lang) => hits[lang] > hits[best] ? lang : best);
+        // Exclusive hits on a good share of the words mean a confident answer
+        const exclusivity = hits[language] / totalHits;
+        const coverage = Math.min(1, hits[language] / Math.max(1, words.length * 0.25));
+        
+        return { language, confidence: exclusivity * coverage };
+    }
+    
+    async detectLanguage(text) {
+        if (!text || text.trim().length === 0) {
+            return 'en'; // Default to English
         }
         
-        console.log(`🔍 Detected language: ${bestMatch} (confidence: ${Math.round(bestScore * 100)}%)`);
-        return bestMatch;
+        const { language, confidence } = this.identifyLanguage(text);
+        console.log(`🔍 Detected language: ${language} (confidence: ${Math.round(confidence * 100)}%)`);
+        return language;
     }
     
     async translateText(text, targetLang, sourceLang = null) {
         if (!text || text.trim().length === 0) {
-            return { translatedText: '', detectedSourceLang: 'en' };
+            return { translatedText: '', detectedSourceLanguage: 'en' };
         }
         
         // Auto-detect source language if not provided
@@ -108,7 +103,7 @@ class TranslationService {
         if (sourceLang === targetLang) {
             return { 
                 translatedText: text, 
-                detectedSourceLang: sourceLang 
+                detectedSourceLanguage: sourceLang 
             };
         }
         
@@ -120,14 +115,14 @@ class TranslationService {
             console.log(`🌐 Translated from ${sourceLang} to ${targetLang}`);
             return { 
                 translatedText, 
-                detectedSourceLang: sourceLang 
+                detectedSourceLanguage: sourceLang 
             };
             
         } catch (error) {
             console.error('❌ Translation failed:', error);
             return { 
                 translatedText: text, // Return original on failure
-                detectedSourceLang: sourceLang,
+                detectedSourceLanguage: sourceLang,
                 error: error.message 
             };
         }
@@ -250,7 +245,7 @@ class TranslationService {
             } catch (error) {
                 results.push({ 
                     translatedText: text, 
-                    detectedSourceLang: sourceLang || 'unknown',
+                    detectedSourceLanguage: sourceLang || 'unknown',
                     error: error.message 
                 });
             }
@@ -0,0 +1,124 @@
+// Voice Activity Detector - Decides when speech starts and ends from per-frame level and spectrum
+// Energy alone also fires on door slams and fans, so a frame only counts as speech when it is
+// loud enough above the tracked noise floor AND its energy sits in the speech band without being
+// noise-like (flat spectrum)
+
+class VoiceActivityDetector {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.speaking = false;
+        this.noiseFloorDb = null;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.lastTime = null;
+    }
+
+    // Level (dBFS), speech-band energy share and spectral flatness of one analyser frame.
+    // frequencyDb is AnalyserNode.getFloatFrequencyData output; binHz the width of one bin.
+    static frameFeatures(timeData, frequencyDb, binHz, band) {
+        let energy = 0;
+        for (let i = 0; i < timeData.length; i++) {
+            energy += timeData[i] * timeData[i];
+        }
+        const rms = Math.sqrt(energy / timeData.length);
+
+        const [low, high] = band;
+        let total = 0;
+        let inBand = 0;
+        let logSum = 0;
+        let bandBins = 0;
+
+        // Skip DC and rumble below 80 Hz
+        for (let bin = Math.ceil(80 / binHz); bin < frequencyDb.length; bin++) {
+            const power = Math.pow(10, frequencyDb[bin] / 10);
+            if (!isFinite(power)) continue;
+
+            total += power;
+            const frequency = bin * binHz;
+            if (frequency >= low && frequency <= high) {
+                inBand += power;
+                logSum += Math.log(power + 1e-20);
+                bandBins++;
+            }
+        }
+
+        // Geometric over arithmetic mean: ~1 for white noise, near 0 for harmonic (voiced) sound
+        const flatness = bandBins > 0 && inBand > 0
+            ? Math.exp(logSum / bandBins) / (inBand / bandBins)
+            : 1;
+
+        return {
+            levelDb: rms > 0 ? 20 * Math.log10(rms) : -Infinity,
+            bandRatio: total > 0 ? inBand / total : 0,
+            flatness
+        };
+    }
+
+    isSpeechFrame(features, threshold) {
+        if (features.levelDb < threshold) return false;
+        if (features.bandRatio < this.config.MIN_SPEECH_BAND_RATIO) return false;
+
+        // A voiced pitch track is enough on its own; otherwise the spectrum must not be noise-like
+        return features.voiced || features.flatness <= this.config.MAX_FLATNESS;
+    }
+
+    // Feed one frame; returns 'speech-start', 'speech-end' or null.
+    // features: { levelDb, bandRatio, flatness, voiced }; now in ms.
+    process(features, now) {
+        // rAF stalls in background tabs; a long gap counts as a single frame
+        const elapsed = this.lastTime === null ? 0 : Math.min(now - this.lastTime, 100);
+        this.lastTime = now;
+
+        if (this.noiseFloorDb === null && isFinite(features.levelDb)) {
+            this.noiseFloorDb = features.levelDb;
+        }
+        const noiseFloor = this.noiseFloorDb === null ? this.config.MIN_LEVEL_DB : this.noiseFloorDb;
+        const threshold = Math.max(this.config.MIN_LEVEL_DB, noiseFloor + this.config.NOISE_MARGIN_DB);
+
+        if (!this.speaking) {
+            if (this.isSpeechFrame(features, threshold)) {
+                this.speechMs += elapsed;
+                if (this.speechMs >= this.config.MIN_SPEECH_MS) {
+                    this.speaking = true;
+                    this.silenceMs = 0;
+                    return 'speech-start';
+                }
+            } else {
+                this.speechMs = 0;
+                this.adaptNoiseFloor(features.levelDb);
+            }
+            return null;
+        }
+
+        // Once speaking, level alone keeps it going (half the margin) so soft consonants and
+        // word endings do not cut the recording short
+        const continueThreshold = Math.max(this.config.MIN_LEVEL_DB, noiseFloor + this.config.NOISE_MARGIN_DB / 2);
+        if (features.levelDb >= continueThreshold) {
+            this.silenceMs = 0;
+            return null;
+        }
+
+        this.silenceMs += elapsed;
+        if (this.silenceMs >= this.config.TRAILING_SILENCE_MS) {
+            this.speaking = false;
+            this.speechMs = 0;
+            return 'speech-end';
+        }
+        return null;
+    }
+
+    // Follow the background level: quickly when it drops, slowly when it rises
+    adaptNoiseFloor(levelDb) {
+        if (!isFinite(levelDb)) return;
+
+        const rate = levelDb < this.noiseFloorDb ? 0.2 : 0.02;
+        this.noiseFloorDb += (levelDb - this.noiseFloorDb) * rate;
+    }
+}
+
+// Export for use in other files
+window.VoiceActivityDetector = VoiceActivityDetector;
@@ -3,16 +3,34 @@ class VoiceAnalyzer {
         this.audioContext = null;
         this.analyser = null;
         this.microphone = null;
+        this.stream = null;
+        this.ownsStream = false;
         this.dataArray = null;
+        this.frequencyData = null;
         this.isAnalyzing = false;
         
+        // Hands-free recording (see startVoiceActivityDetection)
+        this.vad = null;
+        this.vadHandlers = null;
+        this.preRollDelay = null;
+        this.preRollStream = null; // Delayed microphone copy that hands-free recordings capture
+        
         // Voice characteristics detection
-        this.pitchDetector = null;
+        this.pitchDetector = null;  // Main-thread fallback when AudioWorklet is unavailable
+        this.pitchTracker = new PitchTracker();
+        this.pitchNode = null;
+        this.pitchWorkletReady = Promise.resolve(false);
+        this.latestPitch = { pitch: 0, voiced: false };
+        this.timeData = null;
+        this.pitchHistory = []; // Voiced pitch estimates from the current recording
+        this.spokenLanguage = { language: 'unknown', confidence: 0 }; // Set by LanguageIdentifier
         this.voiceCharacteristics = {
             pitch: 0,
+            voiced: false,
             volume: 0,
             gender: 'unknown',
             language: 'unknown',
+            languageConfidence: 0,
             confidence: 0
         };
         
@@ -28,6 +46,10 @@ class VoiceAnalyzer {
             
             const bufferLength = this.analyser.frequencyBinCount;
             this.dataArray = new Uint8Array(bufferLength);
+            this.frequencyData = new Float32Array(bufferLength);
+            this.timeData = new Float32Array(this.analyser.fftSize);
+            this.pitchDetector = new PitchDetector(this.audioContext.sampleRate);
+            this.pitchWorkletReady = this.loadPitchWorklet();
             
             console.log('🎤 Voice Analyzer initialized successfully');
         } catch (error) {
@@ -35,11 +57,31 @@ class VoiceAnalyzer {
         }
     }
     
-    async startAnalysis() {
-        if (this.isAnalyzing) return;
+    // Pitch tracking runs on the audio thread where supported
+    async loadPitchWorklet() {
+        if (!this.audioContext.audioWorklet) return false;
+        
+        try {
+            await this.audioContext.audioWorklet.addModule('pitch-detector.js');
+            await this.audioContext.audioWorklet.addModule('pitch-worklet.js');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Pitch worklet unavailable, tracking pitch on the main thread:', error);
+            return false;
+        }
+    }
+    
+    // Analyse the given stream, or open the microphone. Already analysing (hands-free listening)
+    // only starts a fresh pitch history for the next recording.
+    async startAnalysis(stream = null) {
+        if (this.isAnalyzing) {
+            this.resetPitchHistory();
+            return this.stream;
+        }
         
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ 
+            this.ownsStream = !stream;
+            this.stream = stream || await navigator.mediaDevices.getUserMedia({ 
                 audio: {
                     echoCancellation: true,
                     noiseSuppression: true,
@@ -47,15 +89,25 @@ class VoiceAnalyzer {
                 } 
             });
             
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
+            this.microphone = this.audioContext.createMediaStreamSource(this.stream);
             this.microphone.connect(this.analyser);
+            
+            this.resetPitchHistory();
+            
+            if (await this.pitchWorkletReady) {
+                this.pitchNode = new AudioWorkletNode(this.audioContext, 'pitch-processor', { numberOfOutputs: 0 });
+                this.pitchNode.port.onmessage = (event) => {
+                    this.latestPitch = event.data;
+                };
+                this.microphone.connect(this.pitchNode);
+            }
             this.isAnalyzing = true;
             
             this.analyzeVoice();
             this.updateVisualizations();
             
             console.log('🎤 Voice analysis started');
-            return stream;
+            return this.stream;
             
         } catch (error) {
             console.error('❌ Microphone access denied:', error);
@@ -68,10 +120,77 @@ class VoiceAnalyzer {
             this.microphone.disconnect();
             this.microphone = null;
         }
+        if (this.pitchNode) {
+            this.pitchNode.port.onmessage = null;
+            this.pitchNode.port.postMessage('stop');
+            this.pitchNode.disconnect();
+            this.pitchNode = null;
+        }
+        // Release the microphone if we opened it; callers passing a stream close it themselves
+        if (this.stream && this.ownsStream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        if (this.preRollDelay) {
+            this.preRollDelay.disconnect();
+            this.preRollDelay = null;
+            this.preRollStream = null;
+        }
+        this.stopVoiceActivityDetection();
         this.isAnalyzing = false;
         console.log('🛑 Voice analysis stopped');
     }
     
+    resetPitchHistory() {
+        this.pitchHistory = [];
+        this.pitchTracker.reset();
+        this.latestPitch = { pitch: 0, voiced: false };
+        if (this.pitchNode) {
+            this.pitchNode.port.postMessage('reset');
+        }
+    }
+    
+    // Report speech onsets and ends while analysing; handlers { onSpeechStart, onSpeechEnd }
+    startVoiceActivityDetection(handlers) {
+        this.vad = new VoiceActivityDetector(window.MCPhonyConfig.VAD);
+        this.vadHandlers = handlers;
+    }
+    
+    // Speech is only reported once MIN_SPEECH_MS of it has been heard, so a recording started then
+    // misses the onset. Recording the microphone delayed by ms captures it.
+    startPreRoll(ms) {
+        if (this.preRollStream) return this.preRollStream;
+        
+        this.preRollDelay = this.audioContext.createDelay(Math.max(1, ms / 1000));
+        this.preRollDelay.delayTime.value = ms / 1000;
+        const destination = this.audioContext.createMediaStreamDestination();
+        this.microphone.connect(this.preRollDelay);
+        this.preRollDelay.connect(destination);
+        this.preRollStream = destination.stream;
+        return this.preRollStream;
+    }
+    
+    stopVoiceActivityDetection() {
+        this.vad = null;
+        this.vadHandlers = null;
+    }
+    
+    detectVoiceActivity(voiced) {
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+        
+        const binHz = this.audioContext.sampleRate / this.analyser.fftSize;
+        const features = VoiceActivityDetector.frameFeatures(this.timeData, this.frequencyData, binHz, this.vad.config.SPEECH_BAND);
+        features.voiced = voiced;
+        
+        const event = this.vad.process(features, performance.now());
+        if (event === 'speech-start' && this.vadHandlers.onSpeechStart) {
+            this.vadHandlers.onSpeechStart();
+        } else if (event === 'speech-end' && this.vadHandlers.onSpeechEnd) {
+            this.vadHandlers.onSpeechEnd();
+        }
+    }
+    
     analyzeVoice() {
         if (!this.isAnalyzing) return;
         
@@ -80,23 +199,32 @@ class VoiceAnalyzer {
         // Calculate volume
         const volume = this.calculateVolume();
         
-        // Estimate pitch
-        const pitch = this.estimatePitch();
+        // Smoothed pitch from the worklet, or estimated here without one
+        const { pitch, voiced } = this.pitchNode ? this.latestPitch : this.estimatePitch();
+        if (voiced) {
+            this.pitchHistory.push(pitch);
+            if (this.pitchHistory.length > 1000) {
+                this.pitchHistory.shift();
+            }
+        }
         
         // Detect gender based on pitch and formants
-        const gender = this.detectGender(pitch);
+        const gender = this.detectGender(voiced ? pitch : 0);
         
-        // Simulate language detection (in real app, would use speech recognition)
-        const language = this.detectLanguage();
+        if (this.vad) {
+            this.detectVoiceActivity(voiced);
+        }
         
         // Calculate confidence based on signal strength
         const confidence = Math.min(volume / 50, 1) * 100;
         
         this.voiceCharacteristics = {
-            pitch: Math.round(pitch),
+            pitch: voiced ? Math.round(pitch) : 0,
+            voiced,
             volume: Math.round(volume),
             gender,
-            language,
+            language: this.spokenLanguage.language,
+            languageConfidence: Math.round(this.spokenLanguage.confidence * 100),
             confidence: Math.round(confidence)
         };
         
@@ -113,43 +241,10 @@ class VoiceAnalyzer {
         return sum / this.dataArray.length;
     }
     
+    // Main-thread YIN on the analyser's float time-domain data
     estimatePitch() {
-        // Simple pitch estimation using autocorrelation
-        const timeData = new Uint8Array(this.analyser.fftSize);
-        this.analyser.getByteTimeDomainData(timeData);
-        
-        let bestCorrelation = 0;
-        let bestOffset = 0;
-        let rms = 0;
-        
-        for (let i = 0; i < timeData.length; i++) {
-            const val = (timeData[i] - 128) / 128;
-            rms += val * val;
-        }
-        rms = Math.sqrt(rms / timeData.length);
-        
-        if (rms < 0.01) return 0; // Too quiet
-        
-        let lastCorrelation = 1;
-        for (let offset = 20; offset < timeData.length / 2; offset++) {
-            let correlation = 0;
-            for (let i = 0; i < timeData.length - offset; i++) {
-                correlation += Math.abs((timeData[i] - 128) - (timeData[i + offset] - 128));
-            }
-            correlation = 1 - (correlation / (timeData.length - offset));
-            
-            if (correlation > 0.9 && correlation > lastCorrelation) {
-                bestCorrelation = correlation;
-                bestOffset = offset;
-                break;
-            }
-            lastCorrelation = correlation;
-        }
-        
-        if (bestCorrelation > 0.01) {
-            return this.audioContext.sampleRate / bestOffset;
-        }
-        return 0;
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        return this.pitchTracker.update(this.pitchDetector.detect(this.timeData));
     }
     
     detectGender(pitch) {
@@ -165,16 +260,47 @@ class VoiceAnalyzer {
         }
     }
     
-    detectLanguage() {
-        // Placeholder for language detection
-        // In a real implementation, this would analyze phonetic patterns
-        const languages = ['English', 'Chinese', 'Russian', 'Spanish', 'French'];
-        return languages[Math.floor(Math.random() * languages.length)];
+    // Language identified from what was said (see LanguageIdentifier)
+    setSpokenLanguage(language, confidence) {
+        this.spokenLanguage = { language, confidence };
+        this.voiceCharacteristics.language = language;
+        this.voiceCharacteristics.languageConfidence = Math.round(confidence * 100);
+    }
+    
+    // 'es' -> 'Spanish' for display
+    static languageName(language) {
+        if (!language || language === 'unknown') return '--';
+        
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+        } catch (error) {
+            return language.toUpperCase();
+        }
+    }
+    
+    // Median and 10th/90th percentile of the voiced pitch estimates, or null before any speech
+    getPitchStats() {
+        if (this.pitchHistory.length === 0) return null;
+        
+        const sorted = [...this.pitchHistory].sort((a, b) => a - b);
+        const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+        
+        return {
+            median: Math.round(at(0.5)),
+            low: Math.round(at(0.1)),
+            high: Math.round(at(0.9)),
+            samples: sorted.length
+        };
     }
     
     updateUI() {
+        // The mobile page shows its analysis on demand rather than live
+        if (!document.getElementById('detectedLanguage')) return;
+        
         // Update voice analysis display
-        document.getElementById('detectedLanguage').textContent = this.voiceCharacteristics.language;
+        const { language, languageConfidence } = this.voiceCharacteristics;
+        const languageName = VoiceAnalyzer.languageName(language);
+        document.getElementById('detectedLanguage').textContent = language === 'unknown' ? languageName : `${languageName} ${languageConfidence}%`;
         document.getElementById('detectedGender').textContent = this.voiceCharacteristics.gender.toUpperCase();
         document.getElementById('detectedPitch').textContent = `${this.voiceCharacteristics.pitch} Hz`;
         document.getElementById('confidenceLevel').textContent = `${this.voiceCharacteristics.confidence}%`;
@@ -255,8 +381,66 @@ class VoiceAnalyzer {
         ctx.stroke();
     }
     
+    // Measure a finished recording: duration, speech level, clipping and how much of it is speech
+    async analyzeRecording(blob) {
+        const arrayBuffer = await blob.arrayBuffer();
+        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        
+        // Mix down to mono
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        
+        // 20 ms frames; frames above the silence floor count as speech
+        const frameSize = Math.round(audioBuffer.sampleRate * 0.02);
+        const silenceFloor = Math.pow(10, -50 / 20);
+        let voicedFrames = 0;
+        let totalFrames = 0;
+        let voicedEnergy = 0;
+        let voicedSamples = 0;
+        let clipped = 0;
+        let peak = 0;
+        
+        for (let start = 0; start < samples.length; start += frameSize) {
+            const end = Math.min(start + frameSize, samples.length);
+            let energy = 0;
+            
+            for (let i = start; i < end; i++) {
+                const magnitude = Math.abs(samples[i]);
+                energy += samples[i] * samples[i];
+                peak = Math.max(peak, magnitude);
+                if (magnitude >= 0.99) clipped++;
+            }
+            
+            totalFrames++;
+            if (Math.sqrt(energy / (end - start)) > silenceFloor) {
+                voicedFrames++;
+                voicedEnergy += energy;
+                voicedSamples += end - start;
+            }
+        }
+        
+        const toDb = (value) => value > 0 ? 20 * Math.log10(value) : -Infinity;
+        
+        return {
+            audioBuffer,
+            durationMs: Math.round(audioBuffer.duration * 1000),
+            speechLevelDb: voicedSamples > 0 ? toDb(Math.sqrt(voicedEnergy / voicedSamples)) : -Infinity,
+            peakDb: toDb(peak),
+            clippingRatio: samples.length > 0 ? clipped / samples.length : 0,
+            voicedRatio: totalFrames > 0 ? voicedFrames / totalFrames : 0
+        };
+    }
+    
     getVoiceCharacteristics() {
-        return this.voiceCharacteristics;
+        return {
+            ...this.voiceCharacteristics,
+            pitchRange: this.getPitchStats()
+        };
     }
 }
 
@@ -0,0 +1,217 @@
+/**
+ * VoiceChat Database - Parameterized data access
+ * All statements go through MCP run_sql with typed bind values instead of spliced strings
+ */
+
+class VoiceChatDatabase {
+    constructor(mcpQuery, projectId = null) {
+        this.mcpQuery = mcpQuery;
+        this.projectId = projectId;
+    }
+
+    // Convert a JS value into a typed bind value for the MCP SQL tool
+    static bindValue(value) {
+        if (value === null || value === undefined) {
+            return { type: 'null', value: null };
+        }
+
+        if (typeof value === 'string') {
+            return { type: 'text', value };
+        }
+
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                throw new Error(`Cannot bind non-finite number: ${value}`);
+            }
+            return { type: Number.isInteger(value) ? 'integer' : 'numeric', value };
+        }
+
+        if (typeof value === 'boolean') {
+            return { type: 'boolean', value };
+        }
+
+        if (value instanceof Date) {
+            return { type: 'timestamp', value: value.toISOString() };
+        }
+
+        if (typeof value === 'object') {
+            return { type: 'jsonb', value: JSON.stringify(value) };
+        }
+
+        throw new Error(`Unsupported bind value type: ${typeof value}`);
+    }
+
+    // Highest $n index in a statement, which is how many bind values Postgres expects
+    // ($1 used twice still needs one value; $1 and $3 alone still need three)
+    static highestPlaceholderIndex(sql) {
+        const matches = sql.match(/\$(\d+)/g) || [];
+        return matches.reduce((max, match) => Math.max(max, parseInt(match.slice(1), 10)), 0);
+    }
+
+    buildStatement(sql, params = []) {
+        const expected = VoiceChatDatabase.highestPlaceholderIndex(sql);
+        if (expected !== params.length) {
+            throw new Error(`SQL expects ${expected} parameter(s) but ${params.length} were given`);
+        }
+
+        return {
+            sql: sql,
+            params: params.map(value => VoiceChatDatabase.bindValue(value))
+        };
+    }
+
+    async query(sql, params = []) {
+        const statement = this.buildStatement(sql, params);
+
+        const result = await this.mcpQuery('run_sql', {
+            params: {
+                sql: statement.sql,
+                params: statement.params,
+                projectId: this.projectId
+            }
+        });
+
+        return (result && result.rows) || [];
+    }
+
+    // Run several statements atomically through the MCP transaction tool
+    async transaction(statements) {
+        const sqlStatements = statements.map(statement =>
+            this.buildStatement(statement.sql, statement.params || [])
+        );
+
+        return this.mcpQuery('run_sql_transaction', {
+            params: {
+                sqlStatements: sqlStatements,
+                projectId: this.projectId
+            }
+        });
+    }
+
+    // voice_users
+    async upsertUser(userId, username) {
+        await this.query(
+            `INSERT INTO voice_users (id, username, last_active)
+             VALUES ($1, $2, CURRENT_TIMESTAMP)
+             ON CONFLICT (id)
+             DO UPDATE SET last_active = CURRENT_TIMESTAMP`,
+            [userId, username]
+        );
+    }
+
+    async findUser(userId) {
+        const rows = await this.query(
+            'SELECT id, username, created_at, last_active, voice_signature FROM voice_users WHERE id = $1',
+            [userId]
+        );
+        return rows[0] || null;
+    }
+
+    async updateVoiceSignature(userId, signature) {
+        await this.query(
+            'UPDATE voice_users SET voice_signature = $2::jsonb WHERE id = $1',
+            [userId, signature]
+        );
+    }
+
+    // friend_connections
+    async upsertFriendConnection(userId, friendId, status = 'connected') {
+        await this.query(
+            `INSERT INTO friend_connections (user1_id, user2_id, status)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user1_id, user2_id)
+             DO UPDATE SET status = $3`,
+            [userId, friendId, status]
+        );
+    }
+
+    async getFriendConnections(userId) {
+        return this.query(
+            `SELECT id, user1_id, user2_id, status, created_at FROM friend_connections
+             WHERE user1_id = $1 OR user2_id = $1
+             ORDER BY created_at DESC`,
+            [userId]
+        );
+    }
+
+    // voice_messages
+    async insertMessage(message) {
+        await this.query(
+            `INSERT INTO voice_messages (
+                sender_id, recipient_id, original_text, translated_text,
+                language_from, language_to, audio_blob_url, audio_duration_ms,
+                voice_characteristics, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, CURRENT_TIMESTAMP)`,
+            [
+                message.senderId,
+                message.recipientId,
+                message.originalText,
+                message.translatedText,
+                message.languageFrom,
+                message.languageTo,
+                message.audioBlobUrl || null,
+                message.audioDurationMs || null,
+                message.voiceCharacteristics || {}
+            ]
+        );
+    }
+
+    // Oldest first, so a burst is delivered in the order it was sent
+    async getUnreadMessages(recipientId, limit = 50) {
+        return this.query(
+            `SELECT * FROM voice_messages
+             WHERE recipient_id = $1
+             AND read_at IS NULL
+             ORDER BY created_at ASC, id ASC
+             LIMIT $2`,
+            [recipientId, limit]
+        );
+    }
+
+    // Both directions of a conversation, newest first, keyset-paginated on (created_at, id)
+    async getThread(userId, friendId, options = {}) {
+        const limit = options.limit || 20;
+        const before = options.before || null;
+        const search = options.search
+            ? `%${options.search.replace(/[\\%_]/g, match => '\\' + match)}%`
+            : null;
+
+        const rows = await this.query(
+            `SELECT id, sender_id, recipient_id, original_text, translated_text,
+                    language_from, language_to, audio_blob_url, audio_duration_ms, created_at, read_at
+             FROM voice_messages
+             WHERE ((sender_id = $1 AND recipient_id = $2) OR (sender_id = $2 AND recipient_id = $1))
+             AND ($3::timestamp IS NULL OR (created_at, id) < ($3::timestamp, $4::integer))
+             AND ($5::text IS NULL OR original_text ILIKE $5 OR translated_text ILIKE $5)
+             ORDER BY created_at DESC, id DESC
+             LIMIT $6`,
+            [
+                userId,
+                friendId,
+                before ? before.createdAt : null,
+                before ? before.id : null,
+                search,
+                limit + 1
+            ]
+        );
+
+        // The extra row only tells us whether another page exists
+        const messages = rows.slice(0, limit);
+        const last = messages[messages.length - 1];
+
+        return {
+            messages,
+            nextCursor: rows.length > limit ? { createdAt: last.created_at, id: last.id } : null
+        };
+    }
+
+    async markMessageRead(messageId) {
+        await this.query(
+            'UPDATE voice_messages SET read_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [messageId]
+        );
+    }
+}
+
+// Export for use in other modules
+window.VoiceChatDatabase = VoiceChatDatabase;
@@ -0,0 +1,205 @@
+/**
+ * VoiceChat Migrations - Versioned schema for the voice chat database
+ * Applied versions are recorded in schema_migrations; new migrations go at the end of the list
+ */
+
+class SchemaVersionError extends Error {
+    constructor(databaseVersion, clientVersion) {
+        super(`Database schema version ${databaseVersion} is newer than this client supports (${clientVersion}). Please update MCPhony.`);
+        this.name = 'SchemaVersionError';
+        this.databaseVersion = databaseVersion;
+        this.clientVersion = clientVersion;
+    }
+}
+
+const VOICE_CHAT_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'create_voice_chat_tables',
+        up: [
+            `CREATE TABLE IF NOT EXISTS voice_users (
+                id VARCHAR(50) PRIMARY KEY,
+                username VARCHAR(100) UNIQUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                voice_signature JSONB
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS voice_messages (
+                id SERIAL PRIMARY KEY,
+                sender_id VARCHAR(50) REFERENCES voice_users(id),
+                recipient_id VARCHAR(50) REFERENCES voice_users(id),
+                original_text TEXT,
+                translated_text TEXT,
+                language_from VARCHAR(10),
+                language_to VARCHAR(10),
+                audio_blob_url TEXT,
+                voice_characteristics JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                read_at TIMESTAMP
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS friend_connections (
+                id SERIAL PRIMARY KEY,
+                user1_id VARCHAR(50) REFERENCES voice_users(id),
+                user2_id VARCHAR(50) REFERENCES voice_users(id),
+                status VARCHAR(20) DEFAULT 'pending',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user1_id, user2_id)
+            )`,
+
+            `CREATE INDEX IF NOT EXISTS idx_voice_messages_recipient
+             ON voice_messages(recipient_id, created_at)`,
+
+            `CREATE INDEX IF NOT EXISTS idx_friend_connections_users
+             ON friend_connections(user1_id, user2_id)`
+        ],
+        down: [
+            'DROP INDEX IF EXISTS idx_friend_connections_users',
+            'DROP INDEX IF EXISTS idx_voice_messages_recipient',
+            'DROP TABLE IF EXISTS friend_connections',
+            'DROP TABLE IF EXISTS voice_messages',
+            'DROP TABLE IF EXISTS voice_users'
+        ]
+    },
+    {
+        version: 2,
+        name: 'notify_new_voice_messages',
+        up: [
+            `CREATE OR REPLACE FUNCTION notify_voice_message() RETURNS trigger AS $$
+            BEGIN
+                PERFORM pg_notify('voice_messages', json_build_object(
+                    'id', NEW.id,
+                    'recipient_id', NEW.recipient_id
+                )::text);
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql`,
+
+            `DROP TRIGGER IF EXISTS voice_messages_notify ON voice_messages`,
+
+            `CREATE TRIGGER voice_messages_notify
+             AFTER INSERT ON voice_messages
+             FOR EACH ROW EXECUTE FUNCTION notify_voice_message()`
+        ],
+        down: [
+            'DROP TRIGGER IF EXISTS voice_messages_notify ON voice_messages',
+            'DROP FUNCTION IF EXISTS notify_voice_message()'
+        ]
+    },
+    {
+        version: 3,
+        name: 'index_conversation_threads',
+        up: [
+            `CREATE INDEX IF NOT EXISTS idx_voice_messages_thread
+             ON voice_messages(sender_id, recipient_id, created_at DESC, id DESC)`
+        ],
+        down: [
+            'DROP INDEX IF EXISTS idx_voice_messages_thread'
+        ]
+    },
+    {
+        version: 4,
+        name: 'add_audio_duration',
+        up: [
+            'ALTER TABLE voice_messages ADD COLUMN IF NOT EXISTS audio_duration_ms INTEGER'
+        ],
+        down: [
+            'ALTER TABLE voice_messages DROP COLUMN IF EXISTS audio_duration_ms'
+        ]
+    }
+];
+
+class MigrationRunner {
+    constructor(db, migrations = VOICE_CHAT_MIGRATIONS) {
+        this.db = db;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < this.migrations.length; i++) {
+            if (this.migrations[i].version === this.migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version: ${this.migrations[i].version}`);
+            }
+        }
+    }
+
+    getLatestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    async ensureMigrationsTable() {
+        await this.db.query(
+            `CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    }
+
+    async getAppliedVersions() {
+        const rows = await this.db.query('SELECT version FROM schema_migrations ORDER BY version');
+        return rows.map(row => parseInt(row.version, 10));
+    }
+
+    async getCurrentVersion() {
+        const applied = await this.getAppliedVersions();
+        return applied.length > 0 ? Math.max(...applied) : 0;
+    }
+
+    // Apply all pending migrations in order; refuses to run against a newer schema
+    async migrate() {
+        await this.ensureMigrationsTable();
+
+        const applied = await this.getAppliedVersions();
+        const currentVersion = applied.length > 0 ? Math.max(...applied) : 0;
+        const latestVersion = this.getLatestVersion();
+
+        if (currentVersion > latestVersion) {
+            throw new SchemaVersionError(currentVersion, latestVersion);
+        }
+
+        const pending = this.migrations.filter(migration => !applied.includes(migration.version));
+
+        for (const migration of pending) {
+            console.log(`📊 Applying migration ${migration.version}: ${migration.name}`);
+            await this.db.transaction([
+                ...migration.up.map(sql => ({ sql })),
+                {
+                    sql: 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    params: [migration.version, migration.name]
+                }
+            ]);
+        }
+
+        console.log(`✅ Schema at version ${latestVersion} (${pending.length} migration(s) applied)`);
+        return latestVersion;
+    }
+
+    // Revert applied migrations down to (but not including) targetVersion
+    async rollback(targetVersion = 0) {
+        await this.ensureMigrationsTable();
+
+        const applied = await this.getAppliedVersions();
+        const toRevert = this.migrations
+            .filter(migration => applied.includes(migration.version) && migration.version > targetVersion)
+            .reverse();
+
+        for (const migration of toRevert) {
+            console.log(`📊 Reverting migration ${migration.version}: ${migration.name}`);
+            await this.db.transaction([
+                ...migration.down.map(sql => ({ sql })),
+                {
+                    sql: 'DELETE FROM schema_migrations WHERE version = $1',
+                    params: [migration.version]
+                }
+            ]);
+        }
+
+        return targetVersion;
+    }
+}
+
+// Export for use in other modules
+window.SchemaVersionError = SchemaVersionError;
+window.VOICE_CHAT_MIGRATIONS = VOICE_CHAT_MIGRATIONS;
+window.MigrationRunner = MigrationRunner;
@@ -2,25 +2,90 @@ class VoiceChat {
     constructor() {
         this.voiceAnalyzer = null;
         this.translationService = null;
+        this.translationRouter = null;
+        this.mcpService = null;
+        this.playbackEngine = null;
+        this.glossaryManager = null;
+        this.glossaryPanel = null;
+        this.voiceLibrary = null;
+        this.voiceLibraryPanel = null;
+        this.mcpDiagnostics = null;
+        this.diagnosticsPanel = null;
+        this.voiceMatcher = new VoiceMatcher();
         this.speechRecognition = null;
+        this.recognitionRunning = false;      // From start() until onend; stop() only finishes at onend
+        this.recognitionStartPending = false; // A new recording is waiting for the last session to end
+        this.speechToText = null;
+        this.liveRecognition = true; // false when the recording is transcribed after it stops
+        this.languageIdentifier = null;
+        this.recognitionMode = 'message'; // 'message' (one utterance) or 'interpreter' (continuous)
+        this.interpreter = null;
         this.speechSynthesis = null;
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.isRecording = false;
+        this.recordingTimer = null;
+        this.handsFree = false; // Recordings start and stop on detected speech
         this.isConnected = false;
         this.friendId = null;
-        this.myVoiceId = this.generateVoiceId();
+        this.myVoiceId = this.loadVoiceId();
+        this.historyStore = new LocalConversationStore();
+        this.enrollmentPanel = null;
+        this.clonedVoice = this.loadClonedVoice();
+        this.incomingMessageId = null;
         
         this.currentMessage = {
             original: '',
             translated: '',
             audioBlob: null,
-            voiceCharacteristics: null
+            voiceCharacteristics: null,
+            sourceLang: null
         };
         
         this.initializeApp();
     }
     
+    // The cloned voice is kept locally so it survives reloads
+    loadClonedVoice() {
+        try {
+            return JSON.parse(localStorage.getItem('voiceChat_clonedVoice'));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    getClonedVoiceId() {
+        return this.clonedVoice ? this.clonedVoice.voiceId : null;
+    }
+    
+    async saveClonedVoice({ voiceId, name }) {
+        this.clonedVoice = {
+            provider: 'elevenlabs',
+            voiceId: voiceId,
+            name: name,
+            enrolledAt: new Date().toISOString()
+        };
+        localStorage.setItem('voiceChat_clonedVoice', JSON.stringify(this.clonedVoice));
+        
+        console.log('🎙️ Cloned voice saved:', voiceId);
+        if (this.voiceLibraryPanel) {
+            this.voiceLibraryPanel.refresh();
+        }
+        return this.clonedVoice;
+    }
+    
+    // Kept across reloads; locally stored threads are keyed by it
+    loadVoiceId() {
+        let voiceId = localStorage.getItem('voiceChat_voiceId');
+        
+        if (!voiceId) {
+            voiceId = this.generateVoiceId();
+            localStorage.setItem('voiceChat_voiceId', voiceId);
+        }
+        
+        return voiceId;
+    }
+    
     generateVoiceId() {
         return 'VOICE-' + Math.random().toString(36).substr(2, 8).toUpperCase();
     }
@@ -32,6 +97,15 @@ class VoiceChat {
             // Initialize services
             this.voiceAnalyzer = new VoiceAnalyzer();
             this.translationService = new TranslationService();
+            this.mcpService = new MCPIntegrationService();
+            this.mcpDiagnostics = new MCPDiagnostics(this.mcpService);
+            this.playbackEngine = new PlaybackEngine(this.mcpService);
+            this.playbackEngine.setVoiceResolver((options) => this.voiceMatcher.resolve(options));
+            this.translationRouter = new TranslationRouter(this.mcpService, this.translationService);
+            this.languageIdentifier = new LanguageIdentifier(this.translationService, this.mcpService);
+            
+            // MCP is optional; playback falls back to the direct APIs
+            this.initializeMCP();
             
             // Initialize Web APIs
             await this.initializeSpeechRecognition();
@@ -39,6 +113,8 @@ class VoiceChat {
             
             // Setup event listeners
             this.setupEventListeners();
+            this.initializeGlossaries();
+            this.initializeVoiceLibrary();
             
             // Hide loading screen
             setTimeout(() => {
@@ -54,9 +130,113 @@ class VoiceChat {
         }
     }
     
+    async initializeMCP() {
+        if (!window.MCPhonyConfig.MCP.ENABLED) return;
+        
+        // The desktop page has no messaging database
+        const { failed } = await this.mcpService.initialize([MCP_ROLES.TTS, MCP_ROLES.TRANSLATION]);
+        if (failed.length > 0) {
+            console.warn('⚠️ MCP servers unavailable, using direct APIs until they connect:', failed);
+        }
+    }
+    
+    // Voice management needs the direct ElevenLabs API
+    initializeVoiceLibrary() {
+        const apiKey = window.MCPhonyConfig.ELEVENLABS_API_KEY;
+        if (!apiKey || apiKey === 'your_elevenlabs_api_key_here') return;
+        
+        this.voiceLibrary = new VoiceLibrary(this.playbackEngine.elevenLabs);
+        this.voiceLibraryPanel = new VoiceLibraryPanel(
+            this.voiceLibrary,
+            () => document.getElementById('targetLanguage').value,
+            this.voiceMatcher,
+            () => this.friendId
+                ? { userId: this.friendId, label: this.friendId }
+                : { userId: this.myVoiceId, label: 'your messages' }
+        );
+        this.voiceMatcher.setLibrary(this.voiceLibrary);
+        
+        document.getElementById('voiceLibraryPanel').style.display = 'block';
+        this.voiceLibraryPanel.refresh();
+    }
+    
+    // Glossaries need the direct DeepL API
+    initializeGlossaries() {
+        const apiKey = window.MCPhonyConfig.DEEPL_API_KEY;
+        if (!apiKey || apiKey === 'your_deepl_api_key_here') return;
+        
+        this.glossaryManager = new GlossaryManager();
+        this.glossaryPanel = new GlossaryPanel(this.glossaryManager, () => this.getConversationId());
+        document.getElementById('glossaryPanel').style.display = 'block';
+        this.glossaryPanel.refresh();
+    }
+    
+    getConversationId() {
+        return this.friendId || 'default';
+    }
+    
+    // Chosen spoken language, or null when it is auto-detected
+    getSourceLanguage() {
+        const value = document.getElementById('sourceLanguage').value;
+        return value === 'auto' ? null : value;
+    }
+    
+    // Recognize in the chosen language, or the identified one in auto mode
+    applySourceLanguage() {
+        const sourceLang = this.getSourceLanguage();
+        const locale = LanguageIdentifier.toLocale(sourceLang || this.languageIdentifier.language);
+        if (this.speechRecognition) {
+            this.speechRecognition.lang = locale;
+        }
+        
+        if (sourceLang && this.voiceAnalyzer) {
+            this.voiceAnalyzer.setSpokenLanguage(sourceLang, 1);
+        }
+        console.log(`🌐 Recognition language set to ${locale}`);
+    }
+    
+    onSourceLanguageChange() {
+        localStorage.setItem('voiceChat_sourceLanguage', document.getElementById('sourceLanguage').value);
+        this.applySourceLanguage();
+        
+        // The current message was translated from the previous language
+        if (this.currentMessage.original) {
+            this.translateCurrentMessage();
+        }
+    }
+    
+    // Translate with the glossary selected for the current conversation
+    async translate(text, targetLang) {
+        const sourceLang = this.getSourceLanguage();
+        const glossary = this.glossaryManager
+            ? this.glossaryManager.getTranslationOptions(this.getConversationId(), targetLang, sourceLang)
+            : { sourceLang: null, options: {} };
+        
+        const result = await this.translationRouter.translateText(text, targetLang, glossary.sourceLang || sourceLang, glossary.options);
+        
+        // Stored with the message as language_from
+        this.currentMessage.sourceLang = result.detectedSourceLanguage || sourceLang || this.languageIdentifier.language;
+        return result;
+    }
+    
     async initializeSpeechRecognition() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            throw new Error('Speech Recognition not supported');
+        this.speechToText = new SpeechToText(this.mcpService);
+        
+        // Spoken language as chosen on the last visit; options differ between pages
+        const sourceSelect = document.getElementById('sourceLanguage');
+        sourceSelect.value = localStorage.getItem('voiceChat_sourceLanguage') || 'auto';
+        if (!sourceSelect.value) {
+            sourceSelect.value = 'auto';
+        }
+        
+        if (!WebSpeechBackend.isSupported()) {
+            // Recordings are transcribed by the other speech-to-text backends instead
+            console.warn('⚠️ Web Speech recognition not supported, transcribing recordings instead');
+            const interpreterButton = document.getElementById('interpreterBtn');
+            interpreterButton.disabled = true;
+            interpreterButton.title = 'Live interpreter needs Web Speech recognition';
+            this.applySourceLanguage();
+            return;
         }
         
         const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -64,7 +244,7 @@ class VoiceChat {
         
         this.speechRecognition.continuous = false;
         this.speechRecognition.interimResults = false;
-        this.speechRecognition.lang = 'en-US';
+        this.applySourceLanguage();
         
         this.speechRecognition.onstart = () => {
             console.log('🎤 Speech recognition started');
@@ -72,19 +252,66 @@ class VoiceChat {
         };
         
         this.speechRecognition.onresult = (event) => {
-            const transcript = event.results[0][0].transcript;
+            if (this.recognitionMode === 'interpreter') {
+                this.interpreter.handleResult(event);
+                return;
+            }
+            
+            const { transcript, confidence } = event.results[0][0];
             console.log('📝 Speech recognized:', transcript);
-            this.processSpeechResult(transcript);
+            this.processSpeechResult(transcript, confidence);
         };
         
         this.speechRecognition.onerror = (event) => {
+            // Errors from the session a waiting recording replaces must not stop that recording
+            if (this.recognitionStartPending) return;
+            
+            // Silence is expected between sentences; onend restarts the session
+            if (this.recognitionMode === 'interpreter' && event.error === 'no-speech') return;
+            
+            // Recognition service unreachable: keep recording and transcribe the recording instead
+            if (this.recognitionMode === 'message' && WebSpeechBackend.SERVICE_ERRORS.includes(event.error) &&
+                this.speechToText.hasRecordingBackend()) {
+                console.warn(`⚠️ Web Speech unavailable (${event.error}), transcribing the recording instead`);
+                this.liveRecognition = false;
+                return;
+            }
+            
             console.error('❌ Speech recognition error:', event.error);
-            this.stopVoiceInput();
+            if (this.recognitionMode === 'interpreter') {
+                this.stopInterpreter();
+            } else {
+                this.stopVoiceInput();
+            }
             this.updateStatus('ERROR', 'error');
         };
         
         this.speechRecognition.onend = () => {
             console.log('🛑 Speech recognition ended');
+            this.recognitionRunning = false;
+            
+            // This was the previous utterance's session; the recording started since then gets its own
+            if (this.recognitionStartPending) {
+                this.recognitionStartPending = false;
+                this.startRecognition();
+                return;
+            }
+            
+            if (this.recognitionMode === 'interpreter') {
+                // Browsers end continuous sessions after a pause; keep listening until stopped
+                if (this.interpreter.isActive) {
+                    this.startRecognition();
+                    return;
+                }
+                this.recognitionMode = 'message';
+                this.speechRecognition.continuous = false;
+                this.speechRecognition.interimResults = false;
+                return;
+            }
+            
+            // Recording continues until the user stops it when it is transcribed afterwards
+            if (!this.liveRecognition) return;
+            
             this.stopVoiceInput();
         };
     }
@@ -107,6 +334,44 @@ class VoiceChat {
         document.getElementById('playbackBtn').addEventListener('click', () => this.playback());
         document.getElementById('sendBtn').addEventListener('click', () => this.sendToFriend());
         document.getElementById('clearBtn').addEventListener('click', () => this.clearMessage());
+        document.getElementById('interpreterBtn').addEventListener('click', () => this.toggleInterpreter());
+        document.getElementById('handsFreeBtn').addEventListener('click', () => this.toggleHandsFree());
+        
+        // MCP server health
+        this.diagnosticsPanel = new MCPDiagnosticsPanel(this.mcpDiagnostics);
+        
+        // Voice cloning enrollment
+        this.enrollmentPanel = new VoiceEnrollmentPanel(
+            new VoiceEnrollment(this.voiceAnalyzer, this.mcpService),
+            (voice) => this.saveClonedVoice(voice)
+        );
+        this.enrollmentPanel.setCurrentVoice(this.clonedVoice);
+        
+        // Live interpreter: sentences are translated and spoken while the user keeps talking
+        this.interpreter = new LiveInterpreter({
+            translate: (text, targetLang) => this.translate(text, targetLang),
+            speak: (text, targetLang) => this.speak(text, {
+                lang: targetLang,
+                rate: 1.0,
+                volume: 0.9,
+                voiceId: this.getClonedVoiceId(),
+                speaker: { userId: this.myVoiceId, characteristics: this.voiceAnalyzer.getVoiceCharacteristics() }
+            }, 'INTERPRETING'),
+            getTargetLang: () => document.getElementById('targetLanguage').value,
+            onInterim: (text) => this.showInterpreterTranscript(text),
+            onSentence: (segment) => {
+                this.currentMessage.original = [this.currentMessage.original, segment.original].filter(Boolean).join(' ');
+                this.showInterpreterTranscript('');
+                this.identifySpokenLanguage(segment.original);
+            },
+            onTranslated: (segment) => {
+                this.currentMessage.translated = [this.currentMessage.translated, segment.translated].filter(Boolean).join(' ');
+                document.getElementById('translatedText').textContent = this.currentMessage.translated;
+                document.getElementById('playbackBtn').disabled = false;
+                document.getElementById('sendBtn').disabled = false;
+            },
+            onError: () => this.updateStatus('TRANSLATION ERROR', 'error')
+        });
         
         // Friend connection
         document.getElementById('connectBtn').addEventListener('click', () => this.connectToFriend());
@@ -114,6 +379,16 @@ class VoiceChat {
         
         // Language change
         document.getElementById('targetLanguage').addEventListener('change', () => this.onLanguageChange());
+        document.getElementById('sourceLanguage').addEventListener('change', () => this.onSourceLanguageChange());
+        
+        // Conversation history
+        this.conversationHistory = new ConversationHistory(this.historyStore, {
+            panel: document.getElementById('historyPanel'),
+            title: document.getElementById('historyFriend'),
+            list: document.getElementById('historyList'),
+            search: document.getElementById('historySearch'),
+            loadMore: document.getElementById('historyLoadMore')
+        });
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
@@ -133,7 +408,8 @@ class VoiceChat {
     }
     
     async startVoiceInput() {
-        if (this.isRecording) return;
+        // The recognizer belongs to the interpreter until its session ends
+        if (this.isRecording || this.recognitionMode === 'interpreter') return;
         
         try {
             this.isRecording = true;
@@ -143,9 +419,14 @@ class VoiceChat {
             // Start voice analysis
             const stream = await this.voiceAnalyzer.startAnalysis();
             
+            // Web Speech listens live; other backends transcribe the recording
+            this.liveRecognition = this.speechToText.usesLiveRecognition();
+            
             // Setup media recorder for audio capture
             this.recordedChunks = [];
-            this.mediaRecorder = new MediaRecorder(stream);
+            // Hands-free records the delayed copy of the microphone so the speech onset is kept
+            const recorder = new MediaRecorder((this.handsFree && this.voiceAnalyzer.preRollStream) || stream);
+            this.mediaRecorder = recorder;
             
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
@@ -154,15 +435,28 @@ class VoiceChat {
             };
             
             this.mediaRecorder.onstop = () => {
-                const audioBlob = new Blob(this.recordedChunks, { type: 'audio/webm' });
+                // Browsers record different containers (Safari: audio/mp4); label the blob with the real one
+                const audioBlob = new Blob(this.recordedChunks, { type: recorder.mimeType || 'audio/webm' });
                 this.currentMessage.audioBlob = audioBlob;
                 console.log('🎵 Audio recorded successfully');
+                
+                if (!this.liveRecognition) {
+                    this.transcribeRecording(audioBlob);
+                }
             };
             
             this.mediaRecorder.start();
             
             // Start speech recognition
-            this.speechRecognition.start();
+            if (this.liveRecognition) {
+                this.startRecognition();
+            }
+            
+            // Cap every recording, hands-free or not
+            this.recordingTimer = setTimeout(() => {
+                console.log('⏱️ Voice timeout reached, stopping recording');
+                this.stopVoiceInput(true);
+            }, window.MCPhonyConfig.APP.VOICE_TIMEOUT);
             
         } catch (error) {
             console.error('❌ Failed to start voice input:', error);
@@ -172,14 +466,16 @@ class VoiceChat {
         }
     }
     
-    stopVoiceInput() {
+    // keepResult stops recognition gracefully so the utterance so far is still recognized
+    stopVoiceInput(keepResult = false) {
         if (!this.isRecording) return;
         
         this.isRecording = false;
+        clearTimeout(this.recordingTimer);
         this.updateVoiceButton(false);
         
-        // Stop voice analysis
-        if (this.voiceAnalyzer) {
+        // Stop voice analysis; hands-free keeps listening for the next utterance
+        if (this.voiceAnalyzer && !this.handsFree) {
             this.voiceAnalyzer.stopAnalysis();
         }
         
@@ -188,16 +484,190 @@ class VoiceChat {
             this.mediaRecorder.stop();
         }
         
-        // Stop speech recognition
-        if (this.speechRecognition) {
-            this.speechRecognition.abort();
+        // Stop speech recognition; a session still waiting to start is simply dropped
+        if (this.recognitionStartPending) {
+            this.recognitionStartPending = false;
+        } else if (this.speechRecognition) {
+            if (keepResult) {
+                this.speechRecognition.stop();
+            } else {
+                this.speechRecognition.abort();
+            }
         }
         
         this.updateStatus('PROCESSING', 'processing');
     }
     
-    async processSpeechResult(transcript) {
+    // start() while the last session is still ending throws InvalidStateError; wait for its onend instead
+    startRecognition() {
+        if (this.recognitionRunning) {
+            this.recognitionStartPending = true;
+            return;
+        }
+        this.speechRecognition.start();
+        this.recognitionRunning = true;
+    }
+    
+    toggleHandsFree() {
+        if (this.handsFree) {
+            this.stopHandsFree();
+        } else {
+            this.startHandsFree();
+        }
+    }
+    
+    // Keep the microphone open and record whenever speech is detected
+    async startHandsFree() {
+        if (this.interpreter.isActive) {
+            this.stopInterpreter();
+        }
+        if (this.isRecording) {
+            this.stopVoiceInput();
+        }
+        
+        try {
+            await this.voiceAnalyzer.startAnalysis();
+            this.voiceAnalyzer.startPreRoll(window.MCPhonyConfig.VAD.PRE_ROLL_MS);
+        } catch (error) {
+            console.error('❌ Failed to start hands-free mode:', error);
+            this.updateStatus('ERROR', 'error');
+            alert('Microphone access is required for voice chat functionality.');
+            return;
+        }
+        
+        this.handsFree = true;
+        this.voiceAnalyzer.startVoiceActivityDetection({
+            onSpeechStart: () => this.onSpeechDetected(),
+            onSpeechEnd: () => this.stopVoiceInput(true)
+        });
+        this.updateHandsFreeButton(true);
+        this.updateStatus('WAITING FOR SPEECH', 'listening');
+        console.log('👂 Hands-free mode on');
+    }
+    
+    stopHandsFree() {
+        this.handsFree = false;
+        this.updateHandsFreeButton(false);
+        
+        if (this.isRecording) {
+            this.stopVoiceInput(true);
+        } else {
+            this.voiceAnalyzer.stopAnalysis();
+            this.updateStatus('READY', 'ready');
+        }
+        console.log('👂 Hands-free mode off');
+    }
+    
+    onSpeechDetected() {
+        // Our own playback coming through the speakers is not the user speaking
+        if (this.playbackEngine && this.playbackEngine.isPlaying()) return;
+        
+        console.log('🗣️ Speech detected');
+        this.startVoiceInput();
+    }
+    
+    updateHandsFreeButton(isActive) {
+        const button = document.getElementById('handsFreeBtn');
+        button.classList.toggle('active', isActive);
+        button.querySelector('span:last-child').textContent = isActive ? 'STOP HANDS-FREE' : 'HANDS-FREE';
+    }
+    
+    // Recognition from the finished recording when Web Speech is missing or unreachable
+    async transcribeRecording(audioBlob) {
+        this.updateStatus('TRANSCRIBING', 'processing');
+        
+        try {
+            const result = await this.speechToText.transcribe(audioBlob, this.getSourceLanguage());
+            if (!result.transcript) {
+                this.updateStatus('NO SPEECH DETECTED', 'error');
+                return;
+            }
+            
+            console.log('📝 Speech recognized:', result.transcript);
+            await this.processSpeechResult(result.transcript, result.confidence);
+        } catch (error) {
+            console.error('❌ Transcription failed:', error);
+            this.updateStatus('TRANSCRIPTION ERROR', 'error');
+        }
+    }
+    
+    toggleInterpreter() {
+        if (this.interpreter.isActive) {
+            this.stopInterpreter();
+        } else {
+            this.startInterpreter();
+        }
+    }
+    
+    startInterpreter() {
+        if (this.handsFree) {
+            this.stopHandsFree();
+        }
+        if (this.isRecording) {
+            this.stopVoiceInput();
+        }
+        this.clearMessage();
+        
+        this.recognitionMode = 'interpreter';
+        this.speechRecognition.continuous = true;
+        this.speechRecognition.interimResults = true;
+        
+        try {
+            this.interpreter.start();
+            this.startRecognition();
+            this.updateInterpreterButton(true);
+            this.updateStatus('INTERPRETING', 'listening');
+        } catch (error) {
+            console.error('❌ Failed to start live interpreter:', error);
+            this.stopInterpreter();
+            this.updateStatus('ERROR', 'error');
+        }
+    }
+    
+    // Stop listening; sentences already heard are still translated and spoken unless discarded
+    stopInterpreter(discard = false) {
+        this.interpreter.stop();
+        this.updateInterpreterButton(false);
+        
+        // stop() rather than abort() delivers the last final result
+        if (this.recognitionStartPending) {
+            this.recognitionStartPending = false;
+        } else if (discard) {
+            this.speechRecognition.abort();
+        } else {
+            this.speechRecognition.stop();
+        }
+    }
+    
+    showInterpreterTranscript(interim) {
+        const text = [this.currentMessage.original, interim].filter(Boolean).join(' ');
+        document.getElementById('originalText').textContent = text || 'Listening...';
+    }
+    
+    updateInterpreterButton(isActive) {
+        const button = document.getElementById('interpreterBtn');
+        button.classList.toggle('active', isActive);
+        button.querySelector('span:last-child').textContent = isActive ? 'STOP INTERPRETER' : 'LIVE INTERPRETER';
+    }
+    
+    // Track the spoken language and recognize the next utterance in it
+    async identifySpokenLanguage(transcript, recognitionConfidence = 0) {
+        if (this.getSourceLanguage()) return null;
+        
+        const result = await this.languageIdentifier.identify(transcript, recognitionConfidence);
+        this.voiceAnalyzer.setSpokenLanguage(result.language, result.confidence);
+        this.voiceAnalyzer.updateUI();
+        
+        // A continuous session picks the new language up when it restarts
+        if (this.speechRecognition && this.speechRecognition.lang !== result.locale) {
+            this.applySourceLanguage();
+        }
+        return result;
+    }
+    
+    async processSpeechResult(transcript, recognitionConfidence = 0) {
         this.currentMessage.original = transcript;
+        await this.identifySpokenLanguage(transcript, recognitionConfidence);
         this.currentMessage.voiceCharacteristics = this.voiceAnalyzer.getVoiceCharacteristics();
         
         // Update original text display
@@ -208,10 +678,7 @@ class VoiceChat {
         this.updateStatus('TRANSLATING', 'translating');
         
         try {
-            const translationResult = await this.translationService.translateText(
-                transcript, 
-                targetLang
-            );
+            const translationResult = await this.translate(transcript, targetLang);
             
             this.currentMessage.translated = translationResult.translatedText;
             
@@ -237,49 +704,36 @@ class VoiceChat {
             return;
         }
         
-        const targetLang = document.getElementById('targetLanguage').value;
-        const voices = this.speechSynthesis.getVoices();
-        
-        // Find appropriate voice for target language
-        let selectedVoice = voices.find(voice => voice.lang.startsWith(targetLang));
-        if (!selectedVoice) {
-            selectedVoice = voices.find(voice => voice.lang.startsWith('en'));
-        }
-        
-        const utterance = new SpeechSynthesisUtterance(this.currentMessage.translated);
-        if (selectedVoice) {
-            utterance.voice = selectedVoice;
-        }
+        const options = {
+            lang: document.getElementById('targetLanguage').value,
+            rate: 1.0,
+            volume: 0.9,
+            voiceId: this.getClonedVoiceId(),
+            // The voice matcher picks a voice and pitch close to the original speaker
+            speaker: { userId: this.myVoiceId, characteristics: this.currentMessage.voiceCharacteristics }
+        };
         
-        // Adjust voice based on detected characteristics
-        if (this.currentMessage.voiceCharacteristics) {
-            const characteristics = this.currentMessage.voiceCharacteristics;
+        await this.speak(this.currentMessage.translated, options, 'PLAYING');
+    }
+    
+    // Play text through the playback engine, showing which engine is speaking
+    async speak(text, options, statusLabel) {
+        try {
+            const engine = await this.playbackEngine.speak(text, {
+                ...options,
+                onStart: (engine) => this.updateStatus(`${statusLabel} · ${engine.toUpperCase()}`, 'playing')
+            });
             
-            // Adjust pitch based on original speaker
-            if (characteristics.gender === 'female') {
-                utterance.pitch = 1.2;
-            } else if (characteristics.gender === 'male') {
-                utterance.pitch = 0.8;
+            if (this.interpreter && this.interpreter.isActive) {
+                this.updateStatus('INTERPRETING', 'listening');
+            } else {
+                this.updateStatus('READY', 'ready');
             }
-            
-            // Adjust rate and volume
-            utterance.rate = 1.0;
-            utterance.volume = 0.9;
-        }
-        
-        this.updateStatus('PLAYING', 'playing');
-        
-        utterance.onend = () => {
-            this.updateStatus('READY', 'ready');
-            console.log('🔊 Playback completed');
-        };
-        
-        utterance.onerror = (error) => {
+            console.log(`🔊 Playback completed (${engine})`);
+        } catch (error) {
             console.error('❌ Playback failed:', error);
             this.updateStatus('PLAYBACK ERROR', 'error');
-        };
-        
-        this.speechSynthesis.speak(utterance);
+        }
     }
     
     async connectToFriend() {
@@ -306,7 +760,18 @@ class VoiceChat {
             text.textContent = `CONNECTED TO ${friendId}`;
             
             this.updateStatus('CONNECTED', 'connected');
+            this.conversationHistory.open(this.myVoiceId, friendId);
             
+            // Glossary selection is per conversation
+            if (this.glossaryPanel) {
+                this.glossaryPanel.render();
+            }
+
+            // Voice overrides now apply to the friend
+            if (this.voiceLibraryPanel) {
+                this.voiceLibraryPanel.render();
+            }
+
             // Show user's Voice ID for sharing
             alert(`Your Voice ID: ${this.myVoiceId}\nShare this with your friend!`);
             
@@ -332,8 +797,20 @@ class VoiceChat {
         
         this.updateStatus('SENDING', 'sending');
         
+        const message = {
+            senderId: this.myVoiceId,
+            recipientId: this.friendId,
+            originalText: this.currentMessage.original,
+            translatedText: this.currentMessage.translated,
+            languageFrom: this.currentMessage.sourceLang,
+            languageTo: document.getElementById('targetLanguage').value
+        };
+        
         // Simulate sending message
         setTimeout(() => {
+            this.historyStore.addMessage(message);
+            this.conversationHistory.refresh();
+            
             this.updateStatus('MESSAGE SENT', 'sent');
             console.log(`📤 Message sent to ${this.friendId}`);
             
@@ -362,6 +839,17 @@ class VoiceChat {
         incomingText.textContent = randomMessage;
         incomingPanel.style.display = 'block';
         
+        const row = this.historyStore.addMessage({
+            senderId: this.friendId,
+            recipientId: this.myVoiceId,
+            originalText: randomMessage,
+            translatedText: randomMessage,
+            languageFrom: 'en',
+            languageTo: 'en'
+        });
+        this.incomingMessageId = row.id;
+        this.conversationHistory.refresh();
+        
         this.updateStatus('INCOMING MESSAGE', 'incoming');
         
         console.log('📥 Incoming message received');
@@ -372,28 +860,37 @@ class VoiceChat {
         
         if (!incomingText) return;
         
-        const utterance = new SpeechSynthesisUtterance(incomingText);
+        if (this.incomingMessageId) {
+            this.historyStore.markMessageRead(this.incomingMessageId);
+        }
         
         // Use different voice characteristics for incoming message
-        utterance.pitch = 1.1;
-        utterance.rate = 0.9;
-        utterance.volume = 0.8;
-        
-        this.updateStatus('PLAYING INCOMING', 'playing');
-        
-        utterance.onend = () => {
-            this.updateStatus('READY', 'ready');
-        };
-        
-        this.speechSynthesis.speak(utterance);
+        await this.speak(incomingText, {
+            pitch: 1.1,
+            rate: 0.9,
+            volume: 0.8,
+            speaker: { userId: this.friendId, characteristics: null }
+        }, 'PLAYING INCOMING');
     }
     
     clearMessage() {
+        // Drop queued interpreter output along with whatever is playing
+        if (this.interpreter && this.interpreter.isActive) {
+            this.stopInterpreter(true);
+        }
+        if (this.interpreter) {
+            this.interpreter.cancel();
+        }
+        if (this.playbackEngine) {
+            this.playbackEngine.stop();
+        }
+        
         this.currentMessage = {
             original: '',
             translated: '',
             audioBlob: null,
-            voiceCharacteristics: null
+            voiceCharacteristics: null,
+            sourceLang: null
         };
         
         // Clear displays
@@ -420,6 +917,11 @@ class VoiceChat {
         const targetLang = document.getElementById('targetLanguage').value;
         console.log(`🌐 Target language changed to: ${targetLang}`);
         
+        // Default voices are per target language
+        if (this.voiceLibraryPanel) {
+            this.voiceLibraryPanel.render();
+        }
+        
         // Re-translate if there's a current message
         if (this.currentMessage.original) {
             this.translateCurrentMessage();
@@ -433,10 +935,7 @@ class VoiceChat {
         this.updateStatus('RETRANSLATING', 'translating');
         
         try {
-            const translationResult = await this.translationService.translateText(
-                this.currentMessage.original, 
-                targetLang
-            );
+            const translationResult = await this.translate(this.currentMessage.original, targetLang);
             
             this.currentMessage.translated = translationResult.translatedText;
             document.getElementById('translatedText').textContent = translationResult.translatedText;
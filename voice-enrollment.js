@@ -0,0 +1,331 @@
+// Voice Enrollment - Guided recording of cloning samples and submission to ElevenLabs
+// Each prompt is recorded, checked with VoiceAnalyzer and converted to WAV before the clone is created
+
+class VoiceEnrollment {
+    constructor(voiceAnalyzer, mcpService = null, elevenLabsService = null) {
+        this.config = window.MCPhonyConfig.ELEVENLABS.CLONING;
+        this.voiceAnalyzer = voiceAnalyzer;
+        this.mcpService = mcpService;
+        this.elevenLabs = elevenLabsService || new ElevenLabsService();
+        this.prompts = this.config.PROMPTS;
+
+        // One entry per prompt: { blob, wav, analysis, problems }
+        this.samples = new Array(this.prompts.length).fill(null);
+        this.mediaRecorder = null;
+        this.stream = null;
+        this.recorded = null;
+    }
+
+    // Reasons a sample is unsuitable for cloning; empty when it passes
+    static checkSample(analysis, config = window.MCPhonyConfig.ELEVENLABS.CLONING) {
+        const problems = [];
+
+        if (analysis.durationMs < config.MIN_SAMPLE_DURATION) {
+            problems.push(`Too short (${(analysis.durationMs / 1000).toFixed(1)}s, need ${config.MIN_SAMPLE_DURATION / 1000}s)`);
+        }
+        if (analysis.durationMs > config.MAX_SAMPLE_DURATION) {
+            problems.push(`Too long (${(analysis.durationMs / 1000).toFixed(1)}s, max ${config.MAX_SAMPLE_DURATION / 1000}s)`);
+        }
+        if (analysis.voicedRatio < config.MIN_VOICED_RATIO) {
+            problems.push('Mostly silence - read the whole prompt');
+        }
+        if (analysis.speechLevelDb < config.MIN_SPEECH_LEVEL_DB) {
+            problems.push('Too quiet - move closer to the microphone');
+        }
+        if (analysis.clippingRatio > config.MAX_CLIPPING_RATIO) {
+            problems.push('Distorted - speak more softly or move back');
+        }
+
+        return problems;
+    }
+
+    // 16-bit PCM mono WAV, a format ElevenLabs accepts from every browser
+    static encodeWav(audioBuffer) {
+        const sampleRate = audioBuffer.sampleRate;
+        const length = audioBuffer.length;
+        const channels = audioBuffer.numberOfChannels;
+        const buffer = new ArrayBuffer(44 + length * 2);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);            // fmt chunk size
+        view.setUint16(20, 1, true);             // PCM
+        view.setUint16(22, 1, true);             // mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true); // byte rate
+        view.setUint16(32, 2, true);             // block align
+        view.setUint16(34, 16, true);            // bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, length * 2, true);
+
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(audioBuffer.getChannelData(channel));
+        }
+
+        for (let i = 0; i < length; i++) {
+            let sample = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                sample += channelData[channel][i] / channels;
+            }
+            sample = Math.max(-1, Math.min(1, sample));
+            view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    async startRecording() {
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: true,
+                noiseSuppression: true
+            }
+        });
+
+        const chunks = [];
+        this.mediaRecorder = new MediaRecorder(this.stream);
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        this.recorded = new Promise(resolve => {
+            this.mediaRecorder.onstop = () => resolve(new Blob(chunks, { type: this.mediaRecorder.mimeType }));
+        });
+
+        this.mediaRecorder.start();
+    }
+
+    // Stop recording and store the result against a prompt; resolves with the checked sample
+    async stopRecording(promptIndex) {
+        if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
+            throw new Error('Not recording');
+        }
+
+        this.mediaRecorder.stop();
+        this.stream.getTracks().forEach(track => track.stop());
+
+        const blob = await this.recorded;
+        this.mediaRecorder = null;
+        this.stream = null;
+
+        return this.addRecording(promptIndex, blob);
+    }
+
+    async addRecording(promptIndex, blob) {
+        const analysis = await this.voiceAnalyzer.analyzeRecording(blob);
+        const problems = VoiceEnrollment.checkSample(analysis, this.config);
+
+        const sample = {
+            blob,
+            analysis,
+            problems,
+            wav: problems.length === 0 ? VoiceEnrollment.encodeWav(analysis.audioBuffer) : null
+        };
+
+        this.samples[promptIndex] = sample;
+        console.log(`🎙️ Enrollment sample ${promptIndex + 1}: ${problems.length === 0 ? 'accepted' : problems.join('; ')}`);
+        return sample;
+    }
+
+    getAcceptedSamples() {
+        return this.samples.filter(sample => sample && sample.problems.length === 0);
+    }
+
+    isReady() {
+        return this.getAcceptedSamples().length >= this.config.MIN_SAMPLES;
+    }
+
+    isMCPAvailable() {
+        if (!this.mcpService || !window.MCPhonyConfig.MCP.ENABLED) return false;
+
+        return this.mcpService.isRoleConnected(MCP_ROLES.TTS);
+    }
+
+    // Create the clone and return its ElevenLabs voice ID
+    async submit(name, description = '') {
+        if (!this.isReady()) {
+            throw new Error(`Record at least ${this.config.MIN_SAMPLES} accepted samples first`);
+        }
+
+        const files = this.getAcceptedSamples().map((sample, index) =>
+            new File([sample.wav], `enrollment_${index + 1}.wav`, { type: 'audio/wav' })
+        );
+
+        const result = this.isMCPAvailable()
+            ? await this.mcpService.elevenLabsCloneVoice(files, name, description)
+            : await this.elevenLabs.cloneVoice(files, name, description);
+
+        if (!result || !result.voice_id) {
+            throw new Error('Voice cloning returned no voice ID');
+        }
+
+        console.log('✅ Voice clone created:', result.voice_id);
+        return result.voice_id;
+    }
+
+    reset() {
+        this.samples = new Array(this.prompts.length).fill(null);
+    }
+}
+
+// Enrollment panel shared by the desktop and mobile pages
+class VoiceEnrollmentPanel {
+    constructor(enrollment, onEnrolled) {
+        this.enrollment = enrollment;
+        this.onEnrolled = onEnrolled;
+        this.promptIndex = 0;
+        this.isRecording = false;
+
+        this.promptEl = document.getElementById('enrollmentPrompt');
+        this.progressEl = document.getElementById('enrollmentProgress');
+        this.samplesEl = document.getElementById('enrollmentSamples');
+        this.nameInput = document.getElementById('enrollmentName');
+        this.recordBtn = document.getElementById('enrollmentRecordBtn');
+        this.prevBtn = document.getElementById('enrollmentPrevBtn');
+        this.nextBtn = document.getElementById('enrollmentNextBtn');
+        this.submitBtn = document.getElementById('enrollmentSubmitBtn');
+        this.statusEl = document.getElementById('enrollmentStatus');
+        this.currentVoiceEl = document.getElementById('enrollmentCurrent');
+
+        this.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.prevBtn.addEventListener('click', () => this.showPrompt(this.promptIndex - 1));
+        this.nextBtn.addEventListener('click', () => this.showPrompt(this.promptIndex + 1));
+        this.submitBtn.addEventListener('click', () => this.submit());
+
+        this.render();
+    }
+
+    showPrompt(index) {
+        if (this.isRecording) return;
+
+        const count = this.enrollment.prompts.length;
+        this.promptIndex = (index + count) % count;
+        this.render();
+    }
+
+    async toggleRecording() {
+        if (this.isRecording) {
+            this.isRecording = false;
+            this.recordBtn.textContent = this.recordLabel(false);
+            this.setStatus('Checking sample...');
+
+            try {
+                const sample = await this.enrollment.stopRecording(this.promptIndex);
+                if (sample.problems.length === 0) {
+                    this.setStatus(`Sample ${this.promptIndex + 1} accepted`);
+                    this.advanceToNextMissing();
+                } else {
+                    this.setStatus(sample.problems.join(' · '), true);
+                }
+            } catch (error) {
+                this.setStatus(`Could not analyze sample: ${error.message}`, true);
+            }
+
+            this.render();
+            return;
+        }
+
+        try {
+            await this.enrollment.startRecording();
+            this.isRecording = true;
+            this.recordBtn.textContent = this.recordLabel(true);
+            this.setStatus('Recording - read the prompt aloud');
+        } catch (error) {
+            this.setStatus('Microphone access is required to record samples', true);
+        }
+    }
+
+    advanceToNextMissing() {
+        const samples = this.enrollment.samples;
+        for (let offset = 1; offset <= samples.length; offset++) {
+            const index = (this.promptIndex + offset) % samples.length;
+            const sample = samples[index];
+            if (!sample || sample.problems.length > 0) {
+                this.promptIndex = index;
+                return;
+            }
+        }
+    }
+
+    render() {
+        const prompts = this.enrollment.prompts;
+        const accepted = this.enrollment.getAcceptedSamples().length;
+
+        this.promptEl.textContent = `“${prompts[this.promptIndex]}”`;
+        this.progressEl.textContent = `Prompt ${this.promptIndex + 1} of ${prompts.length} · ${accepted}/${this.enrollment.config.MIN_SAMPLES} samples needed`;
+
+        this.samplesEl.innerHTML = '';
+        this.enrollment.samples.forEach((sample, index) => {
+            const item = document.createElement('span');
+            item.className = 'enrollment-sample';
+            if (sample) {
+                item.classList.add(sample.problems.length === 0 ? 'accepted' : 'rejected');
+                item.title = sample.problems.length === 0
+                    ? `${(sample.analysis.durationMs / 1000).toFixed(1)}s, ${Math.round(sample.analysis.speechLevelDb)} dB`
+                    : sample.problems.join('\n');
+            }
+            if (index === this.promptIndex) {
+                item.classList.add('current');
+            }
+            item.textContent = index + 1;
+            item.addEventListener('click', () => this.showPrompt(index));
+            this.samplesEl.appendChild(item);
+        });
+
+        this.submitBtn.disabled = this.isRecording || !this.enrollment.isReady();
+    }
+
+    setCurrentVoice(voice) {
+        this.currentVoiceEl.textContent = voice ? `Current voice: ${voice.name}` : 'Using the default voice';
+    }
+
+    recordLabel(isRecording) {
+        return isRecording ? this.recordBtn.dataset.stopLabel : this.recordBtn.dataset.recordLabel;
+    }
+
+    async submit() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this.setStatus('Give your voice a name first', true);
+            return;
+        }
+
+        this.submitBtn.disabled = true;
+        this.setStatus('Creating voice clone...');
+
+        try {
+            const voiceId = await this.enrollment.submit(name, 'Enrolled from MCPhony voice samples');
+            const voice = await this.onEnrolled({ voiceId, name });
+            this.setCurrentVoice(voice);
+            this.enrollment.reset();
+            this.promptIndex = 0;
+            this.setStatus(`Voice "${name}" ready - translations now use your voice`);
+        } catch (error) {
+            console.error('❌ Voice cloning failed:', error);
+            this.setStatus(`Voice cloning failed: ${error.message}`, true);
+        }
+
+        this.render();
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+}
+
+// Export for use in other modules
+window.VoiceEnrollment = VoiceEnrollment;
+window.VoiceEnrollmentPanel = VoiceEnrollmentPanel;
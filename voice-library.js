@@ -0,0 +1,375 @@
+// Voice Library - Browse, preview, tune and delete ElevenLabs voices
+// Also remembers which voice to use for each target language
+
+class VoiceLibrary {
+    constructor(elevenLabsService = null) {
+        this.elevenLabs = elevenLabsService || new ElevenLabsService();
+        this.voices = [];
+        this.settings = new Map(); // voiceId -> voice settings fetched or saved this session
+        this.previewAudio = null;
+        this.defaultsKey = 'mcphony_voice_defaults';
+        this.defaults = this.loadDefaults();
+    }
+
+    // Languages a voice is labelled or verified for; empty means unlabelled (multilingual)
+    static getLanguages(voice) {
+        const languages = new Set();
+
+        (voice.verified_languages || []).forEach(entry => {
+            if (entry.language) languages.add(entry.language.toLowerCase());
+        });
+
+        const labels = voice.labels || {};
+        if (labels.language) {
+            languages.add(labels.language.toLowerCase());
+        }
+
+        return [...languages];
+    }
+
+    static isDeletable(voice) {
+        // Premade and library voices belong to ElevenLabs, not the account
+        return ['cloned', 'generated', 'professional'].includes(voice.category);
+    }
+
+    async load() {
+        this.voices = await this.elevenLabs.loadVoices();
+        return this.voices;
+    }
+
+    get(voiceId) {
+        return this.voices.find(voice => voice.voice_id === voiceId) || null;
+    }
+
+    filter({ language = null, gender = null, search = '' } = {}) {
+        const term = search.trim().toLowerCase();
+
+        return this.voices.filter(voice => {
+            const labels = voice.labels || {};
+
+            if (language) {
+                const languages = VoiceLibrary.getLanguages(voice);
+                if (languages.length > 0 && !languages.includes(language)) return false;
+            }
+            if (gender && (labels.gender || '').toLowerCase() !== gender) {
+                return false;
+            }
+            if (term) {
+                const haystack = [voice.name, labels.accent, labels.description, labels.use_case, voice.category]
+                    .filter(Boolean)
+                    .join(' ')
+                    .toLowerCase();
+                if (!haystack.includes(term)) return false;
+            }
+            return true;
+        });
+    }
+
+    // Play the voice's sample clip; resolves when it finishes or is replaced by another preview
+    preview(voiceId) {
+        const voice = this.get(voiceId);
+        if (!voice || !voice.preview_url) {
+            return Promise.reject(new Error('This voice has no preview sample'));
+        }
+
+        this.stopPreview();
+
+        return new Promise((resolve, reject) => {
+            const audio = new Audio(voice.preview_url);
+            this.previewAudio = audio;
+
+            audio.onended = () => resolve();
+            audio.onpause = () => resolve();
+            audio.onerror = () => reject(new Error('Failed to play voice preview'));
+            audio.play().catch(reject);
+        }).finally(() => {
+            this.previewAudio = null;
+        });
+    }
+
+    stopPreview() {
+        if (this.previewAudio) {
+            this.previewAudio.pause();
+            this.previewAudio = null;
+        }
+    }
+
+    async delete(voiceId) {
+        const voice = this.get(voiceId);
+        if (voice && !VoiceLibrary.isDeletable(voice)) {
+            throw new Error(`${voice.name} is a ${voice.category} voice and cannot be deleted`);
+        }
+
+        await this.elevenLabs.deleteVoice(voiceId);
+        this.voices = this.voices.filter(v => v.voice_id !== voiceId);
+        this.settings.delete(voiceId);
+
+        // Languages that defaulted to this voice fall back to the configured default
+        for (const [language, defaultId] of Object.entries(this.defaults)) {
+            if (defaultId === voiceId) {
+                delete this.defaults[language];
+            }
+        }
+        this.saveDefaults();
+    }
+
+    async getSettings(voiceId) {
+        if (!this.settings.has(voiceId)) {
+            this.settings.set(voiceId, await this.elevenLabs.getVoiceSettings(voiceId));
+        }
+        return this.settings.get(voiceId);
+    }
+
+    async updateSettings(voiceId, settings) {
+        const clamp = value => Math.max(0, Math.min(1, Number(value)));
+        const normalized = {
+            stability: clamp(settings.stability),
+            similarity_boost: clamp(settings.similarity_boost),
+            style: clamp(settings.style),
+            use_speaker_boost: !!settings.use_speaker_boost
+        };
+
+        await this.elevenLabs.editVoiceSettings(voiceId, normalized);
+        this.settings.set(voiceId, normalized);
+        return normalized;
+    }
+
+    loadDefaults() {
+        try {
+            return JSON.parse(localStorage.getItem(this.defaultsKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveDefaults() {
+        localStorage.setItem(this.defaultsKey, JSON.stringify(this.defaults));
+    }
+
+    setDefaultVoice(language, voiceId) {
+        if (voiceId) {
+            this.defaults[language] = voiceId;
+        } else {
+            delete this.defaults[language];
+        }
+        this.saveDefaults();
+    }
+
+    getDefaultVoice(language) {
+        return (language && this.defaults[language]) || null;
+    }
+
+    // Playback options for a voice: the language default unless a voice is given, plus its tuned settings.
+    // Settings not loaded this session are left to ElevenLabs, which applies the ones saved for the voice.
+    resolveVoiceOptions(language, voiceId = null) {
+        const resolvedId = voiceId || this.getDefaultVoice(language);
+        if (!resolvedId) return {};
+
+        const options = { voiceId: resolvedId };
+        const settings = this.settings.get(resolvedId);
+        if (settings) {
+            options.stability = settings.stability;
+            options.similarity = settings.similarity_boost;
+            options.style = settings.style;
+            options.speakerBoost = settings.use_speaker_boost;
+        } else {
+            options.useStoredSettings = true;
+        }
+        return options;
+    }
+}
+
+// Voice library panel shared by the desktop and mobile pages
+class VoiceLibraryPanel {
+    // getOverrideTarget() returns { userId, label } for the person a voice override applies to
+    constructor(library, getTargetLang, matcher = null, getOverrideTarget = null) {
+        this.library = library;
+        this.getTargetLang = getTargetLang;
+        this.matcher = matcher;
+        this.getOverrideTarget = getOverrideTarget;
+        this.selectedVoiceId = null;
+
+        this.languageFilter = document.getElementById('voiceFilterLanguage');
+        this.genderFilter = document.getElementById('voiceFilterGender');
+        this.searchInput = document.getElementById('voiceSearch');
+        this.listEl = document.getElementById('voiceList');
+        this.settingsEl = document.getElementById('voiceSettings');
+        this.settingsTitle = document.getElementById('voiceSettingsName');
+        this.stabilityInput = document.getElementById('voiceStability');
+        this.similarityInput = document.getElementById('voiceSimilarity');
+        this.styleInput = document.getElementById('voiceStyle');
+        this.speakerBoostInput = document.getElementById('voiceSpeakerBoost');
+        this.statusEl = document.getElementById('voiceLibraryStatus');
+
+        this.languageFilter.addEventListener('change', () => this.render());
+        this.genderFilter.addEventListener('change', () => this.render());
+        this.searchInput.addEventListener('input', () => this.render());
+        document.getElementById('voiceSettingsSaveBtn').addEventListener('click', () => this.saveSettings());
+        document.getElementById('voiceRefreshBtn').addEventListener('click', () => this.refresh());
+    }
+
+    async refresh() {
+        try {
+            await this.library.load();
+            this.render();
+            this.setStatus(`${this.library.voices.length} voices`);
+        } catch (error) {
+            this.setStatus(`Voices unavailable: ${error.message}`, true);
+        }
+    }
+
+    render() {
+        const targetLang = this.getTargetLang();
+        const defaultId = this.library.getDefaultVoice(targetLang);
+        const voices = this.library.filter({
+            language: this.languageFilter.value || null,
+            gender: this.genderFilter.value || null,
+            search: this.searchInput.value
+        });
+
+        this.listEl.innerHTML = '';
+        if (voices.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'voice-empty';
+            empty.textContent = 'No voices match';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        voices.forEach(voice => this.listEl.appendChild(this.renderVoice(voice, voice.voice_id === defaultId, targetLang)));
+    }
+
+    renderVoice(voice, isDefault, targetLang) {
+        const labels = voice.labels || {};
+        const item = document.createElement('div');
+        item.className = 'voice-item';
+        item.classList.toggle('selected', voice.voice_id === this.selectedVoiceId);
+
+        const info = document.createElement('div');
+        info.className = 'voice-info';
+        const name = document.createElement('div');
+        name.className = 'voice-name';
+        name.textContent = voice.name;
+        const meta = document.createElement('div');
+        meta.className = 'voice-meta';
+        meta.textContent = [labels.gender, labels.accent, VoiceLibrary.getLanguages(voice).join('/').toUpperCase(), voice.category]
+            .filter(Boolean)
+            .join(' · ');
+        info.appendChild(name);
+        info.appendChild(meta);
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'voice-actions';
+        actions.appendChild(this.createButton('▶', 'Preview', () => this.preview(voice)));
+        actions.appendChild(this.createButton('⚙', 'Settings', () => this.openSettings(voice)));
+        actions.appendChild(this.createButton(isDefault ? '★' : '☆', `Default for ${targetLang.toUpperCase()}`, () => this.toggleDefault(voice, isDefault)));
+        const overrideTarget = this.matcher && this.getOverrideTarget ? this.getOverrideTarget() : null;
+        if (overrideTarget) {
+            const isOverride = this.matcher.getOverride(overrideTarget.userId) === voice.voice_id;
+            const button = this.createButton('👤', `Always use for ${overrideTarget.label}`, () => this.toggleOverride(voice, overrideTarget, isOverride));
+            button.classList.toggle('active', isOverride);
+            actions.appendChild(button);
+        }
+        if (VoiceLibrary.isDeletable(voice)) {
+            actions.appendChild(this.createButton('🗑', 'Delete', () => this.remove(voice)));
+        }
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    createButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'voice-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async preview(voice) {
+        this.setStatus(`Previewing ${voice.name}...`);
+        try {
+            await this.library.preview(voice.voice_id);
+            this.setStatus('');
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    toggleDefault(voice, isDefault) {
+        const targetLang = this.getTargetLang();
+        this.library.setDefaultVoice(targetLang, isDefault ? null : voice.voice_id);
+        this.setStatus(isDefault
+            ? `${targetLang.toUpperCase()} uses the standard voice again`
+            : `${voice.name} is now the ${targetLang.toUpperCase()} voice`);
+        this.render();
+    }
+
+    toggleOverride(voice, target, isOverride) {
+        this.matcher.setOverride(target.userId, isOverride ? null : voice.voice_id);
+        this.setStatus(isOverride
+            ? `${target.label} is matched automatically again`
+            : `${target.label} always uses ${voice.name}`);
+        this.render();
+    }
+
+    async openSettings(voice) {
+        this.selectedVoiceId = voice.voice_id;
+        this.render();
+
+        try {
+            const settings = await this.library.getSettings(voice.voice_id);
+            this.settingsTitle.textContent = voice.name;
+            this.stabilityInput.value = settings.stability;
+            this.similarityInput.value = settings.similarity_boost;
+            this.styleInput.value = settings.style || 0;
+            this.speakerBoostInput.checked = !!settings.use_speaker_boost;
+            this.settingsEl.style.display = 'block';
+        } catch (error) {
+            this.setStatus(`Failed to load settings: ${error.message}`, true);
+        }
+    }
+
+    async saveSettings() {
+        if (!this.selectedVoiceId) return;
+
+        try {
+            await this.library.updateSettings(this.selectedVoiceId, {
+                stability: this.stabilityInput.value,
+                similarity_boost: this.similarityInput.value,
+                style: this.styleInput.value,
+                use_speaker_boost: this.speakerBoostInput.checked
+            });
+            this.setStatus('Voice settings saved');
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async remove(voice) {
+        if (!confirm(`Delete the voice "${voice.name}"? This cannot be undone.`)) return;
+
+        try {
+            await this.library.delete(voice.voice_id);
+            if (this.selectedVoiceId === voice.voice_id) {
+                this.selectedVoiceId = null;
+                this.settingsEl.style.display = 'none';
+            }
+            this.render();
+            this.setStatus(`Deleted ${voice.name}`);
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('error', isError);
+    }
+}
+
+// Export for use in other modules
+window.VoiceLibrary = VoiceLibrary;
+window.VoiceLibraryPanel = VoiceLibraryPanel;
@@ -0,0 +1,212 @@
+// Voice Matcher - Pick the playback voice closest to the original speaker
+// Scores ElevenLabs and Web Speech voices on language, gender and expected pitch.
+// Scoring is a pure function of its inputs so the same speaker always gets the same voice.
+
+const VOICE_MATCH_WEIGHTS = {
+    LANGUAGE_MATCH: 50,
+    LANGUAGE_UNLABELLED: 30,   // Multilingual voices without language labels
+    LANGUAGE_MISMATCH: -100,
+    GENDER_MATCH: 30,
+    GENDER_MISMATCH: -30,
+    PITCH_MAX: 20,             // Awarded when the expected pitch equals the speaker's median
+    PITCH_PER_OCTAVE: 40       // Lost per octave of distance
+};
+
+// Typical speaking fundamentals (Hz)
+const TYPICAL_PITCH = {
+    female: 210,
+    male: 120,
+    neutral: 165
+};
+
+class VoiceMatcher {
+    constructor(voiceLibrary = null) {
+        this.voiceLibrary = voiceLibrary;
+        this.overridesKey = 'mcphony_voice_overrides';
+        this.overrides = this.loadOverrides();
+    }
+
+    setLibrary(voiceLibrary) {
+        this.voiceLibrary = voiceLibrary;
+    }
+
+    // Speaker profile from VoiceAnalyzer characteristics, or null when nothing was measured
+    static profileFrom(characteristics) {
+        if (!characteristics) return null;
+
+        const range = characteristics.pitchRange;
+        const pitch = (range && range.median) || characteristics.pitch || 0;
+        let gender = characteristics.gender || 'unknown';
+
+        // The analyzer's gender is a single-frame guess; the median over the recording is steadier
+        if ((range && range.median) || (gender === 'unknown' && pitch > 0)) {
+            gender = pitch < TYPICAL_PITCH.neutral ? 'male' : 'female';
+        }
+
+        return gender === 'unknown' ? null : { gender, pitch };
+    }
+
+    static expectedPitch(gender, description = '') {
+        let pitch = TYPICAL_PITCH[gender] || 0;
+        if (!pitch) return 0;
+
+        if (/deep|low/i.test(description)) pitch *= 0.85;
+        if (/high|young|child/i.test(description)) pitch *= 1.15;
+        return pitch;
+    }
+
+    // Normalised candidate from an ElevenLabs /voices entry
+    static describeElevenLabsVoice(voice) {
+        const labels = voice.labels || {};
+        const gender = (labels.gender || '').toLowerCase() || 'unknown';
+
+        return {
+            id: voice.voice_id,
+            name: voice.name,
+            gender,
+            languages: VoiceLibrary.getLanguages(voice),
+            expectedPitch: VoiceMatcher.expectedPitch(gender, `${labels.description || ''} ${labels.age || ''}`)
+        };
+    }
+
+    // Web Speech voices carry no gender field; many engines put it in the name
+    static describeWebSpeechVoice(voice) {
+        const name = voice.name || '';
+        let gender = 'unknown';
+        if (/\b(female|woman|zira|samantha|victoria|karen|moira|tessa|fiona|amelie|anna|paulina|monica|alice|ioana|sara|yuna|ting-ting|mei-jia)\b/i.test(name)) {
+            gender = 'female';
+        } else if (/\b(male|man|david|mark|daniel|alex|fred|thomas|jorge|diego|luca|yuri|maged|xander)\b/i.test(name)) {
+            gender = 'male';
+        }
+
+        return {
+            id: voice.voiceURI || name,
+            name,
+            gender,
+            languages: voice.lang ? [voice.lang.split('-')[0].toLowerCase()] : [],
+            expectedPitch: VoiceMatcher.expectedPitch(gender)
+        };
+    }
+
+    // Higher is better
+    static scoreVoice(profile, candidate, targetLang) {
+        let score = 0;
+
+        if (targetLang) {
+            if (candidate.languages.length === 0) {
+                score += VOICE_MATCH_WEIGHTS.LANGUAGE_UNLABELLED;
+            } else if (candidate.languages.includes(targetLang)) {
+                score += VOICE_MATCH_WEIGHTS.LANGUAGE_MATCH;
+            } else {
+                score += VOICE_MATCH_WEIGHTS.LANGUAGE_MISMATCH;
+            }
+        }
+
+        const knownGenders = ['female', 'male'];
+        if (knownGenders.includes(profile.gender) && knownGenders.includes(candidate.gender)) {
+            score += profile.gender === candidate.gender
+                ? VOICE_MATCH_WEIGHTS.GENDER_MATCH
+                : VOICE_MATCH_WEIGHTS.GENDER_MISMATCH;
+        }
+
+        if (profile.pitch > 0 && candidate.expectedPitch > 0) {
+            const octaves = Math.abs(Math.log2(profile.pitch / candidate.expectedPitch));
+            score += Math.max(0, VOICE_MATCH_WEIGHTS.PITCH_MAX - octaves * VOICE_MATCH_WEIGHTS.PITCH_PER_OCTAVE);
+        }
+
+        return score;
+    }
+
+    // Candidates sorted best first; ties break on name then id so the order never depends on input order
+    static rank(profile, candidates, targetLang) {
+        return candidates
+            .map(candidate => ({ candidate, score: VoiceMatcher.scoreVoice(profile, candidate, targetLang) }))
+            .sort((a, b) => (b.score - a.score) ||
+                a.candidate.name.localeCompare(b.candidate.name) ||
+                a.candidate.id.localeCompare(b.candidate.id));
+    }
+
+    // Best candidate, or null when nothing speaks the target language
+    static bestMatch(profile, candidates, targetLang) {
+        const ranked = VoiceMatcher.rank(profile, candidates, targetLang);
+        return ranked.length > 0 && ranked[0].score >= 0 ? ranked[0].candidate : null;
+    }
+
+    // Web Speech has a single pitch knob (0-2); scale it by how far the speaker sits from the voice
+    static webSpeechPitch(profile, candidate) {
+        if (!(profile.pitch > 0) || !(candidate.expectedPitch > 0)) return 1.0;
+
+        const ratio = profile.pitch / candidate.expectedPitch;
+        return Math.max(0.5, Math.min(1.5, Math.round(ratio * 100) / 100));
+    }
+
+    loadOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(this.overridesKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveOverrides() {
+        localStorage.setItem(this.overridesKey, JSON.stringify(this.overrides));
+    }
+
+    // Always use voiceId for this user, whatever the matcher would pick
+    setOverride(userId, voiceId) {
+        if (voiceId) {
+            this.overrides[userId] = voiceId;
+        } else {
+            delete this.overrides[userId];
+        }
+        this.saveOverrides();
+    }
+
+    getOverride(userId) {
+        return (userId && this.overrides[userId]) || null;
+    }
+
+    // PlaybackEngine voice resolver. Precedence: per-user override, the caller's voice (e.g. a clone),
+    // the target language default, then the closest match. options.speaker = { userId, characteristics }
+    resolve(options) {
+        const speaker = options.speaker || null;
+        const profile = speaker ? VoiceMatcher.profileFrom(speaker.characteristics) : null;
+        const lang = options.lang ? options.lang.split('-')[0] : null;
+
+        let voiceId = (speaker && this.getOverride(speaker.userId)) ||
+            options.voiceId ||
+            (this.voiceLibrary ? this.voiceLibrary.getDefaultVoice(lang) : null);
+
+        if (!voiceId && profile && this.voiceLibrary && this.voiceLibrary.voices.length > 0) {
+            const match = VoiceMatcher.bestMatch(
+                profile,
+                this.voiceLibrary.voices.map(voice => VoiceMatcher.describeElevenLabsVoice(voice)),
+                lang
+            );
+            voiceId = match ? match.id : null;
+        }
+
+        const resolved = this.voiceLibrary
+            ? this.voiceLibrary.resolveVoiceOptions(lang, voiceId)
+            : (voiceId ? { voiceId } : {});
+
+        // Web Speech fallback: closest installed voice, pitched towards the speaker
+        if (profile && typeof window.speechSynthesis !== 'undefined') {
+            const match = VoiceMatcher.bestMatch(
+                profile,
+                window.speechSynthesis.getVoices().map(voice => VoiceMatcher.describeWebSpeechVoice(voice)),
+                lang
+            );
+            if (match) {
+                resolved.webSpeechVoice = match.id;
+                resolved.pitch = VoiceMatcher.webSpeechPitch(profile, match);
+            }
+        }
+
+        return resolved;
+    }
+}
+
+// Export for use in other modules
+window.VOICE_MATCH_WEIGHTS = VOICE_MATCH_WEIGHTS;
+window.VoiceMatcher = VoiceMatcher;
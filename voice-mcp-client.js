@@ -12,17 +12,63 @@ class VoiceChatNetwork {
         this.connectedFriendId = null;
         this.mediaRecorder = null;
         this.audioChunks = [];
+        this.recordingStartedAt = null;
+        this.recordingTimer = null;
+        this.handsFree = false; // Recordings start and stop on detected speech
+        this.handsFreeStream = null;
         this.recognition = null;
+        this.recognitionRunning = false;      // From start() until onend; stop() only finishes at onend
+        this.recognitionStartPending = false; // A new recording is waiting for the last session to end
+        this.recognitionMode = 'message'; // 'message' (hold to talk) or 'interpreter' (continuous)
+        this.interpreter = null;
         
         // Voice analysis
         this.voiceAnalyzer = null;
         this.translationService = null;
+        this.translationRouter = null;
+        this.mcpService = new MCPIntegrationService();
+        this.audioStorage = new AudioStorageService(window.MCPhonyConfig.STORAGE, this.mcpService);
+        this.mcpDiagnostics = new MCPDiagnostics(this.mcpService);
+        this.diagnosticsPanel = null;
+        this.playbackEngine = new PlaybackEngine(this.mcpService);
+        this.languageIdentifier = null;
+        this.speechToText = null;
+        this.liveRecognition = true; // false when the recording is transcribed after it stops
+        this.voiceMatcher = new VoiceMatcher();
+        this.playbackEngine.setVoiceResolver((options) => this.voiceMatcher.resolve(options));
+        this.glossaryManager = null;
+        this.glossaryPanel = null;
+        this.voiceLibrary = null;
+        this.voiceLibraryPanel = null;
+        
+        // Voice cloning: our own voice, plus a cache of friends' voices keyed by user ID
+        this.enrollmentPanel = null;
+        this.clonedVoice = this.loadClonedVoice();
+        this.senderVoices = new Map();
+        
+        // Parameterized data access over MCP
+        this.db = new VoiceChatDatabase((toolName, args) => this.mcpQuery(toolName, args));
+        
+        // Incoming message delivery
+        this.incomingQueue = [];
+        this.incomingMessage = null;
+        this.playOriginalVoice = true;
+        this.incomingAudio = null;
+        this.pushActive = false;
+        this.pollTimer = null;
+        this.pollDelay = window.MCPhonyConfig.MESSAGING.POLL_MIN_DELAY;
+        this.isCheckingMessages = false;
+        this.recheckMessages = false;
+        this.shownUnreadIds = new Set(); // Shown, but the read mark has not been stored yet
         
         // Current message data
         this.currentMessage = {
             original: '',
             translated: '',
             audioBlob: null,
+            audioDurationMs: null,
+            voiceCharacteristics: null,
+            sourceLang: null,
             timestamp: null
         };
         
@@ -46,15 +92,27 @@ class VoiceChatNetwork {
             
             // Setup event listeners
             this.setupEventListeners();
+            this.initializeGlossaries();
+            this.initializeVoiceLibrary();
             
             // Mark as initialized
             this.isInitialized = true;
             this.showStatus('Ready', 'success');
             
+            // Incoming message delivery (push with polling fallback)
+            this.startMessageDelivery();
+            
             console.log('✅ VoiceChat Network initialized successfully');
             
         } catch (error) {
             console.error('❌ Initialization failed:', error);
+            
+            if (error instanceof SchemaVersionError) {
+                this.showStatus('Update Required', 'error');
+                alert(error.message);
+                return;
+            }
+            
             this.showStatus('Connection Failed', 'error');
             
             // Show fallback message
@@ -66,6 +124,8 @@ class VoiceChatNetwork {
         // Initialize voice analyzer and translation service
         this.voiceAnalyzer = new VoiceAnalyzer();
         this.translationService = new TranslationService();
+        this.translationRouter = new TranslationRouter(this.mcpService, this.translationService);
+        this.languageIdentifier = new LanguageIdentifier(this.translationService, this.mcpService);
         
         // Initialize Web Speech API
         await this.initializeSpeechRecognition();
@@ -73,9 +133,103 @@ class VoiceChatNetwork {
         console.log('🎤 Voice services initialized');
     }
     
+    // Voice management needs the direct ElevenLabs API
+    initializeVoiceLibrary() {
+        const apiKey = window.MCPhonyConfig.ELEVENLABS_API_KEY;
+        if (!apiKey || apiKey === 'your_elevenlabs_api_key_here') return;
+        
+        this.voiceLibrary = new VoiceLibrary(this.playbackEngine.elevenLabs);
+        this.voiceLibraryPanel = new VoiceLibraryPanel(
+            this.voiceLibrary,
+            () => document.getElementById('outputLanguage').value,
+            this.voiceMatcher,
+            () => this.connectedFriendId
+                ? { userId: this.connectedFriendId, label: this.connectedFriendId }
+                : { userId: this.currentUserId, label: 'your messages' }
+        );
+        this.voiceMatcher.setLibrary(this.voiceLibrary);
+        
+        document.getElementById('voiceLibraryPanel').style.display = 'block';
+        this.voiceLibraryPanel.refresh();
+    }
+    
+    // Glossaries need the direct DeepL API
+    initializeGlossaries() {
+        const apiKey = window.MCPhonyConfig.DEEPL_API_KEY;
+        if (!apiKey || apiKey === 'your_deepl_api_key_here') return;
+        
+        this.glossaryManager = new GlossaryManager();
+        this.glossaryPanel = new GlossaryPanel(this.glossaryManager, () => this.getConversationId());
+        document.getElementById('glossaryPanel').style.display = 'block';
+        this.glossaryPanel.refresh();
+    }
+    
+    getConversationId() {
+        return this.connectedFriendId || 'default';
+    }
+    
+    // Chosen spoken language, or null when it is auto-detected
+    getSourceLanguage() {
+        const value = document.getElementById('inputLanguage').value;
+        return value === 'auto' ? null : value;
+    }
+    
+    // Recognize in the chosen language, or the identified one in auto mode
+    applySourceLanguage() {
+        const sourceLang = this.getSourceLanguage();
+        const locale = LanguageIdentifier.toLocale(sourceLang || this.languageIdentifier.language);
+        if (this.recognition) {
+            this.recognition.lang = locale;
+        }
+        
+        if (sourceLang && this.voiceAnalyzer) {
+            this.voiceAnalyzer.setSpokenLanguage(sourceLang, 1);
+        }
+        console.log(`🌐 Recognition language set to ${locale}`);
+    }
+    
+    onSourceLanguageChange() {
+        localStorage.setItem('voiceChat_sourceLanguage', document.getElementById('inputLanguage').value);
+        this.applySourceLanguage();
+        
+        // The current message was translated from the previous language
+        if (this.currentMessage.original) {
+            this.translateMessage();
+        }
+    }
+    
+    // Translate with the glossary selected for the current conversation
+    async translate(text, targetLang) {
+        const sourceLang = this.getSourceLanguage();
+        const glossary = this.glossaryManager
+            ? this.glossaryManager.getTranslationOptions(this.getConversationId(), targetLang, sourceLang)
+            : { sourceLang: null, options: {} };
+        
+        const result = await this.translationRouter.translateText(text, targetLang, glossary.sourceLang || sourceLang, glossary.options);
+        
+        // Stored with the message as language_from
+        this.currentMessage.sourceLang = result.detectedSourceLanguage || sourceLang || this.languageIdentifier.language;
+        return result;
+    }
+    
     async initializeSpeechRecognition() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            throw new Error('Speech Recognition not supported in this browser');
+        this.speechToText = new SpeechToText(this.mcpService);
+        
+        // Spoken language as chosen on the last visit; options differ between pages
+        const sourceSelect = document.getElementById('inputLanguage');
+        sourceSelect.value = localStorage.getItem('voiceChat_sourceLanguage') || 'auto';
+        if (!sourceSelect.value) {
+            sourceSelect.value = 'auto';
+        }
+        
+        if (!WebSpeechBackend.isSupported()) {
+            // Recordings are transcribed by the other speech-to-text backends instead
+            console.warn('⚠️ Web Speech recognition not supported in this browser, transcribing recordings instead');
+            const interpreterButton = document.getElementById('interpreterButton');
+            interpreterButton.disabled = true;
+            interpreterButton.title = 'Live interpreter needs Web Speech recognition';
+            this.applySourceLanguage();
+            return;
         }
         
         const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -83,7 +237,7 @@ class VoiceChatNetwork {
         
         this.recognition.continuous = false;
         this.recognition.interimResults = false;
-        this.recognition.lang = 'en-US';
+        this.applySourceLanguage();
         
         this.recognition.onstart = () => {
             console.log('🎤 Speech recognition started');
@@ -91,42 +245,107 @@ class VoiceChatNetwork {
         };
         
         this.recognition.onresult = (event) => {
-            const transcript = event.results[0][0].transcript;
+            if (this.recognitionMode === 'interpreter') {
+                this.interpreter.handleResult(event);
+                return;
+            }
+            
+            const { transcript, confidence } = event.results[0][0];
             console.log('📝 Speech recognized:', transcript);
-            this.handleSpeechResult(transcript);
+            this.handleSpeechResult(transcript, confidence);
         };
         
         this.recognition.onerror = (event) => {
+            // Errors from the session a waiting recording replaces must not stop that recording
+            if (this.recognitionStartPending) return;
+            
+            // Silence is expected between sentences; onend restarts the session
+            if (this.recognitionMode === 'interpreter' && event.error === 'no-speech') return;
+            
+            // Recognition service unreachable: keep recording and transcribe the recording instead
+            if (this.recognitionMode === 'message' && WebSpeechBackend.SERVICE_ERRORS.includes(event.error) &&
+                this.speechToText.hasRecordingBackend()) {
+                console.warn(`⚠️ Web Speech unavailable (${event.error}), transcribing the recording instead`);
+                this.liveRecognition = false;
+                return;
+            }
+            
             console.error('❌ Speech recognition error:', event.error);
-            this.stopRecording();
+            if (this.recognitionMode === 'interpreter') {
+                this.stopInterpreter();
+            } else {
+                this.stopRecording();
+            }
             this.showStatus('Recognition Error', 'error');
         };
         
         this.recognition.onend = () => {
             console.log('🛑 Speech recognition ended');
+            this.recognitionRunning = false;
+            
+            // This was the previous utterance's session; the recording started since then gets its own
+            if (this.recognitionStartPending) {
+                this.recognitionStartPending = false;
+                this.startRecognition();
+                return;
+            }
+            
+            if (this.recognitionMode === 'interpreter') {
+                // Browsers end continuous sessions after a pause; keep listening until stopped
+                if (this.interpreter.isActive) {
+                    this.startRecognition();
+                    return;
+                }
+                this.recognitionMode = 'message';
+                this.recognition.continuous = false;
+                this.recognition.interimResults = false;
+                return;
+            }
+            
+            // Recording continues until the user stops it when it is transcribed afterwards
+            if (!this.liveRecognition) return;
+            
             this.stopRecording();
         };
     }
     
     async initializeMCPConnection() {
-        // Check if MCP servers are available
-        if (typeof use_mcp_tool === 'undefined') {
-            console.warn('⚠️ MCP tools not available - running in simulation mode');
+        const mcpConfig = window.MCPhonyConfig.MCP;
+        
+        // TTS, translation and audio storage over MCP are optional; each falls back to its direct API
+        if (mcpConfig.ENABLED) {
+            this.mcpService.initialize([MCP_ROLES.TTS, MCP_ROLES.TRANSLATION, MCP_ROLES.STORAGE]).then(({ failed }) => {
+                if (failed.length > 0) {
+                    console.warn('⚠️ MCP servers unavailable, using direct APIs until they connect:', failed);
+                }
+            });
+        }
+        
+        // Check if a database MCP server is configured
+        if (!mcpConfig.ENABLED || this.mcpService.getServersForRole(MCP_ROLES.DATABASE).length === 0) {
+            console.warn('⚠️ Database MCP server not configured - running in simulation mode');
             this.mcpAvailable = false;
             return;
         }
         
-        this.mcpAvailable = true;
-        
         try {
-            // Test MCP connection by listing projects
-            const response = await this.mcpQuery('list_projects', { params: { limit: 1 } });
+            const { connected } = await this.mcpService.initialize([MCP_ROLES.DATABASE]);
+            if (connected.length === 0) {
+                throw new Error('No database MCP server reachable');
+            }
+            this.mcpAvailable = true;
+            
             console.log('✅ MCP connection established');
             
             // Initialize database schema if needed
             await this.initializeDatabase();
             
         } catch (error) {
+            // A newer schema must stop the app rather than degrade to simulation
+            if (error instanceof SchemaVersionError) {
+                throw error;
+            }
+            
             console.warn('⚠️ MCP connection failed, running in simulation mode:', error);
             this.mcpAvailable = false;
         }
@@ -136,18 +355,24 @@ class VoiceChatNetwork {
         console.log('📊 Initializing voice chat database schema...');
         
         try {
-            // Get the first available project
-            const projectsResponse = await this.mcpQuery('list_projects', { params: { limit: 1 } });
+            // Use the configured project, or the first available one
+            this.projectId = window.MCPhonyConfig.MCP.DATABASE.PROJECT_ID;
             
-            if (!projectsResponse.projects || projectsResponse.projects.length === 0) {
-                throw new Error('No Neon projects available');
+            if (!this.projectId) {
+                const projectsResponse = await this.mcpQuery('list_projects', { params: { limit: 1 } });
+                
+                if (projectsResponse.projects.length === 0) {
+                    throw new Error('No Neon projects available');
+                }
+                
+                this.projectId = projectsResponse.projects[0].id;
             }
             
-            this.projectId = projectsResponse.projects[0].id;
+            this.db.projectId = this.projectId;
             console.log('🗄️ Using project:', this.projectId);
             
-            // Create tables for voice chat
-            await this.createVoiceChatTables();
+            // Bring the voice chat schema up to date
+            await this.runMigrations();
             
         } catch (error) {
             console.error('❌ Database initialization failed:', error);
@@ -155,58 +380,9 @@ class VoiceChatNetwork {
         }
     }
     
-    async createVoiceChatTables() {
-        const createTablesSQL = [
-            `CREATE TABLE IF NOT EXISTS voice_users (
-                id VARCHAR(50) PRIMARY KEY,
-                username VARCHAR(100) UNIQUE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                voice_signature JSONB
-            )`,
-            
-            `CREATE TABLE IF NOT EXISTS voice_messages (
-                id SERIAL PRIMARY KEY,
-                sender_id VARCHAR(50) REFERENCES voice_users(id),
-                recipient_id VARCHAR(50) REFERENCES voice_users(id),
-                original_text TEXT,
-                translated_text TEXT,
-                language_from VARCHAR(10),
-                language_to VARCHAR(10),
-                audio_blob_url TEXT,
-                voice_characteristics JSONB,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                read_at TIMESTAMP
-            )`,
-            
-            `CREATE TABLE IF NOT EXISTS friend_connections (
-                id SERIAL PRIMARY KEY,
-                user1_id VARCHAR(50) REFERENCES voice_users(id),
-                user2_id VARCHAR(50) REFERENCES voice_users(id),
-                status VARCHAR(20) DEFAULT 'pending',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(user1_id, user2_id)
-            )`,
-            
-            `CREATE INDEX IF NOT EXISTS idx_voice_messages_recipient 
-             ON voice_messages(recipient_id, created_at)`,
-             
-            `CREATE INDEX IF NOT EXISTS idx_friend_connections_users 
-             ON friend_connections(user1_id, user2_id)`
-        ];
-        
-        for (const sql of createTablesSQL) {
-            try {
-                await this.mcpQuery('run_sql', {
-                    params: {
-                        sql: sql,
-                        projectId: this.projectId
-                    }
-                });
-            } catch (error) {
-                console.warn('⚠️ Table creation SQL failed (might already exist):', error.message);
-            }
-        }
+    async runMigrations() {
+        const runner = new MigrationRunner(this.db);
+        this.schemaVersion = await runner.migrate();
         
         console.log('✅ Voice chat database schema ready');
     }
@@ -226,26 +402,102 @@ class VoiceChatNetwork {
         // Register or update user in database
         if (this.mcpAvailable) {
             await this.registerUser();
+            await this.syncClonedVoice();
         }
         
         console.log('👤 User initialized:', this.currentUserId);
     }
     
+    // The cloned voice is kept locally too, so simulation mode and reloads keep using it
+    loadClonedVoice() {
+        try {
+            return JSON.parse(localStorage.getItem('voiceChat_clonedVoice'));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    getClonedVoiceId() {
+        return this.clonedVoice ? this.clonedVoice.voiceId : null;
+    }
+    
+    // Store the clone against the user so friends hear translations in this voice
+    async saveClonedVoice({ voiceId, name }) {
+        this.clonedVoice = {
+            provider: 'elevenlabs',
+            voiceId: voiceId,
+            name: name,
+            enrolledAt: new Date().toISOString()
+        };
+        localStorage.setItem('voiceChat_clonedVoice', JSON.stringify(this.clonedVoice));
+        
+        if (this.mcpAvailable) {
+            await this.db.updateVoiceSignature(this.currentUserId, this.clonedVoice);
+        }
+        
+        console.log('🎙️ Cloned voice saved:', voiceId);
+        if (this.voiceLibraryPanel) {
+            this.voiceLibraryPanel.refresh();
+        }
+        return this.clonedVoice;
+    }
+    
+    // The database copy wins, e.g. after enrolling on another device
+    async syncClonedVoice() {
+        try {
+            const user = await this.db.findUser(this.currentUserId);
+            const signature = user ? this.parseVoiceSignature(user.voice_signature) : null;
+            
+            if (signature) {
+                this.clonedVoice = signature;
+                localStorage.setItem('voiceChat_clonedVoice', JSON.stringify(signature));
+            } else if (this.clonedVoice) {
+                await this.db.updateVoiceSignature(this.currentUserId, this.clonedVoice);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to sync cloned voice:', error);
+        }
+    }
+    
+    parseVoiceSignature(value) {
+        if (!value) return null;
+        
+        const signature = typeof value === 'string' ? JSON.parse(value) : value;
+        return signature.voiceId ? signature : null;
+    }
+    
+    // Stored characteristics may come back as JSON text depending on the database server
+    parseVoiceCharacteristics(value) {
+        if (!value) return null;
+        
+        try {
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Voice ID a sender enrolled, or null to use the default voice
+    async getSenderVoiceId(senderId) {
+        if (!this.mcpAvailable) return null;
+        
+        if (!this.senderVoices.has(senderId)) {
+            try {
+                const user = await this.db.findUser(senderId);
+                const signature = user ? this.parseVoiceSignature(user.voice_signature) : null;
+                this.senderVoices.set(senderId, signature ? signature.voiceId : null);
+            } catch (error) {
+                console.warn('⚠️ Failed to look up sender voice:', error);
+                return null;
+            }
+        }
+        
+        return this.senderVoices.get(senderId);
+    }
+    
     async registerUser() {
         try {
-            const sql = `
-                INSERT INTO voice_users (id, username, last_active) 
-                VALUES ($1, $2, CURRENT_TIMESTAMP)
-                ON CONFLICT (id) 
-                DO UPDATE SET last_active = CURRENT_TIMESTAMP
-            `;
-            
-            await this.mcpQuery('run_sql', {
-                params: {
-                    sql: sql.replace('$1', `'${this.currentUserId}'`).replace('$2', `'User_${this.currentUserId.slice(-6)}'`),
-                    projectId: this.projectId
-                }
-            });
+            await this.db.upsertUser(this.currentUserId, `User_${this.currentUserId.slice(-6)}`);
             
             console.log('✅ User registered in database');
             
@@ -255,6 +507,60 @@ class VoiceChatNetwork {
     }
     
     setupEventListeners() {
+        // Threads come from the database, or a local store in simulation mode
+        this.historyStore = this.mcpAvailable ? this.db : new LocalConversationStore();
+        // Conversation history
+        this.conversationHistory = new ConversationHistory(this.historyStore, {
+            panel: document.getElementById('historyPanel'),
+            title: document.getElementById('historyFriend'),
+            list: document.getElementById('historyList'),
+            search: document.getElementById('historySearch'),
+            loadMore: document.getElementById('historyLoadMore')
+        });
+        
+        // MCP server health
+        this.diagnosticsPanel = new MCPDiagnosticsPanel(this.mcpDiagnostics);
+        
+        // Voice cloning enrollment
+        this.enrollmentPanel = new VoiceEnrollmentPanel(
+            new VoiceEnrollment(this.voiceAnalyzer, this.mcpService),
+            (voice) => this.saveClonedVoice(voice)
+        );
+        this.enrollmentPanel.setCurrentVoice(this.clonedVoice);
+        
+        // Live interpreter: sentences are translated and spoken while the user keeps talking
+        this.interpreter = new LiveInterpreter({
+            translate: (text, targetLang) => this.translate(text, targetLang),
+            speak: (text, targetLang) => this.speak(text, {
+                lang: targetLang,
+                rate: 0.9,
+                volume: 0.8,
+                voiceId: this.getClonedVoiceId(),
+                speaker: { userId: this.currentUserId, characteristics: this.voiceAnalyzer.getVoiceCharacteristics() }
+            }),
+            getTargetLang: () => document.getElementById('outputLanguage').value,
+            onInterim: (text) => this.showInterpreterTranscript(text),
+            onSentence: (segment) => {
+                this.currentMessage.original = [this.currentMessage.original, segment.original].filter(Boolean).join(' ');
+                this.showInterpreterTranscript('');
+                this.identifySpokenLanguage(segment.original);
+            },
+            onTranslated: (segment) => {
+                this.currentMessage.translated = [this.currentMessage.translated, segment.translated].filter(Boolean).join(' ');
+                this.currentMessage.timestamp = new Date();
+                
+                const translatedMessage = document.getElementById('translatedMessage');
+                translatedMessage.textContent = this.currentMessage.translated;
+                translatedMessage.classList.remove('empty');
+                
+                document.getElementById('playButton').disabled = false;
+                if (this.isConnected) {
+                    document.getElementById('sendButton').disabled = false;
+                }
+            },
+            onError: () => this.showStatus('Translation Error', 'error')
+        });
+        
         // Voice button - mobile friendly with touch events
         const voiceButton = document.getElementById('voiceButton');
         
@@ -288,22 +594,132 @@ class VoiceChatNetwork {
         // Control buttons
         document.getElementById('playButton').addEventListener('click', () => this.playCurrentMessage());
         document.getElementById('clearButton').addEventListener('click', () => this.clearMessage());
+        document.getElementById('interpreterButton').addEventListener('click', () => this.toggleInterpreter());
+        document.getElementById('handsFreeButton').addEventListener('click', () => this.toggleHandsFree());
         document.getElementById('connectButton').addEventListener('click', () => this.connectToFriend());
         document.getElementById('sendButton').addEventListener('click', () => this.sendVoiceMessage());
         
         // Incoming message buttons
         document.getElementById('playIncomingButton').addEventListener('click', () => this.playIncomingMessage());
+        document.getElementById('incomingModeButton').addEventListener('click', () => this.toggleIncomingPlaybackMode());
         document.getElementById('replyButton').addEventListener('click', () => this.replyToMessage());
         
         // Language change
         document.getElementById('outputLanguage').addEventListener('change', () => this.onLanguageChange());
+        document.getElementById('inputLanguage').addEventListener('change', () => this.onSourceLanguageChange());
+    }
+    
+    async startMessageDelivery() {
+        window.addEventListener('mcpMessagesNew', (event) => {
+            const message = event.detail.message || {};
+            if (!message.recipient_id || message.recipient_id === this.currentUserId) {
+                this.checkForNewMessages();
+            }
+        });
         
-        // Auto-check for new messages
-        setInterval(() => this.checkForNewMessages(), 3000);
+        window.addEventListener('mcpConnectionClosed', (event) => {
+            if (this.mcpService.getServerRole(event.detail.server) !== MCP_ROLES.DATABASE) return;
+            
+            // Subscription is gone with the socket - poll until it comes back
+            this.pushActive = false;
+            this.resetMessagePolling();
+        });
+        
+        window.addEventListener('mcpReconnected', async (event) => {
+            if (this.mcpService.getServerRole(event.detail.server) !== MCP_ROLES.DATABASE) return;
+            
+            // Started in simulation mode because the database was down; switch over now it is back
+            if (!this.mcpAvailable && !(await this.enableDatabase())) return;
+            this.subscribeToMessages();
+        });
+        
+        // The database may have come back while the rest of the app was starting
+        if (!this.mcpAvailable && this.mcpService.isRoleConnected(MCP_ROLES.DATABASE)) {
+            await this.enableDatabase();
+        }
+        
+        await this.subscribeToMessages();
+        
+        // Pick up anything that arrived while we were offline
+        this.checkForNewMessages();
+    }
+    
+    // Leave simulation mode once a database server that was down at startup is reachable
+    async enableDatabase() {
+        try {
+            await this.initializeDatabase();
+        } catch (error) {
+            console.warn('⚠️ Database reachable but not usable, staying in simulation mode:', error);
+            if (error instanceof SchemaVersionError) {
+                this.showStatus('Update Required', 'error');
+                alert(error.message);
+            }
+            return false;
+        }
+        
+        this.mcpAvailable = true;
+        await this.registerUser();
+        await this.syncClonedVoice();
+        
+        this.historyStore = this.db;
+        this.conversationHistory.store = this.db;
+        this.conversationHistory.refresh();
+        
+        console.log('✅ Database connected, leaving simulation mode');
+        return true;
+    }
+    
+    async subscribeToMessages() {
+        if (!this.mcpAvailable) {
+            this.resetMessagePolling();
+            return;
+        }
+        
+        try {
+            const databaseConfig = window.MCPhonyConfig.MCP.DATABASE;
+            await this.mcpService.callRoleTool(MCP_ROLES.DATABASE, 'subscribe_messages', {
+                channel: databaseConfig.NOTIFY_CHANNEL,
+                recipientId: this.currentUserId
+            });
+            
+            this.pushActive = true;
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+            console.log('📡 Subscribed to push message delivery');
+            
+        } catch (error) {
+            console.warn('⚠️ Push delivery unavailable, falling back to polling:', error);
+            this.pushActive = false;
+            this.resetMessagePolling();
+        }
+    }
+    
+    resetMessagePolling() {
+        this.pollDelay = window.MCPhonyConfig.MESSAGING.POLL_MIN_DELAY;
+        this.scheduleMessagePoll();
+    }
+    
+    // Poll with exponential backoff while idle; reset as soon as something arrives
+    scheduleMessagePoll() {
+        clearTimeout(this.pollTimer);
+        if (this.pushActive) return;
+        
+        const messagingConfig = window.MCPhonyConfig.MESSAGING;
+        
+        this.pollTimer = setTimeout(async () => {
+            const delivered = await this.checkForNewMessages();
+            
+            this.pollDelay = delivered > 0
+                ? messagingConfig.POLL_MIN_DELAY
+                : Math.min(this.pollDelay * 2, messagingConfig.POLL_MAX_DELAY);
+            
+            this.scheduleMessagePoll();
+        }, this.pollDelay);
     }
     
     async startRecording() {
-        if (this.isRecording || !this.isInitialized) return;
+        // The recognizer belongs to the interpreter until its session ends
+        if (this.isRecording || !this.isInitialized || this.recognitionMode === 'interpreter') return;
         
         console.log('🔴 Starting voice recording...');
         this.isRecording = true;
@@ -314,23 +730,22 @@ class VoiceChatNetwork {
         voiceButton.innerHTML = '<div class="mic-icon">🛑</div><span>Release to Stop</span>';
         
         try {
-            // Get microphone access
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    sampleRate: 44100
-                } 
-            });
+            // Get microphone access; hands-free mode already holds it
+            const stream = this.handsFreeStream || await this.openMicrophone();
             
             // Start voice analysis
             if (this.voiceAnalyzer) {
                 await this.voiceAnalyzer.startAnalysis(stream);
             }
             
+            // Web Speech listens live; other backends transcribe the recording
+            this.liveRecognition = this.speechToText.usesLiveRecognition();
+            
             // Setup media recorder
             this.audioChunks = [];
-            this.mediaRecorder = new MediaRecorder(stream);
+            // Hands-free records the delayed copy of the microphone so the speech onset is kept
+            const recorder = new MediaRecorder((this.handsFree && this.voiceAnalyzer.preRollStream) || stream);
+            this.mediaRecorder = recorder;
             
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
@@ -339,16 +754,31 @@ class VoiceChatNetwork {
             };
             
             this.mediaRecorder.onstop = () => {
-                const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
+                // Browsers record different containers (Safari: audio/mp4); label the blob with the real one
+                const audioBlob = new Blob(this.audioChunks, { type: recorder.mimeType || 'audio/webm' });
                 this.currentMessage.audioBlob = audioBlob;
+                this.currentMessage.audioDurationMs = Date.now() - this.recordingStartedAt;
                 this.currentMessage.timestamp = new Date();
                 console.log('🎵 Audio recorded successfully');
+                
+                if (!this.liveRecognition) {
+                    this.transcribeRecording(audioBlob);
+                }
             };
             
             this.mediaRecorder.start();
+            this.recordingStartedAt = Date.now();
             
             // Start speech recognition
-            this.recognition.start();
+            if (this.liveRecognition) {
+                this.startRecognition();
+            }
+            
+            // Cap every recording, hands-free or not
+            this.recordingTimer = setTimeout(() => {
+                console.log('⏱️ Voice timeout reached, stopping recording');
+                this.stopRecording(true);
+            }, window.MCPhonyConfig.APP.VOICE_TIMEOUT);
             
         } catch (error) {
             console.error('❌ Recording failed:', error);
@@ -357,19 +787,21 @@ class VoiceChatNetwork {
         }
     }
     
-    stopRecording() {
+    // keepResult stops recognition gracefully so the utterance so far is still recognized
+    stopRecording(keepResult = false) {
         if (!this.isRecording) return;
         
         console.log('⏹️ Stopping voice recording...');
         this.isRecording = false;
+        clearTimeout(this.recordingTimer);
         
         // Update UI
         const voiceButton = document.getElementById('voiceButton');
         voiceButton.classList.remove('recording');
         voiceButton.innerHTML = '<div class="mic-icon">🎤</div><span>Hold to Talk</span>';
         
-        // Stop voice analysis
-        if (this.voiceAnalyzer) {
+        // Stop voice analysis; hands-free keeps listening for the next utterance
+        if (this.voiceAnalyzer && !this.handsFree) {
             this.voiceAnalyzer.stopAnalysis();
         }
         
@@ -378,16 +810,215 @@ class VoiceChatNetwork {
             this.mediaRecorder.stop();
         }
         
-        // Stop speech recognition
-        if (this.recognition) {
-            this.recognition.abort();
+        // Stop speech recognition; a session still waiting to start is simply dropped
+        if (this.recognitionStartPending) {
+            this.recognitionStartPending = false;
+        } else if (this.recognition) {
+            if (keepResult) {
+                this.recognition.stop();
+            } else {
+                this.recognition.abort();
+            }
         }
         
         this.showStatus('Processing...', 'processing');
     }
     
-    async handleSpeechResult(transcript) {
+    openMicrophone() {
+        return navigator.mediaDevices.getUserMedia({ 
+            audio: {
+                echoCancellation: true,
+                noiseSuppression: true,
+                sampleRate: 44100
+            } 
+        });
+    }
+    
+    // start() while the last session is still ending throws InvalidStateError; wait for its onend instead
+    startRecognition() {
+        if (this.recognitionRunning) {
+            this.recognitionStartPending = true;
+            return;
+        }
+        this.recognition.start();
+        this.recognitionRunning = true;
+    }
+    
+    toggleHandsFree() {
+        if (this.handsFree) {
+            this.stopHandsFree();
+        } else {
+            this.startHandsFree();
+        }
+    }
+    
+    // Keep the microphone open and record whenever speech is detected
+    async startHandsFree() {
+        if (!this.isInitialized || !this.voiceAnalyzer) return;
+        
+        if (this.interpreter.isActive) {
+            this.stopInterpreter();
+        }
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        
+        try {
+            this.handsFreeStream = await this.openMicrophone();
+            await this.voiceAnalyzer.startAnalysis(this.handsFreeStream);
+            this.voiceAnalyzer.startPreRoll(window.MCPhonyConfig.VAD.PRE_ROLL_MS);
+        } catch (error) {
+            console.error('❌ Hands-free mode failed:', error);
+            this.releaseHandsFreeStream();
+            alert('Microphone access is required for voice chat. Please enable microphone permissions.');
+            return;
+        }
+        
+        this.handsFree = true;
+        this.voiceAnalyzer.startVoiceActivityDetection({
+            onSpeechStart: () => this.onSpeechDetected(),
+            onSpeechEnd: () => this.stopRecording(true)
+        });
+        this.updateHandsFreeButton(true);
+        this.showStatus('Waiting for speech...', 'listening');
+        console.log('👂 Hands-free mode on');
+    }
+    
+    stopHandsFree() {
+        this.handsFree = false;
+        this.updateHandsFreeButton(false);
+        
+        if (this.isRecording) {
+            this.stopRecording(true);
+        } else {
+            this.voiceAnalyzer.stopAnalysis();
+            this.showStatus('Ready', 'success');
+        }
+        this.releaseHandsFreeStream();
+        console.log('👂 Hands-free mode off');
+    }
+    
+    releaseHandsFreeStream() {
+        if (this.handsFreeStream) {
+            this.handsFreeStream.getTracks().forEach(track => track.stop());
+            this.handsFreeStream = null;
+        }
+    }
+    
+    onSpeechDetected() {
+        // Our own playback coming through the speaker is not the user speaking
+        if (this.playbackEngine.isPlaying()) return;
+        
+        console.log('🗣️ Speech detected');
+        this.startRecording();
+    }
+    
+    updateHandsFreeButton(isActive) {
+        const button = document.getElementById('handsFreeButton');
+        button.classList.toggle('active', isActive);
+        button.textContent = isActive ? '⏹ Stop Hands-free' : '👂 Hands-free';
+    }
+    
+    // Recognition from the finished recording when Web Speech is missing or unreachable
+    async transcribeRecording(audioBlob) {
+        this.showStatus('Transcribing...', 'processing');
+        
+        try {
+            const result = await this.speechToText.transcribe(audioBlob, this.getSourceLanguage());
+            if (!result.transcript) {
+                this.showStatus('No speech detected', 'error');
+                return;
+            }
+            
+            console.log('📝 Speech recognized:', result.transcript);
+            await this.handleSpeechResult(result.transcript, result.confidence);
+        } catch (error) {
+            console.error('❌ Transcription failed:', error);
+            this.showStatus('Transcription Error', 'error');
+        }
+    }
+    
+    toggleInterpreter() {
+        if (this.interpreter.isActive) {
+            this.stopInterpreter();
+        } else {
+            this.startInterpreter();
+        }
+    }
+    
+    startInterpreter() {
+        if (this.handsFree) {
+            this.stopHandsFree();
+        }
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        this.clearMessage();
+        
+        this.recognitionMode = 'interpreter';
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+        
+        try {
+            this.interpreter.start();
+            this.startRecognition();
+            this.updateInterpreterButton(true);
+            this.showStatus('Interpreting...', 'listening');
+        } catch (error) {
+            console.error('❌ Failed to start live interpreter:', error);
+            this.stopInterpreter();
+            this.showStatus('Recognition Error', 'error');
+        }
+    }
+    
+    // Stop listening; sentences already heard are still translated and spoken unless discarded
+    stopInterpreter(discard = false) {
+        this.interpreter.stop();
+        this.updateInterpreterButton(false);
+        
+        // stop() rather than abort() delivers the last final result
+        if (this.recognitionStartPending) {
+            this.recognitionStartPending = false;
+        } else if (discard) {
+            this.recognition.abort();
+        } else {
+            this.recognition.stop();
+        }
+    }
+    
+    showInterpreterTranscript(interim) {
+        const originalMessage = document.getElementById('originalMessage');
+        const text = [this.currentMessage.original, interim].filter(Boolean).join(' ');
+        
+        originalMessage.textContent = text || 'Listening...';
+        originalMessage.classList.remove('empty');
+    }
+    
+    updateInterpreterButton(isActive) {
+        const button = document.getElementById('interpreterButton');
+        button.classList.toggle('active', isActive);
+        button.textContent = isActive ? '⏹ Stop Interpreter' : '🗣 Live Interpreter';
+    }
+    
+    // Track the spoken language and recognize the next utterance in it
+    async identifySpokenLanguage(transcript, recognitionConfidence = 0) {
+        if (this.getSourceLanguage()) return null;
+        
+        const result = await this.languageIdentifier.identify(transcript, recognitionConfidence);
+        if (this.voiceAnalyzer) {
+            this.voiceAnalyzer.setSpokenLanguage(result.language, result.confidence);
+        }
+        
+        // A continuous session picks the new language up when it restarts
+        if (this.recognition && this.recognition.lang !== result.locale) {
+            this.applySourceLanguage();
+        }
+        return result;
+    }
+    
+    async handleSpeechResult(transcript, recognitionConfidence = 0) {
         this.currentMessage.original = transcript;
+        await this.identifySpokenLanguage(transcript, recognitionConfidence);
         
         // Update UI
         document.getElementById('originalMessage').textContent = transcript;
@@ -396,6 +1027,7 @@ class VoiceChatNetwork {
         // Get voice characteristics
         if (this.voiceAnalyzer) {
             const characteristics = this.voiceAnalyzer.getVoiceCharacteristics();
+            this.currentMessage.voiceCharacteristics = characteristics;
             this.updateVoiceAnalysis(characteristics);
         }
         
@@ -419,10 +1051,7 @@ class VoiceChatNetwork {
         this.showStatus('Translating...', 'processing');
         
         try {
-            const result = await this.translationService.translateText(
-                this.currentMessage.original,
-                targetLang
-            );
+            const result = await this.translate(this.currentMessage.original, targetLang);
             
             this.currentMessage.translated = result.translatedText;
             
@@ -439,7 +1068,10 @@ class VoiceChatNetwork {
     }
     
     updateVoiceAnalysis(characteristics) {
-        document.getElementById('languageValue').textContent = characteristics.language || 'EN';
+        const languageName = VoiceAnalyzer.languageName(characteristics.language);
+        document.getElementById('languageValue').textContent = characteristics.language === 'unknown'
+            ? languageName
+            : `${languageName} ${characteristics.languageConfidence}%`;
         document.getElementById('genderValue').textContent = characteristics.gender || 'Unknown';
         document.getElementById('pitchValue').textContent = characteristics.pitch || 'Medium';
         document.getElementById('confidenceValue').textContent = `${Math.round(characteristics.confidence || 85)}%`;
@@ -451,31 +1083,52 @@ class VoiceChatNetwork {
             return;
         }
         
-        const utterance = new SpeechSynthesisUtterance(this.currentMessage.translated);
-        const targetLang = document.getElementById('outputLanguage').value;
-        
-        // Find appropriate voice
-        const voices = speechSynthesis.getVoices();
-        const voice = voices.find(v => v.lang.startsWith(targetLang)) || voices[0];
-        if (voice) utterance.voice = voice;
-        
-        utterance.rate = 0.9;
-        utterance.volume = 0.8;
-        
-        this.showStatus('Playing...', 'playing');
-        
-        utterance.onend = () => {
-            this.showStatus('Ready', 'success');
-        };
-        
-        speechSynthesis.speak(utterance);
+        await this.speak(this.currentMessage.translated, {
+            lang: document.getElementById('outputLanguage').value,
+            voiceId: this.getClonedVoiceId(),
+            speaker: { userId: this.currentUserId, characteristics: this.currentMessage.voiceCharacteristics },
+            rate: 0.9,
+            volume: 0.8
+        });
+    }
+    
+    // Play text through the playback engine, showing which engine is speaking
+    async speak(text, options = {}) {
+        try {
+            const engine = await this.playbackEngine.speak(text, {
+                ...options,
+                onStart: (engine) => this.showStatus(`Playing (${engine})`, 'playing')
+            });
+            
+            if (this.interpreter && this.interpreter.isActive) {
+                this.showStatus('Interpreting...', 'listening');
+            } else {
+                this.showStatus('Ready', 'success');
+            }
+            return engine;
+        } catch (error) {
+            console.error('❌ Playback failed:', error);
+            this.showStatus('Playback Error', 'error');
+        }
     }
     
     clearMessage() {
+        // Drop queued interpreter output along with whatever is playing
+        if (this.interpreter && this.interpreter.isActive) {
+            this.stopInterpreter(true);
+        }
+        if (this.interpreter) {
+            this.interpreter.cancel();
+        }
+        this.playbackEngine.stop();
+        
         this.currentMessage = {
             original: '',
             translated: '',
             audioBlob: null,
+            audioDurationMs: null,
+            voiceCharacteristics: null,
+            sourceLang: null,
             timestamp: null
         };
         
@@ -519,34 +1172,16 @@ class VoiceChatNetwork {
         try {
             if (this.mcpAvailable) {
                 // Check if friend exists in database
-                const checkUserSQL = `SELECT id FROM voice_users WHERE id = '${friendId}'`;
-                const userCheck = await this.mcpQuery('run_sql', {
-                    params: {
-                        sql: checkUserSQL,
-                        projectId: this.projectId
-                    }
-                });
+                const friend = await this.db.findUser(friendId);
                 
-                if (!userCheck.rows || userCheck.rows.length === 0) {
+                if (!friend) {
                     alert('Friend not found. Make sure they have used VoiceChat Network.');
                     this.showStatus('Ready', 'success');
                     return;
                 }
                 
                 // Create friend connection
-                const connectionSQL = `
-                    INSERT INTO friend_connections (user1_id, user2_id, status) 
-                    VALUES ('${this.currentUserId}', '${friendId}', 'connected')
-                    ON CONFLICT (user1_id, user2_id) 
-                    DO UPDATE SET status = 'connected'
-                `;
-                
-                await this.mcpQuery('run_sql', {
-                    params: {
-                        sql: connectionSQL,
-                        projectId: this.projectId
-                    }
-                });
+                await this.db.upsertFriendConnection(this.currentUserId, friendId, 'connected');
             }
             
             // Update connection state
@@ -567,6 +1202,18 @@ class VoiceChatNetwork {
             this.showStatus('Connected', 'success');
             console.log(`🔗 Connected to friend: ${friendId}`);
             
+            await this.conversationHistory.open(this.currentUserId, friendId);
+            
+            // Glossary selection is per conversation
+            if (this.glossaryPanel) {
+                this.glossaryPanel.render();
+            }
+            
+            // Voice overrides now apply to the friend
+            if (this.voiceLibraryPanel) {
+                this.voiceLibraryPanel.render();
+            }
+            
         } catch (error) {
             console.error('❌ Connection failed:', error);
             this.showStatus('Connection Failed', 'error');
@@ -574,6 +1221,17 @@ class VoiceChatNetwork {
         }
     }
     
+    // Only what the recipient needs to match a voice
+    serializeVoiceCharacteristics(characteristics) {
+        if (!characteristics) return {};
+        
+        return {
+            gender: characteristics.gender,
+            pitch: characteristics.pitch,
+            pitchRange: characteristics.pitchRange
+        };
+    }
+    
     async sendVoiceMessage() {
         if (!this.isConnected || !this.currentMessage.translated) {
             alert('Connect to a friend and record a message first!');
@@ -583,32 +1241,51 @@ class VoiceChatNetwork {
         this.showStatus('Sending...', 'sending');
         
         try {
+            const message = {
+                senderId: this.currentUserId,
+                recipientId: this.connectedFriendId,
+                originalText: this.currentMessage.original,
+                translatedText: this.currentMessage.translated,
+                languageFrom: this.currentMessage.sourceLang,
+                languageTo: document.getElementById('outputLanguage').value,
+                voiceCharacteristics: this.serializeVoiceCharacteristics(this.currentMessage.voiceCharacteristics)
+            };
+            
+            // Upload the recording so the friend can hear the real voice. Only an oversized
+            // recording stops the send; any other upload failure sends the text without audio
+            let audioError = null;
+            if (this.mcpAvailable && this.currentMessage.audioBlob) {
+                try {
+                    const upload = await this.audioStorage.uploadRecording(this.currentMessage.audioBlob, {
+                        userId: this.currentUserId,
+                        durationMs: this.currentMessage.audioDurationMs
+                    });
+                    message.audioBlobUrl = upload.url;
+                    message.audioDurationMs = upload.durationMs;
+                } catch (error) {
+                    if (error instanceof AudioTooLargeError) {
+                        throw error;
+                    }
+                    console.warn('⚠️ Audio upload failed, sending the text only:', error);
+                    audioError = error;
+                }
+            }
+            
             if (this.mcpAvailable) {
                 // Insert message into database
-                const messageSQL = `
-                    INSERT INTO voice_messages (
-                        sender_id, recipient_id, original_text, translated_text,
-                        language_from, language_to, voice_characteristics, created_at
-                    ) VALUES (
-                        '${this.currentUserId}', '${this.connectedFriendId}',
-                        '${this.currentMessage.original.replace(/'/g, "''")}',
-                        '${this.currentMessage.translated.replace(/'/g, "''")}',
-                        'en', '${document.getElementById('outputLanguage').value}',
-                        '{}', CURRENT_TIMESTAMP
-                    )
-                `;
-                
-                await this.mcpQuery('run_sql', {
-                    params: {
-                        sql: messageSQL,
-                        projectId: this.projectId
-                    }
-                });
+                await this.db.insertMessage(message);
                 
                 console.log('📤 Message sent to database');
+            } else {
+                this.historyStore.addMessage(message);
             }
             
-            this.showStatus('Message Sent!', 'success');
+            if (audioError) {
+                this.showStatus('Sent Without Audio', 'warning');
+            } else {
+                this.showStatus('Message Sent!', 'success');
+            }
+            this.conversationHistory.refresh();
             
             // Auto-clear after a delay
             setTimeout(() => {
@@ -617,76 +1294,172 @@ class VoiceChatNetwork {
             
         } catch (error) {
             console.error('❌ Failed to send message:', error);
+            
+            if (error instanceof AudioTooLargeError) {
+                this.showStatus('Audio Too Large', 'error');
+                alert(error.message);
+                return;
+            }
+            
             this.showStatus('Send Failed', 'error');
             alert('Failed to send message. Please try again.');
         }
     }
     
     async checkForNewMessages() {
-        if (!this.mcpAvailable || !this.isInitialized) return;
+        if (!this.mcpAvailable || !this.isInitialized) return 0;
+        
+        // A notification during a fetch triggers one more pass instead of a parallel query
+        if (this.isCheckingMessages) {
+            this.recheckMessages = true;
+            return 0;
+        }
+        
+        this.isCheckingMessages = true;
+        let delivered = 0;
         
         try {
-            const messagesSQL = `
-                SELECT * FROM voice_messages 
-                WHERE recipient_id = '${this.currentUserId}' 
-                AND read_at IS NULL 
-                ORDER BY created_at DESC 
-                LIMIT 1
-            `;
-            
-            const result = await this.mcpQuery('run_sql', {
-                params: {
-                    sql: messagesSQL,
-                    projectId: this.projectId
-                }
-            });
-            
-            if (result.rows && result.rows.length > 0) {
-                const message = result.rows[0];
-                this.showIncomingMessage(message);
+            do {
+                this.recheckMessages = false;
                 
-                // Mark as read
-                const updateSQL = `
-                    UPDATE voice_messages 
-                    SET read_at = CURRENT_TIMESTAMP 
-                    WHERE id = ${message.id}
-                `;
+                const messages = await this.db.getUnreadMessages(
+                    this.currentUserId,
+                    window.MCPhonyConfig.MESSAGING.FETCH_BATCH_SIZE
+                );
                 
-                await this.mcpQuery('run_sql', {
-                    params: {
-                        sql: updateSQL,
-                        projectId: this.projectId
+                for (const message of messages) {
+                    // A message whose read mark failed comes back on the next pass; show it only once
+                    if (!this.shownUnreadIds.has(message.id)) {
+                        this.shownUnreadIds.add(message.id);
+                        this.showIncomingMessage(message);
+                        delivered++;
                     }
-                });
-            }
+                    
+                    await this.db.markMessageRead(message.id);
+                    this.shownUnreadIds.delete(message.id);
+                }
+            } while (this.recheckMessages);
             
         } catch (error) {
             console.warn('⚠️ Failed to check for messages:', error);
+        } finally {
+            this.isCheckingMessages = false;
         }
+        
+        if (delivered > 0) {
+            this.conversationHistory.refresh();
+        }
+        
+        return delivered;
     }
     
     showIncomingMessage(message) {
+        this.incomingQueue.push(message);
+        
+        // Only take over the panel if nothing is being shown
+        if (document.getElementById('incomingPanel').style.display !== 'block') {
+            this.showNextIncomingMessage();
+        } else {
+            this.updateIncomingHeader();
+        }
+        
+        console.log('📥 New incoming message received');
+    }
+    
+    showNextIncomingMessage() {
         const panel = document.getElementById('incomingPanel');
-        const messageEl = document.getElementById('incomingMessage');
+        const message = this.incomingQueue.shift();
         
-        messageEl.textContent = message.translated_text || message.original_text;
+        if (!message) {
+            this.incomingMessage = null;
+            panel.style.display = 'none';
+            return;
+        }
+        
+        document.getElementById('incomingMessage').textContent = message.translated_text || message.original_text;
         panel.style.display = 'block';
         
         this.incomingMessage = message;
+        this.updateIncomingHeader();
+        this.updateIncomingModeButton();
+    }
+    
+    toggleIncomingPlaybackMode() {
+        this.playOriginalVoice = !this.playOriginalVoice;
+        this.updateIncomingModeButton();
+    }
+    
+    // The toggle only makes sense when the sender's recording is available
+    updateIncomingModeButton() {
+        const button = document.getElementById('incomingModeButton');
+        const hasAudio = !!(this.incomingMessage && this.incomingMessage.audio_blob_url);
         
-        console.log('📥 New incoming message received');
+        button.style.display = hasAudio ? '' : 'none';
+        button.textContent = this.playOriginalVoice ? '🗣 Their Voice' : '🔊 Translated';
+    }
+    
+    updateIncomingHeader() {
+        const waiting = this.incomingQueue.length;
+        document.getElementById('incomingHeader').textContent = waiting > 0
+            ? `📥 Incoming Voice Message (+${waiting} more)`
+            : '📥 Incoming Voice Message';
     }
     
     async playIncomingMessage() {
         if (!this.incomingMessage) return;
         
+        // Move on to the next queued message once this one has been heard
+        const onFinished = () => {
+            if (this.incomingQueue.length > 0) {
+                this.showNextIncomingMessage();
+            }
+        };
+        
+        if (this.playOriginalVoice && this.incomingMessage.audio_blob_url) {
+            this.playIncomingRecording(this.incomingMessage.audio_blob_url, onFinished);
+            return;
+        }
+        
         const text = this.incomingMessage.translated_text || this.incomingMessage.original_text;
-        const utterance = new SpeechSynthesisUtterance(text);
         
-        utterance.rate = 0.9;
-        utterance.volume = 0.8;
+        // Speak in the sender's cloned voice when they have enrolled one, otherwise the closest match
+        await this.speak(text, {
+            lang: this.incomingMessage.language_to,
+            voiceId: await this.getSenderVoiceId(this.incomingMessage.sender_id),
+            speaker: {
+                userId: this.incomingMessage.sender_id,
+                characteristics: this.parseVoiceCharacteristics(this.incomingMessage.voice_characteristics)
+            },
+            rate: 0.9,
+            volume: 0.8
+        });
+        onFinished();
+    }
+    
+    playIncomingRecording(url, onFinished) {
+        if (this.incomingAudio) {
+            this.incomingAudio.pause();
+        }
+        
+        this.incomingAudio = new Audio(url);
+        this.showStatus('Playing...', 'playing');
         
-        speechSynthesis.speak(utterance);
+        this.incomingAudio.onended = () => {
+            this.showStatus('Ready', 'success');
+            onFinished();
+        };
+        
+        this.incomingAudio.onerror = () => {
+            console.warn('⚠️ Could not play original recording, using translated speech');
+            this.playOriginalVoice = false;
+            this.updateIncomingModeButton();
+            this.playIncomingMessage();
+        };
+        
+        this.incomingAudio.play().catch(error => {
+            console.error('❌ Audio playback failed:', error);
+            this.showStatus('Playback Error', 'error');
+        });
     }
     
     async replyToMessage() {
@@ -698,34 +1471,43 @@ class VoiceChatNetwork {
             await this.connectToFriend();
         }
         
-        // Hide incoming panel
-        document.getElementById('incomingPanel').style.display = 'none';
+        // Hide incoming panel, or show the next queued message
+        this.showNextIncomingMessage();
         
         // Focus on voice recording
         alert('Tap and hold the voice button to record your reply!');
     }
     
     async onLanguageChange() {
+        // Default voices are per target language
+        if (this.voiceLibraryPanel) {
+            this.voiceLibraryPanel.render();
+        }
+        
         if (this.currentMessage.original) {
             await this.translateMessage();
         }
     }
     
     async mcpQuery(toolName, args) {
-        // This would be replaced with actual MCP calls
-        // For now, simulate database operations
-        if (toolName === 'list_projects') {
-            return {
-                projects: [{ id: 'demo_project_id' }]
-            };
-        }
+        const result = await this.mcpService.callRoleTool(MCP_ROLES.DATABASE, toolName, args.params);
+        const data = this.mcpService.parseToolResult(result);
         
-        if (toolName === 'run_sql') {
-            console.log('🗄️ Simulated SQL:', args.params.sql);
-            return { rows: [] };
+        return this.normalizeQueryResult(toolName, data);
+    }
+    
+    // Neon tools return bare arrays; give callers a stable shape
+    normalizeQueryResult(toolName, data) {
+        switch (toolName) {
+            case 'list_projects':
+                return { projects: Array.isArray(data) ? data : (data && data.projects) || [] };
+            case 'run_sql':
+                return { rows: Array.isArray(data) ? data : (data && data.rows) || [] };
+            case 'run_sql_transaction':
+                return { results: Array.isArray(data) ? data : (data && data.results) || [] };
+            default:
+                return data || {};
         }
-        
-        return {};
     }
     
     showStatus(text, type) {
@@ -744,6 +1526,7 @@ class VoiceChatNetwork {
             case 'processing':
             case 'connecting':
             case 'sending':
+            case 'warning':
                 statusDot.style.background = 'var(--warning-color)';
                 statusDot.style.boxShadow = '0 0 10px var(--warning-color)';
                 break;
@@ -767,8 +1550,8 @@ class VoiceChatNetwork {
         alert(`VoiceChat Network is running in demo mode. 
 
 To enable real-time voice messaging:
-1. Connect Neon Database MCP server
-2. Set up proper database tables
+1. Start the Neon Database MCP server (the 'database' entry in MCP.SERVERS in config.js)
+2. Make sure a Neon project is available
 3. Enable voice storage and routing
 
 Your Voice ID: ${this.currentUserId}